@@ -26,6 +26,9 @@ window.BitStreamBenchmark = class BitStreamBenchmark {
             },
             optimization: {
                 characterSetEfficiency: 0,
+                alphabetEfficiency: {},
+                rangeCoderEfficiency: {},
+                encoderComparison: {},
                 optimalDataSizes: [],
                 compressionFactors: {},
                 urlEncodingOverhead: 0
@@ -95,6 +98,15 @@ window.BitStreamBenchmark = class BitStreamBenchmark {
             // Test character set efficiency
             await this.testCharacterSetEfficiency();
             
+            // Test each alphabet profile in characters and in bytes
+            await this.testAlphabetProfiles();
+            
+            // Compare the range coder with base conversion
+            await this.testRangeCoder();
+            
+            // Compare every registered data section encoder side by side
+            await this.testEncoders();
+            
             // Test encoding performance at different data sizes
             await this.testEncodingPerformance();
             
@@ -159,6 +171,177 @@ window.BitStreamBenchmark = class BitStreamBenchmark {
         console.log(`Character set efficiency: ${radix} chars, ${bitsPerChar.toFixed(2)} bits/char`);
     }
     
+    /**
+     * Encode the same data with every alphabet profile and measure it in
+     * characters (what IRI-aware platforms count) and in bytes (the
+     * percent-encoded link that is sent to the server)
+     */
+    async testAlphabetProfiles() {
+        const linkHeader = window.LinkHeader && window.CONFIG?.LINK_HEADER ? new window.LinkHeader() : null;
+        if (!linkHeader) {
+            return;
+        }
+        
+        const testData = this.generateTestData(1024);
+        const dataBits = testData.byteLength * 8;
+        const encoder = new window.GPUBitStreamEncoder(window.CONFIG.SAFE_CHARS);
+        
+        for (const name of Object.keys(linkHeader.config.ALPHABETS)) {
+            const chars = linkHeader.getProfileChars(name);
+            if (!chars) continue;
+            
+            try {
+                const encoded = await encoder.encodeBits(testData, { alphabet: name });
+                const bytes = this.getPercentEncodedLength(encoded);
+                
+                this.results.optimization.alphabetEfficiency[name] = {
+                    radix: chars.length,
+                    chars: encoded.length,
+                    bytes: bytes,
+                    bitsPerChar: dataBits / encoded.length,
+                    bitsPerByte: dataBits / bytes
+                };
+                
+                console.log(`${name} alphabet: ${encoded.length} chars (${(dataBits / encoded.length).toFixed(2)} bits/char), ` +
+                    `${bytes} bytes (${(dataBits / bytes).toFixed(2)} bits/byte)`);
+            } catch (error) {
+                console.warn(`Alphabet test failed for ${name}:`, error);
+            }
+        }
+    }
+    
+    /**
+     * Compare bits per character of the range coder and of base conversion
+     * on the same data, in the SAFE_CHARS radix
+     */
+    async testRangeCoder() {
+        if (!window.RangeCoder) {
+            return;
+        }
+        
+        const directEncoder = new window.DirectBaseEncoder(window.CONFIG.SAFE_CHARS);
+        const dataTypes = {
+            mixed: this.generateTestData(1024),
+            random: this.generateRandomData(1024),
+            gradient: this.generateGradientData(1024),
+            textLike: this.generateTextLikeData(1024),
+            uniform: this.generateUniformData(1024)
+        };
+        
+        for (const [type, buffer] of Object.entries(dataTypes)) {
+            const bytes = new Uint8Array(buffer);
+            const dataBits = bytes.length * 8;
+            
+            try {
+                const baseCodec = window.CodecRegistry.getByName(directEncoder.WHOLE_STREAM ? 'WHOLE_STREAM' : 'CHUNKED');
+                const baseChars = baseCodec.encode(directEncoder, bytes).length;
+                const rangeChars = directEncoder.encodeRange(bytes).length;
+                
+                this.results.optimization.rangeCoderEfficiency[type] = {
+                    baseChars,
+                    rangeChars,
+                    baseBitsPerChar: dataBits / baseChars,
+                    rangeBitsPerChar: dataBits / Math.max(rangeChars, 1),
+                    saving: `${((1 - rangeChars / baseChars) * 100).toFixed(1)}%`
+                };
+                
+                console.log(`Range coder, ${type} data: ${rangeChars} chars vs ${baseChars} with base conversion`);
+            } catch (error) {
+                console.warn(`Range coder test failed for ${type}:`, error);
+            }
+        }
+    }
+    
+    /**
+     * Encode and decode random data with every encoder in CodecRegistry and
+     * record speed, characters per byte and whether the round trip holds
+     */
+    async testEncoders() {
+        if (!window.CodecRegistry || !window.GPUBitStreamDecoder) {
+            return;
+        }
+        
+        const directEncoder = new window.DirectBaseEncoder(window.CONFIG.SAFE_CHARS);
+        const decoder = new window.GPUBitStreamDecoder(window.CONFIG.SAFE_CHARS);
+        if (!directEncoder.linkHeader) {
+            return;
+        }
+        
+        for (const codec of window.CodecRegistry.list()) {
+            const sizes = {};
+            for (const testConfig of this.testSizes) {
+                const bytes = new Uint8Array(this.generateRandomData(testConfig.size));
+                
+                try {
+                    const encodeStart = performance.now();
+                    const encoded = directEncoder.encode(bytes, null, { encoder: codec.name });
+                    const decodeStart = performance.now();
+                    const decoded = new Uint8Array(await decoder.decodeBits(encoded));
+                    const decodeEnd = performance.now();
+                    
+                    sizes[testConfig.name] = {
+                        size: testConfig.size,
+                        chars: encoded.length,
+                        charsPerByte: encoded.length / testConfig.size,
+                        encodeTime: decodeStart - encodeStart,
+                        decodeTime: decodeEnd - decodeStart,
+                        roundTrip: decoded.length === bytes.length && decoded.every((byte, i) => byte === bytes[i])
+                    };
+                } catch (error) {
+                    console.warn(`Encoder test failed for ${codec.name} at ${testConfig.size}B:`, error);
+                    sizes[testConfig.name] = { size: testConfig.size, error: error.message, roundTrip: false };
+                }
+            }
+            
+            this.results.optimization.encoderComparison[codec.name] = sizes;
+            console.log(`${codec.name} encoder: ${Object.values(sizes).map(result =>
+                result.error ? `${result.size}B failed` : `${result.size}B → ${result.chars} chars`).join(', ')}`);
+        }
+    }
+    
+    /**
+     * Side-by-side table of the encoder comparison, one row per encoder and size
+     * @returns {string} Plain text table, empty when the comparison has not run
+     */
+    getEncoderComparisonTable() {
+        const rows = [];
+        for (const [name, sizes] of Object.entries(this.results.optimization.encoderComparison)) {
+            for (const result of Object.values(sizes)) {
+                rows.push(result.error ? [name, `${result.size}B`, '-', '-', '-', '-', 'FAIL'] : [
+                    name,
+                    `${result.size}B`,
+                    String(result.chars),
+                    result.charsPerByte.toFixed(3),
+                    `${result.encodeTime.toFixed(2)}ms`,
+                    `${result.decodeTime.toFixed(2)}ms`,
+                    result.roundTrip ? 'ok' : 'FAIL'
+                ]);
+            }
+        }
+        if (rows.length === 0) {
+            return '';
+        }
+        
+        const header = ['Encoder', 'Size', 'Chars', 'Chars/byte', 'Encode', 'Decode', 'Round trip'];
+        const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+        const format = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+        return [format(header), format(widths.map(width => '-'.repeat(width))), ...rows.map(format)].join('\n');
+    }
+    
+    /**
+     * Length of text in a URL path once percent-encoded
+     * Characters outside CONFIG.URL_POSITION_CHARS.path take 3 bytes per UTF-8 byte
+     */
+    getPercentEncodedLength(text) {
+        const keep = window.CONFIG?.URL_POSITION_CHARS?.path || '';
+        const utf8 = new TextEncoder();
+        let length = 0;
+        for (const char of text) {
+            length += keep.includes(char) ? 1 : utf8.encode(char).length * 3;
+        }
+        return length;
+    }
+    
     /**
      * Test encoding performance at different data sizes
      */
@@ -412,12 +595,28 @@ window.BitStreamBenchmark = class BitStreamBenchmark {
         const charSet = this.results.optimization.characterSetEfficiency;
         const overhead = this.results.optimization.urlEncodingOverhead;
         const urlLimits = this.results.device.urlLimits;
+        const alphabets = Object.entries(this.results.optimization.alphabetEfficiency)
+            .map(([name, result]) => `- ${name}: ${result.bitsPerChar.toFixed(2)} bits/char, ${result.bitsPerByte.toFixed(2)} bits/byte`)
+            .join('\n');
+        const rangeCoder = Object.entries(this.results.optimization.rangeCoderEfficiency)
+            .map(([type, result]) => `- ${type}: ${result.rangeBitsPerChar.toFixed(2)} vs ${result.baseBitsPerChar.toFixed(2)} bits/char (${result.saving} shorter)`)
+            .join('\n');
         
         return `Enhanced BitStream Benchmark Results:
         
 Character Set: ${charSet.radix} characters (${charSet.bitsPerChar.toFixed(2)} bits/char)
 Efficiency vs Base64: ${charSet.theoreticalImprovement} improvement
 URL Encoding Overhead: ${overhead.overheadPercent}
+
+Alphabet Profiles (1KB test data):
+${alphabets || '- Not available'}
+
+Range Coder vs Base Conversion (1KB test data):
+${rangeCoder || '- Not available'}
+
+Encoders (random test data):
+${this.getEncoderComparisonTable() || '- Not available'}
+
 Browser Limit: ${urlLimits.browser} (${urlLimits.limit.toLocaleString()} chars)
 Optimal Chunk Size: ${this.results.optimalChunkSize} bytes
 Recommended Mode: ${this.results.recommendedMode.toUpperCase()}
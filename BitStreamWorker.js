@@ -0,0 +1,45 @@
+/**
+ * BitStreamWorker.js
+ *
+ * Worker side of WorkerPool.js. Loads the codec and analysis modules, then
+ * runs the jobs the pool sends:
+ *   in:  { id, type, payload }
+ *   out: { type: 'ready' } once loaded, then { id, type: 'progress', progress, stage },
+ *        { id, type: 'result', result } or { id, type: 'error', message, properties }
+ */
+// The modules register themselves on window
+self.window = self;
+
+importScripts(
+    'config.js',
+    'LinkHeader.js',
+    'CodecRegistry.js',
+    'IntegrityCheck.js',
+    'ReedSolomon.js',
+    'Deflate.js',
+    'ImageTemplates.js',
+    'RangeCoder.js',
+    'DirectBaseEncoder.js',
+    'GPUBitStreamEncoder.js',
+    'GPUBitStreamDecoder.js',
+    'ImageAnalyzer.js',
+    'WorkerPool.js'
+);
+
+// Encoder, decoder and analyzer, created by the first job that needs them
+const context = {};
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+    const progress = (value, stage) => self.postMessage({ id, type: 'progress', progress: value, stage });
+
+    try {
+        const { result, transfer } = await window.WorkerPool.runJob(type, payload, context, progress);
+        self.postMessage({ id, type: 'result', result }, transfer);
+    } catch (error) {
+        // Own properties (name, minimumLength, ...) let the pool rebuild the error
+        self.postMessage({ id, type: 'error', message: error.message, properties: { ...error } });
+    }
+};
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,109 @@
+/**
+ * CodecRegistry.js
+ *
+ * Encoder/decoder pairs for the data section of versioned links, registered
+ * under the encoder id the link header carries (CONFIG.LINK_HEADER.ENCODERS).
+ * DirectBaseEncoder writes the data with a pair's encode() and names it in the
+ * header; GPUBitStreamDecoder reads the id and uses the same pair's decode(),
+ * so links written with a new approach stay decodable wherever it is registered.
+ *
+ * A pair is:
+ *   {
+ *     id, name,                                     // An entry of CONFIG.LINK_HEADER.ENCODERS
+ *     encode(encoder, bytes) => string,             // Data digits; encoder is a DirectBaseEncoder
+ *     decode(decoder, dataSection, length) => Uint8Array, // decoder is a GPUBitStreamDecoder
+ *     getDigitCount(coder, byteCount) => number|null // Digits for any byteCount bytes, null if data dependent
+ *   }
+ * Pairs with a fixed digit count can be split into checked blocks (BLOCKS flag).
+ */
+window.CodecRegistry = class CodecRegistry {
+    /**
+     * Register an encoder/decoder pair, replacing any pair with the same id
+     * @param {Object} codec - Pair as described above
+     */
+    static register(codec) {
+        const encoders = window.CONFIG?.LINK_HEADER?.ENCODERS || {};
+        if (encoders[codec.name] !== codec.id) {
+            throw new Error(`CodecRegistry: ${codec.name} must be listed in CONFIG.LINK_HEADER.ENCODERS with id ${codec.id}`);
+        }
+        for (const method of ['encode', 'decode', 'getDigitCount']) {
+            if (typeof codec[method] !== 'function') {
+                throw new Error(`CodecRegistry: ${codec.name} must provide ${method}()`);
+            }
+        }
+
+        window.CodecRegistry.codecs.set(codec.id, codec);
+    }
+
+    /**
+     * @param {number} id - Encoder id from the link header
+     * @returns {Object|null} Registered pair
+     */
+    static get(id) {
+        return window.CodecRegistry.codecs.get(id) || null;
+    }
+
+    /**
+     * @param {string} name - Encoder name from CONFIG.LINK_HEADER.ENCODERS
+     * @returns {Object} Registered pair
+     * @throws {Error} If no pair is registered under that name
+     */
+    static getByName(name) {
+        const codec = [...window.CodecRegistry.codecs.values()].find(c => c.name === name);
+        if (!codec) {
+            throw new Error(`CodecRegistry: no encoder registered as ${name}`);
+        }
+        return codec;
+    }
+
+    /**
+     * @returns {Object[]} Registered pairs in id order
+     */
+    static list() {
+        return [...window.CodecRegistry.codecs.values()].sort((a, b) => a.id - b.id);
+    }
+};
+
+window.CodecRegistry.codecs = new Map();
+
+// Built-in pairs; ids come from config so the header and the registry agree
+if (window.CONFIG?.LINK_HEADER?.ENCODERS) {
+    const encoders = window.CONFIG.LINK_HEADER.ENCODERS;
+
+    window.CodecRegistry.register({
+        id: encoders.CHUNKED,
+        name: 'CHUNKED',
+        encode: (encoder, bytes) => encoder.encodeChunks(bytes),
+        decode: (decoder, dataSection, length) => decoder.decodeChunkedData(dataSection, length),
+        getDigitCount: (coder, byteCount) => coder.getChunkedDigitCount(byteCount)
+    });
+    window.CodecRegistry.register({
+        id: encoders.WHOLE_STREAM,
+        name: 'WHOLE_STREAM',
+        encode: (encoder, bytes) => encoder.encodeWholeStreamDigits(bytes),
+        decode: (decoder, dataSection, length) => decoder.decodeWholeStreamData(dataSection, length),
+        getDigitCount: (coder, byteCount) => coder.getWholeStreamDigitCount(byteCount)
+    });
+    window.CodecRegistry.register({
+        id: encoders.RANGE,
+        name: 'RANGE',
+        encode: (encoder, bytes) => encoder.encodeRange(bytes),
+        decode: (decoder, dataSection, length) => decoder.decodeRangeData(dataSection, length),
+        getDigitCount: () => null
+    });
+    // Same digits as WHOLE_STREAM, found by search instead of division
+    window.CodecRegistry.register({
+        id: encoders.DIGIT_SEARCH,
+        name: 'DIGIT_SEARCH',
+        encode: (encoder, bytes) => encoder.encodeDigitSearch(bytes),
+        decode: (decoder, dataSection, length) => decoder.decodeWholeStreamData(dataSection, length),
+        getDigitCount: (coder, byteCount) => coder.getWholeStreamDigitCount(byteCount)
+    });
+} else {
+    console.warn('CodecRegistry: CONFIG.LINK_HEADER not available, no built-in encoders registered');
+}
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.CodecRegistry;
+}
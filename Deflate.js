@@ -0,0 +1,699 @@
+/**
+ * Deflate.js
+ *
+ * Raw DEFLATE (RFC 1951) for lossless pre-compression of link payloads.
+ *
+ * Uses CompressionStream / DecompressionStream('deflate-raw') where the
+ * browser supports them, and the pure JS implementation below otherwise.
+ * Both produce standard raw DEFLATE, so either side can read the other's output.
+ *
+ * The JS compressor writes a single block: LZ77 matches from hash chains,
+ * coded with fixed or dynamic Huffman codes, or stored when that is shorter.
+ */
+window.Deflate = class Deflate {
+    constructor() {
+        // RFC 1951 3.2.5: length symbols 257..285 and distance symbols 0..29
+        this.LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+        this.LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+        this.DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+        this.DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+        this.CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+        this.END_OF_BLOCK = 256;
+        this.MAX_BITS = 15;
+        this.MAX_CODE_LENGTH_BITS = 7;
+        this.MAX_STORED = 65535;
+
+        // LZ77 search
+        this.WINDOW_SIZE = 32768;
+        this.MIN_MATCH = 3;
+        this.MAX_MATCH = 258;
+        this.MAX_CHAIN = 128;
+        this.HASH_BITS = 15;
+
+        // Length -> length symbol index
+        this.lengthIndex = new Uint8Array(this.MAX_MATCH + 1);
+        for (let i = 0; i < this.LENGTH_BASE.length; i++) {
+            const end = this.LENGTH_BASE[i] + (1 << this.LENGTH_EXTRA[i]);
+            for (let length = this.LENGTH_BASE[i]; length < end && length <= this.MAX_MATCH; length++) {
+                this.lengthIndex[length] = i;
+            }
+        }
+
+        // Fixed Huffman codes (RFC 1951 3.2.6)
+        this.fixedLitLengths = new Array(288);
+        for (let symbol = 0; symbol < 288; symbol++) {
+            this.fixedLitLengths[symbol] = symbol < 144 ? 8 : symbol < 256 ? 9 : symbol < 280 ? 7 : 8;
+        }
+        this.fixedDistLengths = new Array(30).fill(5);
+        this.fixedLitDecoder = this.buildDecoder(this.fixedLitLengths);
+        this.fixedDistDecoder = this.buildDecoder(this.fixedDistLengths);
+    }
+
+    /**
+     * Compress data, natively where possible
+     * @param {ArrayBuffer|Uint8Array} data - Data to compress
+     * @returns {Promise<Uint8Array>} Raw DEFLATE stream
+     */
+    async compress(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+        const stream = this.createStream('CompressionStream');
+        return stream ? this.runStream(stream, bytes) : this.deflateSync(bytes);
+    }
+
+    /**
+     * Decompress a raw DEFLATE stream, natively where possible
+     * @param {ArrayBuffer|Uint8Array} data - Raw DEFLATE stream
+     * @returns {Promise<Uint8Array>} Decompressed data
+     */
+    async decompress(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+        const stream = this.createStream('DecompressionStream');
+        return stream ? this.runStream(stream, bytes) : this.inflateSync(bytes);
+    }
+
+    /**
+     * Create a native 'deflate-raw' stream
+     * @param {string} type - 'CompressionStream' or 'DecompressionStream'
+     * @returns {Object|null} Stream, or null where the format is not supported
+     */
+    createStream(type) {
+        if (typeof window[type] !== 'function') {
+            return null;
+        }
+        try {
+            return new window[type]('deflate-raw');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Pipe bytes through a native transform stream
+     * @param {Object} stream - CompressionStream or DecompressionStream
+     * @param {Uint8Array} bytes - Input
+     * @returns {Promise<Uint8Array>}
+     */
+    async runStream(stream, bytes) {
+        const output = new Blob([bytes]).stream().pipeThrough(stream);
+        return new Uint8Array(await new Response(output).arrayBuffer());
+    }
+
+    /**
+     * Pure JS compression into a single final block
+     * @param {Uint8Array} bytes - Data to compress
+     * @returns {Uint8Array} Raw DEFLATE stream
+     */
+    deflateSync(bytes) {
+        const stored = this.writeStored(bytes);
+        if (bytes.length === 0) {
+            return stored;
+        }
+
+        const tokens = this.findMatches(bytes);
+        const fixed = this.writeHuffmanBlock(tokens, this.fixedLitLengths, this.fixedDistLengths, null);
+        const dynamic = this.writeDynamicBlock(tokens);
+
+        return [stored, fixed, dynamic].reduce((best, block) => block.length < best.length ? block : best);
+    }
+
+    /**
+     * LZ77 parse with hash chains
+     * @param {Uint8Array} bytes - Data
+     * @returns {{symbols: number[], extras: number[]}} Per token: literal byte or match length, and match distance (0 for literals)
+     */
+    findMatches(bytes) {
+        const hashMask = (1 << this.HASH_BITS) - 1;
+        const head = new Int32Array(1 << this.HASH_BITS).fill(-1);
+        const prev = new Int32Array(bytes.length);
+        const hash = (i) => ((bytes[i] << 10) ^ (bytes[i + 1] << 5) ^ bytes[i + 2]) & hashMask;
+        const insert = (i) => {
+            const h = hash(i);
+            prev[i] = head[h];
+            head[h] = i;
+        };
+
+        const symbols = [];
+        const extras = [];
+        let i = 0;
+
+        while (i < bytes.length) {
+            let bestLength = 0;
+            let bestDistance = 0;
+
+            if (i + this.MIN_MATCH <= bytes.length) {
+                const maxLength = Math.min(this.MAX_MATCH, bytes.length - i);
+                let candidate = head[hash(i)];
+                let chain = this.MAX_CHAIN;
+
+                while (candidate >= 0 && i - candidate <= this.WINDOW_SIZE && chain-- > 0) {
+                    if (bytes[candidate + bestLength] === bytes[i + bestLength]) {
+                        let length = 0;
+                        while (length < maxLength && bytes[candidate + length] === bytes[i + length]) {
+                            length++;
+                        }
+                        if (length > bestLength) {
+                            bestLength = length;
+                            bestDistance = i - candidate;
+                            if (length === maxLength) break;
+                        }
+                    }
+                    candidate = prev[candidate];
+                }
+                insert(i);
+            }
+
+            if (bestLength >= this.MIN_MATCH) {
+                symbols.push(bestLength);
+                extras.push(bestDistance);
+                for (let j = i + 1; j < i + bestLength && j + this.MIN_MATCH <= bytes.length; j++) {
+                    insert(j);
+                }
+                i += bestLength;
+            } else {
+                symbols.push(bytes[i]);
+                extras.push(0);
+                i++;
+            }
+        }
+
+        return { symbols, extras };
+    }
+
+    /**
+     * Distance symbol for a match distance
+     */
+    getDistanceIndex(distance) {
+        let index = this.DIST_BASE.length - 1;
+        while (this.DIST_BASE[index] > distance) index--;
+        return index;
+    }
+
+    /**
+     * Stored blocks: the data as is, in pieces of at most 65535 bytes
+     * @param {Uint8Array} bytes - Data
+     * @returns {Uint8Array}
+     */
+    writeStored(bytes) {
+        const blockCount = Math.max(1, Math.ceil(bytes.length / this.MAX_STORED));
+        const output = new Uint8Array(bytes.length + blockCount * 5);
+        let position = 0;
+
+        for (let block = 0; block < blockCount; block++) {
+            const start = block * this.MAX_STORED;
+            const length = Math.min(this.MAX_STORED, bytes.length - start);
+            output[position++] = block === blockCount - 1 ? 1 : 0; // BFINAL, BTYPE 00, padding
+            output[position++] = length & 0xFF;
+            output[position++] = length >> 8;
+            output[position++] = ~length & 0xFF;
+            output[position++] = (~length >> 8) & 0xFF;
+            output.set(bytes.subarray(start, start + length), position);
+            position += length;
+        }
+
+        return output;
+    }
+
+    /**
+     * Block with Huffman codes built for the tokens
+     * @param {Object} tokens - From findMatches
+     * @returns {Uint8Array}
+     */
+    writeDynamicBlock(tokens) {
+        const litFreqs = new Array(286).fill(0);
+        const distFreqs = new Array(30).fill(0);
+        litFreqs[this.END_OF_BLOCK] = 1;
+
+        for (let i = 0; i < tokens.symbols.length; i++) {
+            if (tokens.extras[i] === 0) {
+                litFreqs[tokens.symbols[i]]++;
+            } else {
+                litFreqs[257 + this.lengthIndex[tokens.symbols[i]]]++;
+                distFreqs[this.getDistanceIndex(tokens.extras[i])]++;
+            }
+        }
+
+        const litLengths = this.buildCodeLengths(litFreqs, this.MAX_BITS);
+        const distLengths = this.buildCodeLengths(distFreqs, this.MAX_BITS);
+        if (distLengths.every(length => length === 0)) {
+            // Inflaters expect at least one distance code, even when unused
+            distLengths[0] = 1;
+        }
+
+        return this.writeHuffmanBlock(tokens, litLengths, distLengths, this.getCodeLengthHeader(litLengths, distLengths));
+    }
+
+    /**
+     * Run-length code the literal/length and distance code lengths
+     * (RFC 1951 3.2.7, symbols 16-18)
+     * @returns {Object} { hlit, hdist, hclen, clLengths, clCodes, runs }
+     */
+    getCodeLengthHeader(litLengths, distLengths) {
+        let hlit = 286;
+        while (hlit > 257 && litLengths[hlit - 1] === 0) hlit--;
+        let hdist = 30;
+        while (hdist > 1 && distLengths[hdist - 1] === 0) hdist--;
+
+        const lengths = litLengths.slice(0, hlit).concat(distLengths.slice(0, hdist));
+        const runs = [];
+        for (let i = 0; i < lengths.length;) {
+            const value = lengths[i];
+            let run = 1;
+            while (i + run < lengths.length && lengths[i + run] === value) run++;
+            i += run;
+
+            if (value === 0) {
+                while (run >= 11) {
+                    const count = Math.min(run, 138);
+                    runs.push({ symbol: 18, bits: 7, extra: count - 11 });
+                    run -= count;
+                }
+                if (run >= 3) {
+                    runs.push({ symbol: 17, bits: 3, extra: run - 3 });
+                    run = 0;
+                }
+            } else {
+                runs.push({ symbol: value, bits: 0, extra: 0 });
+                run--;
+                while (run >= 3) {
+                    const count = Math.min(run, 6);
+                    runs.push({ symbol: 16, bits: 2, extra: count - 3 });
+                    run -= count;
+                }
+            }
+            for (; run > 0; run--) {
+                runs.push({ symbol: value, bits: 0, extra: 0 });
+            }
+        }
+
+        const clFreqs = new Array(19).fill(0);
+        runs.forEach(run => clFreqs[run.symbol]++);
+        const clLengths = this.buildCodeLengths(clFreqs, this.MAX_CODE_LENGTH_BITS);
+
+        let hclen = 19;
+        while (hclen > 4 && clLengths[this.CODE_LENGTH_ORDER[hclen - 1]] === 0) hclen--;
+
+        return { hlit, hdist, hclen, clLengths, clCodes: this.buildCodes(clLengths), runs };
+    }
+
+    /**
+     * Write one final Huffman block
+     * @param {Object} tokens - From findMatches
+     * @param {number[]} litLengths - Literal/length code lengths
+     * @param {number[]} distLengths - Distance code lengths
+     * @param {Object|null} header - Code length header for dynamic blocks, null for fixed codes
+     * @returns {Uint8Array}
+     */
+    writeHuffmanBlock(tokens, litLengths, distLengths, header) {
+        const writer = { bytes: [], bitBuffer: 0, bitCount: 0 };
+        const litCodes = this.buildCodes(litLengths);
+        const distCodes = this.buildCodes(distLengths);
+
+        this.writeBits(writer, 1, 1); // BFINAL
+        if (!header) {
+            this.writeBits(writer, 1, 2); // BTYPE 01: fixed codes
+        } else {
+            this.writeBits(writer, 2, 2); // BTYPE 10: dynamic codes
+            this.writeBits(writer, header.hlit - 257, 5);
+            this.writeBits(writer, header.hdist - 1, 5);
+            this.writeBits(writer, header.hclen - 4, 4);
+            for (let i = 0; i < header.hclen; i++) {
+                this.writeBits(writer, header.clLengths[this.CODE_LENGTH_ORDER[i]], 3);
+            }
+            for (const run of header.runs) {
+                this.writeBits(writer, header.clCodes[run.symbol], header.clLengths[run.symbol]);
+                if (run.bits) {
+                    this.writeBits(writer, run.extra, run.bits);
+                }
+            }
+        }
+
+        for (let i = 0; i < tokens.symbols.length; i++) {
+            const distance = tokens.extras[i];
+            if (distance === 0) {
+                const literal = tokens.symbols[i];
+                this.writeBits(writer, litCodes[literal], litLengths[literal]);
+                continue;
+            }
+
+            const length = tokens.symbols[i];
+            const lengthIndex = this.lengthIndex[length];
+            const lengthSymbol = 257 + lengthIndex;
+            this.writeBits(writer, litCodes[lengthSymbol], litLengths[lengthSymbol]);
+            this.writeBits(writer, length - this.LENGTH_BASE[lengthIndex], this.LENGTH_EXTRA[lengthIndex]);
+
+            const distIndex = this.getDistanceIndex(distance);
+            this.writeBits(writer, distCodes[distIndex], distLengths[distIndex]);
+            this.writeBits(writer, distance - this.DIST_BASE[distIndex], this.DIST_EXTRA[distIndex]);
+        }
+
+        this.writeBits(writer, litCodes[this.END_OF_BLOCK], litLengths[this.END_OF_BLOCK]);
+        if (writer.bitCount > 0) {
+            writer.bytes.push(writer.bitBuffer & 0xFF);
+        }
+
+        return Uint8Array.from(writer.bytes);
+    }
+
+    /**
+     * Append bits, least significant first
+     */
+    writeBits(writer, value, count) {
+        writer.bitBuffer |= value << writer.bitCount;
+        writer.bitCount += count;
+        while (writer.bitCount >= 8) {
+            writer.bytes.push(writer.bitBuffer & 0xFF);
+            writer.bitBuffer >>>= 8;
+            writer.bitCount -= 8;
+        }
+    }
+
+    /**
+     * Huffman code lengths no longer than maxBits
+     * Frequencies are flattened until the tree fits, which costs a little
+     * compression only on very skewed inputs.
+     * @param {number[]} freqs - Symbol frequencies
+     * @param {number} maxBits - Longest allowed code
+     * @returns {number[]} Code length per symbol (0 for unused symbols)
+     */
+    buildCodeLengths(freqs, maxBits) {
+        let weights = freqs.slice();
+
+        for (;;) {
+            const lengths = new Array(freqs.length).fill(0);
+            const leaves = [];
+            weights.forEach((weight, symbol) => {
+                if (weight > 0) leaves.push({ weight, symbol });
+            });
+
+            if (leaves.length === 0) return lengths;
+            if (leaves.length === 1) {
+                lengths[leaves[0].symbol] = 1;
+                return lengths;
+            }
+
+            // Two-queue Huffman construction over sorted leaves
+            leaves.sort((a, b) => a.weight - b.weight);
+            const nodes = [];
+            let leafIndex = 0;
+            let nodeIndex = 0;
+            const take = () => {
+                if (leafIndex < leaves.length && (nodeIndex >= nodes.length || leaves[leafIndex].weight <= nodes[nodeIndex].weight)) {
+                    return leaves[leafIndex++];
+                }
+                return nodes[nodeIndex++];
+            };
+            while ((leaves.length - leafIndex) + (nodes.length - nodeIndex) > 1) {
+                const left = take();
+                const right = take();
+                nodes.push({ weight: left.weight + right.weight, children: [left, right] });
+            }
+
+            let maxDepth = 0;
+            const stack = [{ node: nodes[nodes.length - 1], depth: 0 }];
+            while (stack.length > 0) {
+                const { node, depth } = stack.pop();
+                if (node.children) {
+                    stack.push({ node: node.children[0], depth: depth + 1 });
+                    stack.push({ node: node.children[1], depth: depth + 1 });
+                } else {
+                    lengths[node.symbol] = depth;
+                    maxDepth = Math.max(maxDepth, depth);
+                }
+            }
+
+            if (maxDepth <= maxBits) return lengths;
+            weights = weights.map(weight => weight > 0 ? (weight >> 1) | 1 : 0);
+        }
+    }
+
+    /**
+     * Canonical Huffman codes (RFC 1951 3.2.2), bit-reversed for LSB-first output
+     * @param {number[]} lengths - Code length per symbol
+     * @returns {number[]} Code per symbol
+     */
+    buildCodes(lengths) {
+        const countPerLength = new Array(this.MAX_BITS + 1).fill(0);
+        lengths.forEach(length => {
+            if (length > 0) countPerLength[length]++;
+        });
+
+        const nextCode = new Array(this.MAX_BITS + 1).fill(0);
+        let code = 0;
+        for (let bits = 1; bits <= this.MAX_BITS; bits++) {
+            code = (code + countPerLength[bits - 1]) << 1;
+            nextCode[bits] = code;
+        }
+
+        return lengths.map(length => {
+            if (length === 0) return 0;
+            let value = nextCode[length]++;
+            let reversed = 0;
+            for (let i = 0; i < length; i++) {
+                reversed = (reversed << 1) | (value & 1);
+                value >>= 1;
+            }
+            return reversed;
+        });
+    }
+
+    /**
+     * Pure JS decompression of a raw DEFLATE stream
+     * @param {Uint8Array} bytes - Raw DEFLATE stream
+     * @returns {Uint8Array} Decompressed data
+     */
+    inflateSync(bytes) {
+        const reader = { bytes, position: 0, bitBuffer: 0, bitCount: 0 };
+        const output = { bytes: new Uint8Array(Math.max(1024, bytes.length * 4)), length: 0 };
+        let final = 0;
+
+        do {
+            final = this.readBits(reader, 1);
+            const type = this.readBits(reader, 2);
+
+            if (type === 0) {
+                this.inflateStored(reader, output);
+            } else if (type === 1) {
+                this.inflateBlock(reader, output, this.fixedLitDecoder, this.fixedDistDecoder);
+            } else if (type === 2) {
+                const { lit, dist } = this.readDynamicTables(reader);
+                this.inflateBlock(reader, output, lit, dist);
+            } else {
+                throw new Error('Deflate: invalid block type');
+            }
+        } while (!final);
+
+        return output.bytes.slice(0, output.length);
+    }
+
+    /**
+     * Read bits, least significant first
+     */
+    readBits(reader, count) {
+        while (reader.bitCount < count) {
+            if (reader.position >= reader.bytes.length) {
+                throw new Error('Deflate: unexpected end of data');
+            }
+            reader.bitBuffer |= reader.bytes[reader.position++] << reader.bitCount;
+            reader.bitCount += 8;
+        }
+
+        const value = reader.bitBuffer & ((1 << count) - 1);
+        reader.bitBuffer >>>= count;
+        reader.bitCount -= count;
+        return value;
+    }
+
+    /**
+     * Make room for more output
+     */
+    ensureOutput(output, extra) {
+        if (output.length + extra <= output.bytes.length) return;
+
+        let size = output.bytes.length * 2;
+        while (size < output.length + extra) size *= 2;
+        const grown = new Uint8Array(size);
+        grown.set(output.bytes.subarray(0, output.length));
+        output.bytes = grown;
+    }
+
+    /**
+     * Copy a stored block; its header starts at the next byte boundary
+     */
+    inflateStored(reader, output) {
+        reader.bitBuffer = 0;
+        reader.bitCount = 0;
+
+        const { bytes } = reader;
+        if (reader.position + 4 > bytes.length) {
+            throw new Error('Deflate: unexpected end of data');
+        }
+        const length = bytes[reader.position] | (bytes[reader.position + 1] << 8);
+        const check = bytes[reader.position + 2] | (bytes[reader.position + 3] << 8);
+        if (length !== (~check & 0xFFFF)) {
+            throw new Error('Deflate: stored block length mismatch');
+        }
+        reader.position += 4;
+        if (reader.position + length > bytes.length) {
+            throw new Error('Deflate: unexpected end of data');
+        }
+
+        this.ensureOutput(output, length);
+        output.bytes.set(bytes.subarray(reader.position, reader.position + length), output.length);
+        output.length += length;
+        reader.position += length;
+    }
+
+    /**
+     * Read the code length header of a dynamic block
+     * @returns {{lit: Object, dist: Object}} Decoders
+     */
+    readDynamicTables(reader) {
+        const hlit = this.readBits(reader, 5) + 257;
+        const hdist = this.readBits(reader, 5) + 1;
+        const hclen = this.readBits(reader, 4) + 4;
+        if (hlit > 286 || hdist > 30) {
+            throw new Error('Deflate: too many length or distance codes');
+        }
+
+        const clLengths = new Array(19).fill(0);
+        for (let i = 0; i < hclen; i++) {
+            clLengths[this.CODE_LENGTH_ORDER[i]] = this.readBits(reader, 3);
+        }
+        const clDecoder = this.buildDecoder(clLengths);
+
+        const lengths = [];
+        while (lengths.length < hlit + hdist) {
+            const symbol = this.decodeSymbol(reader, clDecoder);
+            if (symbol < 16) {
+                lengths.push(symbol);
+                continue;
+            }
+
+            let value = 0;
+            let repeat;
+            if (symbol === 16) {
+                if (lengths.length === 0) {
+                    throw new Error('Deflate: repeat with no previous length');
+                }
+                value = lengths[lengths.length - 1];
+                repeat = 3 + this.readBits(reader, 2);
+            } else if (symbol === 17) {
+                repeat = 3 + this.readBits(reader, 3);
+            } else {
+                repeat = 11 + this.readBits(reader, 7);
+            }
+            if (lengths.length + repeat > hlit + hdist) {
+                throw new Error('Deflate: too many code lengths');
+            }
+            for (let i = 0; i < repeat; i++) lengths.push(value);
+        }
+
+        if (lengths[this.END_OF_BLOCK] === 0) {
+            throw new Error('Deflate: missing end-of-block code');
+        }
+
+        return {
+            lit: this.buildDecoder(lengths.slice(0, hlit)),
+            dist: this.buildDecoder(lengths.slice(hlit))
+        };
+    }
+
+    /**
+     * Decode the symbols of a Huffman block
+     */
+    inflateBlock(reader, output, litDecoder, distDecoder) {
+        for (;;) {
+            const symbol = this.decodeSymbol(reader, litDecoder);
+
+            if (symbol < 256) {
+                this.ensureOutput(output, 1);
+                output.bytes[output.length++] = symbol;
+                continue;
+            }
+            if (symbol === this.END_OF_BLOCK) {
+                return;
+            }
+
+            const lengthIndex = symbol - 257;
+            if (lengthIndex >= this.LENGTH_BASE.length) {
+                throw new Error('Deflate: invalid length symbol');
+            }
+            const length = this.LENGTH_BASE[lengthIndex] + this.readBits(reader, this.LENGTH_EXTRA[lengthIndex]);
+
+            const distIndex = this.decodeSymbol(reader, distDecoder);
+            if (distIndex >= this.DIST_BASE.length) {
+                throw new Error('Deflate: invalid distance symbol');
+            }
+            const distance = this.DIST_BASE[distIndex] + this.readBits(reader, this.DIST_EXTRA[distIndex]);
+            if (distance > output.length) {
+                throw new Error('Deflate: distance too far back');
+            }
+
+            this.ensureOutput(output, length);
+            for (let i = 0; i < length; i++) {
+                output.bytes[output.length] = output.bytes[output.length - distance];
+                output.length++;
+            }
+        }
+    }
+
+    /**
+     * Canonical decoding table: code count per length and symbols in code order
+     * @param {number[]} lengths - Code length per symbol
+     * @returns {{counts: number[], symbols: number[]}}
+     */
+    buildDecoder(lengths) {
+        const counts = new Array(this.MAX_BITS + 1).fill(0);
+        lengths.forEach(length => counts[length]++);
+
+        // Reject over-subscribed codes; incomplete ones fail when an unused code is read
+        let left = 1;
+        for (let bits = 1; bits <= this.MAX_BITS; bits++) {
+            left = (left << 1) - counts[bits];
+            if (left < 0) {
+                throw new Error('Deflate: over-subscribed Huffman code');
+            }
+        }
+
+        const offsets = new Array(this.MAX_BITS + 2).fill(0);
+        for (let bits = 1; bits <= this.MAX_BITS; bits++) {
+            offsets[bits + 1] = offsets[bits] + counts[bits];
+        }
+        const symbols = new Array(lengths.length);
+        lengths.forEach((length, symbol) => {
+            if (length > 0) symbols[offsets[length]++] = symbol;
+        });
+
+        return { counts, symbols };
+    }
+
+    /**
+     * Decode one symbol, a bit at a time
+     */
+    decodeSymbol(reader, decoder) {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+
+        for (let bits = 1; bits <= this.MAX_BITS; bits++) {
+            code |= this.readBits(reader, 1);
+            const count = decoder.counts[bits];
+            if (code - first < count) {
+                return decoder.symbols[index + code - first];
+            }
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+
+        throw new Error('Deflate: invalid Huffman code');
+    }
+};
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.Deflate;
+}
@@ -3,6 +3,10 @@
  * 
  * Uses a sliding window approach to convert binary data directly to base-N
  * without byte boundary issues, avoiding repetitive patterns.
+ * Large inputs use whole-stream mode by default: the entire payload is one
+ * number converted with divide-and-conquer BigInt arithmetic (PTA_2).
+ * Output starts with a LinkHeader naming the encoder, alphabet and flags, so
+ * the decoder never has to guess the format.
  */
 class DirectBaseEncoder {
     constructor(safeChars) {
@@ -11,6 +15,11 @@ class DirectBaseEncoder {
             throw new Error('DirectBaseEncoder: Invalid safeChars parameter - must be a non-empty string');
         }
         
+        // Digits are indexed by position, so each character must be one UTF-16 unit
+        if (/[\uD800-\uDFFF]/.test(safeChars)) {
+            throw new Error('DirectBaseEncoder: safeChars must only contain Basic Multilingual Plane characters');
+        }
+        
         // Check for duplicate characters
         const uniqueChars = new Set(safeChars);
         if (uniqueChars.size !== safeChars.length) {
@@ -36,6 +45,36 @@ class DirectBaseEncoder {
         // Get threshold from config with fallback
         this.SMALL_DATA_THRESHOLD = (window.CONFIG?.ENCODE_SMALL_THRESHOLD) || 64;
         
+        // Whole-stream mode (PTA_2) replaces chunked encoding for large data
+        this.WHOLE_STREAM = window.CONFIG?.ADVANCED?.WHOLE_STREAM_ENCODING !== false;
+        this.WHOLE_STREAM_BASE_DIGITS = (window.CONFIG?.ADVANCED?.WHOLE_STREAM_BASE_DIGITS) || 32;
+        
+        // Format versions written as the first metadata character
+        this.FORMAT_VERSION_CHUNKED = 1;
+        this.FORMAT_VERSION_WHOLE_STREAM = 2;
+        
+        // Self-describing link header; without it (or the encoders it names) the legacy formats are written
+        this.linkHeader = (window.LinkHeader && window.CodecRegistry && window.CONFIG?.LINK_HEADER) ? new window.LinkHeader() : null;
+        this.FORMAT_VERSION_HEADER = this.linkHeader ? this.linkHeader.VERSION : null;
+        this.ALPHABET_ID = this.linkHeader ? this.linkHeader.getAlphabetId(safeChars) : null;
+        
+        // Strong integrity checks need both the header and IntegrityCheck
+        this.integrityCheck = (this.linkHeader && window.IntegrityCheck) ? new window.IntegrityCheck(safeChars) : null;
+        
+        // Forward error correction, created on first use (see getFecBodyEncoder)
+        this.reedSolomon = null;
+        this.fecBodyEncoder = null;
+        
+        // Range coder in this radix, created on first use (see encodeRange)
+        this.rangeCoder = null;
+        
+        // Encoders for the other alphabet profiles, created on first use (see getProfileEncoder)
+        this.profileEncoders = new Map();
+        
+        // Cache of RADIX^n as BigInt, shared by all whole-stream conversions
+        this.radixBig = BigInt(this.RADIX);
+        this.bigPowers = new Map();
+        
         // Pre-calculate powers for performance
         this.powers = [];
         for (let i = 0; i < this.CHARS_PER_CHUNK; i++) {
@@ -47,8 +86,13 @@ class DirectBaseEncoder {
     
     /**
      * Enhanced encoding with adaptive strategy based on data size
+     * @param {ArrayBuffer|Uint8Array} data - Data to encode
+     * @param {string} [integrityValue] - Check characters from computeIntegrityCheck, computed here if omitted
+     * @param {Object} [options] - Encoding options
+     * @param {string[]} [options.flags] - Extra header flags describing the data (e.g. 'DEFLATE')
+     * @param {string} [options.encoder] - Registered encoder name, overriding CONFIG.ADVANCED.ENCODER
      */
-    encode(data) {
+    encode(data, integrityValue = null, options = {}) {
         try {
             const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
             
@@ -56,9 +100,23 @@ class DirectBaseEncoder {
                 throw new Error('DirectBaseEncoder: Empty input data');
             }
             
-            // Adaptive encoding strategy
+            // Versioned format whenever the alphabet can be named in the header
+            if (this.linkHeader && this.ALPHABET_ID !== null) {
+                return this.encodeVersioned(bytes, integrityValue, options.flags, options.encoder);
+            }
+
+            if (options.flags?.length) {
+                throw new Error(`DirectBaseEncoder: flags ${options.flags.join(', ')} need the versioned format`);
+            }
+            if (options.encoder) {
+                throw new Error(`DirectBaseEncoder: encoder ${options.encoder} needs the versioned format`);
+            }
+            
+            // Legacy adaptive encoding strategy
             if (bytes.length <= this.SMALL_DATA_THRESHOLD) {
                 return this.encodeSmallOptimized(bytes);
+            } else if (this.WHOLE_STREAM) {
+                return this.encodeWholeStream(bytes);
             } else {
                 return this.encodeLargeOptimized(bytes);
             }
@@ -68,6 +126,479 @@ class DirectBaseEncoder {
         }
     }
     
+    /**
+     * Resolve the configured integrity check
+     * @returns {Object|null} { algorithm, chars } or null when checking is disabled
+     */
+    getIntegritySettings() {
+        const advanced = window.CONFIG?.ADVANCED || {};
+        if (advanced.CHECKSUM_ENABLED === false) {
+            return null;
+        }
+        
+        const algorithm = advanced.INTEGRITY_ALGORITHM || 'CHECKSUM';
+        if (algorithm === 'CHECKSUM' || !this.integrityCheck) {
+            return { algorithm: 'CHECKSUM', chars: 1 };
+        }
+        
+        // Characters beyond the digest size would always be zero
+        const chars = Math.min(
+            advanced.INTEGRITY_CHECK_CHARS || this.integrityCheck.getDigestChars(algorithm),
+            this.integrityCheck.getDigestChars(algorithm),
+            this.linkHeader.getParamMax('INTEGRITY', 'chars')
+        );
+        
+        return { algorithm, chars };
+    }
+    
+    /**
+     * Compute the integrity check asynchronously (WebCrypto for SHA256)
+     * @param {Uint8Array} bytes - Data to encode
+     * @returns {Promise<string|null>} Check characters to pass to encode(), or null if not needed
+     */
+    async computeIntegrityCheck(bytes) {
+        const integrity = this.getIntegritySettings();
+        if (!integrity || integrity.algorithm === 'CHECKSUM') {
+            return null;
+        }
+        
+        // Check characters live in the body, which FEC writes in its own alphabet
+        const bodyEncoder = this.getFecSettings() ? this.getFecBodyEncoder() : this;
+        return bodyEncoder.integrityCheck.computeCheck(bytes, integrity.algorithm, integrity.chars);
+    }
+    
+    /**
+     * Resolve the configured forward error correction
+     * @returns {Object|null} { paritySymbols } or null when FEC is off
+     */
+    getFecSettings() {
+        const level = window.CONFIG?.ADVANCED?.FEC_LEVEL || 0;
+        if (level <= 0 || !this.linkHeader) {
+            return null;
+        }
+        if (!window.ReedSolomon) {
+            throw new Error('FEC_LEVEL is set but ReedSolomon is not loaded');
+        }
+        
+        const perLevel = window.CONFIG?.ADVANCED?.FEC_PARITY_PER_LEVEL || 4;
+        return { paritySymbols: level * perLevel };
+    }
+    
+    /**
+     * Encoder for FEC bodies, which use only the Reed-Solomon symbol characters
+     * @returns {DirectBaseEncoder}
+     */
+    getFecBodyEncoder() {
+        if (!this.fecBodyEncoder) {
+            this.reedSolomon = new window.ReedSolomon(this.SAFE_CHARS);
+            this.fecBodyEncoder = new DirectBaseEncoder(this.reedSolomon.SYMBOLS);
+        }
+        return this.fecBodyEncoder;
+    }
+    
+    /**
+     * Encoder with lookup tables for a named alphabet profile
+     * @param {string} name - Profile name from CONFIG.LINK_HEADER.ALPHABETS
+     * @returns {DirectBaseEncoder}
+     */
+    getProfileEncoder(name) {
+        const chars = this.linkHeader ? this.linkHeader.getProfileChars(name) : null;
+        if (!chars) {
+            throw new Error(`DirectBaseEncoder: unknown alphabet profile ${name}`);
+        }
+        if (chars === this.SAFE_CHARS) {
+            return this;
+        }
+        
+        if (!this.profileEncoders.has(name)) {
+            this.profileEncoders.set(name, new DirectBaseEncoder(chars));
+        }
+        return this.profileEncoders.get(name);
+    }
+    
+    /**
+     * Resolve the configured per-block checks
+     * The viewer cannot render part of a DEFLATE or TEMPLATE payload, so those get no blocks.
+     * @param {number} byteCount - Input size; a single block needs no block check
+     * @param {string[]} [flags] - Extra header flags, as passed to encode()
+     * @returns {Object|null} { bytes, chars } or null when blocks are off
+     */
+    getBlockSettings(byteCount, flags = []) {
+        const advanced = window.CONFIG?.ADVANCED || {};
+        const blockBytes = advanced.BLOCK_BYTES || 0;
+        if (blockBytes <= 0 || byteCount <= blockBytes || !this.integrityCheck) {
+            return null;
+        }
+        if (flags.includes('DEFLATE') || flags.includes('TEMPLATE')) {
+            return null;
+        }
+        
+        return {
+            bytes: Math.min(blockBytes, this.linkHeader.getParamMax('BLOCKS', 'bytes')),
+            chars: Math.min(advanced.BLOCK_CHECK_CHARS || 2, this.linkHeader.getParamMax('BLOCKS', 'chars'))
+        };
+    }
+    
+    /**
+     * Resolve the configured range coder use
+     * @returns {string} 'AUTO', 'ALWAYS' or 'OFF'
+     */
+    getRangeCoderMode() {
+        const mode = window.CONFIG?.ADVANCED?.RANGE_CODER || 'OFF';
+        if (mode === 'OFF' || !window.RangeCoder) {
+            return 'OFF';
+        }
+        if (mode !== 'AUTO' && mode !== 'ALWAYS') {
+            throw new Error(`Unknown RANGE_CODER setting: ${mode}`);
+        }
+        return mode;
+    }
+    
+    /**
+     * Resolve the data section encoder from CodecRegistry
+     * 'AUTO' picks whole-stream or chunked conversion, or the range coder
+     * with RANGE_CODER 'ALWAYS'; with 'AUTO' the range coder is also tried
+     * and kept when shorter (autoRange).
+     * @param {string} [name] - Registered encoder name, defaults to CONFIG.ADVANCED.ENCODER
+     * @returns {{codec: Object, autoRange: boolean}}
+     */
+    selectCodec(name) {
+        const encoderName = name || window.CONFIG?.ADVANCED?.ENCODER || 'AUTO';
+        if (encoderName !== 'AUTO') {
+            return { codec: window.CodecRegistry.getByName(encoderName), autoRange: false };
+        }
+        
+        const rangeMode = this.getRangeCoderMode();
+        if (rangeMode === 'ALWAYS') {
+            return { codec: window.CodecRegistry.getByName('RANGE'), autoRange: false };
+        }
+        return {
+            codec: window.CodecRegistry.getByName(this.WHOLE_STREAM ? 'WHOLE_STREAM' : 'CHUNKED'),
+            autoRange: rangeMode === 'AUTO'
+        };
+    }
+    
+    /**
+     * Whether an encoder writes the same number of digits for any data of a given size
+     * Only those can be split into checked blocks, or have their length predicted.
+     */
+    hasFixedDigitCount(codec) {
+        return codec.getDigitCount(this, 1) !== null;
+    }
+    
+    /**
+     * Fewest characters encode() can write for a byte count
+     * An encoder writing the same digit count for every input of a size needs
+     * at least log2(256^bytes) / log2(RADIX) digits, and the header and length
+     * add at least one character each. Encoders without a fixed digit count
+     * (the range coder) can beat that, and the legacy small format drops
+     * leading zeros, so there is no bound (0) when either may be used.
+     * @param {number} byteCount - Input size in bytes
+     * @param {string} [encoderName] - Registered encoder name, as for encode()
+     * @param {string[]} [flags] - Extra header flags, as passed to encode()
+     * @returns {number} Lower bound on the encoded length
+     */
+    getMinimumLength(byteCount, encoderName, flags = []) {
+        if (!this.linkHeader || this.ALPHABET_ID === null) {
+            return 0;
+        }
+
+        const { codec, autoRange } = this.selectCodec(encoderName);
+        if (!this.hasFixedDigitCount(codec) || (autoRange && !this.getBlockSettings(byteCount, flags))) {
+            return 0;
+        }
+
+        const header = this.linkHeader.encode({
+            encoder: codec.id,
+            alphabet: this.ALPHABET_ID,
+            flags: []
+        });
+        return header.length + 1 + Math.floor(byteCount * 8 / this.BITS_PER_CHAR);
+    }
+
+    /**
+     * Exact length encode() writes for a byte count, without encoding
+     * Follows encode() step by step: header with its flag parameters, length,
+     * check characters, data digits, block checks, FEC parity and guard character
+     * all depend only on the byte count and the settings. Only encoders without
+     * a fixed digit count (the range coder) depend on the data. With options.data
+     * its output is measured by range coding the data, which takes linear time
+     * unlike base conversion, so the result is exact for every setting. Without
+     * it the result is null when the range coder is selected, and the base
+     * conversion length (an upper bound) when RANGE_CODER 'AUTO' may pick it instead.
+     * Legacy small payloads drop leading zeros, so they have no exact length either.
+     * @param {number} byteCount - Payload size in bytes (after any pre-compression)
+     * @param {Object} [options] - Prediction options
+     * @param {string[]} [options.flags] - Extra header flags, as passed to encode()
+     * @param {string} [options.encoder] - Registered encoder name, as passed to encode()
+     * @param {Uint8Array} [options.data] - The byteCount payload bytes, for the range coder
+     * @returns {number|null} Encoded length in characters, or null when it depends on the data
+     */
+    predictEncodedLength(byteCount, options = {}) {
+        if (!Number.isInteger(byteCount) || byteCount <= 0) {
+            throw new Error('DirectBaseEncoder: byteCount must be a positive integer');
+        }
+        const data = options.data || null;
+        if (data && data.length !== byteCount) {
+            throw new Error(`DirectBaseEncoder: data has ${data.length} bytes, not ${byteCount}`);
+        }
+        
+        if (!this.linkHeader || this.ALPHABET_ID === null) {
+            if (byteCount <= this.SMALL_DATA_THRESHOLD) {
+                return null;
+            }
+            // [version][length][checksum][data]
+            const digits = this.WHOLE_STREAM ? this.getWholeStreamDigitCount(byteCount) : this.getChunkedDigitCount(byteCount);
+            return 1 + this.encodeVariableLength(byteCount).length + 1 + digits;
+        }
+        
+        const { codec, autoRange } = this.selectCodec(options.encoder);
+        const fixedDigits = this.hasFixedDigitCount(codec);
+        if (!fixedDigits && !data) {
+            return null;
+        }
+        
+        const fec = this.getFecSettings();
+        const bodyEncoder = fec ? this.getFecBodyEncoder() : this;
+        const integrity = this.getIntegritySettings();
+        const flags = [...(options.flags || [])];
+        const params = {};
+        let checkChars = 0;
+        
+        if (integrity?.algorithm === 'CHECKSUM') {
+            flags.push('CHECKSUM');
+            checkChars = 1;
+        } else if (integrity) {
+            flags.push('INTEGRITY');
+            params.INTEGRITY = {
+                algorithm: this.integrityCheck.getAlgorithmId(integrity.algorithm),
+                chars: integrity.chars
+            };
+            checkChars = integrity.chars;
+        }
+        
+        const blocks = fixedDigits ? this.getBlockSettings(byteCount, flags) : null;
+        let encoder = codec.id;
+        let dataChars = 0;
+        if (blocks) {
+            flags.push('BLOCKS');
+            params.BLOCKS = blocks;
+            for (let offset = 0; offset < byteCount; offset += blocks.bytes) {
+                dataChars += codec.getDigitCount(bodyEncoder, Math.min(blocks.bytes, byteCount - offset)) + blocks.chars;
+            }
+        } else if (fixedDigits) {
+            dataChars = codec.getDigitCount(bodyEncoder, byteCount);
+            if (autoRange && data) {
+                const rangedChars = bodyEncoder.encodeRange(data).length;
+                if (rangedChars < dataChars) {
+                    encoder = this.linkHeader.config.ENCODERS.RANGE;
+                    dataChars = rangedChars;
+                }
+            }
+        } else {
+            dataChars = codec.encode(bodyEncoder, data).length;
+        }
+        
+        let bodyLength = bodyEncoder.encodeVariableLength(byteCount).length + checkChars + dataChars;
+        if (fec) {
+            bodyLength = this.reedSolomon.getEncodedLength(bodyLength, fec.paritySymbols);
+            flags.push('FEC');
+            params.FEC = { parity: fec.paritySymbols, length: bodyLength };
+        }
+        
+        if (this.getLinkGuard(bodyEncoder.SAFE_CHARS)) {
+            flags.push('GUARD');
+            bodyLength += 1;
+        }
+        
+        const header = this.linkHeader.encode({
+            encoder,
+            alphabet: this.ALPHABET_ID,
+            flags,
+            params
+        });
+        return header.length + bodyLength;
+    }
+    
+    /**
+     * Digits encodeChunks writes: each chunk takes ceil(bits / BITS_PER_CHAR)
+     */
+    getChunkedDigitCount(byteCount) {
+        const fullChunks = Math.floor(byteCount / this.BYTES_PER_CHUNK);
+        const remainder = byteCount % this.BYTES_PER_CHUNK;
+        
+        return fullChunks * Math.ceil(this.BYTES_PER_CHUNK * 8 / this.BITS_PER_CHAR) +
+               (remainder > 0 ? Math.ceil(remainder * 8 / this.BITS_PER_CHAR) : 0);
+    }
+    
+    /**
+     * Range code the data section (no metadata)
+     * Trailing zero digits are left out; the decoder reads to the end of the body.
+     */
+    encodeRange(bytes) {
+        if (!this.rangeCoder) {
+            this.rangeCoder = new window.RangeCoder(this.RADIX);
+        }
+        return this.rangeCoder.encodeBytes(bytes).map(digit => this.SAFE_CHARS[digit]).join('');
+    }
+    
+    /**
+     * Whole-stream digits found by search ("draft_final_string")
+     * Starts from the largest value the digit count can hold (every digit at
+     * RADIX - 1) and whittles it down most significant digit first: each digit
+     * is the largest one whose prefix does not pass the input, found by binary
+     * search. Gives the same digits as encodeWholeStreamDigits; each step
+     * compares whole numbers, so it takes quadratic time and is there to be
+     * compared against division.
+     */
+    encodeDigitSearch(bytes) {
+        const target = this.bytesToBigInt(bytes);
+        const digitCount = this.getWholeStreamDigitCount(bytes.length);
+        const digits = new Array(digitCount);
+        
+        let remaining = target;
+        let place = this.getBigPower(digitCount - 1);
+        for (let i = 0; i < digitCount; i++) {
+            let low = 0;
+            let high = this.RADIX - 1;
+            while (low < high) {
+                const mid = (low + high + 1) >> 1;
+                if (BigInt(mid) * place <= remaining) {
+                    low = mid;
+                } else {
+                    high = mid - 1;
+                }
+            }
+            
+            digits[i] = this.SAFE_CHARS[low];
+            remaining -= BigInt(low) * place;
+            place /= this.radixBig;
+        }
+        
+        return digits.join('');
+    }
+    
+    /**
+     * Encode data as independent blocks, each followed by a truncated CRC-32
+     * A damaged character only breaks its own block.
+     * @param {Uint8Array} bytes - Data
+     * @param {Object} blocks - { bytes, chars } from getBlockSettings
+     * @param {Object} codec - CodecRegistry pair used inside each block
+     * @returns {string}
+     */
+    encodeBlocks(bytes, blocks, codec) {
+        const encoded = [];
+        
+        for (let offset = 0; offset < bytes.length; offset += blocks.bytes) {
+            const block = bytes.subarray(offset, Math.min(offset + blocks.bytes, bytes.length));
+            encoded.push(codec.encode(this, block));
+            encoded.push(this.integrityCheck.computeCheckSync(block, 'CRC32', blocks.chars));
+        }
+        
+        return encoded.join('');
+    }
+    
+    /**
+     * Versioned encoding: [link header][length][integrity check][data]
+     * The header names the conversion used, so it applies to inputs of any size.
+     * With FEC, everything after the header is written with the Reed-Solomon
+     * symbol characters and followed by interleaved parity.
+     * @param {string[]} [extraFlags] - Header flags describing the data itself
+     * @param {string} [encoderName] - Registered encoder to use instead of the configured one
+     */
+    encodeVersioned(bytes, integrityValue = null, extraFlags = [], encoderName = null) {
+        try {
+            const encoders = this.linkHeader.config.ENCODERS;
+            const fec = this.getFecSettings();
+            const bodyEncoder = fec ? this.getFecBodyEncoder() : this;
+            const integrity = this.getIntegritySettings();
+            const flags = [...extraFlags];
+            const params = {};
+            let check = null;
+            
+            if (integrity?.algorithm === 'CHECKSUM') {
+                flags.push('CHECKSUM');
+                check = bodyEncoder.calculateChecksum(bytes);
+            } else if (integrity) {
+                flags.push('INTEGRITY');
+                params.INTEGRITY = {
+                    algorithm: this.integrityCheck.getAlgorithmId(integrity.algorithm),
+                    chars: integrity.chars
+                };
+                check = integrityValue ??
+                    bodyEncoder.integrityCheck.computeCheckSync(bytes, integrity.algorithm, integrity.chars);
+            }
+            
+            const { codec, autoRange } = this.selectCodec(encoderName);
+            const blocks = this.hasFixedDigitCount(codec) ? this.getBlockSettings(bytes.length, flags) : null;
+            let encoder = codec.id;
+            let data;
+            if (blocks) {
+                flags.push('BLOCKS');
+                params.BLOCKS = blocks;
+                data = bodyEncoder.encodeBlocks(bytes, blocks, codec);
+            } else {
+                data = codec.encode(bodyEncoder, bytes);
+                if (autoRange) {
+                    const ranged = bodyEncoder.encodeRange(bytes);
+                    if (ranged.length < data.length) {
+                        encoder = encoders.RANGE;
+                        data = ranged;
+                    }
+                }
+            }
+            
+            const header = {
+                encoder,
+                alphabet: this.ALPHABET_ID,
+                flags,
+                params
+            };
+            
+            if (!fec) {
+                const guard = this.getLinkGuard(bodyEncoder.SAFE_CHARS);
+                if (guard) {
+                    flags.push('GUARD');
+                }
+                const metadata = this.encodeMetadataOptimized(bytes.length, check, this.FORMAT_VERSION_HEADER, header);
+                return metadata + data + guard;
+            }
+            
+            // Protect [length][integrity check][data]; the header records how long the result is
+            const checkChars = typeof check === 'number' ? bodyEncoder.indexToChar.get(check) : (check || '');
+            const body = bodyEncoder.encodeVariableLength(bytes.length) + checkChars + data;
+            const protectedBody = this.reedSolomon.encode(body, fec.paritySymbols);
+            
+            flags.push('FEC');
+            params.FEC = { parity: fec.paritySymbols, length: protectedBody.length };
+            
+            const guard = this.getLinkGuard(bodyEncoder.SAFE_CHARS);
+            if (guard) {
+                flags.push('GUARD');
+            }
+            
+            return this.linkHeader.encode(header) + protectedBody + guard;
+        } catch (error) {
+            throw new Error(`Versioned encoding failed: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Guard character for payloads written in an alphabet, so autolinkers keep the whole link
+     * Autolinkers drop trailing punctuation, but never a trailing letter or digit.
+     * The guard goes on every payload of an alphabet that has punctuation, not only
+     * those ending in it, so the payload length does not depend on the data.
+     * @param {string} chars - Alphabet the payload body is written in
+     * @returns {string} CONFIG.LINK_GUARD_CHAR, or '' when no payload can end in punctuation
+     */
+    getLinkGuard(chars) {
+        const guardChar = window.CONFIG?.LINK_GUARD_CHAR;
+        if (!guardChar || !/[^\p{L}\p{N}]/u.test(chars)) {
+            return '';
+        }
+        return guardChar;
+    }
+    
     /**
      * Optimized small data encoding with minimal overhead
      */
@@ -114,31 +645,131 @@ class DirectBaseEncoder {
      */
     encodeLargeOptimized(bytes) {
         try {
-            const encoded = [];
-            const chunkSize = this.BYTES_PER_CHUNK;
-            
-            // Process data in optimal chunks
-            for (let offset = 0; offset < bytes.length; offset += chunkSize) {
-                const chunkEnd = Math.min(offset + chunkSize, bytes.length);
-                const chunk = bytes.slice(offset, chunkEnd);
-                
-                // Add position-based entropy (improved mixing)
-                const mixed = this.mixWithEntropy(chunk, offset);
-                
-                // Encode chunk efficiently
-                const chunkEncoded = this.encodeChunk(mixed);
-                encoded.push(chunkEncoded);
-            }
-            
             // Add comprehensive metadata
             const metadata = this.encodeMetadataOptimized(bytes.length, this.calculateChecksum(bytes));
             
-            return metadata + encoded.join('');
+            return metadata + this.encodeChunks(bytes);
         } catch (error) {
             throw new Error(`Large data encoding failed: ${error.message}`);
         }
     }
     
+    /**
+     * Chunked conversion of the data section (no metadata)
+     */
+    encodeChunks(bytes) {
+        const encoded = [];
+        const chunkSize = this.BYTES_PER_CHUNK;
+        
+        // Process data in optimal chunks
+        for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+            const chunkEnd = Math.min(offset + chunkSize, bytes.length);
+            const chunk = bytes.slice(offset, chunkEnd);
+            
+            // Add position-based entropy (improved mixing)
+            const mixed = this.mixWithEntropy(chunk, offset);
+            
+            // Encode chunk efficiently
+            encoded.push(this.encodeChunk(mixed));
+        }
+        
+        return encoded.join('');
+    }
+    
+    /**
+     * Whole-stream encoding (PTA_2)
+     * Treats the entire input as one little-endian number (PTA_3) and converts it to
+     * base-RADIX in a single pass, so no fraction of a character is lost per chunk.
+     */
+    encodeWholeStream(bytes) {
+        try {
+            const digits = this.encodeWholeStreamDigits(bytes);
+            
+            // Format: [version][length][checksum][data]
+            const metadata = this.encodeMetadataOptimized(
+                bytes.length,
+                this.calculateChecksum(bytes),
+                this.FORMAT_VERSION_WHOLE_STREAM
+            );
+            
+            return metadata + digits;
+        } catch (error) {
+            throw new Error(`Whole-stream encoding failed: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Whole-stream conversion of the data section (no metadata)
+     */
+    encodeWholeStreamDigits(bytes) {
+        const value = this.bytesToBigInt(bytes);
+        return this.bigIntToDigits(value, this.getWholeStreamDigitCount(bytes.length));
+    }
+    
+    /**
+     * Convert bytes to a BigInt in little-endian order
+     * Goes through a hex string, which engines parse in linear time
+     */
+    bytesToBigInt(bytes) {
+        const hex = new Array(bytes.length);
+        for (let i = 0; i < bytes.length; i++) {
+            hex[bytes.length - 1 - i] = bytes[i].toString(16).padStart(2, '0');
+        }
+        return BigInt('0x' + hex.join(''));
+    }
+    
+    /**
+     * Get RADIX^exponent as BigInt (memoized)
+     */
+    getBigPower(exponent) {
+        let power = this.bigPowers.get(exponent);
+        if (power === undefined) {
+            power = this.radixBig ** BigInt(exponent);
+            this.bigPowers.set(exponent, power);
+        }
+        return power;
+    }
+    
+    /**
+     * Exact number of digits needed for any value of byteCount bytes
+     * Smallest d such that RADIX^d >= 256^byteCount
+     */
+    getWholeStreamDigitCount(byteCount) {
+        const limit = 1n << BigInt(byteCount * 8);
+        let digits = Math.ceil(byteCount * 8 / this.BITS_PER_CHAR);
+        
+        // Correct any floating point drift with exact comparisons
+        while (digits > 0 && this.getBigPower(digits - 1) >= limit) digits--;
+        while (this.getBigPower(digits) < limit) digits++;
+        
+        return digits;
+    }
+    
+    /**
+     * Divide-and-conquer conversion of a BigInt to exactly digitCount base-RADIX digits
+     * Splitting on RADIX^(n/2) keeps the cost subquadratic for large inputs
+     * @returns {string} Most significant digit first, zero-padded
+     */
+    bigIntToDigits(value, digitCount) {
+        if (digitCount <= this.WHOLE_STREAM_BASE_DIGITS) {
+            const digits = new Array(digitCount);
+            for (let i = digitCount - 1; i >= 0; i--) {
+                digits[i] = this.indexToChar.get(Number(value % this.radixBig));
+                value /= this.radixBig;
+            }
+            if (value !== 0n) {
+                throw new Error(`Value does not fit in ${digitCount} digits`);
+            }
+            return digits.join('');
+        }
+        
+        const lowCount = digitCount >> 1;
+        const divisor = this.getBigPower(lowCount);
+        
+        return this.bigIntToDigits(value / divisor, digitCount - lowCount) +
+               this.bigIntToDigits(value % divisor, lowCount);
+    }
+    
     /**
      * Variable-length encoding for integers
      */
@@ -236,22 +867,41 @@ class DirectBaseEncoder {
     
     /**
      * Optimized metadata encoding with compression
+     * @param {number} length - Original data length in bytes
+     * @param {number|string|null} checksum - Checksum digit, check characters, or null when the header says there is none
+     * @param {number} formatVersion - Format version character index
+     * @param {Object} [header] - LinkHeader fields, required for FORMAT_VERSION_HEADER
      */
-    encodeMetadataOptimized(length, checksum) {
+    encodeMetadataOptimized(length, checksum, formatVersion = this.FORMAT_VERSION_CHUNKED, header = null) {
         try {
             // Variable-length encode the length
             const lengthEncoded = this.encodeVariableLength(length);
             
-            // Add format version for future compatibility
-            const version = this.indexToChar.get(1); // Version 1
+            // Versioned formats start with the full header, legacy ones with a version character
+            let version;
+            if (formatVersion === this.FORMAT_VERSION_HEADER) {
+                if (!header) {
+                    throw new Error('Link header fields missing');
+                }
+                version = this.linkHeader.encode(header);
+            } else {
+                version = this.indexToChar.get(formatVersion);
+            }
             
             // Add checksum
-            const checksumChar = this.indexToChar.get(checksum);
-            if (!checksumChar) {
+            let checksumChar;
+            if (checksum === null) {
+                checksumChar = '';
+            } else if (typeof checksum === 'string') {
+                checksumChar = checksum;
+            } else {
+                checksumChar = this.indexToChar.get(checksum);
+            }
+            if (checksumChar === undefined) {
                 throw new Error('Failed to encode checksum');
             }
             
-            // Format: [version][length][checksum]
+            // Format: [version or header][length][checksum or check characters]
             return version + lengthEncoded + checksumChar;
         } catch (error) {
             throw new Error(`Metadata encoding failed: ${error.message}`);
@@ -275,13 +925,15 @@ class DirectBaseEncoder {
     }
     
     /**
-     * Estimate encoding efficiency
+     * Encoding efficiency for a data size with the current settings
+     * Uses predictEncodedLength; where the length depends on the data, the
+     * data bits plus a small overhead estimate stand in.
      */
     getEfficiencyStats(dataSize) {
         const bitsPerChar = this.BITS_PER_CHAR;
-        const overhead = dataSize <= this.SMALL_DATA_THRESHOLD ? 3 : 5; // Estimated overhead chars
         const dataBits = dataSize * 8;
-        const encodedChars = Math.ceil(dataBits / bitsPerChar) + overhead;
+        const encodedChars = this.predictEncodedLength(dataSize) ??
+            Math.ceil(dataBits / bitsPerChar) + (dataSize <= this.SMALL_DATA_THRESHOLD ? 3 : 5);
         
         return {
             inputBytes: dataSize,
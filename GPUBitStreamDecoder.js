@@ -16,6 +16,11 @@ window.GPUBitStreamDecoder = class GPUBitStreamDecoder {
             throw new Error('Invalid safeChars parameter');
         }
 
+        // Digits are indexed by position, so each character must be one UTF-16 unit
+        if (/[\uD800-\uDFFF]/.test(safeChars)) {
+            throw new Error('safeChars must only contain Basic Multilingual Plane characters');
+        }
+        
         // Ensure no duplicate characters
         const uniqueChars = new Set(safeChars);
         if (uniqueChars.size !== safeChars.length) {
@@ -29,6 +34,44 @@ window.GPUBitStreamDecoder = class GPUBitStreamDecoder {
         // Initialize lookup tables
         this.createLookupTables();
         
+        // Format versions (must match DirectBaseEncoder)
+        this.FORMAT_VERSION_CHUNKED = 1;
+        this.FORMAT_VERSION_WHOLE_STREAM = 2;
+        
+        // Whole-stream conversion state (must match DirectBaseEncoder)
+        this.WHOLE_STREAM_BASE_DIGITS = (window.CONFIG?.ADVANCED?.WHOLE_STREAM_BASE_DIGITS) || 32;
+        this.radixBig = BigInt(this.RADIX);
+        this.bigPowers = new Map();
+        
+        // Self-describing link header and the codecs it can name
+        this.linkHeader = (window.LinkHeader && window.CONFIG?.LINK_HEADER) ? new window.LinkHeader() : null;
+        this.ALPHABET_ID = this.linkHeader ? this.linkHeader.getAlphabetId(safeChars) : null;
+        this.integrityCheck = window.IntegrityCheck ? new window.IntegrityCheck(safeChars) : null;
+        
+        // Result of the most recent integrity check, for the viewer
+        // { algorithm, verified }: verified is null when the payload carries no check
+        this.lastVerification = { algorithm: null, verified: null };
+        
+        // Result of the most recent forward error correction, or null without FEC
+        this.lastRepair = null;
+        
+        // Per-block damage report of the most recent decode, or null without blocks
+        // { blockBytes, totalBlocks, badBlocks: [{ index, start, end, byteStart, byteEnd }] }
+        this.lastBlockReport = null;
+        
+        this.reedSolomon = null;
+        this.fecBodyDecoder = null;
+        
+        // Range decoder in this radix, created on first use (see decodeRangeData)
+        this.rangeCoder = null;
+        
+        // Decoders for payloads written in other alphabet profiles, keyed by alphabet id
+        this.alphabetDecoders = new Map();
+        
+        this.codecVersions = new Map();
+        this.payloadDecoders = new Map();
+        this.registerDefaultCodecs();
+        
         // Initialize WebGL using WebGLManager
         this.initializeWebGL();
         
@@ -276,6 +319,18 @@ window.GPUBitStreamDecoder = class GPUBitStreamDecoder {
             throw new Error('No encoded data provided');
         }
 
+        this.lastVerification = { algorithm: null, verified: null };
+        this.lastRepair = null;
+        this.lastBlockReport = null;
+
+        // Versioned payloads dispatch on their first character
+        const codec = this.getCodecForPayload(encodedString);
+        if (codec) {
+            return codec.decode(encodedString);
+        }
+
+        // Legacy payloads without a version go through the heuristic path below
+
         // Handle DirectBaseEncoder format
         if (this.isDirectBaseEncoderFormat(encodedString)) {
             return this.decodeDirectBaseFormat(encodedString);
@@ -361,113 +416,838 @@ window.GPUBitStreamDecoder = class GPUBitStreamDecoder {
     }
 
     /**
-     * Decode data encoded with DirectBaseEncoder
+     * Register the built-in codec versions and header payload decoders
+     */
+    registerDefaultCodecs() {
+        this.registerCodecVersion(this.FORMAT_VERSION_CHUNKED, {
+            name: 'chunked',
+            decode: (encodedString) => this.decodeDirectBaseLarge(encodedString)
+        });
+        this.registerCodecVersion(this.FORMAT_VERSION_WHOLE_STREAM, {
+            name: 'whole-stream',
+            decode: (encodedString) => this.decodeWholeStream(encodedString)
+        });
+
+        if (this.linkHeader) {
+            this.registerCodecVersion(this.linkHeader.VERSION, {
+                name: 'link-header',
+                accepts: (encodedString) => this.readHeader(encodedString) !== null,
+                decode: async (encodedString) => this.decodeVersioned(encodedString)
+            });
+            // Data section decoders come from the same registry the encoder writes with
+            for (const codec of window.CodecRegistry?.list() || []) {
+                this.registerPayloadDecoder(codec.id, {
+                    decode: (dataSection, length) => codec.decode(this, dataSection, length),
+                    getDigitCount: (length) => {
+                        const digits = codec.getDigitCount(this, length);
+                        if (digits === null) {
+                            throw new Error(`${codec.name} data has no fixed digit count per block`);
+                        }
+                        return digits;
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Register a codec for a format version (the first payload character)
+     * @param {number} version - Format version index
+     * @param {Object} codec - { name, decode(encodedString), accepts?(encodedString) }
+     */
+    registerCodecVersion(version, codec) {
+        if (typeof codec.decode !== 'function') {
+            throw new Error(`Codec for version ${version} must provide decode()`);
+        }
+        this.codecVersions.set(version, codec);
+    }
+
+    /**
+     * Register a data section decoder for a LinkHeader encoder id
+     * @param {number} encoderId - Encoder id from CONFIG.LINK_HEADER.ENCODERS
+     * @param {Object} payloadDecoder - { decode(dataSection, length) => Uint8Array, getDigitCount(length) => number }
+     */
+    registerPayloadDecoder(encoderId, payloadDecoder) {
+        if (typeof payloadDecoder.decode !== 'function' || typeof payloadDecoder.getDigitCount !== 'function') {
+            throw new Error(`Payload decoder for encoder id ${encoderId} must provide decode() and getDigitCount()`);
+        }
+        this.payloadDecoders.set(encoderId, payloadDecoder);
+    }
+
+    /**
+     * Find the registered codec for a payload
+     * Legacy small payloads always carry the length terminator as their second
+     * character, while versioned payloads never do, so the check is unambiguous.
+     * @param {string} encodedString - Encoded string to check
+     * @returns {Object|null} - Codec, or null for legacy payloads without a version
+     */
+    getCodecForPayload(encodedString) {
+        if (encodedString.length < 4) return null;
+
+        const terminator = this.SAFE_CHARS[this.RADIX - 1];
+        if (encodedString[1] === terminator) return null;
+
+        const codec = this.codecVersions.get(this.charToIndex.get(encodedString[0]));
+        if (!codec || (codec.accepts && !codec.accepts(encodedString))) {
+            return null;
+        }
+
+        return codec;
+    }
+
+    /**
+     * Check whether a payload carries forward error correction
+     * Such payloads may contain damaged characters that decoding will repair.
      * @param {string} encodedString - Encoded string
-     * @returns {ArrayBuffer} - Decoded binary data
+     * @returns {boolean}
      */
-    decodeDirectBaseFormat(encodedString) {
-        // Check if it's small data format
-        if (encodedString.length <= 64) { // Arbitrary threshold
-            return this.decodeDirectBaseSmall(encodedString);
+    hasErrorCorrection(encodedString) {
+        const header = this.readHeader(encodedString);
+        return !!header && this.linkHeader.hasFlag(header, 'FEC');
+    }
+
+    /**
+     * Read the link header of a payload
+     * @param {string} encodedString - Encoded string
+     * @returns {Object|null} - Decoded header, or null if the payload has none
+     */
+    readHeader(encodedString) {
+        if (!this.linkHeader) return null;
+
+        try {
+            return this.linkHeader.decode(encodedString);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Decode versioned format: [link header][length][integrity check][data][guard]
+     * Records the check result in lastVerification and any FEC repair in lastRepair.
+     * A guard character (GUARD flag) only protects the link ending and is dropped.
+     * Pre-compressed payloads (DEFLATE flag) are inflated after the check, and
+     * images stripped of their standard headers (TEMPLATE flag) rebuilt after that.
+     * @param {string} encodedString - Encoded string
+     * @returns {Promise<ArrayBuffer>} - Decoded binary data
+     */
+    async decodeVersioned(encodedString) {
+        const header = this.linkHeader.decode(encodedString);
+        const decoder = this.getAlphabetDecoder(header.alphabet);
+        const bodyEnd = this.linkHeader.hasFlag(header, 'GUARD') ? encodedString.length - 1 : encodedString.length;
+        const body = encodedString.substring(header.length, bodyEnd);
+
+        if (decoder !== this) {
+            decoder.lastVerification = { algorithm: null, verified: null };
+            decoder.lastRepair = null;
+        }
+
+        const result = this.linkHeader.hasFlag(header, 'FEC')
+            ? await decoder.decodeProtectedBody(body, header)
+            : await decoder.decodeBody(body, header, header.length);
+
+        if (decoder !== this) {
+            this.lastVerification = decoder.lastVerification;
+            this.lastRepair = decoder.lastRepair;
+            this.lastBlockReport = decoder.lastBlockReport;
+        }
+
+        const payload = this.linkHeader.hasFlag(header, 'DEFLATE')
+            ? await this.inflatePayload(result)
+            : result;
+
+        if (this.linkHeader.hasFlag(header, 'TEMPLATE')) {
+            return this.rebuildImage(payload);
+        }
+
+        return payload;
+    }
+
+    /**
+     * Rebuild an image whose standard headers the encoder stripped
+     * The headers come from templates, so a damaged payload cannot be rebuilt reliably.
+     * @param {ArrayBuffer} buffer - Stripped image from ImageTemplates.strip
+     * @returns {ArrayBuffer} - Original image file
+     */
+    rebuildImage(buffer) {
+        if (this.lastVerification?.verified === false) {
+            throw new Error(`Integrity check failed (${this.lastVerification.algorithm}) - image headers cannot be rebuilt from damaged link data`);
+        }
+        if (!window.ImageTemplates) {
+            throw new Error('Link image has stripped headers but ImageTemplates.js is not loaded');
+        }
+        if (!this.imageTemplates) {
+            this.imageTemplates = new window.ImageTemplates();
+        }
+
+        try {
+            const bytes = this.imageTemplates.rebuild(new Uint8Array(buffer));
+            return bytes.buffer;
+        } catch (error) {
+            throw new Error(`Failed to rebuild image headers: ${error.message}`);
+        }
+    }
+
+    /**
+     * Inflate a payload deflated by the encoder before radix encoding
+     * Damage in compressed data spreads past its block, so a failed check
+     * stops here instead of rendering partially.
+     * @param {ArrayBuffer} buffer - Decoded raw DEFLATE data
+     * @returns {Promise<ArrayBuffer>} - Original payload
+     */
+    async inflatePayload(buffer) {
+        if (this.lastVerification?.verified === false) {
+            throw new Error(`Integrity check failed (${this.lastVerification.algorithm}) - compressed link data cannot be partially recovered`);
+        }
+        if (!window.Deflate) {
+            throw new Error('Link data is deflate-compressed but Deflate.js is not loaded');
+        }
+        if (!this.deflate) {
+            this.deflate = new window.Deflate();
+        }
+
+        try {
+            const bytes = await this.deflate.decompress(new Uint8Array(buffer));
+            return bytes.buffer;
+        } catch (error) {
+            throw new Error(`Failed to inflate link data: ${error.message}`);
+        }
+    }
+
+    /**
+     * Decoder with lookup tables for the alphabet named in a header
+     * @param {number} alphabetId - Alphabet id from the link header
+     * @returns {GPUBitStreamDecoder}
+     */
+    getAlphabetDecoder(alphabetId) {
+        if (alphabetId === this.ALPHABET_ID) {
+            return this;
+        }
+
+        if (!this.alphabetDecoders.has(alphabetId)) {
+            const chars = this.linkHeader.getAlphabetChars(alphabetId);
+            this.alphabetDecoders.set(alphabetId, new window.GPUBitStreamDecoder(chars));
+        }
+        return this.alphabetDecoders.get(alphabetId);
+    }
+
+    /**
+     * Get the character set a payload was written with
+     * @param {string} encodedString - Encoded string
+     * @returns {string} - Alphabet named in the header, or this decoder's set for legacy payloads
+     */
+    getPayloadAlphabet(encodedString) {
+        const codec = this.getCodecForPayload(encodedString);
+        if (codec && this.linkHeader && codec.name === 'link-header') {
+            return this.linkHeader.getPayloadAlphabet(encodedString) || this.SAFE_CHARS;
+        }
+        return this.SAFE_CHARS;
+    }
+
+    /**
+     * Repair a Reed-Solomon protected body, then decode it
+     * @param {string} received - Everything after the header
+     * @param {Object} header - Decoded link header
+     * @returns {Promise<ArrayBuffer>} - Decoded binary data
+     */
+    async decodeProtectedBody(received, header) {
+        if (!window.ReedSolomon) {
+            throw new Error('Link uses error correction but ReedSolomon is not loaded');
+        }
+
+        if (!this.fecBodyDecoder) {
+            this.reedSolomon = new window.ReedSolomon(this.SAFE_CHARS);
+            this.fecBodyDecoder = new window.GPUBitStreamDecoder(this.reedSolomon.SYMBOLS);
+        }
+
+        const { parity, length } = header.params.FEC;
+        const repair = this.reedSolomon.decode(received, length, parity);
+
+        if (repair.repairedSymbols > 0) {
+            console.warn(`Error correction repaired ${repair.repairedSymbols} characters (${repair.erasures} missing or invalid)`);
+        }
+
+        const result = await this.fecBodyDecoder.decodeBody(repair.body, header, header.length);
+
+        this.lastVerification = this.fecBodyDecoder.lastVerification;
+        this.lastBlockReport = this.fecBodyDecoder.lastBlockReport;
+        this.lastRepair = { repairedSymbols: repair.repairedSymbols, erasures: repair.erasures };
+
+        return result;
+    }
+
+    /**
+     * Decode a versioned body: [length][integrity check][data]
+     * @param {string} body - Everything after the header (after FEC repair, if any)
+     * @param {Object} header - Decoded link header
+     * @param {number} bodyOffset - Position of the body in the payload, for damage reports
+     * @returns {Promise<ArrayBuffer>} - Decoded binary data
+     */
+    async decodeBody(body, header, bodyOffset) {
+        this.lastBlockReport = null;
+
+        const payloadDecoder = this.payloadDecoders.get(header.encoder);
+        if (!payloadDecoder) {
+            throw new Error(`No payload decoder registered for encoder id ${header.encoder}`);
+        }
+
+        const { length, nextIndex } = this.decodeVariableLength(body, 0);
+
+        const integrity = this.getHeaderIntegrity(header);
+        const expectedCheck = integrity ? body.substr(nextIndex, integrity.chars) : null;
+        const dataStart = nextIndex + (integrity ? integrity.chars : 0);
+        const dataSection = body.substring(dataStart);
+
+        let result;
+        if (this.linkHeader.hasFlag(header, 'BLOCKS')) {
+            result = this.decodeBlocks(dataSection, length, header.params.BLOCKS, payloadDecoder, bodyOffset + dataStart);
+        } else {
+            result = payloadDecoder.decode(dataSection, length);
+        }
+
+        if (integrity) {
+            await this.verifyIntegrity(result, integrity, expectedCheck);
+        }
+
+        return result.buffer;
+    }
+
+    /**
+     * Decode independently checked blocks, keeping whatever decodes
+     * Damaged blocks are recorded in lastBlockReport; their bytes are kept as
+     * decoded when possible (damage in a block mostly affects its later bytes)
+     * and left as zeros otherwise.
+     * @param {string} dataSection - Block digits and checks
+     * @param {number} length - Original byte length
+     * @param {Object} blocks - { bytes, chars } header parameters
+     * @param {Object} payloadDecoder - Registered payload decoder
+     * @param {number} dataOffset - Position of dataSection in the payload
+     * @returns {Uint8Array}
+     */
+    decodeBlocks(dataSection, length, blocks, payloadDecoder, dataOffset) {
+        if (!this.integrityCheck) {
+            throw new Error('Link carries block checks but IntegrityCheck is not loaded');
+        }
+        if (blocks.bytes <= 0) {
+            throw new Error('Invalid block size in link header');
+        }
+
+        const result = new Uint8Array(length);
+        const report = { blockBytes: blocks.bytes, totalBlocks: 0, badBlocks: [] };
+        let position = 0;
+
+        for (let byteStart = 0; byteStart < length; byteStart += blocks.bytes) {
+            const byteCount = Math.min(blocks.bytes, length - byteStart);
+            const digitCount = payloadDecoder.getDigitCount(byteCount);
+            const { bytes, valid } = this.decodeBlock(dataSection.substr(position, digitCount + blocks.chars), byteCount, digitCount, blocks, payloadDecoder);
+            result.set(bytes, byteStart);
+
+            if (!valid) {
+                report.badBlocks.push({
+                    index: report.totalBlocks,
+                    start: dataOffset + position,
+                    end: dataOffset + position + digitCount + blocks.chars,
+                    byteStart,
+                    byteEnd: byteStart + byteCount
+                });
+            }
+
+            report.totalBlocks++;
+            position += digitCount + blocks.chars;
+        }
+
+        if (report.badBlocks.length > 0) {
+            const ranges = report.badBlocks.map(b => `${b.start}-${b.end - 1}`).join(', ');
+            console.warn(`${report.badBlocks.length} of ${report.totalBlocks} blocks damaged at characters ${ranges}`);
+        }
+
+        this.lastBlockReport = report;
+        return result;
+    }
+
+    /**
+     * Decode one block and compare it with its CRC32 check
+     * @param {string} blockChars - Block digits followed by its check characters
+     * @param {number} byteCount - Bytes in the block
+     * @param {number} digitCount - Digits in the block
+     * @param {Object} blocks - { bytes, chars } header parameters
+     * @param {Object} payloadDecoder - Registered payload decoder
+     * @returns {{bytes: Uint8Array, valid: boolean}} - Bytes are zeros if the block could not be decoded
+     */
+    decodeBlock(blockChars, byteCount, digitCount, blocks, payloadDecoder) {
+        const digits = blockChars.substring(0, digitCount);
+        const check = blockChars.substring(digitCount);
+
+        if (digits.length === digitCount) {
+            try {
+                const bytes = payloadDecoder.decode(digits, byteCount);
+                const valid = this.integrityCheck.computeCheckSync(bytes, 'CRC32', blocks.chars) === check;
+                return { bytes, valid };
+            } catch (error) {
+                // Undecodable block, bytes stay zero
+            }
+        }
+
+        return { bytes: new Uint8Array(byteCount), valid: false };
+    }
+
+    /**
+     * Streaming variant of decodeBits, characters in and bytes out
+     * Payloads with block checks (BLOCKS flag, without FEC, DEFLATE or TEMPLATE) are
+     * decoded progressively: each block's bytes are written as soon as its
+     * digits have arrived. Anything else is decoded when the input ends.
+     * Either way the bytes written are the same as decodeBits returns, and
+     * lastVerification, lastRepair and lastBlockReport are set as by decodeBits.
+     * @param {Object} [options] - Stream options
+     * @param {Function} [options.onProgress] - Called with { stage, chars, bytes }
+     * @returns {TransformStream} - Writable side takes strings, readable side yields Uint8Arrays
+     */
+    createDecodeStream(options = {}) {
+        // Enough characters for any link header, length and integrity check
+        const PLAN_WINDOW = 64;
+        let text = '';
+        let plan;
+        let emitted = 0;
+        const report = (stage) => {
+            if (options.onProgress) {
+                options.onProgress({ stage, chars: text.length, bytes: emitted });
+            }
+        };
+
+        return new TransformStream({
+            transform: (chunk, controller) => {
+                text += chunk;
+
+                if (plan === undefined) {
+                    plan = this.planBlockStream(text);
+                    if (plan === null && text.length < PLAN_WINDOW) {
+                        plan = undefined;
+                    }
+                }
+
+                while (plan && plan.byteStart < plan.length) {
+                    const byteCount = Math.min(plan.blocks.bytes, plan.length - plan.byteStart);
+                    const digitCount = plan.payloadDecoder.getDigitCount(byteCount);
+                    const end = plan.position + digitCount + plan.blocks.chars;
+                    if (text.length < end) {
+                        break;
+                    }
+
+                    const { bytes } = plan.decoder.decodeBlock(text.substring(plan.position, end), byteCount, digitCount, plan.blocks, plan.payloadDecoder);
+                    plan.bytes.set(bytes, plan.byteStart);
+                    controller.enqueue(bytes);
+                    emitted += byteCount;
+                    plan.byteStart += byteCount;
+                    plan.position = end;
+                }
+
+                report('reading');
+            },
+            flush: async (controller) => {
+                report('decoding');
+                const result = new Uint8Array(await this.decodeBits(text));
+
+                // Bytes already written must agree with the whole-payload decode
+                for (let i = 0; i < emitted; i++) {
+                    if (result[i] !== plan.bytes[i]) {
+                        throw new Error(`Streamed bytes differ from full decode at byte ${i}`);
+                    }
+                }
+
+                if (result.length > emitted) {
+                    controller.enqueue(result.subarray(emitted));
+                }
+                emitted = result.length;
+                report('done');
+            }
+        });
+    }
+
+    /**
+     * Work out where the blocks of a partially received payload start
+     * @param {string} text - Payload received so far
+     * @returns {Object|null} - Block layout, or null if the payload cannot be decoded progressively (yet)
+     */
+    planBlockStream(text) {
+        try {
+            const codec = this.getCodecForPayload(text);
+            if (!codec || codec.name !== 'link-header') {
+                return null;
+            }
+
+            const header = this.linkHeader.decode(text);
+            if (!this.linkHeader.hasFlag(header, 'BLOCKS') ||
+                this.linkHeader.hasFlag(header, 'FEC') ||
+                this.linkHeader.hasFlag(header, 'DEFLATE') ||
+                this.linkHeader.hasFlag(header, 'TEMPLATE')) {
+                return null;
+            }
+
+            const decoder = this.getAlphabetDecoder(header.alphabet);
+            const payloadDecoder = decoder.payloadDecoders.get(header.encoder);
+            if (!payloadDecoder || !decoder.integrityCheck) {
+                return null;
+            }
+
+            const { length, nextIndex } = decoder.decodeVariableLength(text, header.length);
+            const integrity = decoder.getHeaderIntegrity(header);
+            const position = nextIndex + (integrity ? integrity.chars : 0);
+            const blocks = header.params.BLOCKS;
+            if (blocks.bytes <= 0 || text.length < position) {
+                return null;
+            }
+
+            // Fails early for encoders without fixed-size blocks
+            payloadDecoder.getDigitCount(Math.min(blocks.bytes, length));
+
+            return { decoder, payloadDecoder, blocks, length, position, byteStart: 0, bytes: new Uint8Array(length) };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the integrity check a header declares
+     * @param {Object} header - Decoded link header
+     * @returns {Object|null} - { algorithm, chars } or null when there is no check
+     */
+    getHeaderIntegrity(header) {
+        if (this.linkHeader.hasFlag(header, 'INTEGRITY')) {
+            if (!this.integrityCheck) {
+                throw new Error('Link carries an integrity check but IntegrityCheck is not loaded');
+            }
+            const { algorithm, chars } = header.params.INTEGRITY;
+            return { algorithm: this.integrityCheck.getAlgorithmName(algorithm), chars };
+        }
+        if (this.linkHeader.hasFlag(header, 'CHECKSUM')) {
+            return { algorithm: 'CHECKSUM', chars: 1 };
+        }
+        return null;
+    }
+
+    /**
+     * Compare decoded bytes against the expected check and record the result
+     * @param {Uint8Array} bytes - Decoded bytes
+     * @param {Object} integrity - { algorithm, chars }
+     * @param {string} expectedCheck - Check characters from the payload
+     * @returns {Promise<boolean>} - Whether the data verified
+     */
+    async verifyIntegrity(bytes, integrity, expectedCheck) {
+        let actualCheck;
+        if (integrity.algorithm === 'CHECKSUM') {
+            actualCheck = this.indexToChar.get(this.calculateByteChecksum(bytes));
         } else {
-            return this.decodeDirectBaseLarge(encodedString);
+            actualCheck = await this.integrityCheck.computeCheck(bytes, integrity.algorithm, integrity.chars);
         }
+
+        const verified = actualCheck === expectedCheck;
+        this.lastVerification = { algorithm: integrity.algorithm, verified };
+
+        if (!verified) {
+            console.warn(`${integrity.algorithm} verification failed, data is corrupted`);
+        }
+
+        return verified;
     }
 
     /**
-     * Decode small DirectBaseEncoder format
+     * Decode whole-stream format: [version][length][checksum][data]
      * @param {string} encodedString - Encoded string
      * @returns {ArrayBuffer} - Decoded binary data
      */
-    decodeDirectBaseSmall(encodedString) {
-        const length = this.charToIndex.get(encodedString[0]);
-        const expectedChecksum = this.charToIndex.get(encodedString[1]);
-        const dataSection = encodedString.substring(2);
+    decodeWholeStream(encodedString) {
+        const { length, nextIndex } = this.decodeVariableLength(encodedString, 1);
         
-        // Convert back to BigInt
-        let value = 0n;
-        for (let i = 0; i < dataSection.length; i++) {
-            const digitValue = this.charToIndex.get(dataSection[i]);
-            value += BigInt(digitValue) * (BigInt(this.RADIX) ** BigInt(i));
+        const expectedChecksum = this.charToIndex.get(encodedString[nextIndex]);
+        const result = this.decodeWholeStreamData(encodedString.substring(nextIndex + 1), length);
+        
+        const verified = this.calculateByteChecksum(result) === expectedChecksum;
+        this.lastVerification = { algorithm: 'CHECKSUM', verified };
+        
+        if (!verified) {
+            console.warn('Whole-stream checksum verification failed, data may be corrupted');
         }
         
-        // Convert to bytes
-        const result = new Uint8Array(length);
-        for (let i = 0; i < length; i++) {
-            result[i] = Number(value & 0xFFn);
-            value = value >> 8n;
+        return result.buffer;
+    }
+
+    /**
+     * Decode a whole-stream data section (no metadata)
+     * @param {string} dataSection - Digits, most significant first
+     * @param {number} length - Original byte length
+     * @returns {Uint8Array}
+     */
+    decodeWholeStreamData(dataSection, length) {
+        const digitCount = this.getWholeStreamDigitCount(length);
+        if (dataSection.length !== digitCount) {
+            throw new Error(`Whole-stream data has ${dataSection.length} digits, expected ${digitCount}`);
         }
         
-        // Verify checksum
-        let checksum = 0;
-        for (let i = 0; i < result.length; i++) {
-            checksum = (checksum * 31 + result[i]) % this.RADIX;
+        const value = this.digitsToBigInt(dataSection, 0, dataSection.length);
+        return this.bigIntToBytes(value, length);
+    }
+
+    /**
+     * Decode a data section written by DirectBaseEncoder.encodeRange
+     * The encoder leaves out trailing zero digits, so the section has no fixed length.
+     * @param {string} dataSection - Range-coded digits
+     * @param {number} length - Original byte length
+     * @returns {Uint8Array}
+     */
+    decodeRangeData(dataSection, length) {
+        if (!window.RangeCoder) {
+            throw new Error('Link data is range coded but RangeCoder is not loaded');
+        }
+        if (!this.rangeCoder) {
+            this.rangeCoder = new window.RangeCoder(this.RADIX);
+        }
+
+        const digits = new Array(dataSection.length);
+        for (let i = 0; i < dataSection.length; i++) {
+            const digit = this.charToIndex.get(dataSection[i]);
+            if (digit === undefined) {
+                throw new Error(`Invalid character in range-coded data: ${dataSection[i]}`);
+            }
+            digits[i] = digit;
         }
+
+        return this.rangeCoder.decodeBytes(digits, length);
+    }
+
+    /**
+     * Number of characters DirectBaseEncoder.encodeChunks writes for byteCount bytes
+     */
+    getChunkedDigitCount(byteCount) {
+        const bitsPerChar = Math.log2(this.RADIX);
+        const bytesPerChunk = Math.floor(Math.floor(64 / bitsPerChar) * bitsPerChar / 8);
+        const fullChunks = Math.floor(byteCount / bytesPerChunk);
+        const remainder = byteCount % bytesPerChunk;
+
+        return fullChunks * Math.ceil(bytesPerChunk * 8 / bitsPerChar) +
+               (remainder > 0 ? Math.ceil(remainder * 8 / bitsPerChar) : 0);
+    }
+
+    /**
+     * Decode a chunked data section written by DirectBaseEncoder.encodeChunks
+     * Each chunk is a big-endian value of BYTES_PER_CHUNK mixed bytes, written
+     * least significant digit first.
+     * @param {string} dataSection - Chunk digits
+     * @param {number} length - Original byte length
+     * @returns {Uint8Array}
+     */
+    decodeChunkedData(dataSection, length) {
+        const bitsPerChar = Math.log2(this.RADIX);
+        const bytesPerChunk = Math.floor(Math.floor(64 / bitsPerChar) * bitsPerChar / 8);
+        const result = new Uint8Array(length);
+        let charIndex = 0;
         
-        if (checksum !== expectedChecksum) {
-            console.warn('DirectBase small data checksum failed');
+        for (let offset = 0; offset < length; offset += bytesPerChunk) {
+            const chunkLength = Math.min(bytesPerChunk, length - offset);
+            const charCount = Math.ceil(chunkLength * 8 / bitsPerChar);
+            
+            if (charIndex + charCount > dataSection.length) {
+                throw new Error('Chunked data is truncated');
+            }
+            
+            let value = 0n;
+            for (let i = charIndex + charCount - 1; i >= charIndex; i--) {
+                const digit = this.charToIndex.get(dataSection[i]);
+                if (digit === undefined) {
+                    throw new Error(`Invalid character in data: '${dataSection[i]}'`);
+                }
+                value = value * this.radixBig + BigInt(digit);
+            }
+            
+            // Undo the position mixing (same as DirectBaseEncoder.mixWithEntropy)
+            const hash1 = this.hashPosition(offset);
+            const hash2 = this.hashPosition(offset + 1) ^ 0xAAAAAAAA;
+            for (let i = chunkLength - 1; i >= 0; i--) {
+                const entropy = (hash1 >> (i % 4) * 8) ^ (hash2 >> ((i + 2) % 4) * 8);
+                result[offset + i] = Number(value & 0xFFn) ^ (entropy & 0xFF);
+                value >>= 8n;
+            }
+            
+            charIndex += charCount;
         }
         
-        return result.buffer;
+        if (charIndex !== dataSection.length) {
+            throw new Error(`Chunked data has ${dataSection.length} characters, expected ${charIndex}`);
+        }
+        
+        return result;
     }
 
     /**
-     * Decode large DirectBaseEncoder format  
+     * Decode a variable-length integer written by DirectBaseEncoder.encodeVariableLength
+     * Digits are base (RADIX - 1), least significant first, ending with the highest character
      * @param {string} encodedString - Encoded string
-     * @returns {ArrayBuffer} - Decoded binary data
+     * @param {number} startIndex - Index of the first length digit
+     * @returns {{length: number, nextIndex: number}} Decoded value and index after the terminator
      */
-    decodeDirectBaseLarge(encodedString) {
-        const highestChar = this.SAFE_CHARS[this.RADIX - 1];
-        const lengthTermIndex = encodedString.indexOf(highestChar);
+    decodeVariableLength(encodedString, startIndex) {
+        const dataRadix = this.RADIX - 1;
+        let length = 0;
+        let multiplier = 1;
         
-        if (lengthTermIndex === -1) {
-            throw new Error('Invalid DirectBase large format: no length terminator found');
+        for (let i = startIndex; i < encodedString.length; i++) {
+            const digit = this.charToIndex.get(encodedString[i]);
+            if (digit === undefined) {
+                throw new Error(`Invalid character in length encoding: '${encodedString[i]}'`);
+            }
+            if (digit === dataRadix) {
+                return { length, nextIndex: i + 1 };
+            }
+            length += digit * multiplier;
+            multiplier *= dataRadix;
         }
         
-        // Decode length
-        const lengthSection = encodedString.substring(0, lengthTermIndex);
-        let length = 0;
-        for (let i = 0; i < lengthSection.length; i++) {
-            const digitValue = this.charToIndex.get(lengthSection[i]);
-            length += digitValue * Math.pow(this.RADIX, i);
+        throw new Error('Invalid length encoding: no terminator found');
+    }
+
+    /**
+     * Get RADIX^exponent as BigInt (memoized)
+     */
+    getBigPower(exponent) {
+        let power = this.bigPowers.get(exponent);
+        if (power === undefined) {
+            power = this.radixBig ** BigInt(exponent);
+            this.bigPowers.set(exponent, power);
         }
+        return power;
+    }
+
+    /**
+     * Exact digit count for byteCount bytes (same rule as DirectBaseEncoder)
+     */
+    getWholeStreamDigitCount(byteCount) {
+        const limit = 1n << BigInt(byteCount * 8);
+        let digits = Math.ceil(byteCount * 8 / Math.log2(this.RADIX));
         
-        // Get checksum and data
-        const expectedChecksum = this.charToIndex.get(encodedString[lengthTermIndex + 1]);
-        const dataSection = encodedString.substring(lengthTermIndex + 2);
+        while (digits > 0 && this.getBigPower(digits - 1) >= limit) digits--;
+        while (this.getBigPower(digits) < limit) digits++;
         
-        // Decode data using sliding window approach
-        const result = new Uint8Array(length);
-        let byteIndex = 0;
-        const overlap = 1;
-        const BYTES_PER_CHUNK = Math.floor(53 / Math.log2(this.RADIX)) * Math.floor(Math.log2(this.RADIX)) / 8;
-        const bitsUsed = BYTES_PER_CHUNK * 8;
-        const digitsPerWindow = Math.ceil(bitsUsed / Math.log2(this.RADIX));
+        return digits;
+    }
+
+    /**
+     * Divide-and-conquer conversion of base-RADIX digits (most significant first) to BigInt
+     * @param {string} digits - Digit string
+     * @param {number} start - First digit index
+     * @param {number} end - Index after the last digit
+     * @returns {BigInt}
+     */
+    digitsToBigInt(digits, start, end) {
+        const count = end - start;
         
-        for (let windowStart = 0; windowStart < dataSection.length; windowStart += digitsPerWindow) {
-            const windowEnd = Math.min(windowStart + digitsPerWindow, dataSection.length);
-            const windowData = dataSection.substring(windowStart, windowEnd);
-            
-            // Convert window back to value
+        if (count <= this.WHOLE_STREAM_BASE_DIGITS) {
             let value = 0n;
-            for (let i = 0; i < windowData.length; i++) {
-                const digitValue = this.charToIndex.get(windowData[i]);
-                value += BigInt(digitValue) * (BigInt(this.RADIX) ** BigInt(i));
-            }
-            
-            // Extract bytes from value  
-            const windowBytes = Math.min(BYTES_PER_CHUNK, length - byteIndex);
-            for (let i = 0; i < windowBytes && byteIndex < length; i++) {
-                let byte = Number(value & 0xFFn);
-                
-                // Reverse position mixing
-                const position = Math.floor(byteIndex / BYTES_PER_CHUNK) * (BYTES_PER_CHUNK - overlap);
-                const positionHash = this.hashPosition(position);
-                byte = byte ^ ((positionHash >> (i % 4) * 8) & 0xFF);
-                
-                result[byteIndex++] = byte;
-                value = value >> 8n;
+            for (let i = start; i < end; i++) {
+                const digit = this.charToIndex.get(digits[i]);
+                if (digit === undefined) {
+                    throw new Error(`Invalid character in data: '${digits[i]}'`);
+                }
+                value = value * this.radixBig + BigInt(digit);
             }
+            return value;
+        }
+        
+        const lowCount = count >> 1;
+        const split = end - lowCount;
+        
+        return this.digitsToBigInt(digits, start, split) * this.getBigPower(lowCount) +
+               this.digitsToBigInt(digits, split, end);
+    }
+
+    /**
+     * Convert a BigInt to exactly byteCount bytes in little-endian order
+     * @param {BigInt} value - Decoded value
+     * @param {number} byteCount - Expected byte length
+     * @returns {Uint8Array}
+     */
+    bigIntToBytes(value, byteCount) {
+        const hex = value.toString(16);
+        if (hex.length > byteCount * 2) {
+            throw new Error('Decoded value exceeds declared length, data is corrupted');
+        }
+        
+        const padded = hex.padStart(byteCount * 2, '0');
+        const result = new Uint8Array(byteCount);
+        for (let i = 0; i < byteCount; i++) {
+            const offset = (byteCount - 1 - i) * 2;
+            result[i] = parseInt(padded.substring(offset, offset + 2), 16);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Checksum over decoded bytes (same as DirectBaseEncoder.calculateChecksum)
+     * @param {Uint8Array} bytes - Decoded bytes
+     * @returns {number} - Checksum digit
+     */
+    calculateByteChecksum(bytes) {
+        let checksum = 0;
+        let multiplier = 1;
+        
+        for (let i = 0; i < bytes.length; i++) {
+            checksum = (checksum + bytes[i] * multiplier) % this.RADIX;
+            multiplier = (multiplier * 31) % this.RADIX;
+        }
+        
+        return checksum;
+    }
+
+    /**
+     * Decode data encoded with DirectBaseEncoder
+     * Versioned payloads (chunked, whole-stream, link header) are dispatched
+     * by getCodecForPayload, so only the unversioned small format reaches here.
+     * @param {string} encodedString - Encoded string
+     * @returns {ArrayBuffer} - Decoded binary data
+     */
+    decodeDirectBaseFormat(encodedString) {
+        return this.decodeDirectBaseSmall(encodedString);
+    }
+
+    /**
+     * Decode small format written by DirectBaseEncoder.encodeSmallOptimized: [length][checksum][data]
+     * The data is the input as one big-endian number, most significant digit
+     * first, without leading zero digits.
+     * @param {string} encodedString - Encoded string
+     * @returns {ArrayBuffer} - Decoded binary data
+     */
+    decodeDirectBaseSmall(encodedString) {
+        const { length, nextIndex } = this.decodeVariableLength(encodedString, 0);
+        const expectedChecksum = this.charToIndex.get(encodedString[nextIndex]);
+        const dataSection = encodedString.substring(nextIndex + 1);
+        
+        const value = this.digitsToBigInt(dataSection, 0, dataSection.length);
+        const result = this.bigIntToBytes(value, length).reverse();
+        
+        const verified = this.calculateByteChecksum(result) === expectedChecksum;
+        this.lastVerification = { algorithm: 'CHECKSUM', verified };
+        
+        if (!verified) {
+            console.warn('DirectBase small data checksum failed');
+        }
+        
+        return result.buffer;
+    }
+
+    /**
+     * Decode chunked format written by DirectBaseEncoder.encodeLargeOptimized:
+     * [version][length][checksum][chunks]
+     * @param {string} encodedString - Encoded string
+     * @returns {ArrayBuffer} - Decoded binary data
+     */
+    decodeDirectBaseLarge(encodedString) {
+        const { length, nextIndex } = this.decodeVariableLength(encodedString, 1);
+        const expectedChecksum = this.charToIndex.get(encodedString[nextIndex]);
+        const result = this.decodeChunkedData(encodedString.substring(nextIndex + 1), length);
+        
+        const verified = this.calculateByteChecksum(result) === expectedChecksum;
+        this.lastVerification = { algorithm: 'CHECKSUM', verified };
+        
+        if (!verified) {
+            console.warn('Chunked data checksum verification failed, data may be corrupted');
         }
         
         return result.buffer;
@@ -480,7 +1260,13 @@ window.GPUBitStreamDecoder = class GPUBitStreamDecoder {
         let hash = pos * 0x9E3779B9;
         hash = (hash ^ (hash >> 16)) * 0x85EBCA6B;
         hash = (hash ^ (hash >> 13)) * 0xC2B2AE35;
-        return (hash ^ (hash >> 16)) >>> 0;
+        hash = hash ^ (hash >> 16);
+        
+        hash ^= hash << 13;
+        hash ^= hash >> 17;
+        hash ^= hash << 5;
+        
+        return hash >>> 0;
     }
 
     /**
@@ -134,9 +134,13 @@ window.GPUBitStreamEncoderImpl = class GPUBitStreamEncoderImpl {
      * What: Main encoding function using DirectBaseEncoder
      * Why: Optimal encoding efficiency and URL safety
      * @param {ArrayBuffer|Uint8Array} data - Binary data to encode
+     * @param {Object} [options] - Encoding options
+     * @param {string} [options.alphabet] - Alphabet profile name (defaults to this encoder's character set)
+     * @param {number} [options.maxLength] - Length budget; a LengthBudgetError is thrown as soon as the output is known to exceed it
+     * @param {string} [options.encoder] - Registered data section encoder (CodecRegistry), defaults to CONFIG.ADVANCED.ENCODER
      * @returns {Promise<string>} - URL-safe encoded string
      */
-    async encodeBits(data) {
+    async encodeBits(data, options = {}) {
         if (!data) {
             throw new Error('Input data is required');
         }
@@ -153,14 +157,232 @@ window.GPUBitStreamEncoderImpl = class GPUBitStreamEncoderImpl {
         }
 
         try {
+            const encoder = options.alphabet
+                ? this.directEncoder.getProfileEncoder(options.alphabet)
+                : this.directEncoder;
+            
+            const { payload, deflated, stripped } = await this.precompress(data, bytes);
+            
+            // Skip the radix conversion when the payload cannot fit anyway
+            const flags = this.getPayloadFlags(deflated, stripped);
+            this.checkLengthBudget(encoder.getMinimumLength(payload.length, options.encoder, flags), options.maxLength);
+            
+            // Strong integrity checks may use WebCrypto, so compute them before encoding
+            const integrityValue = await encoder.computeIntegrityCheck(payload);
+            
             // Use DirectBaseEncoder for all encoding
-            return this.directEncoder.encode(bytes);
+            const encoded = encoder.encode(payload, integrityValue, {
+                flags,
+                encoder: options.encoder
+            });
+            this.checkLengthBudget(encoded.length, options.maxLength);
+            return encoded;
         } catch (error) {
+            if (error.name === 'LengthBudgetError') {
+                throw error;
+            }
             console.error('DirectBaseEncoder error:', error);
             throw new Error(`Encoding failed: ${error.message}`);
         }
     }
 
+    /**
+     * What: Exact encoded length for a byte count, without encoding
+     * Why: Search loops can compare candidates by size and encode only the winner
+     * See DirectBaseEncoder.predictEncodedLength for the data-dependent cases.
+     * @param {number} byteCount - Payload size in bytes
+     * @param {Object} [options] - Prediction options
+     * @param {string} [options.alphabet] - Alphabet profile name, as for encodeBits
+     * @param {boolean} [options.deflated] - Payload is pre-compressed (DEFLATE flag)
+     * @param {boolean} [options.stripped] - Payload is an image without its standard headers (TEMPLATE flag)
+     * @param {string} [options.encoder] - Registered data section encoder, as for encodeBits
+     * @param {Uint8Array} [options.data] - The payload bytes, for the range coder
+     * @returns {number|null} - Encoded length, or null when it depends on the data
+     */
+    predictEncodedLength(byteCount, options = {}) {
+        const encoder = options.alphabet
+            ? this.directEncoder.getProfileEncoder(options.alphabet)
+            : this.directEncoder;
+        return encoder.predictEncodedLength(byteCount, {
+            flags: this.getPayloadFlags(options.deflated, options.stripped),
+            encoder: options.encoder,
+            data: options.data
+        });
+    }
+
+    /**
+     * What: Abort encoding that cannot meet the caller's length budget
+     * Why: Lets tryCompressionLevel move on without finishing a link that is too long
+     * @param {number} length - Known output length, or a lower bound on it
+     * @param {number} [maxLength] - Length budget, unlimited when omitted
+     * @throws {Error} LengthBudgetError carrying minimumLength
+     */
+    checkLengthBudget(length, maxLength) {
+        if (!(maxLength > 0) || length <= maxLength) {
+            return;
+        }
+        const error = new Error(`Encoded length of at least ${length} characters exceeds budget of ${maxLength}`);
+        error.name = 'LengthBudgetError';
+        error.minimumLength = length;
+        throw error;
+    }
+
+    /**
+     * What: Streaming variant of encodeBits, bytes in and characters out
+     * Why: Progress reporting and early abort while the input is still arriving
+     * The header holds the length and integrity check of the whole payload, so
+     * characters are only written once the input has ended; the output is the
+     * same as encodeBits for any chunking of the input.
+     * Early abort on options.maxLength needs the payload size, which is only
+     * known while reading when the input is written raw. With pre-compression
+     * (CONFIG.ADVANCED.PRECOMPRESS, the default) or image templates the budget
+     * is checked once the input has ended, still before the radix conversion.
+     * @param {Object} [options] - Options for encodeBits
+     * @param {Function} [options.onProgress] - Called with { stage, bytes, chars }
+     * @returns {TransformStream} - Writable side takes Uint8Array/ArrayBuffer chunks, readable side yields strings
+     */
+    createEncodeStream(options = {}) {
+        const chunks = [];
+        let byteCount = 0;
+        const report = (stage, chars = 0) => {
+            if (options.onProgress) {
+                options.onProgress({ stage, bytes: byteCount, chars });
+            }
+        };
+
+        // Deflate or header stripping may still shrink the input, so its size is no lower bound for them
+        const encoder = options.alphabet
+            ? this.directEncoder.getProfileEncoder(options.alphabet)
+            : this.directEncoder;
+        const rawPayload = !this.directEncoder.linkHeader ||
+            ((window.CONFIG?.ADVANCED?.PRECOMPRESS === false || !window.Deflate) && !this.getImageTemplates());
+
+        return new TransformStream({
+            transform: (chunk) => {
+                const bytes = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+                chunks.push(bytes.slice());
+                byteCount += bytes.length;
+                report('reading');
+                if (rawPayload) {
+                    this.checkLengthBudget(encoder.getMinimumLength(byteCount, options.encoder), options.maxLength);
+                }
+            },
+            flush: async (controller) => {
+                const data = new Uint8Array(byteCount);
+                let offset = 0;
+                for (const bytes of chunks) {
+                    data.set(bytes, offset);
+                    offset += bytes.length;
+                }
+                chunks.length = 0;
+
+                report('encoding');
+                const encoded = await this.encodeBits(data, options);
+                const chunkChars = window.CONFIG?.ADVANCED?.STREAM_CHUNK_CHARS || 1024;
+                for (let i = 0; i < encoded.length; i += chunkChars) {
+                    controller.enqueue(encoded.slice(i, i + chunkChars));
+                }
+                report('done', encoded.length);
+            }
+        });
+    }
+
+    /**
+     * What: Lossless pre-compression stage before radix encoding
+     * Why: SVG and BMP payloads shrink a lot; already compressed formats are kept raw
+     * JPEG and WebP headers the viewer can rebuild are stripped first (stripHeaders).
+     * The DEFLATE and TEMPLATE header flags tell the decoder to undo each step,
+     * so this needs the versioned format.
+     * The result for the last input is cached, since encodeForLink encodes it once per alphabet.
+     * @param {ArrayBuffer|Uint8Array} data - Input as passed to encodeBits
+     * @param {Uint8Array} bytes - Input bytes
+     * @returns {Promise<{payload: Uint8Array, deflated: boolean, stripped: boolean}>} - Shortest of the variants
+     */
+    async precompress(data, bytes) {
+        const raw = { payload: bytes, deflated: false, stripped: false };
+        if (!this.directEncoder.linkHeader) {
+            return raw;
+        }
+        if (this.precompressCache?.data === data && this.precompressCache.length === bytes.length) {
+            return this.precompressCache.result;
+        }
+
+        let result = raw;
+        const headerless = this.stripHeaders(bytes);
+        if (headerless) {
+            result = { payload: headerless, deflated: false, stripped: true };
+        }
+
+        if (window.CONFIG?.ADVANCED?.PRECOMPRESS !== false && window.Deflate) {
+            try {
+                if (!this.deflate) {
+                    this.deflate = new window.Deflate();
+                }
+                const compressed = await this.deflate.compress(result.payload);
+                if (compressed.length < result.payload.length) {
+                    result = { ...result, payload: compressed, deflated: true };
+                }
+                console.log(`Pre-compression: ${bytes.length} -> ${compressed.length} bytes, ${result.deflated ? 'deflated' : 'kept raw'}`);
+            } catch (error) {
+                console.warn('Pre-compression failed, encoding raw data:', error);
+            }
+        }
+
+        this.precompressCache = { data, length: bytes.length, result };
+        return result;
+    }
+
+    /**
+     * What: Image file without the headers ImageTemplates can rebuild
+     * Why: Boilerplate JPEG tables cost hundreds of characters in small links
+     * @param {ArrayBuffer|Uint8Array} data - Image file
+     * @returns {Uint8Array|null} - Stripped payload, or null when there is nothing to strip
+     */
+    stripHeaders(data) {
+        const templates = this.getImageTemplates();
+        if (!templates || !this.directEncoder.linkHeader) {
+            return null;
+        }
+
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const stripped = templates.strip(bytes);
+        if (stripped) {
+            console.log(`Header stripping: ${bytes.length} -> ${stripped.length} bytes`);
+        }
+        return stripped;
+    }
+
+    /**
+     * What: Shared ImageTemplates instance, unless stripping is disabled
+     * @returns {ImageTemplates|null}
+     */
+    getImageTemplates() {
+        if (window.CONFIG?.ADVANCED?.STRIP_IMAGE_HEADERS === false || !window.ImageTemplates) {
+            return null;
+        }
+        if (!this.imageTemplates) {
+            this.imageTemplates = new window.ImageTemplates();
+        }
+        return this.imageTemplates;
+    }
+
+    /**
+     * What: Header flags describing how the payload was transformed
+     * @param {boolean} deflated - Payload is raw DEFLATE
+     * @param {boolean} stripped - Payload is a stripped image
+     * @returns {string[]}
+     */
+    getPayloadFlags(deflated, stripped) {
+        const flags = [];
+        if (stripped) {
+            flags.push('TEMPLATE');
+        }
+        if (deflated) {
+            flags.push('DEFLATE');
+        }
+        return flags;
+    }
+
     /**
      * What: Decode encoded string back to binary (delegates to decoder)
      * Why: Backward compatibility
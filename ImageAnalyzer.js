@@ -5,9 +5,18 @@
  * Detects image characteristics to determine the best compression approach
  */
 window.ImageAnalyzer = class ImageAnalyzer {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.pixelSource] - { getPixels(imageFile) => Promise<{width, height, data}> } with RGBA
+     *   data; replaces the canvas, e.g. for Node (see NodeEnvironment.js)
+     * @param {WorkerPool} [options.workerPool] - Runs the core pixel analysis off the main thread
+     */
+    constructor(options = {}) {
+        this.pixelSource = options.pixelSource || null;
+        this.workerPool = options.workerPool || null;
+        
         // Check if WebGLManager is available
-        if (!window.webGLManager) {
+        if (!this.pixelSource && !window.webGLManager) {
             console.warn('WebGLManager not available, some analysis features may be limited');
         }
         
@@ -114,6 +123,29 @@ window.ImageAnalyzer = class ImageAnalyzer {
         return context;
     }
     
+    /**
+     * Read an image's RGBA pixels from the pixel source, or through a canvas
+     * @param {File|Blob|Object} imageFile - Image; pixel sources may accept other inputs
+     * @returns {Promise<Object>} ImageData or { width, height, data }
+     */
+    async getPixels(imageFile) {
+        if (this.pixelSource) {
+            const imageData = await this.pixelSource.getPixels(imageFile);
+            if (!imageData || !imageData.data || imageData.data.length !== imageData.width * imageData.height * 4) {
+                throw new Error('ImageAnalyzer: pixel source must return { width, height, data } with RGBA data');
+            }
+            return imageData;
+        }
+        
+        const bitmap = await createImageBitmap(imageFile);
+        
+        // Get canvas context from WebGLManager
+        const { ctx } = this.getAnalysisCanvas(bitmap.width, bitmap.height);
+        
+        ctx.drawImage(bitmap, 0, 0);
+        return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+    }
+    
     /**
      * Main analysis method that determines image characteristics
      * @param {File|Blob} imageFile - The image file to analyze
@@ -122,16 +154,24 @@ window.ImageAnalyzer = class ImageAnalyzer {
     async analyzeImage(imageFile) {
         try {
             const startTime = performance.now();
-            const bitmap = await createImageBitmap(imageFile);
+            let imageData = await this.getPixels(imageFile);
+            const { width, height } = imageData;
             
-            // Get canvas context from WebGLManager
-            const { canvas, ctx } = this.getAnalysisCanvas(bitmap.width, bitmap.height);
-            
-            ctx.drawImage(bitmap, 0, 0);
-            const imageData = ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+            // Pixel sources may take inputs without a file size; fall back to the encoded or raw size
+            const fileSize = imageFile.size ?? imageFile.byteLength ?? imageData.data.length;
             
             // Core analysis
-            const coreAnalysis = await this.performCoreAnalysis(imageData);
+            let coreAnalysis;
+            if (this.workerPool) {
+                // The pixels move to the worker and come back with the result, without copies
+                const result = await this.workerPool.run('analyze',
+                    { width, height, data: imageData.data },
+                    { transfer: [imageData.data.buffer] });
+                coreAnalysis = result.analysis;
+                imageData = { width, height, data: result.data };
+            } else {
+                coreAnalysis = await this.performCoreAnalysis(imageData);
+            }
             
             // Enhanced classification
             const classification = this.enhancedClassification(coreAnalysis, imageData);
@@ -140,29 +180,29 @@ window.ImageAnalyzer = class ImageAnalyzer {
             const formatRankings = this.generateUrlOptimizedRankings(classification, coreAnalysis);
             
             // Compression strategy recommendations
-            const strategy = this.recommendCompressionStrategy(classification, coreAnalysis, imageFile.size);
+            const strategy = this.recommendCompressionStrategy(classification, coreAnalysis, fileSize);
             
             const endTime = performance.now();
             
             return {
                 dimensions: {
-                    width: bitmap.width,
-                    height: bitmap.height,
-                    aspectRatio: (bitmap.width / bitmap.height).toFixed(2),
-                    pixelCount: bitmap.width * bitmap.height
+                    width: width,
+                    height: height,
+                    aspectRatio: (width / height).toFixed(2),
+                    pixelCount: width * height
                 },
                 analysis: {
                     ...coreAnalysis,
                     classification: classification,
                     complexity: this.calculateComplexityScore(coreAnalysis),
-                    urlSuitability: this.calculateUrlSuitability(coreAnalysis, imageFile.size)
+                    urlSuitability: this.calculateUrlSuitability(coreAnalysis, fileSize)
                 },
                 recommendations: {
                     formatRankings: formatRankings,
                     compressionStrategy: strategy,
-                    estimatedUrlLength: this.estimateUrlLength(imageFile.size, classification),
+                    estimatedUrlLength: this.estimateUrlLength(fileSize, classification),
                     suggestedQuality: this.suggestOptimalQuality(classification, coreAnalysis),
-                    estimatedSavings: this.estimateCompressionSavings(classification, coreAnalysis, imageFile.size)
+                    estimatedSavings: this.estimateCompressionSavings(classification, coreAnalysis, fileSize)
                 },
                 performance: {
                     analysisTime: (endTime - startTime).toFixed(2) + "ms"
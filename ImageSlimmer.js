@@ -0,0 +1,506 @@
+/**
+ * ImageSlimmer.js
+ *
+ * Lossless container slimming for PNG, WebP and GIF files: metadata is
+ * dropped at the chunk level and the pixels are left exactly as they are.
+ * - PNG: ancillary chunks (text, ICC profile, EXIF, timestamps...) are dropped,
+ *   except transparency and animation; image data is re-deflated with the
+ *   row filters that compress best
+ * - WebP: ICCP, EXIF, XMP and unknown chunks are dropped; a still image
+ *   without an alpha chunk becomes a simple (VP8/VP8L only) file
+ * - GIF: comment and application extensions are dropped, except looping
+ */
+window.ImageSlimmer = class ImageSlimmer {
+    constructor() {
+        if (!window.Deflate || !window.IntegrityCheck) {
+            throw new Error('ImageSlimmer: Deflate.js and IntegrityCheck.js are required');
+        }
+        this.deflate = new window.Deflate();
+        // PNG chunk CRCs
+        this.integrity = new window.IntegrityCheck();
+
+        this.PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+        // Chunks kept: critical ones, transparency and APNG animation
+        this.PNG_KEEP = ['IHDR', 'PLTE', 'tRNS', 'IDAT', 'IEND', 'acTL', 'fcTL', 'fdAT'];
+        // Samples per pixel by color type
+        this.PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+        this.PNG_FILTERS = { NONE: 0, SUB: 1, UP: 2, AVERAGE: 3, PAETH: 4 };
+        // Adam7 passes: [x start, y start, x step, y step]
+        this.ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+        // Filter strategies tried for re-deflation; the file's own filtering is always a candidate
+        this.PNG_STRATEGIES = ['none', 'paeth', 'adaptive'];
+        // Larger image data keeps its compression (re-deflating every candidate would be slow)
+        this.MAX_REDEFLATE_BYTES = 4 * 1024 * 1024;
+
+        // VP8X flag bits
+        this.VP8X_FLAGS = { ICC: 0x20, ALPHA: 0x10, EXIF: 0x08, XMP: 0x04, ANIMATION: 0x02 };
+        this.WEBP_KEEP = ['VP8X', 'ANIM', 'ANMF', 'ALPH', 'VP8 ', 'VP8L'];
+
+        this.GIF_BLOCKS = { EXTENSION: 0x21, IMAGE: 0x2C, TRAILER: 0x3B };
+        this.GIF_EXTENSIONS = { COMMENT: 0xFE, APPLICATION: 0xFF };
+        // Application extensions that set the animation loop count
+        this.GIF_KEEP_APPLICATIONS = ['NETSCAPE2.0', 'ANIMEXTS1.0'];
+    }
+
+    /**
+     * Slim a PNG, WebP or GIF file
+     * @param {ArrayBuffer|Uint8Array} data - Image file
+     * @returns {Promise<{bytes: Uint8Array, format: string, saved: number, removed: string[]}|null>}
+     *   Smaller file with what was removed, or null when the format is not handled or nothing was saved
+     */
+    async slim(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        const format = this.detectFormat(bytes);
+        if (!format) {
+            return null;
+        }
+
+        let result;
+        try {
+            switch (format) {
+                case 'image/png':
+                    result = await this.slimPng(bytes);
+                    break;
+                case 'image/webp':
+                    result = this.slimWebp(bytes);
+                    break;
+                default:
+                    result = this.slimGif(bytes);
+            }
+        } catch (error) {
+            console.warn('ImageSlimmer: keeping the file as is:', error.message);
+            return null;
+        }
+
+        if (result.bytes.length >= bytes.length) {
+            return null;
+        }
+        return { ...result, format, saved: bytes.length - result.bytes.length };
+    }
+
+    /**
+     * Format from the file signature
+     * @returns {string|null} MIME type
+     */
+    detectFormat(bytes) {
+        if (this.PNG_SIGNATURE.every((byte, i) => bytes[i] === byte)) {
+            return 'image/png';
+        }
+        if (this.readFourCC(bytes, 0) === 'RIFF' && this.readFourCC(bytes, 8) === 'WEBP') {
+            return 'image/webp';
+        }
+        if (this.readFourCC(bytes, 0) === 'GIF8') {
+            return 'image/gif';
+        }
+        return null;
+    }
+
+    /**
+     * PNG: keep essential chunks, merge image data into one re-deflated IDAT
+     */
+    async slimPng(bytes) {
+        const chunks = [];
+        let offset = this.PNG_SIGNATURE.length;
+        while (offset + 12 <= bytes.length) {
+            const length = this.readUint32BE(bytes, offset);
+            const type = this.readFourCC(bytes, offset + 4);
+            if (offset + 12 + length > bytes.length) {
+                throw new Error(`PNG chunk ${type} overruns the file`);
+            }
+            chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+            offset += 12 + length;
+            if (type === 'IEND') {
+                break;
+            }
+        }
+        if (chunks[0]?.type !== 'IHDR' || chunks[chunks.length - 1].type !== 'IEND') {
+            throw new Error('PNG without IHDR or IEND');
+        }
+
+        const removed = chunks.filter(chunk => !this.PNG_KEEP.includes(chunk.type)).map(chunk => chunk.type);
+        const header = this.readPngHeader(chunks[0].data);
+        const imageData = this.concatBytes(chunks.filter(chunk => chunk.type === 'IDAT').map(chunk => chunk.data));
+        const recompressed = await this.recompressPng(header, imageData);
+        if (recompressed.length < imageData.length) {
+            removed.push(`IDAT ${imageData.length - recompressed.length} bytes`);
+        }
+
+        const parts = [this.PNG_SIGNATURE];
+        let imageWritten = false;
+        for (const chunk of chunks) {
+            if (chunk.type === 'IDAT') {
+                if (!imageWritten) {
+                    parts.push(this.writePngChunk('IDAT', recompressed));
+                    imageWritten = true;
+                }
+            } else if (this.PNG_KEEP.includes(chunk.type)) {
+                parts.push(this.writePngChunk(chunk.type, chunk.data));
+            }
+        }
+        return { bytes: this.concatBytes(parts), removed };
+    }
+
+    readPngHeader(data) {
+        const header = {
+            width: this.readUint32BE(data, 0),
+            height: this.readUint32BE(data, 4),
+            bitDepth: data[8],
+            colorType: data[9],
+            interlace: data[12]
+        };
+        const channels = this.PNG_CHANNELS[header.colorType];
+        if (!channels || data[10] !== 0 || data[11] !== 0) {
+            throw new Error(`unsupported PNG color type ${header.colorType} or compression method`);
+        }
+        header.bitsPerPixel = channels * header.bitDepth;
+        // Filters work on whole bytes: the distance to the same byte of the previous pixel
+        header.filterDistance = Math.max(1, header.bitsPerPixel >> 3);
+        return header;
+    }
+
+    /**
+     * Sub-images stored in the image data: one, or the seven Adam7 passes
+     * @returns {Array<{rowBytes: number, rows: number}>} Non-empty sub-images in order
+     */
+    getPngPasses(header) {
+        const passes = header.interlace
+            ? this.ADAM7.map(([xStart, yStart, xStep, yStep]) => ({
+                width: Math.ceil(Math.max(0, header.width - xStart) / xStep),
+                rows: Math.ceil(Math.max(0, header.height - yStart) / yStep)
+            }))
+            : [{ width: header.width, rows: header.height }];
+        return passes
+            .filter(pass => pass.width > 0 && pass.rows > 0)
+            .map(pass => ({ rowBytes: Math.ceil(pass.width * header.bitsPerPixel / 8), rows: pass.rows }));
+    }
+
+    /**
+     * Re-deflate PNG image data with each filter strategy and keep the smallest
+     * zlib stream, or the original one when nothing beats it
+     * @returns {Promise<Uint8Array>} zlib stream for a single IDAT chunk
+     */
+    async recompressPng(header, imageData) {
+        if ((imageData[0] & 0x0F) !== 8 || (imageData[1] & 0x20)) {
+            throw new Error('PNG image data is not a plain zlib stream');
+        }
+        const filtered = await this.deflate.decompress(imageData.subarray(2, imageData.length - 4));
+        const passes = this.getPngPasses(header);
+        const expected = passes.reduce((sum, pass) => sum + pass.rows * (pass.rowBytes + 1), 0);
+        if (filtered.length !== expected) {
+            throw new Error(`PNG image data holds ${filtered.length} bytes, expected ${expected}`);
+        }
+        if (filtered.length > this.MAX_REDEFLATE_BYTES) {
+            return imageData;
+        }
+
+        const pixels = this.unfilterPng(filtered, passes, header.filterDistance);
+        const candidates = [filtered, ...this.PNG_STRATEGIES.map(strategy => this.filterPng(pixels, passes, header.filterDistance, strategy))];
+
+        let best = imageData;
+        for (const candidate of candidates) {
+            const stream = await this.writeZlib(candidate);
+            if (stream.length < best.length) {
+                best = stream;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Undo PNG row filters (PNG spec 9.2-9.4)
+     * @returns {Uint8Array} Rows of every pass without their filter bytes
+     */
+    unfilterPng(filtered, passes, distance) {
+        const pixels = new Uint8Array(passes.reduce((sum, pass) => sum + pass.rows * pass.rowBytes, 0));
+        let input = 0;
+        let output = 0;
+        for (const { rowBytes, rows } of passes) {
+            for (let row = 0; row < rows; row++) {
+                const filter = filtered[input++];
+                const previous = row > 0 ? output - rowBytes : -1;
+                for (let i = 0; i < rowBytes; i++) {
+                    const left = i >= distance ? pixels[output + i - distance] : 0;
+                    const up = previous >= 0 ? pixels[previous + i] : 0;
+                    const upLeft = previous >= 0 && i >= distance ? pixels[previous + i - distance] : 0;
+                    pixels[output + i] = (filtered[input + i] + this.predict(filter, left, up, upLeft)) & 0xFF;
+                }
+                input += rowBytes;
+                output += rowBytes;
+            }
+        }
+        return pixels;
+    }
+
+    /**
+     * Apply PNG row filters
+     * 'adaptive' picks, per row, the filter with the smallest sum of
+     * absolute (signed) outputs, as libpng does.
+     * @param {string} strategy - 'none', 'paeth' or 'adaptive'
+     * @returns {Uint8Array} Filtered image data
+     */
+    filterPng(pixels, passes, distance, strategy) {
+        const filtered = new Uint8Array(passes.reduce((sum, pass) => sum + pass.rows * (pass.rowBytes + 1), 0));
+        const filters = strategy === 'adaptive'
+            ? Object.values(this.PNG_FILTERS)
+            : [strategy === 'paeth' ? this.PNG_FILTERS.PAETH : this.PNG_FILTERS.NONE];
+
+        let input = 0;
+        let output = 0;
+        for (const { rowBytes, rows } of passes) {
+            const row = new Uint8Array(rowBytes);
+            for (let y = 0; y < rows; y++) {
+                const previous = y > 0 ? input - rowBytes : -1;
+                let bestCost = Infinity;
+                for (const filter of filters) {
+                    let cost = 0;
+                    for (let i = 0; i < rowBytes; i++) {
+                        const left = i >= distance ? pixels[input + i - distance] : 0;
+                        const up = previous >= 0 ? pixels[previous + i] : 0;
+                        const upLeft = previous >= 0 && i >= distance ? pixels[previous + i - distance] : 0;
+                        row[i] = (pixels[input + i] - this.predict(filter, left, up, upLeft)) & 0xFF;
+                        cost += row[i] < 128 ? row[i] : 256 - row[i];
+                    }
+                    if (cost < bestCost) {
+                        bestCost = cost;
+                        filtered[output] = filter;
+                        filtered.set(row, output + 1);
+                    }
+                }
+                input += rowBytes;
+                output += rowBytes + 1;
+            }
+        }
+        return filtered;
+    }
+
+    /**
+     * PNG filter predictor for a byte from its left, upper and upper-left neighbours
+     */
+    predict(filter, left, up, upLeft) {
+        switch (filter) {
+            case this.PNG_FILTERS.NONE:
+                return 0;
+            case this.PNG_FILTERS.SUB:
+                return left;
+            case this.PNG_FILTERS.UP:
+                return up;
+            case this.PNG_FILTERS.AVERAGE:
+                return (left + up) >> 1;
+            case this.PNG_FILTERS.PAETH: {
+                const estimate = left + up - upLeft;
+                const toLeft = Math.abs(estimate - left);
+                const toUp = Math.abs(estimate - up);
+                const toUpLeft = Math.abs(estimate - upLeft);
+                if (toLeft <= toUp && toLeft <= toUpLeft) {
+                    return left;
+                }
+                return toUp <= toUpLeft ? up : upLeft;
+            }
+            default:
+                throw new Error(`unknown PNG filter ${filter}`);
+        }
+    }
+
+    /**
+     * zlib stream (RFC 1950) around raw DEFLATE output
+     */
+    async writeZlib(bytes) {
+        const compressed = await this.deflate.compress(bytes);
+        const stream = new Uint8Array(compressed.length + 6);
+        stream[0] = 0x78;
+        stream[1] = 0xDA;
+        stream.set(compressed, 2);
+        this.writeUint32BE(stream, stream.length - 4, this.adler32(bytes));
+        return stream;
+    }
+
+    adler32(bytes) {
+        let a = 1;
+        let b = 0;
+        for (let i = 0; i < bytes.length; i++) {
+            a = (a + bytes[i]) % 65521;
+            b = (b + a) % 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+
+    writePngChunk(type, data) {
+        const chunk = new Uint8Array(data.length + 12);
+        this.writeUint32BE(chunk, 0, data.length);
+        for (let i = 0; i < 4; i++) {
+            chunk[4 + i] = type.charCodeAt(i);
+        }
+        chunk.set(data, 8);
+        this.writeUint32BE(chunk, data.length + 8, this.integrity.crc32(chunk.subarray(4, data.length + 8)));
+        return chunk;
+    }
+
+    /**
+     * WebP: drop metadata chunks and, when possible, the extended header
+     */
+    slimWebp(bytes) {
+        const chunks = [];
+        const end = Math.min(bytes.length, 8 + this.readUint32LE(bytes, 4));
+        let offset = 12;
+        while (offset + 8 <= end) {
+            const fourCC = this.readFourCC(bytes, offset);
+            const size = this.readUint32LE(bytes, offset + 4);
+            if (offset + 8 + size > end) {
+                throw new Error(`WebP chunk ${fourCC} overruns the file`);
+            }
+            chunks.push({ fourCC, data: bytes.subarray(offset + 8, offset + 8 + size) });
+            offset += 8 + size + (size & 1);
+        }
+
+        const kept = chunks.filter(chunk => this.WEBP_KEEP.includes(chunk.fourCC));
+        const removed = chunks.filter(chunk => !this.WEBP_KEEP.includes(chunk.fourCC)).map(chunk => chunk.fourCC.trim());
+        const extended = kept.find(chunk => chunk.fourCC === 'VP8X');
+        const image = kept.find(chunk => chunk.fourCC === 'VP8 ' || chunk.fourCC === 'VP8L');
+
+        if (!extended) {
+            if (!image) {
+                throw new Error('WebP without image data');
+            }
+            return { bytes: this.writeRiff([image]), removed };
+        }
+
+        const animated = kept.some(chunk => chunk.fourCC === 'ANIM' || chunk.fourCC === 'ANMF');
+        const alpha = kept.some(chunk => chunk.fourCC === 'ALPH');
+        if (!animated && !alpha && image) {
+            // A simple file carries the same image; VP8L keeps its own alpha
+            removed.push('VP8X');
+            return { bytes: this.writeRiff([image]), removed };
+        }
+
+        const header = Uint8Array.from(extended.data);
+        header[0] &= ~(this.VP8X_FLAGS.ICC | this.VP8X_FLAGS.EXIF | this.VP8X_FLAGS.XMP);
+        return {
+            bytes: this.writeRiff(kept.map(chunk => chunk === extended ? { fourCC: 'VP8X', data: header } : chunk)),
+            removed
+        };
+    }
+
+    writeRiff(chunks) {
+        const size = 4 + chunks.reduce((sum, chunk) => sum + 8 + chunk.data.length + (chunk.data.length & 1), 0);
+        const output = new Uint8Array(8 + size);
+        const writeFourCC = (fourCC, at) => {
+            for (let i = 0; i < 4; i++) {
+                output[at + i] = fourCC.charCodeAt(i);
+            }
+        };
+        writeFourCC('RIFF', 0);
+        this.writeUint32LE(output, 4, size);
+        writeFourCC('WEBP', 8);
+        let offset = 12;
+        for (const chunk of chunks) {
+            writeFourCC(chunk.fourCC, offset);
+            this.writeUint32LE(output, offset + 4, chunk.data.length);
+            output.set(chunk.data, offset + 8);
+            offset += 8 + chunk.data.length + (chunk.data.length & 1);
+        }
+        return output;
+    }
+
+    /**
+     * GIF: copy every block except comments and non-looping application extensions
+     */
+    slimGif(bytes) {
+        const removed = [];
+        const parts = [];
+        const skipSubBlocks = (offset) => {
+            while (offset < bytes.length && bytes[offset] !== 0) {
+                offset += bytes[offset] + 1;
+            }
+            if (offset >= bytes.length) {
+                throw new Error('GIF data sub-blocks overrun the file');
+            }
+            return offset + 1;
+        };
+        const colorTableSize = (packed) => (packed & 0x80) ? 3 << ((packed & 0x07) + 1) : 0;
+
+        // Header and logical screen descriptor, with the global color table
+        let offset = 13 + colorTableSize(bytes[10]);
+        parts.push(bytes.subarray(0, offset));
+
+        for (;;) {
+            if (offset >= bytes.length) {
+                throw new Error('GIF without trailer');
+            }
+            const start = offset;
+            const block = bytes[offset];
+            if (block === this.GIF_BLOCKS.TRAILER) {
+                parts.push([block]);
+                break;
+            }
+
+            if (block === this.GIF_BLOCKS.IMAGE) {
+                offset += 10 + colorTableSize(bytes[offset + 9]);
+                // LZW minimum code size, then the data sub-blocks
+                offset = skipSubBlocks(offset + 1);
+                parts.push(bytes.subarray(start, offset));
+                continue;
+            }
+            if (block !== this.GIF_BLOCKS.EXTENSION) {
+                throw new Error(`unknown GIF block ${block.toString(16)} at byte ${offset}`);
+            }
+
+            const label = bytes[offset + 1];
+            offset = skipSubBlocks(offset + 2);
+            if (label === this.GIF_EXTENSIONS.COMMENT) {
+                removed.push('comment');
+                continue;
+            }
+            if (label === this.GIF_EXTENSIONS.APPLICATION) {
+                const identifier = String.fromCharCode(...bytes.subarray(start + 3, start + 14));
+                if (!this.GIF_KEEP_APPLICATIONS.includes(identifier)) {
+                    removed.push(identifier.trim());
+                    continue;
+                }
+            }
+            parts.push(bytes.subarray(start, offset));
+        }
+
+        return { bytes: this.concatBytes(parts), removed };
+    }
+
+    readFourCC(bytes, offset) {
+        return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    }
+
+    readUint32BE(bytes, offset) {
+        return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+    }
+
+    readUint32LE(bytes, offset) {
+        return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+    }
+
+    writeUint32BE(bytes, offset, value) {
+        bytes[offset] = value >>> 24;
+        bytes[offset + 1] = (value >>> 16) & 0xFF;
+        bytes[offset + 2] = (value >>> 8) & 0xFF;
+        bytes[offset + 3] = value & 0xFF;
+    }
+
+    writeUint32LE(bytes, offset, value) {
+        bytes[offset] = value & 0xFF;
+        bytes[offset + 1] = (value >>> 8) & 0xFF;
+        bytes[offset + 2] = (value >>> 16) & 0xFF;
+        bytes[offset + 3] = value >>> 24;
+    }
+
+    concatBytes(parts) {
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            output.set(part, offset);
+            offset += part.length;
+        }
+        return output;
+    }
+};
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.ImageSlimmer;
+}
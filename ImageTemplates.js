@@ -0,0 +1,536 @@
+/**
+ * ImageTemplates.js
+ *
+ * Canonical JPEG and WebP headers, so links carry only what differs.
+ *
+ * A small JPEG spends hundreds of bytes on boilerplate: the JFIF segment,
+ * quantization tables scaled from the standard ones, the standard Huffman
+ * tables and frame and scan headers that follow from the image size and
+ * sampling. strip() replaces every segment that matches a template with a
+ * one-byte token (the usual libjpeg header sequence with a single one) and
+ * keeps the parameters the templates need; anything else is kept verbatim.
+ * Simple WebP files lose their RIFF framing and fixed signature bytes.
+ *
+ * rebuild() turns the stripped payload back into the original file, byte for
+ * byte; strip() checks that before returning, so any file either strips
+ * losslessly or is left alone. The TEMPLATE link header flag marks stripped
+ * payloads (see GPUBitStreamEncoder.precompress).
+ *
+ * Stripped layout, after a template id byte:
+ * - JPEG: [width][height][sampling][quality][tokens up to the SOS][scan data]
+ *   Width and height are base-128 varints; sampling is the first component's
+ *   sampling factors (0 for grayscale); quality is the libjpeg quality of the
+ *   quantization tables (0 when they are not standard). EOI is implied.
+ * - WebP VP8: [frame tag][frame data after the 9d 01 2a start code]
+ * - WebP VP8L: [bitstream after the 0x2f signature]
+ */
+window.ImageTemplates = class ImageTemplates {
+    constructor() {
+        this.TEMPLATES = {
+            JPEG: 1,
+            WEBP_VP8: 2,
+            WEBP_VP8L: 3
+        };
+
+        // One byte per header segment; LIBJPEG_HEADERS stands for the whole
+        // sequence libjpeg writes (JFIF, DQT, SOF0, DHT, SOS)
+        this.JPEG_TOKENS = {
+            LIBJPEG_HEADERS: 0,
+            JFIF: 1,
+            DQT_LUMA: 2,
+            DQT_CHROMA: 3,
+            DQT_BOTH: 4,
+            SOF0: 5,
+            DHT_DC_LUMA: 6,
+            DHT_AC_LUMA: 7,
+            DHT_DC_CHROMA: 8,
+            DHT_AC_CHROMA: 9,
+            DHT_ALL: 10,
+            SOS: 11,
+            VERBATIM: 255           // Followed by the marker byte, varint body length and body
+        };
+
+        this.MARKERS = {
+            SOI: 0xD8,
+            EOI: 0xD9,
+            SOS: 0xDA,
+            DQT: 0xDB,
+            DHT: 0xC4,
+            SOF0: 0xC0,
+            APP0: 0xE0
+        };
+
+        // JFIF 1.01, no units, 1:1 pixel aspect, no thumbnail
+        this.JFIF_BODY = [0x4A, 0x46, 0x49, 0x46, 0x00, 0x01, 0x01, 0x00, 0x00, 0x01, 0x00, 0x01, 0x00, 0x00];
+
+        // ITU T.81 Annex K.1 quantization tables, natural order
+        this.STD_LUMA_QUANT = [
+            16, 11, 10, 16, 24, 40, 51, 61,
+            12, 12, 14, 19, 26, 58, 60, 55,
+            14, 13, 16, 24, 40, 57, 69, 56,
+            14, 17, 22, 29, 51, 87, 80, 62,
+            18, 22, 37, 56, 68, 109, 103, 77,
+            24, 35, 55, 64, 81, 104, 113, 92,
+            49, 64, 78, 87, 103, 121, 120, 101,
+            72, 92, 95, 98, 112, 100, 103, 99
+        ];
+        this.STD_CHROMA_QUANT = [
+            17, 18, 24, 47, 99, 99, 99, 99,
+            18, 21, 26, 66, 99, 99, 99, 99,
+            24, 26, 56, 99, 99, 99, 99, 99,
+            47, 66, 99, 99, 99, 99, 99, 99,
+            ...new Array(32).fill(99)
+        ];
+
+        // Zigzag position -> natural position
+        this.ZIGZAG = [
+            0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+            12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+            35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+            58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+        ];
+
+        // ITU T.81 Annex K.3 Huffman tables: code counts per length 1..16, then symbols
+        this.STD_HUFFMAN = {
+            DC_LUMA: {
+                tableClass: 0x00,
+                counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0],
+                symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+            },
+            AC_LUMA: {
+                tableClass: 0x10,
+                counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7D],
+                symbols: [
+                    0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+                    0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xA1, 0x08, 0x23, 0x42, 0xB1, 0xC1, 0x15, 0x52, 0xD1, 0xF0,
+                    0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0A, 0x16, 0x17, 0x18, 0x19, 0x1A, 0x25, 0x26, 0x27, 0x28,
+                    0x29, 0x2A, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3A, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+                    0x4A, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5A, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+                    0x6A, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7A, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+                    0x8A, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9A, 0xA2, 0xA3, 0xA4, 0xA5, 0xA6, 0xA7,
+                    0xA8, 0xA9, 0xAA, 0xB2, 0xB3, 0xB4, 0xB5, 0xB6, 0xB7, 0xB8, 0xB9, 0xBA, 0xC2, 0xC3, 0xC4, 0xC5,
+                    0xC6, 0xC7, 0xC8, 0xC9, 0xCA, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8, 0xD9, 0xDA, 0xE1, 0xE2,
+                    0xE3, 0xE4, 0xE5, 0xE6, 0xE7, 0xE8, 0xE9, 0xEA, 0xF1, 0xF2, 0xF3, 0xF4, 0xF5, 0xF6, 0xF7, 0xF8,
+                    0xF9, 0xFA
+                ]
+            },
+            DC_CHROMA: {
+                tableClass: 0x01,
+                counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0],
+                symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+            },
+            AC_CHROMA: {
+                tableClass: 0x11,
+                counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+                symbols: [
+                    0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+                    0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xA1, 0xB1, 0xC1, 0x09, 0x23, 0x33, 0x52, 0xF0,
+                    0x15, 0x62, 0x72, 0xD1, 0x0A, 0x16, 0x24, 0x34, 0xE1, 0x25, 0xF1, 0x17, 0x18, 0x19, 0x1A, 0x26,
+                    0x27, 0x28, 0x29, 0x2A, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3A, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+                    0x49, 0x4A, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5A, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+                    0x69, 0x6A, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7A, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+                    0x88, 0x89, 0x8A, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9A, 0xA2, 0xA3, 0xA4, 0xA5,
+                    0xA6, 0xA7, 0xA8, 0xA9, 0xAA, 0xB2, 0xB3, 0xB4, 0xB5, 0xB6, 0xB7, 0xB8, 0xB9, 0xBA, 0xC2, 0xC3,
+                    0xC4, 0xC5, 0xC6, 0xC7, 0xC8, 0xC9, 0xCA, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8, 0xD9, 0xDA,
+                    0xE2, 0xE3, 0xE4, 0xE5, 0xE6, 0xE7, 0xE8, 0xE9, 0xEA, 0xF2, 0xF3, 0xF4, 0xF5, 0xF6, 0xF7, 0xF8,
+                    0xF9, 0xFA
+                ]
+            }
+        };
+
+        this.VP8_START_CODE = [0x9D, 0x01, 0x2A];
+        this.VP8L_SIGNATURE = 0x2F;
+    }
+
+    /**
+     * Strip the canonical headers of a JPEG or simple WebP file
+     * @param {ArrayBuffer|Uint8Array} data - Image file
+     * @returns {Uint8Array|null} Stripped payload, or null when the file has no
+     *   template or would not get shorter
+     */
+    strip(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+        try {
+            let stripped = null;
+            if (bytes[0] === 0xFF && bytes[1] === this.MARKERS.SOI) {
+                stripped = this.stripJpeg(bytes);
+            } else if (this.readFourCC(bytes, 0) === 'RIFF' && this.readFourCC(bytes, 8) === 'WEBP') {
+                stripped = this.stripWebp(bytes);
+            }
+
+            if (!stripped || stripped.length >= bytes.length || !this.equalBytes(this.rebuild(stripped), bytes)) {
+                return null;
+            }
+            return stripped;
+        } catch (error) {
+            console.warn('ImageTemplates: could not parse image, keeping it whole:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Rebuild the original file from a stripped payload
+     * @param {ArrayBuffer|Uint8Array} data - Payload from strip()
+     * @returns {Uint8Array} Image file
+     */
+    rebuild(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+        switch (bytes[0]) {
+            case this.TEMPLATES.JPEG:
+                return this.rebuildJpeg(bytes);
+            case this.TEMPLATES.WEBP_VP8:
+                return this.writeRiff('VP8 ', this.concatBytes([bytes.subarray(1, 4), this.VP8_START_CODE, bytes.subarray(4)]));
+            case this.TEMPLATES.WEBP_VP8L:
+                return this.writeRiff('VP8L', this.concatBytes([[this.VP8L_SIGNATURE], bytes.subarray(1)]));
+            default:
+                throw new Error(`ImageTemplates: unknown template id ${bytes[0]}`);
+        }
+    }
+
+    /**
+     * Tokenize the header segments of a JPEG against the templates
+     */
+    stripJpeg(bytes) {
+        const { segments, scanStart } = this.parseJpegHeaders(bytes);
+        if (bytes[bytes.length - 2] !== 0xFF || bytes[bytes.length - 1] !== this.MARKERS.EOI) {
+            return null;
+        }
+
+        const params = this.getJpegParams(segments);
+        const templates = this.getJpegTemplates(params);
+        const tokens = segments.map(segment => {
+            const encoded = this.writeSegment(segment.marker, segment.body);
+            const match = templates.find(template => this.equalBytes(template.bytes, encoded));
+            return match ? match.token : segment;
+        });
+
+        // The usual sequence from libjpeg collapses to a single token
+        const sequence = this.getLibjpegSequence(params);
+        const collapsed = tokens.length === sequence.length && tokens.every((token, i) => token === sequence[i]);
+
+        const parts = [
+            [this.TEMPLATES.JPEG],
+            this.writeVarint(params.width),
+            this.writeVarint(params.height),
+            [params.sampling, params.quality]
+        ];
+        for (const token of collapsed ? [this.JPEG_TOKENS.LIBJPEG_HEADERS] : tokens) {
+            if (typeof token === 'number') {
+                parts.push([token]);
+            } else {
+                parts.push([this.JPEG_TOKENS.VERBATIM, token.marker], this.writeVarint(token.body.length), token.body);
+            }
+        }
+        parts.push(bytes.subarray(scanStart, bytes.length - 2));
+        return this.concatBytes(parts);
+    }
+
+    /**
+     * Split a JPEG into the marker segments up to and including the first SOS
+     * @returns {{segments: Array<{marker: number, body: Uint8Array}>, scanStart: number}}
+     */
+    parseJpegHeaders(bytes) {
+        const segments = [];
+        let offset = 2;
+        while (offset + 4 <= bytes.length) {
+            if (bytes[offset] !== 0xFF) {
+                throw new Error(`expected a marker at byte ${offset}`);
+            }
+            const marker = bytes[offset + 1];
+            const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+            if (length < 2 || offset + 2 + length > bytes.length) {
+                throw new Error(`segment ${marker.toString(16)} overruns the file`);
+            }
+
+            segments.push({ marker, body: bytes.subarray(offset + 4, offset + 2 + length) });
+            offset += 2 + length;
+            if (marker === this.MARKERS.SOS) {
+                return { segments, scanStart: offset };
+            }
+        }
+        throw new Error('no start of scan');
+    }
+
+    /**
+     * Template parameters of a JPEG: size and sampling from a baseline frame
+     * header, quality from a standard luminance table
+     */
+    getJpegParams(segments) {
+        const params = { width: 0, height: 0, sampling: 0, quality: 0 };
+
+        const frame = segments.find(segment => segment.marker === this.MARKERS.SOF0);
+        if (frame && frame.body.length >= 9) {
+            params.height = (frame.body[1] << 8) | frame.body[2];
+            params.width = (frame.body[3] << 8) | frame.body[4];
+            params.sampling = frame.body[5] === 1 ? 0 : frame.body[7];
+        }
+
+        const tables = segments.find(segment => segment.marker === this.MARKERS.DQT && segment.body[0] === 0);
+        if (tables && tables.body.length >= 65) {
+            for (let quality = 1; quality <= 100; quality++) {
+                const scaled = this.getQuantTable(this.STD_LUMA_QUANT, quality);
+                if (scaled.every((value, i) => value === tables.body[1 + i])) {
+                    params.quality = quality;
+                    break;
+                }
+            }
+        }
+        return params;
+    }
+
+    /**
+     * Segments each token stands for with the given parameters
+     * @returns {Array<{token: number, bytes: Uint8Array}>}
+     */
+    getJpegTemplates(params) {
+        return Object.values(this.JPEG_TOKENS)
+            .filter(token => token !== this.JPEG_TOKENS.LIBJPEG_HEADERS && token !== this.JPEG_TOKENS.VERBATIM)
+            .map(token => ({ token, bytes: this.getJpegSegment(token, params) }))
+            .filter(template => template.bytes !== null);
+    }
+
+    /**
+     * Tokens of the header sequence libjpeg writes for the parameters
+     */
+    getLibjpegSequence(params) {
+        const tokens = this.JPEG_TOKENS;
+        return params.sampling === 0
+            ? [tokens.JFIF, tokens.DQT_LUMA, tokens.SOF0, tokens.DHT_DC_LUMA, tokens.DHT_AC_LUMA, tokens.SOS]
+            : [tokens.JFIF, tokens.DQT_LUMA, tokens.DQT_CHROMA, tokens.SOF0,
+                tokens.DHT_DC_LUMA, tokens.DHT_AC_LUMA, tokens.DHT_DC_CHROMA, tokens.DHT_AC_CHROMA, tokens.SOS];
+    }
+
+    /**
+     * Write the segment a token stands for
+     * @returns {Uint8Array|null} Segment with marker and length, or null when
+     *   the parameters do not define it
+     */
+    getJpegSegment(token, params) {
+        const tokens = this.JPEG_TOKENS;
+        const huffman = this.STD_HUFFMAN;
+        const components = params.sampling === 0 ? 1 : 3;
+
+        switch (token) {
+            case tokens.JFIF:
+                return this.writeSegment(this.MARKERS.APP0, this.JFIF_BODY);
+            case tokens.DQT_LUMA:
+            case tokens.DQT_CHROMA:
+            case tokens.DQT_BOTH: {
+                if (params.quality === 0) {
+                    return null;
+                }
+                const luma = [0, ...this.getQuantTable(this.STD_LUMA_QUANT, params.quality)];
+                const chroma = [1, ...this.getQuantTable(this.STD_CHROMA_QUANT, params.quality)];
+                const body = token === tokens.DQT_LUMA ? luma : token === tokens.DQT_CHROMA ? chroma : [...luma, ...chroma];
+                return this.writeSegment(this.MARKERS.DQT, body);
+            }
+            case tokens.SOF0: {
+                if (params.width === 0 || params.height === 0) {
+                    return null;
+                }
+                const body = [8, params.height >> 8, params.height & 0xFF, params.width >> 8, params.width & 0xFF, components];
+                for (let i = 0; i < components; i++) {
+                    body.push(i + 1, i === 0 ? (params.sampling || 0x11) : 0x11, i === 0 ? 0 : 1);
+                }
+                return this.writeSegment(this.MARKERS.SOF0, body);
+            }
+            case tokens.DHT_DC_LUMA:
+                return this.writeSegment(this.MARKERS.DHT, this.getHuffmanBody(huffman.DC_LUMA));
+            case tokens.DHT_AC_LUMA:
+                return this.writeSegment(this.MARKERS.DHT, this.getHuffmanBody(huffman.AC_LUMA));
+            case tokens.DHT_DC_CHROMA:
+                return this.writeSegment(this.MARKERS.DHT, this.getHuffmanBody(huffman.DC_CHROMA));
+            case tokens.DHT_AC_CHROMA:
+                return this.writeSegment(this.MARKERS.DHT, this.getHuffmanBody(huffman.AC_CHROMA));
+            case tokens.DHT_ALL:
+                return this.writeSegment(this.MARKERS.DHT, [huffman.DC_LUMA, huffman.AC_LUMA, huffman.DC_CHROMA, huffman.AC_CHROMA]
+                    .flatMap(table => this.getHuffmanBody(table)));
+            case tokens.SOS: {
+                const body = [components];
+                for (let i = 0; i < components; i++) {
+                    body.push(i + 1, i === 0 ? 0x00 : 0x11);
+                }
+                body.push(0, 63, 0);
+                return this.writeSegment(this.MARKERS.SOS, body);
+            }
+            default:
+                throw new Error(`ImageTemplates: unknown JPEG token ${token}`);
+        }
+    }
+
+    /**
+     * Quantization table scaled as libjpeg does for a quality (baseline, zigzag order)
+     * @param {number[]} base - Annex K table in natural order
+     * @param {number} quality - Quality 1..100
+     * @returns {number[]} 64 values in zigzag order
+     */
+    getQuantTable(base, quality) {
+        const scale = quality < 50 ? Math.floor(5000 / quality) : 200 - quality * 2;
+        return this.ZIGZAG.map(position =>
+            Math.min(255, Math.max(1, Math.floor((base[position] * scale + 50) / 100))));
+    }
+
+    /**
+     * DHT body of a Huffman table: class and id, counts, symbols
+     */
+    getHuffmanBody(table) {
+        return [table.tableClass, ...table.counts, ...table.symbols];
+    }
+
+    /**
+     * Expand a stripped JPEG payload
+     */
+    rebuildJpeg(bytes) {
+        const reader = { bytes, offset: 1 };
+        const params = {
+            width: this.readVarint(reader),
+            height: this.readVarint(reader),
+            sampling: bytes[reader.offset++],
+            quality: bytes[reader.offset++]
+        };
+
+        const parts = [[0xFF, this.MARKERS.SOI]];
+        let scanStarted = false;
+        while (!scanStarted) {
+            if (reader.offset >= bytes.length) {
+                throw new Error('ImageTemplates: stripped JPEG ends before its scan');
+            }
+
+            const token = bytes[reader.offset++];
+            if (token === this.JPEG_TOKENS.LIBJPEG_HEADERS) {
+                for (const item of this.getLibjpegSequence(params)) {
+                    parts.push(this.getJpegSegment(item, params));
+                }
+                scanStarted = true;
+            } else if (token === this.JPEG_TOKENS.VERBATIM) {
+                const marker = bytes[reader.offset++];
+                const length = this.readVarint(reader);
+                parts.push(this.writeSegment(marker, bytes.subarray(reader.offset, reader.offset + length)));
+                reader.offset += length;
+                scanStarted = marker === this.MARKERS.SOS;
+            } else {
+                const segment = this.getJpegSegment(token, params);
+                if (!segment) {
+                    throw new Error(`ImageTemplates: JPEG token ${token} needs parameters the payload does not have`);
+                }
+                parts.push(segment);
+                scanStarted = token === this.JPEG_TOKENS.SOS;
+            }
+        }
+
+        parts.push(bytes.subarray(reader.offset), [0xFF, this.MARKERS.EOI]);
+        return this.concatBytes(parts);
+    }
+
+    /**
+     * Strip the RIFF framing of a WebP file with a single VP8 or VP8L chunk
+     * Extended files (VP8X, with alpha, animation or metadata) are kept whole.
+     */
+    stripWebp(bytes) {
+        if (bytes.length < 20) {
+            return null;
+        }
+        const fourCC = this.readFourCC(bytes, 12);
+        const chunkSize = this.readUint32LE(bytes, 16);
+        if (20 + chunkSize + (chunkSize & 1) !== bytes.length) {
+            return null;
+        }
+
+        const chunk = bytes.subarray(20, 20 + chunkSize);
+        if (fourCC === 'VP8 ' && chunk.length >= 10 && this.VP8_START_CODE.every((value, i) => chunk[3 + i] === value)) {
+            return this.concatBytes([[this.TEMPLATES.WEBP_VP8], chunk.subarray(0, 3), chunk.subarray(6)]);
+        }
+        if (fourCC === 'VP8L' && chunk.length >= 5 && chunk[0] === this.VP8L_SIGNATURE) {
+            return this.concatBytes([[this.TEMPLATES.WEBP_VP8L], chunk.subarray(1)]);
+        }
+        return null;
+    }
+
+    /**
+     * Wrap one chunk in a WebP RIFF container, padded to an even length
+     */
+    writeRiff(fourCC, chunk) {
+        const padding = chunk.length & 1;
+        const output = new Uint8Array(20 + chunk.length + padding);
+        const view = new DataView(output.buffer);
+        output.set([...'RIFF'].map(char => char.charCodeAt(0)), 0);
+        view.setUint32(4, 12 + chunk.length + padding, true);
+        output.set([...'WEBP'].map(char => char.charCodeAt(0)), 8);
+        output.set([...fourCC].map(char => char.charCodeAt(0)), 12);
+        view.setUint32(16, chunk.length, true);
+        output.set(chunk, 20);
+        return output;
+    }
+
+    /**
+     * Marker segment with its length field
+     */
+    writeSegment(marker, body) {
+        const length = body.length + 2;
+        return this.concatBytes([[0xFF, marker, length >> 8, length & 0xFF], body]);
+    }
+
+    /**
+     * Unsigned base-128 varint, low groups first
+     */
+    writeVarint(value) {
+        const bytes = [];
+        do {
+            bytes.push((value & 0x7F) | (value > 0x7F ? 0x80 : 0));
+            value >>>= 7;
+        } while (value > 0);
+        return bytes;
+    }
+
+    readVarint(reader) {
+        let value = 0;
+        let shift = 0;
+        let byte;
+        do {
+            if (reader.offset >= reader.bytes.length) {
+                throw new Error('ImageTemplates: truncated varint');
+            }
+            byte = reader.bytes[reader.offset++];
+            value += (byte & 0x7F) * 2 ** shift;
+            shift += 7;
+        } while (byte & 0x80);
+        return value;
+    }
+
+    readFourCC(bytes, offset) {
+        return bytes.length < offset + 4 ? '' : String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    }
+
+    readUint32LE(bytes, offset) {
+        return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+    }
+
+    concatBytes(parts) {
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let offset = 0;
+        for (const part of parts) {
+            output.set(part, offset);
+            offset += part.length;
+        }
+        return output;
+    }
+
+    equalBytes(a, b) {
+        if (a.length !== b.length) {
+            return false;
+        }
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] !== b[i]) {
+                return false;
+            }
+        }
+        return true;
+    }
+};
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.ImageTemplates;
+}
@@ -0,0 +1,242 @@
+/**
+ * IntegrityCheck.js
+ *
+ * Strong integrity checks for encoded links, written as base-RADIX characters.
+ * A single checksum character lets about 1 in RADIX corrupted links through;
+ * a 5-character CRC-32 lets through about 1 in 4 billion.
+ *
+ * Algorithms (ids from CONFIG.LINK_HEADER.INTEGRITY_ALGORITHMS):
+ * - CRC32: fast, synchronous, 32 bits
+ * - SHA256: WebCrypto when available; pure JS fallback for insecure contexts,
+ *   where crypto.subtle does not exist. Truncated to the configured length.
+ */
+window.IntegrityCheck = class IntegrityCheck {
+    /**
+     * @param {string} safeChars - Character set for the check characters
+     */
+    constructor(safeChars = window.CONFIG?.SAFE_CHARS) {
+        if (!safeChars || typeof safeChars !== 'string') {
+            throw new Error('IntegrityCheck: Invalid safeChars parameter');
+        }
+
+        this.SAFE_CHARS = safeChars;
+        this.RADIX = safeChars.length;
+        this.radixBig = BigInt(this.RADIX);
+        this.ALGORITHMS = window.CONFIG?.LINK_HEADER?.INTEGRITY_ALGORITHMS || { CRC32: 1, SHA256: 2 };
+
+        // Digest sizes in bits
+        this.DIGEST_BITS = { CRC32: 32, SHA256: 256 };
+
+        this.crcTable = null;
+    }
+
+    /**
+     * Get the header id for an algorithm name
+     * @param {string} name - Algorithm name
+     * @returns {number}
+     */
+    getAlgorithmId(name) {
+        const id = this.ALGORITHMS[name];
+        if (id === undefined) {
+            throw new Error(`IntegrityCheck: unknown algorithm ${name}`);
+        }
+        return id;
+    }
+
+    /**
+     * Get the algorithm name for a header id
+     * @param {number} id - Algorithm id
+     * @returns {string}
+     */
+    getAlgorithmName(id) {
+        const entry = Object.entries(this.ALGORITHMS).find(([, value]) => value === id);
+        if (!entry) {
+            throw new Error(`IntegrityCheck: unknown algorithm id ${id}`);
+        }
+        return entry[0];
+    }
+
+    /**
+     * Number of characters that hold the full digest; more would always be zero
+     * @param {string} name - Algorithm name
+     * @returns {number}
+     */
+    getDigestChars(name) {
+        return Math.ceil(this.DIGEST_BITS[name] / Math.log2(this.RADIX));
+    }
+
+    /**
+     * Compute a check value as characters
+     * @param {Uint8Array} bytes - Data to check
+     * @param {string} name - Algorithm name
+     * @param {number} charCount - Check length in characters
+     * @returns {Promise<string>}
+     */
+    async computeCheck(bytes, name, charCount) {
+        return this.toChars(await this.digest(bytes, name), charCount);
+    }
+
+    /**
+     * Synchronous computeCheck (pure JS for every algorithm)
+     * @returns {string}
+     */
+    computeCheckSync(bytes, name, charCount) {
+        return this.toChars(this.digestSync(bytes, name), charCount);
+    }
+
+    /**
+     * Compute a digest, using WebCrypto where available
+     * @param {Uint8Array} bytes - Data to hash
+     * @param {string} name - Algorithm name
+     * @returns {Promise<Uint8Array>}
+     */
+    async digest(bytes, name) {
+        const subtle = globalThis.crypto?.subtle;
+        if (name === 'SHA256' && subtle) {
+            return new Uint8Array(await subtle.digest('SHA-256', bytes));
+        }
+        return this.digestSync(bytes, name);
+    }
+
+    /**
+     * Compute a digest synchronously
+     * @param {Uint8Array} bytes - Data to hash
+     * @param {string} name - Algorithm name
+     * @returns {Uint8Array} Digest bytes, big-endian
+     */
+    digestSync(bytes, name) {
+        switch (name) {
+            case 'CRC32': {
+                const crc = this.crc32(bytes);
+                return new Uint8Array([crc >>> 24, (crc >>> 16) & 0xFF, (crc >>> 8) & 0xFF, crc & 0xFF]);
+            }
+            case 'SHA256':
+                return this.sha256(bytes);
+            default:
+                throw new Error(`IntegrityCheck: unknown algorithm ${name}`);
+        }
+    }
+
+    /**
+     * Truncate a digest to charCount base-RADIX characters
+     * Keeps the digest value modulo RADIX^charCount, most significant digit first
+     * @param {Uint8Array} digest - Digest bytes
+     * @param {number} charCount - Number of characters
+     * @returns {string}
+     */
+    toChars(digest, charCount) {
+        let value = 0n;
+        for (let i = 0; i < digest.length; i++) {
+            value = (value << 8n) | BigInt(digest[i]);
+        }
+
+        const chars = new Array(charCount);
+        for (let i = charCount - 1; i >= 0; i--) {
+            chars[i] = this.SAFE_CHARS[Number(value % this.radixBig)];
+            value /= this.radixBig;
+        }
+        return chars.join('');
+    }
+
+    /**
+     * CRC-32 (IEEE 802.3, reflected polynomial 0xEDB88320)
+     * @param {Uint8Array} bytes - Data
+     * @returns {number} Unsigned 32-bit CRC
+     */
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * SHA-256 (FIPS 180-4), pure JS fallback for contexts without WebCrypto
+     * @param {Uint8Array} bytes - Data
+     * @returns {Uint8Array} 32-byte digest
+     */
+    sha256(bytes) {
+        const K = IntegrityCheck.SHA256_K;
+        const H = new Uint32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+            0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+
+        // Pad: 0x80, zeros, then the bit length as a 64-bit big-endian integer
+        const paddedLength = Math.ceil((bytes.length + 9) / 64) * 64;
+        const padded = new Uint8Array(paddedLength);
+        padded.set(bytes);
+        padded[bytes.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        const bitLength = bytes.length * 8;
+        view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+        view.setUint32(paddedLength - 4, bitLength >>> 0);
+
+        const w = new Uint32Array(64);
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        for (let offset = 0; offset < paddedLength; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                w[i] = view.getUint32(offset + i * 4);
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) >>> 0;
+            }
+
+            let [a, b, c, d, e, f, g, h] = H;
+            for (let i = 0; i < 64; i++) {
+                const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+                const ch = (e & f) ^ (~e & g);
+                const t1 = (h + S1 + ch + K[i] + w[i]) >>> 0;
+                const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const t2 = (S0 + maj) >>> 0;
+                h = g; g = f; f = e;
+                e = (d + t1) >>> 0;
+                d = c; c = b; b = a;
+                a = (t1 + t2) >>> 0;
+            }
+
+            H[0] += a; H[1] += b; H[2] += c; H[3] += d;
+            H[4] += e; H[5] += f; H[6] += g; H[7] += h;
+        }
+
+        const result = new Uint8Array(32);
+        const resultView = new DataView(result.buffer);
+        for (let i = 0; i < 8; i++) {
+            resultView.setUint32(i * 4, H[i]);
+        }
+        return result;
+    }
+};
+
+// SHA-256 round constants
+window.IntegrityCheck.SHA256_K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.IntegrityCheck;
+}
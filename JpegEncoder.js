@@ -0,0 +1,727 @@
+/**
+ * JpegEncoder.js
+ *
+ * Deterministic JPEG encoder in plain JavaScript, an alternative to
+ * canvas.toBlob('image/jpeg') (see CONFIG.ADVANCED.JPEG_ENCODER).
+ *
+ * Browsers encode JPEG with their own settings: one quality knob, default
+ * Huffman tables, fixed subsampling, and output that differs between them.
+ * This encoder exposes what the link size depends on:
+ * - quality (libjpeg scaling of the standard tables) or custom quantization matrices
+ * - chroma subsampling: '4:4:4', '4:2:0' or 'gray'
+ * - Huffman tables optimized for the image (ITU T.81 Annex K.2)
+ * - progressive mode (spectral selection scans, always with optimized tables)
+ *
+ * Every step uses integer arithmetic in the same way as libjpeg (color
+ * conversion, downsampling, the islow DCT, rounding in quantization, dummy
+ * blocks at the edges), so the same pixels give the same bytes on every
+ * browser, and baseline output matches libjpeg's for the same settings.
+ * Headers are laid out as libjpeg writes them, so ImageTemplates can strip
+ * them from links.
+ */
+window.JpegEncoder = class JpegEncoder {
+    constructor() {
+        if (!window.ImageTemplates) {
+            throw new Error('JpegEncoder: ImageTemplates.js not available');
+        }
+        // Standard tables, zigzag order and segment writers are shared with the templates
+        this.templates = new window.ImageTemplates();
+
+        // Sampling factors [h, v] per component
+        this.SUBSAMPLING = {
+            '4:4:4': [[1, 1], [1, 1], [1, 1]],
+            '4:2:0': [[2, 2], [1, 1], [1, 1]],
+            gray: [[1, 1]]
+        };
+
+        // Progressive scan script: DC of every component, then AC bands per component.
+        // Spectral selection only (no successive approximation), so each coefficient is sent once.
+        this.PROGRESSIVE_SCRIPT = [
+            { components: null, start: 0, end: 0 },
+            { components: [0], start: 1, end: 5 },
+            { components: [2], start: 1, end: 63 },
+            { components: [1], start: 1, end: 63 },
+            { components: [0], start: 6, end: 63 }
+        ];
+
+        this.MARKERS = {
+            SOF2: 0xC2,
+            ...this.templates.MARKERS
+        };
+
+        // Integer DCT (libjpeg jfdctint.c): 13-bit constants, 2 extra bits between passes
+        this.CONST_BITS = 13;
+        this.PASS1_BITS = 2;
+        this.FIX = {
+            F0_298631336: 2446,
+            F0_390180644: 3196,
+            F0_541196100: 4433,
+            F0_765366865: 6270,
+            F0_899976223: 7373,
+            F1_175875602: 9633,
+            F1_501321110: 12299,
+            F1_847759065: 15137,
+            F1_961570560: 16069,
+            F2_053119869: 16819,
+            F2_562915447: 20995,
+            F3_072711026: 25172
+        };
+
+        // Natural position -> zigzag position, for writing tables
+        this.ZIGZAG = this.templates.ZIGZAG;
+    }
+
+    /**
+     * Encode RGBA pixels as JPEG
+     * Transparent pixels are composited over black, as canvas export does.
+     * @param {Object} image - { width, height, data } with RGBA data (ImageData or similar)
+     * @param {Object} [options] - Encoding options
+     * @param {number} [options.quality=0.85] - Quality 0-1, as for canvas.toBlob
+     * @param {Object} [options.quantization] - { luma, chroma }: 64 values 1-255 in natural order, replacing the scaled standard tables
+     * @param {string} [options.subsampling='4:2:0'] - '4:4:4', '4:2:0' or 'gray'
+     * @param {boolean} [options.optimizeHuffman=false] - Build Huffman tables for this image instead of the standard ones
+     * @param {boolean} [options.progressive=false] - Write a progressive JPEG (implies optimized tables)
+     * @returns {Uint8Array} JPEG file
+     */
+    encode(image, options = {}) {
+        const { width, height, data } = image || {};
+        if (!(width >= 1 && height >= 1 && width <= 65535 && height <= 65535)) {
+            throw new Error(`JpegEncoder: invalid image size ${width}x${height}`);
+        }
+        if (!data || data.length < width * height * 4) {
+            throw new Error('JpegEncoder: image data must hold width * height RGBA pixels');
+        }
+
+        const subsampling = options.subsampling || '4:2:0';
+        if (!this.SUBSAMPLING[subsampling]) {
+            throw new Error(`JpegEncoder: unknown subsampling ${subsampling}`);
+        }
+        const quantTables = this.getQuantTables(options.quality, options.quantization, subsampling === 'gray');
+        const frame = this.createFrame(width, height, subsampling);
+        const planes = this.convertColors(frame, data);
+        frame.components.forEach((component, i) => {
+            this.computeCoefficients(frame, component, this.downsample(frame, component, planes[i]), quantTables[component.quantTable]);
+        });
+
+        return this.writeFile(frame, quantTables, options);
+    }
+
+    /**
+     * Write a JPEG file from quantized coefficients
+     * Also used by JpegOptimizer to re-encode coefficients read from a file.
+     * @param {Object} frame - Frame layout (createFrame) with component coefficients in natural order
+     * @param {number[][]} quantTables - Quantization tables in natural order, indexed by component.quantTable
+     * @param {Object} [options] - { optimizeHuffman, progressive }, as for encode
+     * @returns {Uint8Array} JPEG file
+     */
+    writeFile(frame, quantTables, options = {}) {
+        const progressive = !!options.progressive;
+        const optimize = progressive || !!options.optimizeHuffman;
+
+        const parts = [[0xFF, this.MARKERS.SOI], this.templates.getJpegSegment(this.templates.JPEG_TOKENS.JFIF, {})];
+        quantTables.forEach((table, id) => {
+            parts.push(this.templates.writeSegment(this.MARKERS.DQT, [id, ...this.ZIGZAG.map(position => table[position])]));
+        });
+        parts.push(this.writeFrameHeader(frame, progressive));
+
+        const scans = progressive
+            ? this.PROGRESSIVE_SCRIPT
+                .map(scan => ({ ...scan, components: (scan.components || frame.components.map((_, i) => i)).filter(i => i < frame.components.length) }))
+                .filter(scan => scan.components.length > 0)
+            : [{ components: frame.components.map((_, i) => i), start: 0, end: 63 }];
+
+        for (const scan of scans) {
+            scan.components = scan.components.map(i => frame.components[i]);
+            const tables = optimize ? this.getOptimalTables(frame, scan) : this.getStandardTables(scan);
+            parts.push(...tables.map(table => this.templates.writeSegment(this.MARKERS.DHT, this.templates.getHuffmanBody(table))));
+            parts.push(this.writeScanHeader(scan, progressive));
+            parts.push(this.encodeScan(frame, scan, tables));
+        }
+
+        parts.push([0xFF, this.MARKERS.EOI]);
+        return this.templates.concatBytes(parts);
+    }
+
+    /**
+     * Quantization tables in natural order: [luma] or [luma, chroma]
+     */
+    getQuantTables(quality = 0.85, quantization = null, gray = false) {
+        let tables;
+        if (quantization) {
+            tables = [quantization.luma, quantization.chroma || quantization.luma];
+            for (const table of tables) {
+                if (!Array.isArray(table) && !ArrayBuffer.isView(table) || table.length !== 64 ||
+                    Array.from(table).some(value => !Number.isInteger(value) || value < 1 || value > 255)) {
+                    throw new Error('JpegEncoder: quantization tables need 64 integers from 1 to 255');
+                }
+            }
+            tables = tables.map(table => Array.from(table));
+        } else {
+            // Canvas quality 0-1 maps to libjpeg quality 1-100
+            const scaled = Math.min(100, Math.max(1, Math.round(quality * 100)));
+            const natural = (base) => {
+                const zigzag = this.templates.getQuantTable(base, scaled);
+                const table = new Array(64);
+                this.ZIGZAG.forEach((position, i) => {
+                    table[position] = zigzag[i];
+                });
+                return table;
+            };
+            tables = [natural(this.templates.STD_LUMA_QUANT), natural(this.templates.STD_CHROMA_QUANT)];
+        }
+        return gray ? tables.slice(0, 1) : tables;
+    }
+
+    /**
+     * Frame layout: components with sampling factors and block counts
+     * Blocks cover whole MCUs; those past the component's real size are dummies.
+     */
+    createFrame(width, height, subsampling) {
+        const sampling = this.SUBSAMPLING[subsampling];
+        const maxH = Math.max(...sampling.map(([h]) => h));
+        const maxV = Math.max(...sampling.map(([, v]) => v));
+        const mcusPerLine = Math.ceil(width / (8 * maxH));
+        const mcuRows = Math.ceil(height / (8 * maxV));
+
+        const components = sampling.map(([h, v], i) => ({
+            id: i + 1,
+            h,
+            v,
+            quantTable: i === 0 ? 0 : 1,
+            dcTable: i === 0 ? 0 : 1,
+            acTable: i === 0 ? 0 : 1,
+            widthInBlocks: Math.ceil(width * h / (8 * maxH)),
+            heightInBlocks: Math.ceil(height * v / (8 * maxV)),
+            blocksPerLine: mcusPerLine * h,
+            blockRows: mcuRows * v,
+            coefficients: null
+        }));
+
+        return { width, height, maxH, maxV, mcusPerLine, mcuRows, components };
+    }
+
+    /**
+     * RGB(A) to Y or YCbCr planes at full resolution, padded to whole MCUs by
+     * repeating the last column and row (libjpeg jccolor.c, 16-bit fixed point)
+     */
+    convertColors(frame, data) {
+        const paddedWidth = frame.mcusPerLine * 8 * frame.maxH;
+        const paddedHeight = frame.mcuRows * 8 * frame.maxV;
+        const gray = frame.components.length === 1;
+        const planes = frame.components.map(() => new Uint8Array(paddedWidth * paddedHeight));
+
+        for (let y = 0; y < paddedHeight; y++) {
+            const sourceRow = Math.min(y, frame.height - 1) * frame.width;
+            for (let x = 0; x < paddedWidth; x++) {
+                const source = (sourceRow + Math.min(x, frame.width - 1)) * 4;
+                const alpha = data[source + 3];
+                let r = data[source];
+                let g = data[source + 1];
+                let b = data[source + 2];
+                if (alpha !== 255) {
+                    r = Math.floor((r * alpha + 127) / 255);
+                    g = Math.floor((g * alpha + 127) / 255);
+                    b = Math.floor((b * alpha + 127) / 255);
+                }
+
+                const index = y * paddedWidth + x;
+                planes[0][index] = (19595 * r + 38470 * g + 7471 * b + 32768) >> 16;
+                if (!gray) {
+                    planes[1][index] = (-11059 * r - 21709 * g + 32768 * b + 8421375) >> 16;
+                    planes[2][index] = (32768 * r - 27439 * g - 5329 * b + 8421375) >> 16;
+                }
+            }
+        }
+        return planes;
+    }
+
+    /**
+     * Reduce a full-resolution plane to the component's sampling
+     * 2x2 averages alternate their rounding bias (1, 2) along each row, as libjpeg does.
+     * @returns {{samples: Uint8Array, width: number}} Plane covering the component's blocks
+     */
+    downsample(frame, component, plane) {
+        const fullWidth = frame.mcusPerLine * 8 * frame.maxH;
+        const stepX = frame.maxH / component.h;
+        const stepY = frame.maxV / component.v;
+        if (stepX === 1 && stepY === 1) {
+            return { samples: plane, width: fullWidth };
+        }
+
+        const width = component.blocksPerLine * 8;
+        const height = component.blockRows * 8;
+        const samples = new Uint8Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const row0 = y * 2 * fullWidth;
+            const row1 = row0 + fullWidth;
+            let bias = 1;
+            for (let x = 0; x < width; x++) {
+                const column = x * 2;
+                samples[y * width + x] = (plane[row0 + column] + plane[row0 + column + 1] +
+                    plane[row1 + column] + plane[row1 + column + 1] + bias) >> 2;
+                bias ^= 3;
+            }
+        }
+        return { samples, width };
+    }
+
+    /**
+     * Transform and quantize every block of a component
+     * Dummy blocks past the real image have no AC and repeat a neighbour's DC
+     * (the last real block of their row, or the last block of the row above
+     * within the MCU), so they cost almost nothing.
+     */
+    computeCoefficients(frame, component, plane, quantTable) {
+        const coefficients = new Int16Array(component.blocksPerLine * component.blockRows * 64);
+        const workspace = new Array(64);
+        const divisors = quantTable.map(value => value * 8);
+
+        for (let blockRow = 0; blockRow < component.blockRows; blockRow++) {
+            for (let blockColumn = 0; blockColumn < component.blocksPerLine; blockColumn++) {
+                const offset = (blockRow * component.blocksPerLine + blockColumn) * 64;
+
+                if (blockRow >= component.heightInBlocks) {
+                    // Bottom dummy: DC of the last block in the row above, within this MCU
+                    const mcuLast = (Math.floor(blockColumn / component.h) + 1) * component.h - 1;
+                    coefficients[offset] = coefficients[((blockRow - 1) * component.blocksPerLine + mcuLast) * 64];
+                    continue;
+                }
+                if (blockColumn >= component.widthInBlocks) {
+                    coefficients[offset] = coefficients[offset - 64];
+                    continue;
+                }
+
+                for (let y = 0; y < 8; y++) {
+                    const row = (blockRow * 8 + y) * plane.width + blockColumn * 8;
+                    for (let x = 0; x < 8; x++) {
+                        workspace[y * 8 + x] = plane.samples[row + x] - 128;
+                    }
+                }
+                this.forwardDct(workspace);
+
+                for (let i = 0; i < 64; i++) {
+                    const divisor = divisors[i];
+                    const value = workspace[i];
+                    coefficients[offset + i] = value < 0
+                        ? -Math.floor((-value + (divisor >> 1)) / divisor)
+                        : Math.floor((value + (divisor >> 1)) / divisor);
+                }
+            }
+        }
+
+        component.coefficients = coefficients;
+    }
+
+    /**
+     * In-place 8x8 forward DCT (libjpeg jpeg_fdct_islow)
+     * Output is scaled up by 8, which the quantization divisors account for.
+     */
+    forwardDct(data) {
+        const F = this.FIX;
+        const descale = (value, bits) => Math.floor((value + 2 ** (bits - 1)) / 2 ** bits);
+
+        for (let pass = 0; pass < 2; pass++) {
+            const stride = pass === 0 ? 1 : 8;
+            const step = pass === 0 ? 8 : 1;
+            const oddBits = pass === 0 ? this.CONST_BITS - this.PASS1_BITS : this.CONST_BITS + this.PASS1_BITS;
+
+            for (let line = 0; line < 8; line++) {
+                const base = line * step;
+                const at = (k) => base + k * stride;
+
+                const tmp0 = data[at(0)] + data[at(7)];
+                let tmp7 = data[at(0)] - data[at(7)];
+                const tmp1 = data[at(1)] + data[at(6)];
+                let tmp6 = data[at(1)] - data[at(6)];
+                const tmp2 = data[at(2)] + data[at(5)];
+                let tmp5 = data[at(2)] - data[at(5)];
+                const tmp3 = data[at(3)] + data[at(4)];
+                let tmp4 = data[at(3)] - data[at(4)];
+
+                // Even part
+                const tmp10 = tmp0 + tmp3;
+                const tmp13 = tmp0 - tmp3;
+                const tmp11 = tmp1 + tmp2;
+                const tmp12 = tmp1 - tmp2;
+                if (pass === 0) {
+                    data[at(0)] = (tmp10 + tmp11) * 2 ** this.PASS1_BITS;
+                    data[at(4)] = (tmp10 - tmp11) * 2 ** this.PASS1_BITS;
+                } else {
+                    data[at(0)] = descale(tmp10 + tmp11, this.PASS1_BITS);
+                    data[at(4)] = descale(tmp10 - tmp11, this.PASS1_BITS);
+                }
+                const z1 = (tmp12 + tmp13) * F.F0_541196100;
+                data[at(2)] = descale(z1 + tmp13 * F.F0_765366865, oddBits);
+                data[at(6)] = descale(z1 - tmp12 * F.F1_847759065, oddBits);
+
+                // Odd part
+                let z1o = tmp4 + tmp7;
+                let z2 = tmp5 + tmp6;
+                let z3 = tmp4 + tmp6;
+                let z4 = tmp5 + tmp7;
+                const z5 = (z3 + z4) * F.F1_175875602;
+                tmp4 *= F.F0_298631336;
+                tmp5 *= F.F2_053119869;
+                tmp6 *= F.F3_072711026;
+                tmp7 *= F.F1_501321110;
+                z1o *= -F.F0_899976223;
+                z2 *= -F.F2_562915447;
+                z3 = z3 * -F.F1_961570560 + z5;
+                z4 = z4 * -F.F0_390180644 + z5;
+
+                data[at(7)] = descale(tmp4 + z1o + z3, oddBits);
+                data[at(5)] = descale(tmp5 + z2 + z4, oddBits);
+                data[at(3)] = descale(tmp6 + z2 + z3, oddBits);
+                data[at(1)] = descale(tmp7 + z1o + z4, oddBits);
+            }
+        }
+    }
+
+    /**
+     * SOF0 (baseline) or SOF2 (progressive) segment
+     */
+    writeFrameHeader(frame, progressive) {
+        const body = [8, frame.height >> 8, frame.height & 0xFF, frame.width >> 8, frame.width & 0xFF, frame.components.length];
+        for (const component of frame.components) {
+            body.push(component.id, (component.h << 4) | component.v, component.quantTable);
+        }
+        return this.templates.writeSegment(progressive ? this.MARKERS.SOF2 : this.MARKERS.SOF0, body);
+    }
+
+    /**
+     * SOS segment; progressive scans name only the table class they use
+     */
+    writeScanHeader(scan, progressive) {
+        const body = [scan.components.length];
+        for (const component of scan.components) {
+            let dc = component.dcTable;
+            let ac = component.acTable;
+            if (progressive) {
+                if (scan.start === 0) {
+                    ac = 0;
+                } else {
+                    dc = 0;
+                }
+            }
+            body.push(component.id, (dc << 4) | ac);
+        }
+        body.push(scan.start, scan.end, 0);
+        return this.templates.writeSegment(this.MARKERS.SOS, body);
+    }
+
+    /**
+     * Tables a scan uses, in the order libjpeg writes them (DC before AC, per component)
+     * @returns {Object[]} ImageTemplates-style tables { tableClass, counts, symbols }
+     */
+    getScanTableSlots(scan) {
+        const slots = [];
+        for (const component of scan.components) {
+            if (scan.start === 0) {
+                slots.push({ tableClass: component.dcTable, ac: false });
+            }
+            if (scan.end > 0) {
+                slots.push({ tableClass: 0x10 | component.acTable, ac: true });
+            }
+        }
+        return slots.filter((slot, i) => slots.findIndex(other => other.tableClass === slot.tableClass) === i);
+    }
+
+    getStandardTables(scan) {
+        const standard = this.templates.STD_HUFFMAN;
+        return this.getScanTableSlots(scan).map(slot => {
+            const chroma = (slot.tableClass & 0x0F) !== 0;
+            const table = slot.ac
+                ? (chroma ? standard.AC_CHROMA : standard.AC_LUMA)
+                : (chroma ? standard.DC_CHROMA : standard.DC_LUMA);
+            return { ...table, tableClass: slot.tableClass };
+        });
+    }
+
+    /**
+     * Huffman tables built from the symbol counts of the scan itself
+     */
+    getOptimalTables(frame, scan) {
+        const slots = this.getScanTableSlots(scan);
+        const frequencies = new Map(slots.map(slot => [slot.tableClass, new Array(257).fill(0)]));
+        this.visitScan(frame, scan, {
+            symbol: (tableClass, symbol) => {
+                frequencies.get(tableClass)[symbol]++;
+            },
+            bits: () => {}
+        });
+        return slots.map(slot => ({ tableClass: slot.tableClass, ...this.buildOptimalTable(frequencies.get(slot.tableClass)) }));
+    }
+
+    /**
+     * Code lengths limited to 16 bits from symbol frequencies (ITU T.81 Annex K.2,
+     * with libjpeg's tie-breaking, so tables match libjpeg's optimize_coding)
+     * @param {number[]} frequencies - 257 counts; the last entry is reserved
+     * @returns {{counts: number[], symbols: number[]}}
+     */
+    buildOptimalTable(frequencies) {
+        const freq = frequencies.slice();
+        const codeSize = new Array(257).fill(0);
+        const others = new Array(257).fill(-1);
+        // A reserved symbol keeps any real code from being all ones
+        freq[256] = 1;
+
+        for (;;) {
+            let c1 = -1;
+            let least = Infinity;
+            for (let i = 0; i <= 256; i++) {
+                if (freq[i] && freq[i] <= least) {
+                    least = freq[i];
+                    c1 = i;
+                }
+            }
+            let c2 = -1;
+            least = Infinity;
+            for (let i = 0; i <= 256; i++) {
+                if (freq[i] && freq[i] <= least && i !== c1) {
+                    least = freq[i];
+                    c2 = i;
+                }
+            }
+            if (c2 < 0) {
+                break;
+            }
+
+            freq[c1] += freq[c2];
+            freq[c2] = 0;
+            codeSize[c1]++;
+            while (others[c1] >= 0) {
+                c1 = others[c1];
+                codeSize[c1]++;
+            }
+            others[c1] = c2;
+            codeSize[c2]++;
+            while (others[c2] >= 0) {
+                c2 = others[c2];
+                codeSize[c2]++;
+            }
+        }
+
+        const bits = new Array(33).fill(0);
+        for (let i = 0; i <= 256; i++) {
+            if (codeSize[i]) {
+                bits[codeSize[i]]++;
+            }
+        }
+        for (let i = 32; i > 16; i--) {
+            while (bits[i] > 0) {
+                let j = i - 2;
+                while (bits[j] === 0) {
+                    j--;
+                }
+                bits[i] -= 2;
+                bits[i - 1]++;
+                bits[j + 1] += 2;
+                bits[j]--;
+            }
+        }
+        let longest = 16;
+        while (bits[longest] === 0) {
+            longest--;
+        }
+        bits[longest]--;
+
+        const symbols = [];
+        for (let length = 1; length <= 32; length++) {
+            for (let symbol = 0; symbol < 256; symbol++) {
+                if (codeSize[symbol] === length) {
+                    symbols.push(symbol);
+                }
+            }
+        }
+        return { counts: bits.slice(1, 17), symbols };
+    }
+
+    /**
+     * Entropy-code a scan with its Huffman tables
+     * @returns {Uint8Array} Scan data with 0xFF bytes stuffed
+     */
+    encodeScan(frame, scan, tables) {
+        const codes = new Map(tables.map(table => [table.tableClass, this.buildCodes(table)]));
+        const output = [];
+        let buffer = 0;
+        let count = 0;
+        const bits = (value, size) => {
+            buffer = (buffer << size) | (value & ((1 << size) - 1));
+            count += size;
+            while (count >= 8) {
+                const byte = (buffer >> (count - 8)) & 0xFF;
+                output.push(byte);
+                if (byte === 0xFF) {
+                    output.push(0);
+                }
+                count -= 8;
+            }
+            buffer &= (1 << count) - 1;
+        };
+
+        this.visitScan(frame, scan, {
+            symbol: (tableClass, symbol) => {
+                const code = codes.get(tableClass);
+                if (!code.sizes[symbol]) {
+                    throw new Error(`JpegEncoder: no Huffman code for symbol ${symbol} in table ${tableClass}`);
+                }
+                bits(code.codes[symbol], code.sizes[symbol]);
+            },
+            bits
+        });
+
+        // Pad the last byte with ones
+        bits(0x7F, 7);
+        return Uint8Array.from(output);
+    }
+
+    /**
+     * Canonical codes from a table's counts and symbols (ITU T.81 Annex C)
+     */
+    buildCodes(table) {
+        const codes = new Array(256).fill(0);
+        const sizes = new Array(256).fill(0);
+        let code = 0;
+        let k = 0;
+        for (let length = 1; length <= 16; length++) {
+            for (let i = 0; i < table.counts[length - 1]; i++) {
+                codes[table.symbols[k]] = code;
+                sizes[table.symbols[k]] = length;
+                k++;
+                code++;
+            }
+            code <<= 1;
+        }
+        return { codes, sizes };
+    }
+
+    /**
+     * Walk the blocks of a scan in coding order and report every Huffman
+     * symbol and raw bit field to the sink, for counting or for writing
+     * Interleaved scans go MCU by MCU; single-component scans cover only the
+     * component's real blocks, row by row.
+     * @param {Object} sink - { symbol(tableClass, symbol), bits(value, size) }
+     */
+    visitScan(frame, scan, sink) {
+        const predictions = new Map(scan.components.map(component => [component, 0]));
+        const eob = { run: 0, tableClass: 0 };
+
+        const codeBlock = (component, blockRow, blockColumn) => {
+            const offset = (blockRow * component.blocksPerLine + blockColumn) * 64;
+            if (scan.start === 0) {
+                const dc = component.coefficients[offset];
+                this.codeValue(sink, component.dcTable, dc - predictions.get(component), 0);
+                predictions.set(component, dc);
+                if (scan.end > 0) {
+                    this.codeSequentialAc(sink, 0x10 | component.acTable, component.coefficients, offset);
+                }
+            } else {
+                eob.tableClass = 0x10 | component.acTable;
+                this.codeProgressiveAc(sink, eob, component.coefficients, offset, scan.start, scan.end);
+            }
+        };
+
+        if (scan.components.length === 1) {
+            const [component] = scan.components;
+            for (let blockRow = 0; blockRow < component.heightInBlocks; blockRow++) {
+                for (let blockColumn = 0; blockColumn < component.widthInBlocks; blockColumn++) {
+                    codeBlock(component, blockRow, blockColumn);
+                }
+            }
+        } else {
+            for (let mcuRow = 0; mcuRow < frame.mcuRows; mcuRow++) {
+                for (let mcuColumn = 0; mcuColumn < frame.mcusPerLine; mcuColumn++) {
+                    for (const component of scan.components) {
+                        for (let v = 0; v < component.v; v++) {
+                            for (let h = 0; h < component.h; h++) {
+                                codeBlock(component, mcuRow * component.v + v, mcuColumn * component.h + h);
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        this.flushEobRun(sink, eob);
+    }
+
+    /**
+     * Magnitude category symbol (plus run in the high nibble) and its value bits
+     */
+    codeValue(sink, tableClass, value, run) {
+        const magnitude = Math.abs(value);
+        const size = magnitude === 0 ? 0 : 32 - Math.clz32(magnitude);
+        sink.symbol(tableClass, (run << 4) | size);
+        if (size > 0) {
+            sink.bits(value < 0 ? value - 1 : value, size);
+        }
+    }
+
+    /**
+     * Baseline AC coding: zero runs, ZRL for runs of 16, EOB after the last nonzero
+     */
+    codeSequentialAc(sink, tableClass, coefficients, offset) {
+        let run = 0;
+        for (let k = 1; k < 64; k++) {
+            const value = coefficients[offset + this.ZIGZAG[k]];
+            if (value === 0) {
+                run++;
+                continue;
+            }
+            while (run > 15) {
+                sink.symbol(tableClass, 0xF0);
+                run -= 16;
+            }
+            this.codeValue(sink, tableClass, value, run);
+            run = 0;
+        }
+        if (run > 0) {
+            sink.symbol(tableClass, 0x00);
+        }
+    }
+
+    /**
+     * First AC scan of a spectral band: trailing zeros of consecutive blocks
+     * are merged into end-of-band runs (ITU T.81 G.1.2.2)
+     */
+    codeProgressiveAc(sink, eob, coefficients, offset, start, end) {
+        let run = 0;
+        for (let k = start; k <= end; k++) {
+            const value = coefficients[offset + this.ZIGZAG[k]];
+            if (value === 0) {
+                run++;
+                continue;
+            }
+            this.flushEobRun(sink, eob);
+            while (run > 15) {
+                sink.symbol(eob.tableClass, 0xF0);
+                run -= 16;
+            }
+            this.codeValue(sink, eob.tableClass, value, run);
+            run = 0;
+        }
+        if (run > 0) {
+            eob.run++;
+            if (eob.run === 0x7FFF) {
+                this.flushEobRun(sink, eob);
+            }
+        }
+    }
+
+    flushEobRun(sink, eob) {
+        if (eob.run === 0) {
+            return;
+        }
+        const size = 31 - Math.clz32(eob.run);
+        sink.symbol(eob.tableClass, size << 4);
+        if (size > 0) {
+            sink.bits(eob.run, size);
+        }
+        eob.run = 0;
+    }
+};
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.JpegEncoder;
+}
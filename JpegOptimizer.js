@@ -0,0 +1,643 @@
+/**
+ * JpegOptimizer.js
+ *
+ * Lossless JPEG optimization in the manner of jpegtran: the quantized DCT
+ * coefficients are read from the file and written again by JpegEncoder,
+ * without decoding pixels, so the image is unchanged while the file shrinks:
+ * - APPn and COM segments (EXIF, ICC, XMP, comments, thumbnails) are dropped
+ * - Huffman tables are rebuilt for the image's own symbol statistics, or
+ *   replaced by the standard ones, which ImageTemplates strips from links
+ * - optionally, the scans are rewritten as a progressive JPEG
+ *
+ * Reads 8-bit Huffman-coded JPEGs (baseline, extended sequential and
+ * progressive, with or without restart intervals) in grayscale or YCbCr.
+ * Files where dropping metadata would change how the image looks (an EXIF
+ * orientation, Adobe RGB or CMYK color) are left alone.
+ */
+window.JpegOptimizer = class JpegOptimizer {
+    constructor() {
+        if (!window.JpegEncoder) {
+            throw new Error('JpegOptimizer: JpegEncoder.js not available');
+        }
+        // Writes the optimized file; shares the zigzag order and frame layout
+        this.jpegEncoder = new window.JpegEncoder();
+        this.ZIGZAG = this.jpegEncoder.ZIGZAG;
+
+        this.MARKERS = {
+            SOF0: 0xC0,
+            SOF1: 0xC1,
+            SOF2: 0xC2,
+            DHT: 0xC4,
+            RST0: 0xD0,
+            RST7: 0xD7,
+            SOI: 0xD8,
+            EOI: 0xD9,
+            SOS: 0xDA,
+            DQT: 0xDB,
+            DRI: 0xDD,
+            APP1: 0xE1,
+            APP14: 0xEE
+        };
+
+        // Other start-of-frame markers: lossless, hierarchical or arithmetic coding
+        this.UNSUPPORTED_FRAMES = [0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF];
+
+        // EXIF orientation tag (1 = as stored)
+        this.EXIF_ORIENTATION = 0x0112;
+    }
+
+    /**
+     * Re-encode a JPEG losslessly with new Huffman tables and no metadata
+     * The output is read back and must hold the same coefficients.
+     * @param {ArrayBuffer|Uint8Array} data - JPEG file
+     * @param {Object} [options] - Output options
+     * @param {boolean} [options.optimizeHuffman=true] - Optimized tables; false writes the standard ones
+     * @param {boolean} [options.progressive=false] - Write a progressive JPEG (always with optimized tables)
+     * @returns {Uint8Array|null} Optimized file, or null when the file cannot be optimized losslessly
+     */
+    optimize(data, options = {}) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        try {
+            const image = this.read(bytes);
+            const output = this.jpegEncoder.writeFile(image.frame, image.quantTables, {
+                optimizeHuffman: options.optimizeHuffman !== false,
+                progressive: !!options.progressive
+            });
+
+            const check = this.read(output);
+            if (!this.sameCoefficients(image.frame, check.frame)) {
+                throw new Error('re-encoded coefficients differ');
+            }
+            return output;
+        } catch (error) {
+            console.warn('JpegOptimizer: keeping the file as is:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Read the frame, quantization tables and coefficients of a JPEG file
+     * @param {Uint8Array} bytes - JPEG file
+     * @returns {{frame: Object, quantTables: number[][]}} Frame in JpegEncoder's layout, tables in natural order
+     * @throws {Error} If the file is malformed or uses features that cannot be kept
+     */
+    read(bytes) {
+        if (bytes[0] !== 0xFF || bytes[1] !== this.MARKERS.SOI) {
+            throw new Error('not a JPEG file');
+        }
+
+        const state = {
+            quantTables: new Map(),
+            huffmanTables: new Map(),
+            restartInterval: 0,
+            frame: null,
+            adobeTransform: null,
+            finished: false
+        };
+
+        let offset = 2;
+        while (offset < bytes.length && !state.finished) {
+            if (bytes[offset] !== 0xFF) {
+                throw new Error(`expected a marker at byte ${offset}`);
+            }
+            // Markers may be preceded by fill bytes
+            while (bytes[offset + 1] === 0xFF) {
+                offset++;
+            }
+            const marker = bytes[offset + 1];
+            offset += 2;
+            if (marker === this.MARKERS.EOI) {
+                state.finished = true;
+                break;
+            }
+            if (marker >= this.MARKERS.RST0 && marker <= this.MARKERS.RST7) {
+                continue;
+            }
+
+            const length = (bytes[offset] << 8) | bytes[offset + 1];
+            if (length < 2 || offset + length > bytes.length) {
+                throw new Error(`segment ${marker.toString(16)} overruns the file`);
+            }
+            const body = bytes.subarray(offset + 2, offset + length);
+            offset += length;
+
+            offset = this.readSegment(state, marker, body, bytes, offset);
+        }
+
+        if (!state.frame) {
+            throw new Error('no frame header');
+        }
+        if (state.frame.components.length === 3 && state.adobeTransform === 0) {
+            throw new Error('RGB JPEG (Adobe transform 0) would change colors without its APP14 segment');
+        }
+
+        const frame = state.frame;
+        const tableIds = [...new Set(frame.components.map(component => component.sourceQuantTable))];
+        const quantTables = tableIds.map(id => {
+            if (!state.quantTables.has(id)) {
+                throw new Error(`missing quantization table ${id}`);
+            }
+            return state.quantTables.get(id);
+        });
+        frame.components.forEach(component => {
+            component.quantTable = tableIds.indexOf(component.sourceQuantTable);
+        });
+
+        return { frame, quantTables };
+    }
+
+    /**
+     * Handle one marker segment
+     * @returns {number} Offset to continue from (after the entropy-coded data for SOS)
+     */
+    readSegment(state, marker, body, bytes, offset) {
+        switch (marker) {
+            case this.MARKERS.DQT:
+                this.readQuantTables(body, state.quantTables);
+                return offset;
+            case this.MARKERS.DHT:
+                this.readHuffmanTables(body, state.huffmanTables);
+                return offset;
+            case this.MARKERS.DRI:
+                state.restartInterval = (body[0] << 8) | body[1];
+                return offset;
+            case this.MARKERS.SOF0:
+            case this.MARKERS.SOF1:
+            case this.MARKERS.SOF2:
+                if (state.frame) {
+                    throw new Error('more than one frame');
+                }
+                state.frame = this.readFrame(body, marker === this.MARKERS.SOF2);
+                return offset;
+            case this.MARKERS.SOS: {
+                if (!state.frame) {
+                    throw new Error('scan before the frame header');
+                }
+                const scan = this.readScanHeader(body, state.frame);
+                return this.decodeScan(bytes, offset, state.frame, scan, state.huffmanTables, state.restartInterval);
+            }
+            case this.MARKERS.APP1: {
+                const orientation = this.getExifOrientation(body);
+                if (orientation > 1) {
+                    throw new Error(`EXIF orientation ${orientation} would be lost`);
+                }
+                return offset;
+            }
+            case this.MARKERS.APP14:
+                // "Adobe" segment: the last byte is the color transform
+                if (body.length >= 12 && String.fromCharCode(...body.subarray(0, 5)) === 'Adobe') {
+                    state.adobeTransform = body[11];
+                }
+                return offset;
+            default:
+                if (this.UNSUPPORTED_FRAMES.includes(marker)) {
+                    throw new Error(`frame type ${marker.toString(16)} is not supported`);
+                }
+                // APPn, COM and anything else non-essential is dropped
+                return offset;
+        }
+    }
+
+    /**
+     * DQT segment: tables are stored in zigzag order and kept in natural order
+     */
+    readQuantTables(body, tables) {
+        let offset = 0;
+        while (offset < body.length) {
+            const precision = body[offset] >> 4;
+            const id = body[offset] & 0x0F;
+            offset++;
+            const table = new Array(64);
+            for (let i = 0; i < 64; i++) {
+                const value = precision ? (body[offset] << 8) | body[offset + 1] : body[offset];
+                offset += precision ? 2 : 1;
+                if (value < 1 || value > 255) {
+                    throw new Error(`quantization value ${value} does not fit a baseline table`);
+                }
+                table[this.ZIGZAG[i]] = value;
+            }
+            tables.set(id, table);
+        }
+    }
+
+    /**
+     * DHT segment: canonical codes turned into per-length lookup ranges
+     */
+    readHuffmanTables(body, tables) {
+        let offset = 0;
+        while (offset + 17 <= body.length) {
+            const tableClass = body[offset];
+            const counts = Array.from(body.subarray(offset + 1, offset + 17));
+            const total = counts.reduce((sum, count) => sum + count, 0);
+            const symbols = Array.from(body.subarray(offset + 17, offset + 17 + total));
+            if (symbols.length !== total) {
+                throw new Error('truncated Huffman table');
+            }
+            offset += 17 + total;
+
+            // For each code length: largest code, and where its symbols start
+            const maxCode = new Array(18).fill(-1);
+            const valueOffset = new Array(17).fill(0);
+            let code = 0;
+            let k = 0;
+            for (let length = 1; length <= 16; length++) {
+                valueOffset[length] = k - code;
+                code += counts[length - 1];
+                k += counts[length - 1];
+                if (counts[length - 1]) {
+                    maxCode[length] = code - 1;
+                }
+                code <<= 1;
+            }
+            tables.set(tableClass, { maxCode, valueOffset, symbols });
+        }
+    }
+
+    /**
+     * Frame header in JpegEncoder's layout, with room for every block
+     */
+    readFrame(body, progressive) {
+        if (body[0] !== 8) {
+            throw new Error(`${body[0]}-bit samples are not supported`);
+        }
+        const height = (body[1] << 8) | body[2];
+        const width = (body[3] << 8) | body[4];
+        const count = body[5];
+        if (height === 0 || width === 0) {
+            throw new Error('image size given after the first scan (DNL) is not supported');
+        }
+        if (count !== 1 && count !== 3) {
+            throw new Error(`${count} color components are not supported`);
+        }
+
+        const sampling = [];
+        for (let i = 0; i < count; i++) {
+            const factors = body[7 + i * 3];
+            sampling.push({ sourceId: body[6 + i * 3], h: factors >> 4, v: factors & 0x0F, sourceQuantTable: body[8 + i * 3] });
+        }
+        if (count === 3 && String.fromCharCode(...sampling.map(component => component.sourceId)) === 'RGB') {
+            throw new Error('RGB JPEG (component ids R, G, B) would change colors in a JFIF file');
+        }
+
+        const maxH = Math.max(...sampling.map(component => component.h));
+        const maxV = Math.max(...sampling.map(component => component.v));
+        const mcusPerLine = Math.ceil(width / (8 * maxH));
+        const mcuRows = Math.ceil(height / (8 * maxV));
+
+        const components = sampling.map((component, i) => {
+            const blocksPerLine = mcusPerLine * component.h;
+            const blockRows = mcuRows * component.v;
+            return {
+                ...component,
+                id: i + 1,
+                quantTable: 0,
+                dcTable: i === 0 ? 0 : 1,
+                acTable: i === 0 ? 0 : 1,
+                widthInBlocks: Math.ceil(width * component.h / (8 * maxH)),
+                heightInBlocks: Math.ceil(height * component.v / (8 * maxV)),
+                blocksPerLine,
+                blockRows,
+                coefficients: new Int16Array(blocksPerLine * blockRows * 64)
+            };
+        });
+
+        return { width, height, maxH, maxV, mcusPerLine, mcuRows, components, progressive };
+    }
+
+    /**
+     * SOS header: components with their source tables, spectral band and bit position
+     */
+    readScanHeader(body, frame) {
+        const count = body[0];
+        const components = [];
+        for (let i = 0; i < count; i++) {
+            const sourceId = body[1 + i * 2];
+            const component = frame.components.find(candidate => candidate.sourceId === sourceId);
+            if (!component) {
+                throw new Error(`scan names unknown component ${sourceId}`);
+            }
+            const tables = body[2 + i * 2];
+            components.push({ component, dcTable: tables >> 4, acTable: 0x10 | (tables & 0x0F) });
+        }
+        const at = 1 + count * 2;
+        return {
+            components,
+            start: body[at],
+            end: body[at + 1],
+            high: body[at + 2] >> 4,
+            low: body[at + 2] & 0x0F
+        };
+    }
+
+    /**
+     * Decode the entropy-coded data of a scan into the frame's coefficients
+     * (ITU T.81 F.2 for sequential scans, G.2 for progressive ones)
+     * @returns {number} Offset of the marker after the scan data
+     */
+    decodeScan(bytes, offset, frame, scan, tables, restartInterval) {
+        const reader = { bytes, offset, buffer: 0, count: 0 };
+        const getTable = (tableClass) => {
+            const table = tables.get(tableClass);
+            if (!table) {
+                throw new Error(`missing Huffman table ${tableClass.toString(16)}`);
+            }
+            return table;
+        };
+        const needsDc = scan.start === 0 && scan.high === 0;
+        const needsAc = scan.end > 0;
+        const entries = scan.components.map(entry => ({
+            ...entry,
+            dc: needsDc ? getTable(entry.dcTable) : null,
+            ac: needsAc ? getTable(entry.acTable) : null,
+            prediction: 0
+        }));
+        const eob = { run: 0 };
+
+        const decodeBlock = (entry, blockRow, blockColumn) => {
+            const coefficients = entry.component.coefficients;
+            const offset = (blockRow * entry.component.blocksPerLine + blockColumn) * 64;
+            if (!frame.progressive) {
+                this.decodeSequential(reader, entry, coefficients, offset);
+            } else if (scan.start === 0) {
+                this.decodeDc(reader, entry, coefficients, offset, scan);
+            } else if (scan.high === 0) {
+                this.decodeAcFirst(reader, entry, coefficients, offset, scan, eob);
+            } else {
+                this.decodeAcRefine(reader, entry, coefficients, offset, scan, eob);
+            }
+        };
+
+        const single = entries.length === 1;
+        const mcuCount = single
+            ? entries[0].component.widthInBlocks * entries[0].component.heightInBlocks
+            : frame.mcusPerLine * frame.mcuRows;
+
+        for (let mcu = 0; mcu < mcuCount; mcu++) {
+            if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+                this.readRestart(reader);
+                entries.forEach(entry => {
+                    entry.prediction = 0;
+                });
+                eob.run = 0;
+            }
+
+            if (single) {
+                const component = entries[0].component;
+                decodeBlock(entries[0], Math.floor(mcu / component.widthInBlocks), mcu % component.widthInBlocks);
+                continue;
+            }
+            const mcuRow = Math.floor(mcu / frame.mcusPerLine);
+            const mcuColumn = mcu % frame.mcusPerLine;
+            for (const entry of entries) {
+                const { h, v } = entry.component;
+                for (let y = 0; y < v; y++) {
+                    for (let x = 0; x < h; x++) {
+                        decodeBlock(entry, mcuRow * v + y, mcuColumn * h + x);
+                    }
+                }
+            }
+        }
+
+        // Continue at the next marker that is not a restart
+        let next = reader.offset;
+        while (next + 1 < bytes.length &&
+            !(bytes[next] === 0xFF && bytes[next + 1] !== 0 && (bytes[next + 1] < this.MARKERS.RST0 || bytes[next + 1] > this.MARKERS.RST7))) {
+            next++;
+        }
+        return next;
+    }
+
+    /**
+     * Skip to the byte after the next restart marker and reset the bit buffer
+     */
+    readRestart(reader) {
+        reader.buffer = 0;
+        reader.count = 0;
+        const { bytes } = reader;
+        while (reader.offset + 1 < bytes.length &&
+            !(bytes[reader.offset] === 0xFF && bytes[reader.offset + 1] >= this.MARKERS.RST0 && bytes[reader.offset + 1] <= this.MARKERS.RST7)) {
+            reader.offset++;
+        }
+        reader.offset += 2;
+    }
+
+    /**
+     * Next bit of entropy-coded data; past a marker, zeros (as libjpeg pads)
+     */
+    readBit(reader) {
+        if (reader.count === 0) {
+            const { bytes } = reader;
+            let byte = 0;
+            if (reader.offset < bytes.length && !(bytes[reader.offset] === 0xFF && bytes[reader.offset + 1] !== 0)) {
+                byte = bytes[reader.offset];
+                reader.offset += byte === 0xFF ? 2 : 1;
+            }
+            reader.buffer = byte;
+            reader.count = 8;
+        }
+        reader.count--;
+        return (reader.buffer >> reader.count) & 1;
+    }
+
+    readBits(reader, size) {
+        let value = 0;
+        for (let i = 0; i < size; i++) {
+            value = (value << 1) | this.readBit(reader);
+        }
+        return value;
+    }
+
+    decodeSymbol(reader, table) {
+        let code = 0;
+        for (let length = 1; length <= 16; length++) {
+            code = (code << 1) | this.readBit(reader);
+            if (code <= table.maxCode[length]) {
+                return table.symbols[table.valueOffset[length] + code];
+            }
+        }
+        throw new Error('invalid Huffman code');
+    }
+
+    /**
+     * Value of a magnitude category from its raw bits (ITU T.81 F.2.2.1 EXTEND)
+     */
+    receiveExtend(reader, size) {
+        if (size === 0) {
+            return 0;
+        }
+        const value = this.readBits(reader, size);
+        return value < (1 << (size - 1)) ? value - (1 << size) + 1 : value;
+    }
+
+    decodeSequential(reader, entry, coefficients, offset) {
+        entry.prediction += this.receiveExtend(reader, this.decodeSymbol(reader, entry.dc));
+        coefficients[offset] = entry.prediction;
+
+        for (let k = 1; k < 64; k++) {
+            const symbol = this.decodeSymbol(reader, entry.ac);
+            const size = symbol & 0x0F;
+            const run = symbol >> 4;
+            if (size === 0) {
+                if (run !== 15) {
+                    break;
+                }
+                k += 15;
+                continue;
+            }
+            k += run;
+            if (k > 63) {
+                throw new Error('coefficient index out of range');
+            }
+            coefficients[offset + this.ZIGZAG[k]] = this.receiveExtend(reader, size);
+        }
+    }
+
+    decodeDc(reader, entry, coefficients, offset, scan) {
+        if (scan.high === 0) {
+            entry.prediction += this.receiveExtend(reader, this.decodeSymbol(reader, entry.dc));
+            coefficients[offset] = entry.prediction * (1 << scan.low);
+        } else if (this.readBit(reader)) {
+            coefficients[offset] |= 1 << scan.low;
+        }
+    }
+
+    decodeAcFirst(reader, entry, coefficients, offset, scan, eob) {
+        if (eob.run > 0) {
+            eob.run--;
+            return;
+        }
+        for (let k = scan.start; k <= scan.end; k++) {
+            const symbol = this.decodeSymbol(reader, entry.ac);
+            const size = symbol & 0x0F;
+            const run = symbol >> 4;
+            if (size === 0) {
+                if (run < 15) {
+                    eob.run = (1 << run) - 1 + this.readBits(reader, run);
+                    break;
+                }
+                k += 15;
+                continue;
+            }
+            k += run;
+            if (k > 63) {
+                throw new Error('coefficient index out of range');
+            }
+            coefficients[offset + this.ZIGZAG[k]] = this.receiveExtend(reader, size) * (1 << scan.low);
+        }
+    }
+
+    /**
+     * AC refinement: one correction bit for every coefficient already nonzero,
+     * new coefficients of magnitude 1 placed after runs of zeros (libjpeg jdphuff.c)
+     */
+    decodeAcRefine(reader, entry, coefficients, offset, scan, eob) {
+        const plus = 1 << scan.low;
+        const minus = -1 << scan.low;
+        const refine = (position) => {
+            const value = coefficients[position];
+            if (this.readBit(reader) && (value & plus) === 0) {
+                coefficients[position] = value >= 0 ? value + plus : value + minus;
+            }
+        };
+
+        let k = scan.start;
+        if (eob.run === 0) {
+            for (; k <= scan.end; k++) {
+                const symbol = this.decodeSymbol(reader, entry.ac);
+                const size = symbol & 0x0F;
+                let run = symbol >> 4;
+                let value = 0;
+                if (size) {
+                    value = this.readBit(reader) ? plus : minus;
+                } else if (run !== 15) {
+                    eob.run = (1 << run) + this.readBits(reader, run);
+                    break;
+                }
+
+                // Pass nonzero coefficients (refining them) and run zeros
+                do {
+                    const position = offset + this.ZIGZAG[k];
+                    if (coefficients[position] !== 0) {
+                        refine(position);
+                    } else if (--run < 0) {
+                        break;
+                    }
+                    k++;
+                } while (k <= scan.end);
+
+                if (value) {
+                    if (k > 63) {
+                        throw new Error('coefficient index out of range');
+                    }
+                    coefficients[offset + this.ZIGZAG[k]] = value;
+                }
+            }
+        }
+
+        if (eob.run > 0) {
+            for (; k <= scan.end; k++) {
+                const position = offset + this.ZIGZAG[k];
+                if (coefficients[position] !== 0) {
+                    refine(position);
+                }
+            }
+            eob.run--;
+        }
+    }
+
+    /**
+     * EXIF orientation from an APP1 segment, or 0 when there is none
+     */
+    getExifOrientation(body) {
+        if (body.length < 14 || String.fromCharCode(...body.subarray(0, 4)) !== 'Exif') {
+            return 0;
+        }
+        const tiff = body.subarray(6);
+        const little = tiff[0] === 0x49;
+        const read16 = (at) => little ? tiff[at] | (tiff[at + 1] << 8) : (tiff[at] << 8) | tiff[at + 1];
+        const read32 = (at) => little
+            ? (tiff[at] | (tiff[at + 1] << 8) | (tiff[at + 2] << 16) | (tiff[at + 3] << 24)) >>> 0
+            : ((tiff[at] << 24) | (tiff[at + 1] << 16) | (tiff[at + 2] << 8) | tiff[at + 3]) >>> 0;
+
+        const directory = read32(4);
+        if (directory + 2 > tiff.length) {
+            return 0;
+        }
+        const entries = read16(directory);
+        for (let i = 0; i < entries; i++) {
+            const entry = directory + 2 + i * 12;
+            if (entry + 12 > tiff.length) {
+                break;
+            }
+            if (read16(entry) === this.EXIF_ORIENTATION) {
+                return read16(entry + 8);
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Whether two frames hold the same coefficients in every real block
+     */
+    sameCoefficients(frame, other) {
+        return frame.components.length === other.components.length && frame.components.every((component, i) => {
+            const otherComponent = other.components[i];
+            for (let blockRow = 0; blockRow < component.heightInBlocks; blockRow++) {
+                for (let blockColumn = 0; blockColumn < component.widthInBlocks; blockColumn++) {
+                    const offset = (blockRow * component.blocksPerLine + blockColumn) * 64;
+                    for (let k = 0; k < 64; k++) {
+                        if (component.coefficients[offset + k] !== otherComponent.coefficients[offset + k]) {
+                            return false;
+                        }
+                    }
+                }
+            }
+            return true;
+        });
+    }
+};
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.JpegOptimizer;
+}
@@ -0,0 +1,311 @@
+/**
+ * LinkHeader.js
+ *
+ * Compact, bit-packed header written at the start of every encoded link.
+ * Lets the decoder dispatch deterministically instead of guessing the format.
+ *
+ * Layout (all characters from CONFIG.LINK_HEADER.CHARS):
+ * - One character holding the format version. Versions 1 and 2 are the legacy
+ *   metadata formats whose first character is also a version index.
+ * - The fixed FIELDS (encoder id, alphabet id, flag bits), packed MSB first.
+ * - Parameters of set flags that declare params, in ascending flag bit order.
+ * Bits are padded with zeros to a whole character.
+ */
+window.LinkHeader = class LinkHeader {
+    /**
+     * @param {Object} headerConfig - Header configuration (defaults to CONFIG.LINK_HEADER)
+     */
+    constructor(headerConfig = window.CONFIG?.LINK_HEADER) {
+        if (!headerConfig || !headerConfig.CHARS) {
+            throw new Error('LinkHeader: CONFIG.LINK_HEADER not available');
+        }
+
+        this.config = headerConfig;
+        this.VERSION = headerConfig.VERSION;
+        this.CHARS = headerConfig.CHARS;
+
+        // PTA_4: Derive bits per character from the header alphabet
+        this.BITS_PER_CHAR = Math.floor(Math.log2(this.CHARS.length));
+        if ((1 << this.BITS_PER_CHAR) !== this.CHARS.length) {
+            throw new Error('LinkHeader: header alphabet length must be a power of two');
+        }
+
+        this.charToIndex = new Map();
+        for (let i = 0; i < this.CHARS.length; i++) {
+            this.charToIndex.set(this.CHARS[i], i);
+        }
+
+        // Index flag definitions by bit for packing in a stable order
+        this.flagsByBit = Object.entries(headerConfig.FLAGS || {})
+            .map(([name, def]) => ({ name, bit: def.bit, params: def.params || [] }))
+            .sort((a, b) => a.bit - b.bit);
+
+        this.knownEncoders = new Set(Object.values(headerConfig.ENCODERS || {}));
+        this.knownAlphabets = new Set(Object.values(headerConfig.ALPHABETS || {}));
+
+        // IRI profile characters, built on first use (see getIriChars)
+        this.iriChars = null;
+    }
+
+    /**
+     * Get the flag definition for a flag name
+     * @param {string} name - Flag name from CONFIG.LINK_HEADER.FLAGS
+     * @returns {Object} Flag definition
+     */
+    getFlag(name) {
+        const flag = this.flagsByBit.find(f => f.name === name);
+        if (!flag) {
+            throw new Error(`LinkHeader: unknown flag ${name}`);
+        }
+        return flag;
+    }
+
+    /**
+     * Largest value a flag parameter can hold
+     * @param {string} flagName - Flag name
+     * @param {string} paramName - Parameter name
+     * @returns {number}
+     */
+    getParamMax(flagName, paramName) {
+        const param = this.getFlag(flagName).params.find(p => p.name === paramName);
+        if (!param) {
+            throw new Error(`LinkHeader: unknown parameter ${flagName}.${paramName}`);
+        }
+        return 2 ** param.bits - 1;
+    }
+
+    /**
+     * Look up the header alphabet id for a payload character set
+     * @param {string} safeChars - Payload character set
+     * @returns {number|null} Alphabet id, or null if the set is not registered
+     */
+    getAlphabetId(safeChars) {
+        for (const [name, id] of Object.entries(this.config.ALPHABETS)) {
+            if (this.getProfileChars(name) === safeChars) {
+                return id;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the payload character set for a header alphabet id
+     * @param {number} alphabetId - Alphabet id from the header
+     * @returns {string}
+     */
+    getAlphabetChars(alphabetId) {
+        const entry = Object.entries(this.config.ALPHABETS).find(([, id]) => id === alphabetId);
+        const chars = entry ? this.getProfileChars(entry[0]) : null;
+        if (!chars) {
+            throw new Error(`LinkHeader: no character set for alphabet id ${alphabetId}`);
+        }
+        return chars;
+    }
+
+    /**
+     * Get the characters of a named alphabet profile
+     * @param {string} name - Profile name from CONFIG.LINK_HEADER.ALPHABETS
+     * @returns {string|null}
+     */
+    getProfileChars(name) {
+        if (name === 'SAFE_CHARS') {
+            return window.CONFIG?.SAFE_CHARS || null;
+        }
+        if (name === 'IRI') {
+            return this.getIriChars();
+        }
+        return window.CONFIG?.ALPHABET_PROFILES?.[name] || null;
+    }
+
+    /**
+     * Build the IRI profile from CONFIG.IRI_ALPHABET
+     * Encoders index characters by position, so every character must be a
+     * single UTF-16 unit.
+     * @returns {string|null}
+     */
+    getIriChars() {
+        const iri = window.CONFIG?.IRI_ALPHABET;
+        if (!iri) {
+            return null;
+        }
+
+        if (this.iriChars === null) {
+            const chars = [iri.ASCII || ''];
+            for (const [start, end] of iri.RANGES || []) {
+                if (start > end || end > 0xFFFF || (start <= 0xDFFF && end >= 0xD800)) {
+                    throw new Error(`LinkHeader: IRI range ${start.toString(16)}-${end.toString(16)} is not in the BMP`);
+                }
+                for (let code = start; code <= end; code++) {
+                    chars.push(String.fromCharCode(code));
+                }
+            }
+            this.iriChars = chars.join('');
+        }
+        return this.iriChars;
+    }
+
+    /**
+     * Get the character set a payload was written with
+     * @param {string} encodedString - Encoded link payload
+     * @returns {string|null} Payload alphabet, or null if the payload has no valid header
+     */
+    getPayloadAlphabet(encodedString) {
+        try {
+            return this.getAlphabetChars(this.decode(encodedString).alphabet);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Encode a header
+     * @param {Object} header - Header fields
+     * @param {number} header.encoder - Encoder id
+     * @param {number} header.alphabet - Alphabet id
+     * @param {string[]} [header.flags] - Names of set flags
+     * @param {Object} [header.params] - Flag parameters keyed by flag name, then parameter name
+     * @returns {string} Encoded header characters
+     */
+    encode({ encoder, alphabet, flags = [], params = {} }) {
+        const flagSet = new Set(flags);
+        let flagBits = 0;
+        for (const name of flagSet) {
+            flagBits |= 1 << this.getFlag(name).bit;
+        }
+
+        const values = { encoder, alphabet, flags: flagBits };
+        const bits = [];
+
+        for (const field of this.config.FIELDS) {
+            this.writeBits(bits, values[field.name], field.bits, field.name);
+        }
+
+        for (const flag of this.flagsByBit) {
+            if (!flagSet.has(flag.name)) continue;
+            for (const param of flag.params) {
+                const value = params[flag.name]?.[param.name];
+                if (value === undefined) {
+                    throw new Error(`LinkHeader: missing parameter ${flag.name}.${param.name}`);
+                }
+                this.writeBits(bits, value, param.bits, `${flag.name}.${param.name}`);
+            }
+        }
+
+        return this.CHARS[this.VERSION] + this.bitsToChars(bits);
+    }
+
+    /**
+     * Decode a header from the start of an encoded string
+     * @param {string} encodedString - Encoded link payload
+     * @returns {Object} Header fields plus `length` (characters consumed)
+     * @throws {Error} If the string does not start with a valid header
+     */
+    decode(encodedString) {
+        const version = this.charToIndex.get(encodedString[0]);
+        if (version !== this.VERSION) {
+            throw new Error(`LinkHeader: unsupported header version ${version}`);
+        }
+
+        const reader = { chars: encodedString, charIndex: 1, bits: [] };
+        const header = { version, params: {} };
+
+        for (const field of this.config.FIELDS) {
+            header[field.name] = this.readBits(reader, field.bits);
+        }
+
+        const flagBits = header.flags;
+        header.flags = [];
+
+        for (const flag of this.flagsByBit) {
+            if (flagBits & (1 << flag.bit)) {
+                header.flags.push(flag.name);
+                if (flag.params.length > 0) {
+                    header.params[flag.name] = {};
+                    for (const param of flag.params) {
+                        header.params[flag.name][param.name] = this.readBits(reader, param.bits);
+                    }
+                }
+            }
+        }
+
+        // Reject anything that would need guessing
+        const knownBits = this.flagsByBit.reduce((mask, flag) => mask | (1 << flag.bit), 0);
+        if (flagBits & ~knownBits) {
+            throw new Error('LinkHeader: unknown flag bits set');
+        }
+        if (!this.knownEncoders.has(header.encoder)) {
+            throw new Error(`LinkHeader: unknown encoder id ${header.encoder}`);
+        }
+        if (!this.knownAlphabets.has(header.alphabet)) {
+            throw new Error(`LinkHeader: unknown alphabet id ${header.alphabet}`);
+        }
+
+        header.length = reader.charIndex;
+        return header;
+    }
+
+    /**
+     * Check whether a decoded header has a flag set
+     * @param {Object} header - Decoded header
+     * @param {string} name - Flag name
+     * @returns {boolean}
+     */
+    hasFlag(header, name) {
+        return header.flags.includes(name);
+    }
+
+    /**
+     * Append a value to a bit array, most significant bit first
+     */
+    writeBits(bits, value, count, name) {
+        if (!Number.isInteger(value) || value < 0 || value >= 2 ** count) {
+            throw new Error(`LinkHeader: ${name} value ${value} does not fit in ${count} bits`);
+        }
+        for (let i = count - 1; i >= 0; i--) {
+            bits.push(Math.floor(value / 2 ** i) % 2);
+        }
+    }
+
+    /**
+     * Pack a bit array into header characters, zero-padding the last one
+     */
+    bitsToChars(bits) {
+        let result = '';
+        for (let i = 0; i < bits.length; i += this.BITS_PER_CHAR) {
+            let value = 0;
+            for (let j = 0; j < this.BITS_PER_CHAR; j++) {
+                value = (value << 1) | (bits[i + j] || 0);
+            }
+            result += this.CHARS[value];
+        }
+        return result;
+    }
+
+    /**
+     * Read count bits from the header characters, pulling characters as needed
+     */
+    readBits(reader, count) {
+        while (reader.bits.length < count) {
+            const char = reader.chars[reader.charIndex];
+            const value = this.charToIndex.get(char);
+            if (value === undefined) {
+                throw new Error(`LinkHeader: invalid header character '${char}'`);
+            }
+            for (let i = this.BITS_PER_CHAR - 1; i >= 0; i--) {
+                reader.bits.push((value >> i) & 1);
+            }
+            reader.charIndex++;
+        }
+
+        let value = 0;
+        for (let i = 0; i < count; i++) {
+            value = value * 2 + reader.bits.shift();
+        }
+        return value;
+    }
+};
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.LinkHeader;
+}
@@ -0,0 +1,150 @@
+/**
+ * LinkRouter.js
+ *
+ * Finds the encoded payload in a viewer URL using an explicit route table,
+ * instead of guessing from the shape of the path.
+ *
+ * Routes (tried in CONFIG.ROUTING.ORDER):
+ * - fragment:  base/#<payload>
+ * - query:     base/?img=<payload> or base/?data=<payload>
+ * - versioned: base/v<N>/<payload>
+ * - path:      base/<payload>
+ * Payloads are returned as they appear in the URL (still percent-encoded);
+ * the viewer decodes them.
+ */
+window.LinkRouter = class LinkRouter {
+    /**
+     * @param {Object} [options] - Router options
+     * @param {string} [options.basePath] - Path the app is served from (defaults to CONFIG.ROUTING.BASE_PATH, then '/')
+     * @param {string[]} [options.order] - Route names in the order they are tried
+     */
+    constructor(options = {}) {
+        const routing = window.CONFIG?.ROUTING || {};
+
+        this.basePath = this.normalizeBasePath(options.basePath || routing.BASE_PATH || '/');
+        this.order = options.order || routing.ORDER || ['fragment', 'query', 'versioned', 'path'];
+        this.queryParams = routing.QUERY_PARAMS || ['img', 'data'];
+        this.reservedPaths = new Set(routing.RESERVED_PATHS || ['index.html', '404.html']);
+
+        this.routes = new Map();
+        this.registerDefaultRoutes();
+    }
+
+    /**
+     * Register a route
+     * @param {string} name - Route name used in the order list
+     * @param {Function} extract - (parts) => {data, version?} or null; parts has pathname, search, hash, relativePath
+     */
+    registerRoute(name, extract) {
+        if (typeof extract !== 'function') {
+            throw new Error(`LinkRouter: route ${name} needs an extract function`);
+        }
+        this.routes.set(name, extract);
+    }
+
+    /**
+     * Register the built-in routes
+     */
+    registerDefaultRoutes() {
+        this.registerRoute('fragment', ({ hash }) => {
+            const data = hash.substring(1);
+            return data ? { data } : null;
+        });
+
+        // The payload may contain '&', '=' and '+', so the parameter has to be the
+        // only one and runs to the end of the query. URLSearchParams would turn '+'
+        // into a space.
+        this.registerRoute('query', ({ search }) => {
+            for (const param of this.queryParams) {
+                const prefix = `?${param}=`;
+                if (search.startsWith(prefix) && search.length > prefix.length) {
+                    return { data: search.substring(prefix.length) };
+                }
+            }
+            return null;
+        });
+
+        // No payload format starts with v<N>/, so the prefix is unambiguous
+        this.registerRoute('versioned', ({ relativePath }) => {
+            const match = relativePath?.match(/^v(\d+)\/(.+)$/s);
+            return match ? { data: match[2], version: parseInt(match[1], 10) } : null;
+        });
+
+        this.registerRoute('path', ({ relativePath }) => {
+            if (!relativePath || this.reservedPaths.has(relativePath)) {
+                return null;
+            }
+            return { data: relativePath };
+        });
+    }
+
+    /**
+     * Extract the payload from a URL
+     * @param {string|Location|URL} location - URL string or object with pathname, search and hash
+     * @returns {Object|null} {route, data, version} for the first matching route, or null
+     */
+    extract(location) {
+        const parts = this.parseLocation(location);
+
+        for (const name of this.order) {
+            const route = this.routes.get(name);
+            if (!route) {
+                throw new Error(`LinkRouter: unknown route ${name}`);
+            }
+
+            const result = route(parts);
+            if (result && result.data) {
+                return { route: name, data: result.data, version: result.version ?? null };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Split a URL into the parts routes look at
+     * @param {string|Location|URL} location - URL string or URL-like object
+     * @returns {Object} pathname, search, hash, and relativePath (null if outside the base path)
+     */
+    parseLocation(location) {
+        const url = typeof location === 'string' ? new URL(location) : location;
+        const pathname = url.pathname || '/';
+
+        return {
+            pathname,
+            search: url.search || '',
+            hash: url.hash || '',
+            relativePath: this.getRelativePath(pathname)
+        };
+    }
+
+    /**
+     * Strip the base path from a pathname
+     * @param {string} pathname - URL pathname
+     * @returns {string|null} Path below the base, or null if the pathname is outside it
+     */
+    getRelativePath(pathname) {
+        if (!pathname.startsWith(this.basePath)) {
+            return null;
+        }
+        return pathname.substring(this.basePath.length);
+    }
+
+    /**
+     * Ensure a base path starts and ends with '/'
+     * @param {string} basePath - Configured base path
+     * @returns {string}
+     */
+    normalizeBasePath(basePath) {
+        let path = basePath.startsWith('/') ? basePath : `/${basePath}`;
+        if (!path.endsWith('/')) {
+            path += '/';
+        }
+        return path;
+    }
+};
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.LinkRouter;
+}
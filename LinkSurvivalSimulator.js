@@ -0,0 +1,202 @@
+/**
+ * LinkSurvivalSimulator.js
+ *
+ * Applies the URL detection rules of common platforms to a generated link
+ * and reports whether the detected link is the whole link.
+ *
+ * Every platform finds a link from its scheme to the first terminator
+ * character (whitespace is always one), then strips trailing characters:
+ * - trailing:      characters removed from the end, one at a time
+ * - validEnd:      characters the link may end with; others are removed
+ * - balanceParens: a trailing ')' is kept only while it closes a '(' in the link
+ * - entitySuffix:  a trailing '&name;' entity reference is removed (GFM)
+ * Rules follow each platform's specification or open source matcher where one
+ * exists, and observed behaviour otherwise.
+ */
+window.LinkSurvivalSimulator = class LinkSurvivalSimulator {
+    constructor() {
+        this.platforms = new Map();
+        this.registerDefaultPlatforms();
+
+        // Message text around the link; {url} is replaced with the link
+        this.contexts = [
+            { name: 'bare', template: '{url}' },
+            { name: 'sentence', template: 'Look at this: {url}.' },
+            { name: 'parentheses', template: '(image: {url})' },
+            { name: 'quoted', template: '"{url}"' }
+        ];
+    }
+
+    /**
+     * Register a platform's linkification rules
+     * @param {string} name - Platform name shown in reports
+     * @param {Object} rules - { terminators, trailing?, validEnd?, balanceParens?, entitySuffix?, source? }
+     */
+    registerPlatform(name, rules) {
+        if (typeof rules.terminators !== 'string') {
+            throw new Error(`LinkSurvivalSimulator: platform ${name} needs a terminators string`);
+        }
+        this.platforms.set(name, {
+            trailing: '',
+            validEnd: null,
+            balanceParens: false,
+            entitySuffix: false,
+            ...rules
+        });
+    }
+
+    /**
+     * Register the built-in platforms
+     */
+    registerDefaultPlatforms() {
+        // cmark-gfm autolink_delim
+        this.registerPlatform('GitHub Markdown', {
+            source: 'GFM spec, extended autolinks',
+            terminators: '<',
+            trailing: '?!.,:*_~\'"',
+            balanceParens: true,
+            entitySuffix: true
+        });
+
+        // simple-markdown url rule: /^(https?:\/\/[^\s<]+[^<.,:;"')\]\s])/
+        this.registerPlatform('Discord', {
+            source: 'simple-markdown url rule',
+            terminators: '<',
+            trailing: '.,:;"\')]'
+        });
+
+        this.registerPlatform('Slack', {
+            source: 'observed',
+            terminators: '<>"',
+            trailing: '.,!?:;\'")]',
+            balanceParens: true
+        });
+
+        this.registerPlatform('Email clients', {
+            source: 'observed (Gmail, Outlook, Apple Mail plain text)',
+            terminators: '<>"',
+            trailing: '.,!?:;\'")]}',
+            balanceParens: true
+        });
+
+        // twitter-text validUrlPathEndingChars, plus balanced parentheses
+        this.registerPlatform('X (twitter-text)', {
+            source: 'twitter-text URL regex',
+            terminators: '<>"{}|\\^`',
+            validEnd: /[\p{L}\p{N}=_#/+-]/u,
+            balanceParens: true
+        });
+
+        this.registerPlatform('linkify-it (markdown-it)', {
+            source: 'linkify-it default schema',
+            terminators: '<>"`',
+            trailing: '.,:;!?\'")]',
+            balanceParens: true
+        });
+    }
+
+    /**
+     * Find the links a platform detects in a message
+     * @param {string} text - Message text
+     * @param {string} platformName - Registered platform
+     * @returns {string[]} Detected links in order
+     */
+    linkify(text, platformName) {
+        const rules = this.platforms.get(platformName);
+        if (!rules) {
+            throw new Error(`LinkSurvivalSimulator: unknown platform ${platformName}`);
+        }
+
+        const links = [];
+        const scheme = /https?:\/\//gi;
+        let match;
+        while ((match = scheme.exec(text)) !== null) {
+            let end = match.index;
+            while (end < text.length && !/\s/u.test(text[end]) && !rules.terminators.includes(text[end])) {
+                end++;
+            }
+
+            const link = this.stripTrailing(text.substring(match.index, end), rules);
+            links.push(link);
+            scheme.lastIndex = Math.max(end, match.index + match[0].length);
+        }
+        return links;
+    }
+
+    /**
+     * Remove the trailing characters a platform does not consider part of a link
+     * @param {string} link - Candidate link up to the first terminator
+     * @param {Object} rules - Platform rules
+     * @returns {string}
+     */
+    stripTrailing(link, rules) {
+        let result = link;
+
+        while (result.length > 0) {
+            const last = result[result.length - 1];
+
+            if (last === ')' && rules.balanceParens) {
+                const opens = result.split('(').length - 1;
+                const closes = result.split(')').length - 1;
+                if (closes > opens) {
+                    result = result.slice(0, -1);
+                    continue;
+                }
+                break;
+            }
+
+            if (rules.entitySuffix && last === ';') {
+                const entity = result.match(/&[a-zA-Z0-9]+;$/);
+                if (entity) {
+                    result = result.slice(0, -entity[0].length);
+                    continue;
+                }
+            }
+
+            if (rules.trailing.includes(last) || (rules.validEnd && !rules.validEnd.test(last))) {
+                result = result.slice(0, -1);
+                continue;
+            }
+
+            break;
+        }
+
+        return result;
+    }
+
+    /**
+     * Check a link against every platform and message context
+     * @param {string} url - Generated link
+     * @returns {{url: string, survives: boolean, results: Object[]}} One result per platform and context
+     */
+    simulate(url) {
+        const results = [];
+
+        for (const [platform, rules] of this.platforms) {
+            for (const context of this.contexts) {
+                // Replacer function, since links may contain '$&' and similar patterns
+                const message = context.template.replace('{url}', () => url);
+                const detected = this.linkify(message, platform)[0] || '';
+                results.push({
+                    platform,
+                    source: rules.source || null,
+                    context: context.name,
+                    detected,
+                    survives: detected === url,
+                    lost: url.startsWith(detected) ? url.substring(detected.length) : null
+                });
+            }
+        }
+
+        return {
+            url,
+            survives: results.every(result => result.survives),
+            results
+        };
+    }
+};
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.LinkSurvivalSimulator;
+}
@@ -40,6 +40,12 @@ window.MetricsCollector = class MetricsCollector {
                 height: 0,
                 recordedAt: 0
             },
+            // Bytes removed by the lossless stage (JpegOptimizer/ImageSlimmer)
+            losslessSavings: {
+                bytes: 0,
+                format: '',
+                removed: []
+            },
             
             // Compression tracking
             compressionAttempts: [],
@@ -97,6 +103,7 @@ window.MetricsCollector = class MetricsCollector {
         this.metrics.stages.clear();
         this.metrics.compressionAttempts = [];
         this.metrics.binarySearchHistory = [];
+        this.metrics.losslessSavings = { bytes: 0, format: '', removed: [] };
         this.metrics.errors = [];
         this.metrics.warnings = [];
         
@@ -291,6 +298,20 @@ window.MetricsCollector = class MetricsCollector {
         this.emitEvent('processed-image-set', { image: { ...this.metrics.processedImage } });
     }
 
+    /**
+     * Record the bytes saved by lossless optimization
+     * @param {Object} savings - { bytes, format, removed: what was dropped }
+     */
+    async setLosslessSavings(savings) {
+        this.metrics.losslessSavings = {
+            bytes: savings.bytes || 0,
+            format: savings.format || '',
+            removed: [...(savings.removed || [])]
+        };
+
+        this.emitEvent('lossless-savings-set', { savings: { ...this.metrics.losslessSavings } });
+    }
+
     /**
      * Record image analysis results
      * @param {Object} analysisData - Analysis results
@@ -487,6 +508,7 @@ window.MetricsCollector = class MetricsCollector {
             processedSize: processedImage.size,
             compressionRatio: 0,
             bytesReduced: 0,
+            losslessBytesSaved: this.metrics.losslessSavings.bytes,
             efficiency: 0
         };
 
@@ -352,6 +352,16 @@ window.MetricsSystem = class MetricsSystem {
         }
     }
 
+    /**
+     * Record bytes saved by lossless optimization
+     * @param {Object} savings - Savings data
+     */
+    async setLosslessSavings(savings) {
+        if (this.collector) {
+            await this.collector.setLosslessSavings(savings);
+        }
+    }
+
     /**
      * Record image analysis results
      * @param {Object} analysisData - Analysis results
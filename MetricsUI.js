@@ -29,6 +29,7 @@ window.MetricsUI = class MetricsUI {
             originalFormat: null,
             finalFormat: null,
             compressionRatio: null,
+            losslessSaved: null,
             elapsedTime: null,
             attempts: null,
             
@@ -82,6 +83,7 @@ window.MetricsUI = class MetricsUI {
         this.elements.originalFormat = document.getElementById('originalFormat');
         this.elements.finalFormat = document.getElementById('finalFormat');
         this.elements.compressionRatio = document.getElementById('compressionRatio');
+        this.elements.losslessSaved = document.getElementById('losslessSaved');
         this.elements.elapsedTime = document.getElementById('elapsedTime');
         this.elements.attempts = document.getElementById('attempts');
 
@@ -127,6 +129,8 @@ window.MetricsUI = class MetricsUI {
             this.handleOriginalImageSet.bind(this));
         this.metricsCollector.addEventListener('processed-image-set', 
             this.handleProcessedImageSet.bind(this));
+        this.metricsCollector.addEventListener('lossless-savings-set', 
+            this.handleLosslessSavingsSet.bind(this));
         this.metricsCollector.addEventListener('analysis-set', 
             this.handleAnalysisSet.bind(this));
 
@@ -314,6 +318,15 @@ window.MetricsUI = class MetricsUI {
         await this.updateCompressionRatio();
     }
 
+    /**
+     * Handle lossless savings event
+     * @param {Event} event - Lossless savings event
+     */
+    async handleLosslessSavingsSet(event) {
+        const { savings } = event.detail;
+        await this.updateLosslessSavingsDisplay(savings);
+    }
+
     /**
      * Handle analysis set event
      * @param {Event} event - Analysis event
@@ -467,6 +480,17 @@ window.MetricsUI = class MetricsUI {
         }
     }
 
+    /**
+     * Update lossless savings display
+     * @param {Object} savings - Lossless savings data
+     */
+    async updateLosslessSavingsDisplay(savings) {
+        if (!this.elements.losslessSaved) return;
+
+        this.elements.losslessSaved.textContent = savings?.bytes > 0 ? this.formatters.bytes(savings.bytes) : '-';
+        this.elements.losslessSaved.title = savings?.removed?.length ? `Removed: ${savings.removed.join(', ')}` : '';
+    }
+
     /**
      * Update compression ratio display
      */
@@ -515,6 +539,7 @@ window.MetricsUI = class MetricsUI {
             await this.updateProcessedImageDisplay(displayData.processedImage);
         }
 
+        await this.updateLosslessSavingsDisplay(displayData.losslessSavings);
         await this.updateCompressionRatio();
         await this.updateElapsedTime();
 
@@ -532,6 +557,7 @@ window.MetricsUI = class MetricsUI {
         this.finalValues = {
             originalImage: { ...metrics.originalImage },
             processedImage: { ...metrics.processedImage },
+            losslessSavings: { ...metrics.losslessSavings },
             compressionAttempts: [...(metrics.compressionAttempts || [])],
             totalDuration: metrics.totalDuration || (performance.now() - metrics.startTime),
             errors: [...(metrics.errors || [])]
@@ -598,7 +624,7 @@ window.MetricsUI = class MetricsUI {
         // Reset statistics
         const resetFields = [
             'originalSize', 'processedSize', 'originalFormat', 
-            'finalFormat', 'compressionRatio', 'elapsedTime', 'attempts'
+            'finalFormat', 'compressionRatio', 'losslessSaved', 'elapsedTime', 'attempts'
         ];
 
         resetFields.forEach(field => {
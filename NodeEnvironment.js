@@ -0,0 +1,106 @@
+/**
+ * NodeEnvironment.js
+ *
+ * Loads the codec and analysis modules in plain Node, without a browser, for
+ * unit tests and batch processing in CI.
+ *
+ * The modules register themselves on window, so the shim points window at
+ * the Node global and loads them in the same order as index.html. Node 18+
+ * already provides Blob, Response, CompressionStream and WebCrypto.
+ * Nothing canvas or WebGL based is loaded: the encoder and decoder fall back
+ * to their CPU paths, and ImageAnalyzer reads pixels from an injected pixel
+ * source instead of a canvas.
+ *
+ * Usage:
+ *   const bitstream = require('./NodeEnvironment.js');
+ *   const encoder = new bitstream.GPUBitStreamEncoder(bitstream.CONFIG.SAFE_CHARS);
+ *   const link = await encoder.encodeBits(bytes);
+ *
+ *   // decode is any function returning { width, height, data } RGBA pixels, e.g. from pngjs
+ *   const analyzer = new bitstream.ImageAnalyzer({ pixelSource: bitstream.createPixelSource(decode) });
+ *   const analysis = await analyzer.analyzeImage(fs.readFileSync('image.png'));
+ *
+ *   // Conformance suite in CI
+ *   require('./conformance_vectors.js');
+ *   const { failed } = await new (require('./conformance_test.js'))().runValidation();
+ */
+const path = require('path');
+
+// Loaded in order; later modules look up earlier ones on window when constructed
+const MODULES = [
+    'config.js',
+    'LinkHeader.js',
+    'CodecRegistry.js',
+    'IntegrityCheck.js',
+    'ReedSolomon.js',
+    'Deflate.js',
+    'ImageTemplates.js',
+    'JpegEncoder.js',
+    'JpegOptimizer.js',
+    'ImageSlimmer.js',
+    'PaletteQuantizer.js',
+    'RangeCoder.js',
+    'DirectBaseEncoder.js',
+    'GPUBitStreamEncoder.js',
+    'GPUBitStreamDecoder.js',
+    'LinkRouter.js',
+    'LinkSurvivalSimulator.js',
+    'ImageAnalyzer.js'
+];
+
+if (typeof globalThis.window === 'undefined') {
+    globalThis.window = globalThis;
+}
+if (typeof globalThis.crypto === 'undefined') {
+    globalThis.crypto = require('crypto').webcrypto;
+}
+
+for (const file of MODULES) {
+    require(path.join(__dirname, file));
+}
+
+/**
+ * Pixel source for ImageAnalyzer that works without a canvas
+ * Inputs that already are { width, height, data } RGBA images are used as is;
+ * Buffers, Uint8Arrays and Blobs are passed to decode.
+ * @param {Function} [decode] - (bytes: Uint8Array, type?: string) => { width, height, data }, may be async
+ * @returns {Object} { getPixels(image) }
+ */
+function createPixelSource(decode = null) {
+    return {
+        async getPixels(image) {
+            if (image && image.data && image.width > 0 && image.height > 0) {
+                return image;
+            }
+            if (!decode) {
+                throw new Error('NodeEnvironment: pass a decode(bytes, type) function to read encoded images');
+            }
+
+            const bytes = image instanceof Uint8Array ? image : new Uint8Array(await image.arrayBuffer());
+            return decode(bytes, image.type);
+        }
+    };
+}
+
+module.exports = {
+    CONFIG: window.CONFIG,
+    LinkHeader: window.LinkHeader,
+    CodecRegistry: window.CodecRegistry,
+    IntegrityCheck: window.IntegrityCheck,
+    ReedSolomon: window.ReedSolomon,
+    Deflate: window.Deflate,
+    ImageTemplates: window.ImageTemplates,
+    JpegEncoder: window.JpegEncoder,
+    JpegOptimizer: window.JpegOptimizer,
+    ImageSlimmer: window.ImageSlimmer,
+    PaletteQuantizer: window.PaletteQuantizer,
+    RangeCoder: window.RangeCoder,
+    DirectBaseEncoder: window.DirectBaseEncoder,
+    // On the page, window.GPUBitStreamEncoder is the BitStreamAdapter.js wrapper, which is not loaded here
+    GPUBitStreamEncoder: window.GPUBitStreamEncoderImpl,
+    GPUBitStreamDecoder: window.GPUBitStreamDecoder,
+    LinkRouter: window.LinkRouter,
+    LinkSurvivalSimulator: window.LinkSurvivalSimulator,
+    ImageAnalyzer: window.ImageAnalyzer,
+    createPixelSource
+};
@@ -0,0 +1,314 @@
+/**
+ * PaletteQuantizer.js
+ *
+ * Palette quantization and indexed-color PNG output for graphics and text:
+ * - Median cut (Heckbert) over the RGBA histogram; images with no more colors
+ *   than requested keep them all, so their palette is lossless
+ * - Fully transparent pixels share one reserved palette entry
+ * - Optional Floyd-Steinberg or ordered (4×4 Bayer) dithering
+ * - PNG with color type 3 at the smallest bit depth for the palette (1, 2, 4 or 8);
+ *   chunks, filters and zlib come from ImageSlimmer.js
+ */
+window.PaletteQuantizer = class PaletteQuantizer {
+    constructor() {
+        if (!window.ImageSlimmer) {
+            throw new Error('PaletteQuantizer: ImageSlimmer.js is required');
+        }
+        // PNG chunk, row filter and zlib writing
+        this.png = new window.ImageSlimmer();
+
+        this.MIN_COLORS = 2;
+        this.MAX_COLORS = 256;
+        this.DITHER_METHODS = ['none', 'floyd-steinberg', 'ordered'];
+        // Error spread to the neighbours of a pixel: [dx, dy, weight in sixteenths]
+        this.FLOYD_STEINBERG = [[1, 0, 7], [-1, 1, 3], [0, 1, 5], [1, 1, 1]];
+        // Thresholds for ordered dithering, row by row
+        this.BAYER_4X4 = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+        this.PNG_COLOR_TYPE_INDEXED = 3;
+    }
+
+    /**
+     * Quantize pixels and write them as an indexed-color PNG
+     * @param {ImageData|{width: number, height: number, data: Uint8ClampedArray}} image - RGBA pixels
+     * @param {number} colors - Palette size, 2-256
+     * @param {Object} [options] - See quantize
+     * @returns {Promise<Uint8Array>} PNG file
+     */
+    async encode(image, colors, options = {}) {
+        return this.writePng(this.quantize(image, colors, options));
+    }
+
+    /**
+     * Reduce pixels to a palette
+     * @param {ImageData|{width: number, height: number, data: Uint8ClampedArray}} image - RGBA pixels
+     * @param {number} colors - Palette size, 2-256
+     * @param {Object} [options]
+     * @param {string} [options.dither='none'] - 'none', 'floyd-steinberg' or 'ordered'
+     * @returns {{width: number, height: number, palette: number[][], indices: Uint8Array, exact: boolean}}
+     *   RGBA palette entries (translucent ones first), one index per pixel, and whether no color was lost
+     */
+    quantize(image, colors, options = {}) {
+        const { width, height, data } = image;
+        const dither = options.dither || 'none';
+        if (!this.DITHER_METHODS.includes(dither)) {
+            throw new Error(`PaletteQuantizer: unknown dither method ${dither}`);
+        }
+        const count = Math.max(this.MIN_COLORS, Math.min(this.MAX_COLORS, Math.round(colors)));
+
+        const histogram = this.buildHistogram(data);
+        const exact = histogram.size <= count;
+        let palette;
+        if (exact) {
+            palette = [...histogram.keys()].map(packed => this.unpack(packed));
+        } else if (histogram.has(0)) {
+            // Keep one entry for fully transparent pixels, so edges do not turn into visible colors
+            histogram.delete(0);
+            palette = [[0, 0, 0, 0], ...this.medianCut(histogram, count - 1)];
+        } else {
+            palette = this.medianCut(histogram, count);
+        }
+        // tRNS only needs to cover the entries up to the last translucent one
+        palette.sort((a, b) => (a[3] === 255) - (b[3] === 255));
+
+        const indices = exact || dither === 'none'
+            ? this.mapNearest(data, palette)
+            : this.mapDithered(image, palette, dither);
+        return { width, height, palette, indices, exact };
+    }
+
+    /**
+     * Pixel count per RGBA color; fully transparent pixels count as one color
+     * @returns {Map<number, number>} Packed color to pixel count
+     */
+    buildHistogram(data) {
+        const histogram = new Map();
+        for (let i = 0; i < data.length; i += 4) {
+            const packed = this.pack(data[i], data[i + 1], data[i + 2], data[i + 3]);
+            histogram.set(packed, (histogram.get(packed) || 0) + 1);
+        }
+        return histogram;
+    }
+
+    /**
+     * Median cut: split the box with the highest score (widest channel range,
+     * weighted by the square root of its pixel count) at the weighted median
+     * of that channel until there are enough boxes
+     * @param {Map<number, number>} histogram - Packed color to pixel count
+     * @param {number} count - Palette size
+     * @returns {number[][]} Weighted average color of each box
+     */
+    medianCut(histogram, count) {
+        const colors = [...histogram].map(([packed, weight]) => ({ value: this.unpack(packed), weight }));
+        const boxes = [this.createBox(colors)];
+
+        while (boxes.length < count) {
+            let target = null;
+            for (const box of boxes) {
+                if (box.colors.length > 1 && (!target || box.score > target.score)) {
+                    target = box;
+                }
+            }
+            if (!target) {
+                break;
+            }
+            boxes.splice(boxes.indexOf(target), 1, ...this.splitBox(target));
+        }
+
+        return boxes.map(box => this.averageColor(box));
+    }
+
+    createBox(colors) {
+        const min = [255, 255, 255, 255];
+        const max = [0, 0, 0, 0];
+        let weight = 0;
+        for (const color of colors) {
+            for (let c = 0; c < 4; c++) {
+                min[c] = Math.min(min[c], color.value[c]);
+                max[c] = Math.max(max[c], color.value[c]);
+            }
+            weight += color.weight;
+        }
+
+        let channel = 0;
+        for (let c = 1; c < 4; c++) {
+            if (max[c] - min[c] > max[channel] - min[channel]) {
+                channel = c;
+            }
+        }
+        const range = max[channel] - min[channel];
+        return { colors, channel, weight, score: range * Math.sqrt(weight) };
+    }
+
+    /**
+     * Split a box at the weighted median of its widest channel; both halves keep at least one color
+     * @returns {Object[]} Two boxes
+     */
+    splitBox(box) {
+        const { channel } = box;
+        const colors = [...box.colors].sort((a, b) => a.value[channel] - b.value[channel]);
+
+        let split = 1;
+        let below = colors[0].weight;
+        while (split < colors.length - 1 && below + colors[split].weight <= box.weight / 2) {
+            below += colors[split].weight;
+            split++;
+        }
+        return [this.createBox(colors.slice(0, split)), this.createBox(colors.slice(split))];
+    }
+
+    averageColor(box) {
+        const sums = [0, 0, 0, 0];
+        for (const color of box.colors) {
+            for (let c = 0; c < 4; c++) {
+                sums[c] += color.value[c] * color.weight;
+            }
+        }
+        return sums.map(sum => Math.round(sum / box.weight));
+    }
+
+    /**
+     * Index of the nearest palette entry for every pixel
+     * @returns {Uint8Array} Palette indices
+     */
+    mapNearest(data, palette) {
+        const indices = new Uint8Array(data.length / 4);
+        const cache = new Map();
+        for (let i = 0; i < indices.length; i++) {
+            const o = i * 4;
+            indices[i] = this.findNearest(data[o], data[o + 1], data[o + 2], data[o + 3], palette, cache);
+        }
+        return indices;
+    }
+
+    /**
+     * Palette indices with dithering of the color channels; alpha is mapped as is
+     * @param {string} dither - 'floyd-steinberg' or 'ordered'
+     * @returns {Uint8Array} Palette indices
+     */
+    mapDithered({ width, height, data }, palette, dither) {
+        const indices = new Uint8Array(width * height);
+        const cache = new Map();
+        // Color channels with the error carried over from earlier pixels
+        const values = Float32Array.from({ length: width * height * 3 }, (_, i) => data[Math.floor(i / 3) * 4 + i % 3]);
+        // Ordered dithering offsets colors by up to half the spacing of a uniform palette of this size
+        const spread = 255 / Math.cbrt(palette.length);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const pixel = y * width + x;
+                const alpha = data[pixel * 4 + 3];
+                const rgb = [0, 1, 2].map(c => values[pixel * 3 + c]);
+                if (dither === 'ordered') {
+                    const threshold = (this.BAYER_4X4[(y & 3) * 4 + (x & 3)] + 0.5) / 16 - 0.5;
+                    for (let c = 0; c < 3; c++) {
+                        rgb[c] += threshold * spread;
+                    }
+                }
+                const [r, g, b] = rgb.map(value => Math.max(0, Math.min(255, Math.round(value))));
+                const index = this.findNearest(r, g, b, alpha, palette, cache);
+                indices[pixel] = index;
+
+                if (dither !== 'floyd-steinberg' || alpha === 0) {
+                    continue;
+                }
+                for (let c = 0; c < 3; c++) {
+                    const error = rgb[c] - palette[index][c];
+                    for (const [dx, dy, weight] of this.FLOYD_STEINBERG) {
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        if (nx >= 0 && nx < width && ny < height) {
+                            values[(ny * width + nx) * 3 + c] += error * weight / 16;
+                        }
+                    }
+                }
+            }
+        }
+        return indices;
+    }
+
+    /**
+     * Nearest palette entry by squared RGBA distance
+     * @param {Map<number, number>} cache - Results by packed color
+     * @returns {number} Palette index
+     */
+    findNearest(r, g, b, a, palette, cache) {
+        const packed = this.pack(r, g, b, a);
+        const cached = cache.get(packed);
+        if (cached !== undefined) {
+            return cached;
+        }
+        if (a === 0) {
+            r = g = b = 0;
+        }
+
+        let best = 0;
+        let bestDistance = Infinity;
+        for (let i = 0; i < palette.length; i++) {
+            const [pr, pg, pb, pa] = palette[i];
+            const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2 + (a - pa) ** 2;
+            if (distance < bestDistance) {
+                best = i;
+                bestDistance = distance;
+            }
+        }
+        cache.set(packed, best);
+        return best;
+    }
+
+    /**
+     * Indexed-color PNG from a quantize result
+     * Rows are not filtered, as PNG recommends for palette images.
+     * @returns {Promise<Uint8Array>} PNG file
+     */
+    async writePng({ width, height, palette, indices }) {
+        const png = this.png;
+        const bitDepth = palette.length <= 2 ? 1 : palette.length <= 4 ? 2 : palette.length <= 16 ? 4 : 8;
+        const perByte = 8 / bitDepth;
+        const rowBytes = Math.ceil(width / perByte);
+
+        const rows = new Uint8Array(rowBytes * height);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                rows[y * rowBytes + Math.floor(x / perByte)] |= indices[y * width + x] << (8 - bitDepth * (x % perByte + 1));
+            }
+        }
+        const filtered = png.filterPng(rows, [{ rowBytes, rows: height }], 1, 'none');
+
+        const header = new Uint8Array(13);
+        png.writeUint32BE(header, 0, width);
+        png.writeUint32BE(header, 4, height);
+        header[8] = bitDepth;
+        header[9] = this.PNG_COLOR_TYPE_INDEXED;
+
+        const translucent = palette.filter(color => color[3] < 255).length;
+        const parts = [
+            png.PNG_SIGNATURE,
+            png.writePngChunk('IHDR', header),
+            png.writePngChunk('PLTE', Uint8Array.from(palette.flatMap(color => color.slice(0, 3))))
+        ];
+        if (translucent > 0) {
+            parts.push(png.writePngChunk('tRNS', Uint8Array.from(palette.slice(0, translucent), color => color[3])));
+        }
+        parts.push(
+            png.writePngChunk('IDAT', await png.writeZlib(filtered)),
+            png.writePngChunk('IEND', new Uint8Array(0))
+        );
+        return png.concatBytes(parts);
+    }
+
+    /**
+     * RGBA as one number; every fully transparent pixel packs to 0
+     */
+    pack(r, g, b, a) {
+        return a === 0 ? 0 : ((r << 24) | (g << 16) | (b << 8) | a) >>> 0;
+    }
+
+    unpack(packed) {
+        return [packed >>> 24, (packed >>> 16) & 0xFF, (packed >>> 8) & 0xFF, packed & 0xFF];
+    }
+};
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.PaletteQuantizer;
+}
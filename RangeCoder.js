@@ -0,0 +1,290 @@
+/**
+ * RangeCoder.js
+ *
+ * Adaptive range coder that writes digits in the link alphabet's radix.
+ *
+ * Base conversion stores every byte at a full 8 bits; a range coder spends
+ * -log2(p) bits on a symbol its model predicts with probability p, and since
+ * its output digits are in the alphabet's radix no fraction of a digit is
+ * lost at byte or chunk boundaries.
+ *
+ * State is kept in plain numbers: the coding window is RADIX^DIGITS, the
+ * largest power of the radix that keeps low + range below 2^53. Carries are
+ * propagated back into the digits already written.
+ *
+ * encodeBytes / decodeBytes use an adaptive order-0 byte model. Codecs with
+ * their own modelling (raw pixels, residuals) drive the coder directly with
+ * createEncoder / encodeSymbol / finishEncoder and the matching decoder calls,
+ * or with frequency models from createModel.
+ */
+window.RangeCoder = class RangeCoder {
+    /**
+     * @param {number} radix - Output digit base (alphabet size)
+     */
+    constructor(radix) {
+        if (!Number.isInteger(radix) || radix < 2) {
+            throw new Error('RangeCoder: radix must be an integer of at least 2');
+        }
+
+        this.RADIX = radix;
+        this.MAX_TOP = 2 ** 52;
+
+        // Model totals must stay well below the smallest range. Starting every
+        // count at 8 keeps the model from over-fitting the first few bytes,
+        // which cost up to 10% on short incompressible inputs
+        this.MAX_TOTAL = 1 << 16;
+        this.INITIAL_COUNT = 8;
+        this.INCREMENT = 24;
+
+        let top = radix;
+        let digits = 1;
+        while (top * radix <= this.MAX_TOP) {
+            top *= radix;
+            digits++;
+        }
+        this.TOP = top;
+        this.DIGITS = digits;
+        this.BOTTOM = top / radix;
+
+        if (this.BOTTOM <= this.MAX_TOTAL) {
+            throw new Error(`RangeCoder: radix ${radix} is too large for ${this.MAX_TOTAL}-count models`);
+        }
+    }
+
+    /**
+     * Exact floor(a / b) for non-negative integers below 2^53
+     */
+    divide(a, b) {
+        let quotient = Math.floor(a / b);
+        if (quotient * b > a) {
+            quotient--;
+        } else if ((quotient + 1) * b <= a) {
+            quotient++;
+        }
+        return quotient;
+    }
+
+    /**
+     * Start a new encoding
+     * @returns {Object} Encoder state
+     */
+    createEncoder() {
+        return { low: 0, range: this.TOP, digits: [] };
+    }
+
+    /**
+     * Narrow the range to a symbol's slice [start, start + size) of total
+     * @param {Object} encoder - From createEncoder
+     * @param {number} start - Cumulative frequency of the symbols before it
+     * @param {number} size - Frequency of the symbol
+     * @param {number} total - Total frequency, at most MAX_TOTAL
+     */
+    encodeSymbol(encoder, start, size, total) {
+        const step = this.divide(encoder.range, total);
+        encoder.low += step * start;
+        encoder.range = step * size;
+
+        if (encoder.low >= this.TOP) {
+            encoder.low -= this.TOP;
+            this.propagateCarry(encoder.digits);
+        }
+
+        while (encoder.range < this.BOTTOM) {
+            const digit = this.divide(encoder.low, this.BOTTOM);
+            encoder.digits.push(digit);
+            encoder.low = (encoder.low - digit * this.BOTTOM) * this.RADIX;
+            encoder.range *= this.RADIX;
+        }
+    }
+
+    /**
+     * Add one to the digits written so far
+     */
+    propagateCarry(digits) {
+        let i = digits.length - 1;
+        while (i >= 0 && digits[i] === this.RADIX - 1) {
+            digits[i--] = 0;
+        }
+        if (i < 0) {
+            throw new Error('RangeCoder: carry out of the coding window');
+        }
+        digits[i]++;
+    }
+
+    /**
+     * Write the shortest value inside the final range
+     * The decoder reads missing digits as zeros, so trailing zeros are dropped.
+     * @param {Object} encoder - From createEncoder
+     * @returns {number[]} Digits in [0, RADIX)
+     */
+    finishEncoder(encoder) {
+        const { low, range } = encoder;
+        let value = low;
+
+        for (let step = this.TOP; step >= 1; step /= this.RADIX) {
+            const candidate = this.divide(low + step - 1, step) * step;
+            if (candidate < low + range) {
+                value = candidate;
+                break;
+            }
+        }
+
+        if (value >= this.TOP) {
+            value -= this.TOP;
+            this.propagateCarry(encoder.digits);
+        }
+
+        for (let i = 0; i < this.DIGITS; i++) {
+            const digit = this.divide(value, this.BOTTOM);
+            encoder.digits.push(digit);
+            value = (value - digit * this.BOTTOM) * this.RADIX;
+        }
+
+        const { digits } = encoder;
+        while (digits.length > 0 && digits[digits.length - 1] === 0) {
+            digits.pop();
+        }
+        return digits;
+    }
+
+    /**
+     * Start decoding digits written by finishEncoder
+     * @param {number[]} digits - Digits in [0, RADIX)
+     * @returns {Object} Decoder state
+     */
+    createDecoder(digits) {
+        const decoder = { digits, position: 0, code: 0, range: this.TOP, step: 1 };
+        for (let i = 0; i < this.DIGITS; i++) {
+            decoder.code = decoder.code * this.RADIX + this.nextDigit(decoder);
+        }
+        return decoder;
+    }
+
+    /**
+     * Next input digit, zero past the end
+     */
+    nextDigit(decoder) {
+        return decoder.position < decoder.digits.length ? decoder.digits[decoder.position++] : 0;
+    }
+
+    /**
+     * Cumulative frequency the next symbol's slice contains
+     * Follow with decodeSymbol for the symbol whose slice holds this value.
+     * @param {Object} decoder - From createDecoder
+     * @param {number} total - Total frequency, as passed to encodeSymbol
+     * @returns {number} Value in [0, total)
+     */
+    decodeTarget(decoder, total) {
+        decoder.step = this.divide(decoder.range, total);
+        return Math.min(this.divide(decoder.code, decoder.step), total - 1);
+    }
+
+    /**
+     * Consume the symbol found with decodeTarget
+     * @param {Object} decoder - From createDecoder
+     * @param {number} start - Cumulative frequency of the symbols before it
+     * @param {number} size - Frequency of the symbol
+     */
+    decodeSymbol(decoder, start, size) {
+        decoder.code -= decoder.step * start;
+        decoder.range = decoder.step * size;
+
+        while (decoder.range < this.BOTTOM) {
+            decoder.code = decoder.code * this.RADIX + this.nextDigit(decoder);
+            decoder.range *= this.RADIX;
+        }
+    }
+
+    /**
+     * Adaptive frequency model over symbolCount symbols
+     * @param {number} symbolCount - Alphabet size of the model
+     * @returns {Object} Model state
+     */
+    createModel(symbolCount) {
+        const maxSymbols = this.MAX_TOTAL / (2 * this.INITIAL_COUNT);
+        if (symbolCount < 1 || symbolCount > maxSymbols) {
+            throw new Error(`RangeCoder: models need 1 to ${maxSymbols} symbols`);
+        }
+        return { freqs: new Uint32Array(symbolCount).fill(this.INITIAL_COUNT), total: symbolCount * this.INITIAL_COUNT };
+    }
+
+    /**
+     * Encode a symbol with a model, then update the model
+     */
+    encodeWithModel(encoder, model, symbol) {
+        let start = 0;
+        for (let s = 0; s < symbol; s++) {
+            start += model.freqs[s];
+        }
+        this.encodeSymbol(encoder, start, model.freqs[symbol], model.total);
+        this.updateModel(model, symbol);
+    }
+
+    /**
+     * Decode a symbol with a model, then update the model
+     * @returns {number} Symbol
+     */
+    decodeWithModel(decoder, model) {
+        const target = this.decodeTarget(decoder, model.total);
+        let symbol = 0;
+        let start = 0;
+        while (start + model.freqs[symbol] <= target) {
+            start += model.freqs[symbol];
+            symbol++;
+        }
+        this.decodeSymbol(decoder, start, model.freqs[symbol]);
+        this.updateModel(model, symbol);
+        return symbol;
+    }
+
+    /**
+     * Count a symbol, halving all counts when the total gets too large
+     */
+    updateModel(model, symbol) {
+        model.freqs[symbol] += this.INCREMENT;
+        model.total += this.INCREMENT;
+
+        if (model.total > this.MAX_TOTAL) {
+            model.total = 0;
+            for (let s = 0; s < model.freqs.length; s++) {
+                model.freqs[s] = (model.freqs[s] + 1) >> 1;
+                model.total += model.freqs[s];
+            }
+        }
+    }
+
+    /**
+     * Encode bytes with an adaptive order-0 model
+     * @param {Uint8Array} bytes - Data
+     * @returns {number[]} Digits in [0, RADIX)
+     */
+    encodeBytes(bytes) {
+        const encoder = this.createEncoder();
+        const model = this.createModel(256);
+        for (let i = 0; i < bytes.length; i++) {
+            this.encodeWithModel(encoder, model, bytes[i]);
+        }
+        return this.finishEncoder(encoder);
+    }
+
+    /**
+     * Decode bytes written by encodeBytes
+     * @param {number[]} digits - Digits in [0, RADIX)
+     * @param {number} length - Byte count
+     * @returns {Uint8Array}
+     */
+    decodeBytes(digits, length) {
+        const decoder = this.createDecoder(digits);
+        const model = this.createModel(256);
+        const result = new Uint8Array(length);
+        for (let i = 0; i < length; i++) {
+            result[i] = this.decodeWithModel(decoder, model);
+        }
+        return result;
+    }
+};
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.RangeCoder;
+}
@@ -0,0 +1,412 @@
+/**
+ * ReedSolomon.js
+ *
+ * Reed-Solomon forward error correction over the URL alphabet.
+ *
+ * Arithmetic is in GF(p) with p the largest prime <= RADIX, so every symbol
+ * is a single character from the first p characters of the alphabet.
+ * A block holds at most p - 1 symbols; longer bodies are split into blocks of
+ * equal size and interleaved symbol by symbol, so a truncated or burst-damaged
+ * link spreads its damage across all blocks.
+ *
+ * Each block with r parity symbols corrects any mix of e errors and f erasures
+ * with 2e + f <= r. Missing trailing characters and characters outside the
+ * symbol alphabet are treated as erasures.
+ */
+window.ReedSolomon = class ReedSolomon {
+    /**
+     * @param {string} safeChars - URL alphabet; symbols are its first PRIME characters
+     */
+    constructor(safeChars = window.CONFIG?.SAFE_CHARS) {
+        if (!safeChars || typeof safeChars !== 'string') {
+            throw new Error('ReedSolomon: Invalid safeChars parameter');
+        }
+
+        // PTA_4: Field size derived from the character set
+        this.PRIME = ReedSolomon.largestPrimeAtMost(safeChars.length);
+        if (this.PRIME < 3) {
+            throw new Error('ReedSolomon: character set too small');
+        }
+
+        this.SYMBOLS = safeChars.slice(0, this.PRIME);
+        this.MAX_BLOCK = this.PRIME - 1;
+
+        this.charToSymbol = new Map();
+        for (let i = 0; i < this.SYMBOLS.length; i++) {
+            this.charToSymbol.set(this.SYMBOLS[i], i);
+        }
+
+        // Exponent and log tables for a primitive element
+        const alpha = this.findPrimitiveElement();
+        this.exp = new Array(this.MAX_BLOCK * 2);
+        this.log = new Array(this.PRIME);
+        let x = 1;
+        for (let i = 0; i < this.MAX_BLOCK * 2; i++) {
+            this.exp[i] = x;
+            if (i < this.MAX_BLOCK) this.log[x] = i;
+            x = (x * alpha) % this.PRIME;
+        }
+
+        this.generatorCache = new Map();
+    }
+
+    /**
+     * Largest prime not above n
+     */
+    static largestPrimeAtMost(n) {
+        for (let candidate = n; candidate >= 2; candidate--) {
+            let prime = true;
+            for (let d = 2; d * d <= candidate; d++) {
+                if (candidate % d === 0) {
+                    prime = false;
+                    break;
+                }
+            }
+            if (prime) return candidate;
+        }
+        return 0;
+    }
+
+    /**
+     * Smallest element whose powers generate every non-zero field element
+     */
+    findPrimitiveElement() {
+        for (let g = 2; g < this.PRIME; g++) {
+            let x = 1;
+            let order = 0;
+            do {
+                x = (x * g) % this.PRIME;
+                order++;
+            } while (x !== 1);
+            if (order === this.MAX_BLOCK) return g;
+        }
+        throw new Error('ReedSolomon: no primitive element found');
+    }
+
+    /**
+     * Length of a body after adding parity
+     * @param {number} bodyLength - Body length in symbols
+     * @param {number} paritySymbols - Parity symbols per block
+     * @returns {number}
+     */
+    getEncodedLength(bodyLength, paritySymbols) {
+        this.validateParity(paritySymbols);
+        const blocks = Math.ceil(bodyLength / (this.MAX_BLOCK - paritySymbols));
+        return bodyLength + blocks * paritySymbols;
+    }
+
+    /**
+     * Encode a body, appending parity and interleaving the blocks
+     * @param {string} body - Body using only SYMBOLS characters
+     * @param {number} paritySymbols - Parity symbols per block
+     * @returns {string} Protected body
+     */
+    encode(body, paritySymbols) {
+        const totalLength = this.getEncodedLength(body.length, paritySymbols);
+        const blockLengths = this.getBlockLengths(totalLength);
+        const codewords = [];
+        let offset = 0;
+
+        for (const blockLength of blockLengths) {
+            const dataLength = blockLength - paritySymbols;
+            const data = new Array(dataLength);
+            for (let i = 0; i < dataLength; i++) {
+                const symbol = this.charToSymbol.get(body[offset + i]);
+                if (symbol === undefined) {
+                    throw new Error(`ReedSolomon: '${body[offset + i]}' is not a symbol character`);
+                }
+                data[i] = symbol;
+            }
+            offset += dataLength;
+            codewords.push(this.encodeBlock(data, paritySymbols));
+        }
+
+        const output = new Array(totalLength);
+        this.forEachInterleavedPosition(blockLengths, (position, block, index) => {
+            output[position] = this.SYMBOLS[codewords[block][index]];
+        });
+        return output.join('');
+    }
+
+    /**
+     * Decode a protected body, repairing errors and erasures
+     * @param {string} received - Received characters (may be truncated or padded)
+     * @param {number} totalLength - Protected body length from the header
+     * @param {number} paritySymbols - Parity symbols per block
+     * @returns {{body: string, repairedSymbols: number, erasures: number}}
+     * @throws {Error} If any block has more damage than its parity can repair
+     */
+    decode(received, totalLength, paritySymbols) {
+        this.validateParity(paritySymbols);
+        const blockLengths = this.getBlockLengths(totalLength);
+        const codewords = blockLengths.map(length => new Array(length));
+        const erasures = blockLengths.map(() => []);
+
+        this.forEachInterleavedPosition(blockLengths, (position, block, index) => {
+            const symbol = position < received.length ? this.charToSymbol.get(received[position]) : undefined;
+            if (symbol === undefined) {
+                codewords[block][index] = 0;
+                erasures[block].push(index);
+            } else {
+                codewords[block][index] = symbol;
+            }
+        });
+
+        let repairedSymbols = 0;
+        let erasureCount = 0;
+        const body = [];
+
+        for (let block = 0; block < codewords.length; block++) {
+            repairedSymbols += this.decodeBlock(codewords[block], erasures[block], paritySymbols, block);
+            erasureCount += erasures[block].length;
+
+            const dataLength = blockLengths[block] - paritySymbols;
+            for (let i = 0; i < dataLength; i++) {
+                body.push(this.SYMBOLS[codewords[block][i]]);
+            }
+        }
+
+        return { body: body.join(''), repairedSymbols, erasures: erasureCount };
+    }
+
+    /**
+     * Split a protected length into equal blocks of at most MAX_BLOCK symbols
+     */
+    getBlockLengths(totalLength) {
+        const blocks = Math.ceil(totalLength / this.MAX_BLOCK);
+        const base = Math.floor(totalLength / blocks);
+        const extra = totalLength % blocks;
+        const lengths = [];
+        for (let i = 0; i < blocks; i++) {
+            lengths.push(base + (i < extra ? 1 : 0));
+        }
+        return lengths;
+    }
+
+    /**
+     * Visit positions in interleaved order: symbol 0 of every block, then symbol 1, ...
+     */
+    forEachInterleavedPosition(blockLengths, callback) {
+        const longest = Math.max(...blockLengths);
+        let position = 0;
+        for (let index = 0; index < longest; index++) {
+            for (let block = 0; block < blockLengths.length; block++) {
+                if (index < blockLengths[block]) {
+                    callback(position++, block, index);
+                }
+            }
+        }
+    }
+
+    validateParity(paritySymbols) {
+        if (!Number.isInteger(paritySymbols) || paritySymbols < 1 || paritySymbols * 2 >= this.MAX_BLOCK) {
+            throw new Error(`ReedSolomon: parity must be between 1 and ${Math.floor((this.MAX_BLOCK - 1) / 2)} symbols`);
+        }
+    }
+
+    /**
+     * Generator polynomial (x - a^1)...(x - a^r), highest degree first
+     */
+    getGenerator(paritySymbols) {
+        let generator = this.generatorCache.get(paritySymbols);
+        if (generator) return generator;
+
+        generator = [1];
+        for (let i = 1; i <= paritySymbols; i++) {
+            const root = this.exp[i];
+            const next = new Array(generator.length + 1).fill(0);
+            for (let j = 0; j < generator.length; j++) {
+                next[j] = (next[j] + generator[j]) % this.PRIME;
+                next[j + 1] = (next[j + 1] + this.PRIME - (generator[j] * root) % this.PRIME) % this.PRIME;
+            }
+            generator = next;
+        }
+
+        this.generatorCache.set(paritySymbols, generator);
+        return generator;
+    }
+
+    /**
+     * Systematic encoding: data followed by the negated remainder of data * x^r mod g
+     */
+    encodeBlock(data, paritySymbols) {
+        const p = this.PRIME;
+        const generator = this.getGenerator(paritySymbols);
+        const buffer = data.concat(new Array(paritySymbols).fill(0));
+
+        for (let i = 0; i < data.length; i++) {
+            const coef = buffer[i];
+            if (coef === 0) continue;
+            for (let j = 1; j < generator.length; j++) {
+                buffer[i + j] = (buffer[i + j] + p - (coef * generator[j]) % p) % p;
+            }
+        }
+
+        const codeword = data.slice();
+        for (let i = data.length; i < buffer.length; i++) {
+            codeword.push((p - buffer[i]) % p);
+        }
+        return codeword;
+    }
+
+    /**
+     * Correct one block in place (Berlekamp-Massey with erasures, Chien search, Forney)
+     * @param {number[]} codeword - Received symbols, highest degree first
+     * @param {number[]} erasures - Indices of erased symbols
+     * @param {number} paritySymbols - Parity symbols in the block
+     * @param {number} blockIndex - Block number for error messages
+     * @returns {number} Number of repaired symbols
+     */
+    decodeBlock(codeword, erasures, paritySymbols, blockIndex) {
+        const p = this.PRIME;
+        const n = codeword.length;
+
+        if (erasures.length > paritySymbols) {
+            throw new Error(`ReedSolomon: block ${blockIndex} has ${erasures.length} missing symbols, can repair ${paritySymbols}`);
+        }
+
+        // Syndromes S_1..S_r; position i has degree n - 1 - i
+        const syndromes = new Array(paritySymbols);
+        let clean = true;
+        for (let m = 1; m <= paritySymbols; m++) {
+            let value = 0;
+            for (let i = 0; i < n; i++) {
+                value = (value * this.exp[m] + codeword[i]) % p;
+            }
+            syndromes[m - 1] = value;
+            if (value !== 0) clean = false;
+        }
+        if (clean) {
+            return erasures.length;
+        }
+
+        // Erasure locator: product of (1 - X_e x), lowest degree first
+        let locator = [1];
+        for (const index of erasures) {
+            locator = this.polyMul(locator, [1, p - this.exp[n - 1 - index]]);
+        }
+
+        // Berlekamp-Massey initialised with the erasure locator
+        let previous = locator.slice();
+        let length = erasures.length;
+        for (let k = erasures.length + 1; k <= paritySymbols; k++) {
+            let delta = 0;
+            for (let j = 0; j < locator.length && j < k; j++) {
+                delta = (delta + locator[j] * syndromes[k - j - 1]) % p;
+            }
+
+            const shifted = [0].concat(previous);
+            if (delta === 0) {
+                previous = shifted;
+                continue;
+            }
+
+            const next = this.polyAdd(locator, this.polyScale(shifted, p - delta));
+            if (2 * length <= k + erasures.length - 1) {
+                length = k + erasures.length - length;
+                previous = this.polyScale(locator, this.inverse(delta));
+            } else {
+                previous = shifted;
+            }
+            locator = next;
+        }
+
+        locator = this.polyTrim(locator);
+        const degree = locator.length - 1;
+        if (2 * (degree - erasures.length) + erasures.length > paritySymbols) {
+            throw new Error(`ReedSolomon: block ${blockIndex} is damaged beyond repair`);
+        }
+
+        // Chien search over the block positions
+        const positions = [];
+        for (let i = 0; i < n; i++) {
+            const xInverse = this.exp[(this.MAX_BLOCK - (n - 1 - i) % this.MAX_BLOCK) % this.MAX_BLOCK];
+            if (this.polyEval(locator, xInverse) === 0) {
+                positions.push({ index: i, xInverse });
+            }
+        }
+        if (positions.length !== degree) {
+            throw new Error(`ReedSolomon: block ${blockIndex} is damaged beyond repair`);
+        }
+
+        // Forney: e = -Omega(X^-1) / Lambda'(X^-1)
+        const omega = this.polyMul(syndromes, locator).slice(0, paritySymbols);
+        const derivative = [];
+        for (let i = 1; i < locator.length; i++) {
+            derivative.push((locator[i] * i) % p);
+        }
+
+        const erased = new Set(erasures);
+        let repaired = erasures.length;
+        for (const { index, xInverse } of positions) {
+            const denominator = this.polyEval(derivative, xInverse);
+            if (denominator === 0) {
+                throw new Error(`ReedSolomon: block ${blockIndex} is damaged beyond repair`);
+            }
+            const magnitude = (p - (this.polyEval(omega, xInverse) * this.inverse(denominator)) % p) % p;
+            if (magnitude !== 0 && !erased.has(index)) repaired++;
+            codeword[index] = (codeword[index] + p - magnitude) % p;
+        }
+
+        // A miscorrection leaves non-zero syndromes
+        for (let m = 1; m <= paritySymbols; m++) {
+            let value = 0;
+            for (let i = 0; i < n; i++) {
+                value = (value * this.exp[m] + codeword[i]) % p;
+            }
+            if (value !== 0) {
+                throw new Error(`ReedSolomon: block ${blockIndex} is damaged beyond repair`);
+            }
+        }
+
+        return repaired;
+    }
+
+    inverse(value) {
+        return this.exp[(this.MAX_BLOCK - this.log[value]) % this.MAX_BLOCK];
+    }
+
+    // Polynomial helpers, lowest degree first
+
+    polyAdd(a, b) {
+        const result = new Array(Math.max(a.length, b.length)).fill(0);
+        for (let i = 0; i < result.length; i++) {
+            result[i] = ((a[i] || 0) + (b[i] || 0)) % this.PRIME;
+        }
+        return result;
+    }
+
+    polyScale(poly, factor) {
+        return poly.map(c => (c * factor) % this.PRIME);
+    }
+
+    polyMul(a, b) {
+        const result = new Array(a.length + b.length - 1).fill(0);
+        for (let i = 0; i < a.length; i++) {
+            if (a[i] === 0) continue;
+            for (let j = 0; j < b.length; j++) {
+                result[i + j] = (result[i + j] + a[i] * b[j]) % this.PRIME;
+            }
+        }
+        return result;
+    }
+
+    polyEval(poly, x) {
+        let value = 0;
+        for (let i = poly.length - 1; i >= 0; i--) {
+            value = (value * x + poly[i]) % this.PRIME;
+        }
+        return value;
+    }
+
+    polyTrim(poly) {
+        let end = poly.length;
+        while (end > 1 && poly[end - 1] === 0) end--;
+        return poly.slice(0, end);
+    }
+};
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.ReedSolomon;
+}
@@ -0,0 +1,446 @@
+/**
+ * WorkerPool.js
+ *
+ * Runs encoding, decoding and image analysis jobs in Web Workers
+ * (BitStreamWorker.js), so BigInt conversion and pixel loops on large images
+ * do not freeze the page.
+ *
+ * Jobs take and return transferable ArrayBuffers, report progress while they
+ * run and can be cancelled: queued jobs are dropped, running ones end with
+ * their worker. When workers are disabled (CONFIG.ADVANCED.ENABLE_WORKER_THREADS),
+ * unsupported or fail to load, the same jobs run on the main thread one at a
+ * time, so callers do not need a second code path.
+ *
+ * Jobs:
+ * - encode:  { data: ArrayBuffer, alphabet?, maxLength?, encoder?, settings? } => string (GPUBitStreamEncoder.encodeBits)
+ * - decode:  { encoded } => { data: ArrayBuffer, verification, repair, blockReport }
+ * - analyze: { width, height, data: Uint8ClampedArray } => { analysis, data } (ImageAnalyzer.performCoreAnalysis)
+ */
+window.WorkerPool = class WorkerPool {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.size] - Worker count (defaults to CONFIG.CONCURRENT_OPERATIONS_MAX)
+     * @param {boolean} [options.useWorkers] - Defaults to CONFIG.ADVANCED.ENABLE_WORKER_THREADS
+     * @param {string} [options.scriptUrl] - Worker script (defaults to CONFIG.ADVANCED.WORKER_SCRIPT next to this file)
+     * @param {Object} [options.context] - Instances main-thread jobs should use: { encoder, decoder, analyzer }
+     */
+    constructor(options = {}) {
+        const advanced = window.CONFIG?.ADVANCED || {};
+        const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency;
+
+        this.size = Math.max(1, Math.min(options.size || window.CONFIG?.CONCURRENT_OPERATIONS_MAX || 2, cores || Infinity));
+        this.scriptUrl = options.scriptUrl || this.resolveScriptUrl(advanced.WORKER_SCRIPT || 'BitStreamWorker.js');
+        this.useWorkers = (options.useWorkers ?? advanced.ENABLE_WORKER_THREADS ?? false) &&
+            typeof Worker === 'function' && !!this.scriptUrl;
+
+        // Instances for jobs run on the main thread; missing ones are created on first use
+        this.context = options.context || {};
+
+        this.queue = [];
+        this.slots = [];        // { worker, job, ready }; worker is null for the main-thread slot
+        this.nextJobId = 1;
+
+        console.log(`WorkerPool: ${this.useWorkers ? `up to ${this.size} workers` : 'running jobs on the main thread'}`);
+    }
+
+    /**
+     * Resolve the worker script against this file, since 404.html pages are
+     * not served from the directory the scripts are in
+     * @param {string} script - Script path
+     * @returns {string|null} Absolute URL, or null outside a page
+     */
+    resolveScriptUrl(script) {
+        const base = window.WorkerPool.scriptBase || (typeof location !== 'undefined' ? location.href : null);
+        if (!base) return null;
+
+        try {
+            return new URL(script, base).href;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Run a job
+     * @param {string} type - 'encode', 'decode' or 'analyze'
+     * @param {Object} payload - Job input
+     * @param {Object} [options]
+     * @param {Transferable[]} [options.transfer] - Buffers in payload to move instead of copy (unusable afterwards)
+     * @param {Function} [options.onProgress] - ({ progress, stage }) with progress from 0 to 1
+     * @param {AbortSignal} [options.signal] - Cancels the job
+     * @returns {Promise<*>} Job result
+     */
+    run(type, payload, options = {}) {
+        if (!window.WorkerPool.getJob(type)) {
+            return Promise.reject(new Error(`WorkerPool: unknown job type ${type}`));
+        }
+        if (options.signal?.aborted) {
+            return Promise.reject(this.createCancelError());
+        }
+
+        return new Promise((resolve, reject) => {
+            const job = {
+                id: this.nextJobId++,
+                type,
+                payload,
+                transfer: options.transfer || [],
+                onProgress: options.onProgress || null,
+                resolve,
+                reject
+            };
+
+            if (options.signal) {
+                options.signal.addEventListener('abort', () => this.cancel(job), { once: true });
+            }
+
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * Cancel every queued and running job
+     */
+    cancelAll() {
+        const jobs = [...this.queue, ...this.slots.map(slot => slot.job).filter(Boolean)];
+        jobs.forEach(job => this.cancel(job));
+    }
+
+    /**
+     * Stop all workers; queued and running jobs are cancelled
+     */
+    terminate() {
+        this.cancelAll();
+        this.slots.filter(slot => slot.worker).forEach(slot => this.removeSlot(slot));
+    }
+
+    /**
+     * Cancel one job
+     * A job running in a worker ends with its worker. One running on the main
+     * thread cannot be interrupted; its result is dropped when it finishes.
+     * @param {Object} job - Job record
+     */
+    cancel(job) {
+        if (job.done) return;
+
+        const queued = this.queue.indexOf(job);
+        if (queued >= 0) {
+            this.queue.splice(queued, 1);
+        }
+
+        const slot = this.slots.find(candidate => candidate.job === job);
+        if (slot?.worker) {
+            this.removeSlot(slot);
+        }
+
+        // Main-thread slots stay busy until the job returns, so main-thread jobs never overlap
+        this.finish(job, null, null, this.createCancelError());
+        this.dispatch();
+    }
+
+    createCancelError() {
+        const error = new Error('WorkerPool: job cancelled');
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * Start queued jobs on idle slots, starting workers up to the pool size
+     * Jobs only go to workers that reported ready, so a worker that fails to
+     * load never receives (and detaches) a job's buffers.
+     */
+    dispatch() {
+        while (this.slots.length < (this.useWorkers ? this.size : 1) &&
+            this.slots.filter(slot => !slot.job).length < this.queue.length) {
+            this.createSlot();
+        }
+
+        for (const slot of this.slots) {
+            if (this.queue.length === 0) return;
+            if (slot.job || !slot.ready) continue;
+
+            const job = this.queue.shift();
+            slot.job = job;
+
+            if (slot.worker) {
+                slot.worker.postMessage({ id: job.id, type: job.type, payload: job.payload }, job.transfer);
+            } else {
+                this.runInThread(slot, job);
+            }
+        }
+    }
+
+    /**
+     * Start a worker, or a main-thread slot when workers are unavailable
+     * @returns {Object} Slot
+     */
+    createSlot() {
+        const slot = { worker: null, job: null, ready: true };
+
+        if (this.useWorkers) {
+            try {
+                slot.worker = new Worker(this.scriptUrl);
+                slot.ready = false;
+                slot.worker.onmessage = (event) => this.handleMessage(slot, event.data);
+                slot.worker.onerror = (event) => this.handleWorkerFailure(slot, event.message || 'worker error');
+                slot.worker.onmessageerror = () => this.handleWorkerFailure(slot, 'message could not be read');
+            } catch (error) {
+                // file:// pages and strict content security policies refuse workers
+                slot.worker = null;
+                slot.ready = true;
+                this.disableWorkers(`could not start worker: ${error.message}`);
+            }
+        }
+
+        this.slots.push(slot);
+        return slot;
+    }
+
+    /**
+     * Stop a slot's worker and forget the slot
+     */
+    removeSlot(slot) {
+        slot.worker?.terminate();
+        const index = this.slots.indexOf(slot);
+        if (index >= 0) {
+            this.slots.splice(index, 1);
+        }
+    }
+
+    /**
+     * Handle ready, progress, result and error messages from a worker
+     */
+    handleMessage(slot, message) {
+        if (message.type === 'ready') {
+            slot.ready = true;
+            this.dispatch();
+            return;
+        }
+
+        const { job } = slot;
+        if (!job || message.id !== job.id) return;
+
+        if (message.type === 'progress') {
+            this.reportProgress(job, message.progress, message.stage);
+            return;
+        }
+
+        if (message.type === 'result') {
+            this.finish(job, slot, message.result, null);
+        } else {
+            this.finish(job, slot, null, Object.assign(new Error(message.message), message.properties));
+        }
+
+        // Workers left over after switching to the main thread retire once idle
+        if (!this.useWorkers) {
+            this.removeSlot(slot);
+        }
+        this.dispatch();
+    }
+
+    /**
+     * A worker failed to load its scripts or crashed: run its job and
+     * everything after it on the main thread
+     */
+    handleWorkerFailure(slot, reason) {
+        const { job } = slot;
+        this.removeSlot(slot);
+
+        if (job && job.transfer.length > 0) {
+            // The job's buffers went to the dead worker, so it cannot be retried
+            this.finish(job, null, null, new Error(`WorkerPool: worker failed (${reason})`));
+        } else if (job) {
+            this.queue.unshift(job);
+        }
+
+        this.disableWorkers(reason);
+        this.dispatch();
+    }
+
+    /**
+     * Switch to main-thread execution for the rest of the page's life
+     */
+    disableWorkers(reason) {
+        if (!this.useWorkers) return;
+
+        console.warn(`WorkerPool: ${reason}, running jobs on the main thread`);
+        this.useWorkers = false;
+
+        // Idle workers go now; busy ones finish their job first
+        this.slots.filter(slot => slot.worker && !slot.job).forEach(slot => this.removeSlot(slot));
+    }
+
+    /**
+     * Run a job on the main thread
+     * Yields first so the job starts after the caller's current task.
+     */
+    async runInThread(slot, job) {
+        let result = null;
+        let error = null;
+
+        try {
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (!job.done) {
+                const output = await window.WorkerPool.runJob(job.type, job.payload, this.context,
+                    (progress, stage) => this.reportProgress(job, progress, stage));
+                result = output.result;
+            }
+        } catch (jobError) {
+            error = jobError;
+        }
+
+        this.finish(job, slot, result, error);
+        this.dispatch();
+    }
+
+    reportProgress(job, progress, stage) {
+        if (job.onProgress && !job.done) {
+            job.onProgress({ progress, stage });
+        }
+    }
+
+    /**
+     * Settle a job and free its slot
+     */
+    finish(job, slot, result, error) {
+        if (slot && slot.job === job) {
+            slot.job = null;
+        }
+        if (job.done) return;
+
+        job.done = true;
+        if (error) {
+            job.reject(error);
+        } else {
+            job.resolve(result);
+        }
+    }
+
+    /**
+     * Job implementation by type
+     * @param {string} type - Job type
+     * @returns {Function|null} (payload, context, progress) => Promise<{result, transfer}>
+     */
+    static getJob(type) {
+        const jobs = {
+            encode: window.WorkerPool.encodeJob,
+            decode: window.WorkerPool.decodeJob,
+            analyze: window.WorkerPool.analyzeJob
+        };
+        return jobs[type] || null;
+    }
+
+    /**
+     * Run a job where this script is loaded (a worker or the main thread)
+     * @param {string} type - Job type
+     * @param {Object} payload - Job input
+     * @param {Object} context - Encoder, decoder and analyzer instances, filled in on first use
+     * @param {Function} progress - (progress, stage)
+     * @returns {Promise<{result: *, transfer: Transferable[]}>}
+     */
+    static async runJob(type, payload, context, progress) {
+        const job = window.WorkerPool.getJob(type);
+        if (!job) {
+            throw new Error(`WorkerPool: unknown job type ${type}`);
+        }
+        return job(payload, context, progress);
+    }
+
+    /**
+     * Encode bytes for a link with the page's encoder settings
+     */
+    static async encodeJob({ data, alphabet, maxLength, encoder, settings }, context, progress) {
+        // Workers load their own CONFIG; the page may have changed its settings since
+        if (settings) {
+            Object.assign(window.CONFIG.ADVANCED, settings);
+        }
+        if (!context.encoder) {
+            const Encoder = window.GPUBitStreamEncoder || window.GPUBitStreamEncoderImpl;
+            context.encoder = new Encoder(window.CONFIG.SAFE_CHARS);
+        }
+
+        progress(0, alphabet ? `encoding ${alphabet}` : 'encoding');
+        const encoded = await context.encoder.encodeBits(data, {
+            alphabet: alphabet || undefined,
+            maxLength,
+            encoder: encoder || undefined
+        });
+        progress(1, 'encoded');
+
+        return { result: encoded, transfer: [] };
+    }
+
+    /**
+     * Decode a payload, with the decoder's verification, repair and block reports
+     */
+    static async decodeJob({ encoded }, context, progress) {
+        if (!context.decoder) {
+            context.decoder = new window.GPUBitStreamDecoder(window.CONFIG.SAFE_CHARS);
+        }
+        const { decoder } = context;
+
+        progress(0, 'decoding');
+        const data = typeof TransformStream !== 'undefined' && decoder.createDecodeStream
+            ? await window.WorkerPool.decodeStreamed(decoder, encoded, progress)
+            : await decoder.decodeBits(encoded);
+        progress(1, 'decoded');
+
+        return {
+            result: {
+                data,
+                verification: decoder.lastVerification,
+                repair: decoder.lastRepair,
+                blockReport: decoder.lastBlockReport
+            },
+            transfer: [data]
+        };
+    }
+
+    /**
+     * Feed a payload through the decoder's stream in chunks, reporting how far it got
+     * @returns {Promise<ArrayBuffer>} Same bytes as decodeBits
+     */
+    static async decodeStreamed(decoder, encoded, progress) {
+        const chunkChars = window.CONFIG?.ADVANCED?.STREAM_CHUNK_CHARS || 1024;
+        const stream = decoder.createDecodeStream({
+            onProgress: ({ stage, chars }) => {
+                if (stage === 'reading') progress(0.9 * chars / encoded.length, 'decoding');
+            }
+        });
+
+        const write = async () => {
+            const writer = stream.writable.getWriter();
+            for (let i = 0; i < encoded.length; i += chunkChars) {
+                await writer.write(encoded.slice(i, i + chunkChars));
+            }
+            await writer.close();
+        };
+
+        const [data] = await Promise.all([new Response(stream.readable).arrayBuffer(), write()]);
+        return data;
+    }
+
+    /**
+     * Core pixel analysis; the pixels are handed back so the caller can keep using them
+     */
+    static async analyzeJob({ width, height, data }, context, progress) {
+        if (!context.analyzer) {
+            // Pixels arrive with the job, so the analyzer never needs a canvas
+            context.analyzer = new window.ImageAnalyzer({ pixelSource: { getPixels: async (image) => image } });
+        }
+
+        progress(0, 'analyzing');
+        const analysis = await context.analyzer.performCoreAnalysis({ width, height, data });
+        progress(1, 'analyzed');
+
+        return { result: { analysis, data }, transfer: [data.buffer] };
+    }
+};
+
+// Where this file was loaded from, for resolving the worker script (null inside workers)
+window.WorkerPool.scriptBase = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : null;
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.WorkerPool;
+}
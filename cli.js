@@ -0,0 +1,449 @@
+#!/usr/bin/env node
+/**
+ * cli.js
+ *
+ * Command-line tool to create and read share links in bulk, built on the same
+ * encoder, decoder and CONFIG as the page (loaded through NodeEnvironment.js).
+ *
+ * Usage:
+ *   node cli.js encode <file> [--base <url>] [--transport path|fragment] [--alphabet <profile>] [-q] [--force]
+ *   node cli.js decode <url|payload> [-o <file>]
+ *   node cli.js inspect <url|payload>
+ *
+ * Images are encoded as they are; the CLI does not recompress them like the
+ * page does, so shrink large images before encoding.
+ *
+ * Exit codes: 0 success, 1 failure (including failed integrity checks),
+ * 2 usage error, 3 link longer than MAX_URL_LENGTH (or MAX_FRAGMENT_LENGTH).
+ * A link that is too long is only printed with --force.
+ */
+const fs = require('fs');
+
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+const EXIT_TOO_LONG = 3;
+
+// Used when neither --base nor CONFIG.URL_PREFIX is set
+const DEFAULT_BASE_URL = 'https://dihv.github.io/';
+
+const USAGE = `Usage:
+  node cli.js encode <file> [options]      Print the share link for an image and its length
+  node cli.js decode <url|payload> [-o <file>]
+                                           Write the linked image to a file (default: stdout)
+  node cli.js inspect <url|payload>        Show header, integrity check and efficiency stats
+
+Options:
+  --base <url>          Site the link points at (default: CONFIG.URL_PREFIX or ${DEFAULT_BASE_URL})
+  --transport <name>    'path' or 'fragment' (default: CONFIG.LINK_TRANSPORT)
+  --alphabet <profile>  Alphabet profile, or AUTO (default: CONFIG.ADVANCED.ALPHABET_PROFILE)
+  -o, --output <file>   Output file for decode
+  -q, --quiet           encode prints only the link
+  --force               encode prints the link even when it is too long (still exits 3)
+  -v, --verbose         Show module logging on stderr
+  -h, --help            Show this help`;
+
+/**
+ * Error with the process exit code it should end with
+ */
+class CliError extends Error {
+    constructor(message, exitCode = EXIT_FAILURE) {
+        super(message);
+        this.exitCode = exitCode;
+    }
+}
+
+/**
+ * Split arguments into the command, positional arguments and options
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{command: string, args: string[], options: Object}}
+ */
+function parseArguments(argv) {
+    const valueOptions = { '--base': 'base', '--transport': 'transport', '--alphabet': 'alphabet', '-o': 'output', '--output': 'output' };
+    const flagOptions = { '-q': 'quiet', '--quiet': 'quiet', '-v': 'verbose', '--verbose': 'verbose', '-h': 'help', '--help': 'help', '--force': 'force' };
+    const positional = [];
+    const options = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (valueOptions[arg]) {
+            if (i + 1 >= argv.length) {
+                throw new CliError(`${arg} needs a value`, EXIT_USAGE);
+            }
+            options[valueOptions[arg]] = argv[++i];
+        } else if (flagOptions[arg]) {
+            options[flagOptions[arg]] = true;
+        } else if (arg.startsWith('-') && arg.length > 1) {
+            throw new CliError(`Unknown option ${arg}`, EXIT_USAGE);
+        } else {
+            positional.push(arg);
+        }
+    }
+
+    const [command, ...args] = positional;
+    return { command, args, options };
+}
+
+/**
+ * Send module logging to stderr when verbose, or drop it, so stdout only
+ * carries links and decoded images
+ * @param {boolean} verbose - Keep module logging
+ */
+function redirectLogging(verbose) {
+    const toStderr = verbose ? (...args) => console.error(...args) : () => {};
+    console.log = toStderr;
+    console.info = toStderr;
+    console.debug = toStderr;
+    console.warn = toStderr;
+}
+
+/**
+ * Load the codec modules, plus CompressionEngine for building and measuring links
+ * @returns {Object} NodeEnvironment exports
+ */
+function loadModules() {
+    const bitstream = require('./NodeEnvironment.js');
+    require('./compressionEngine.js');
+    return bitstream;
+}
+
+/**
+ * Apply command-line overrides to CONFIG
+ * @param {Object} options - Parsed options
+ */
+function applyOptions(options) {
+    const config = window.CONFIG;
+
+    if (options.transport) {
+        if (!['path', 'fragment'].includes(options.transport)) {
+            throw new CliError(`--transport must be 'path' or 'fragment', not '${options.transport}'`, EXIT_USAGE);
+        }
+        config.LINK_TRANSPORT = options.transport;
+    }
+
+    if (options.alphabet) {
+        const profiles = Object.keys(config.LINK_HEADER.ALPHABETS);
+        if (options.alphabet !== 'AUTO' && !profiles.includes(options.alphabet)) {
+            throw new CliError(`--alphabet must be AUTO or one of ${profiles.join(', ')}`, EXIT_USAGE);
+        }
+        config.ADVANCED.ALPHABET_PROFILE = options.alphabet;
+    }
+}
+
+/**
+ * Base URL links point at
+ * @param {Object} options - Parsed options
+ * @returns {string} Absolute URL ending in '/'
+ */
+function getBaseUrl(options) {
+    const base = options.base || window.CONFIG.URL_PREFIX || DEFAULT_BASE_URL;
+    let url;
+    try {
+        url = new URL(base);
+    } catch (error) {
+        throw new CliError(`--base must be an absolute URL, not '${base}'`, EXIT_USAGE);
+    }
+    return url.href.split('#')[0].split('?')[0].replace(/[^/]*$/, '');
+}
+
+/**
+ * CompressionEngine without the page: builds links on a fixed base URL
+ * instead of window.location
+ */
+function createLinkBuilder(encoder, baseUrl) {
+    const LinkBuilder = class extends window.CompressionEngine {
+        getBaseUrl() {
+            return baseUrl;
+        }
+    };
+    return new LinkBuilder({ encoder, maxSize: window.CONFIG.MAX_URL_LENGTH });
+}
+
+/**
+ * Detect an image format from its signature bytes (CONFIG.FORMAT_SIGNATURES)
+ * @param {Uint8Array} bytes - File data
+ * @returns {string|null} MIME type
+ */
+function detectImageFormat(bytes) {
+    for (const { bytes: signature, offset = 0, format, verify } of Object.values(window.CONFIG.FORMAT_SIGNATURES)) {
+        if (bytes.length < offset + signature.length) {
+            continue;
+        }
+        if (signature.every((byte, i) => bytes[offset + i] === byte) && (!verify || verify(bytes))) {
+            return format;
+        }
+    }
+    return null;
+}
+
+/**
+ * Find the payload in a link, or take the argument as a bare payload
+ * Without --base, the site may be served from any path: the base encode uses
+ * is tried first, then each leading part of the link's path, and the first
+ * payload that starts with a valid link header is taken.
+ * @param {string} link - Share link or payload
+ * @param {Object} options - Parsed options
+ * @returns {{payload: string, route: string|null, url: URL|null, hint: string}} Payload with
+ *   percent-encoding removed, and a hint for decoding errors when the base path was not confirmed
+ */
+function extractPayload(link, options) {
+    let url = null;
+    if (/^https?:\/\//i.test(link)) {
+        url = new URL(link);
+    }
+    if (!url) {
+        return { payload: decodeURIComponent(link), route: null, url: null, hint: '' };
+    }
+
+    const basePaths = [new URL(getBaseUrl(options)).pathname];
+    if (!options.base) {
+        const segments = url.pathname.split('/').slice(1, -1);
+        for (let count = 0; count <= segments.length; count++) {
+            basePaths.push(count === 0 ? '/' : `/${segments.slice(0, count).join('/')}/`);
+        }
+    }
+    const hint = options.base ? '' : ' - pass --base with the site URL the link was made for';
+
+    const linkHeader = new window.LinkHeader();
+    let fallback = null;
+    for (const basePath of new Set(basePaths)) {
+        const match = new window.LinkRouter({ basePath }).extract(url);
+        if (!match) {
+            continue;
+        }
+        const payload = decodeURIComponent(match.data);
+        try {
+            linkHeader.decode(payload);
+            return { payload, route: match.route, url, hint: '' };
+        } catch (error) {
+            // Legacy payloads have no header; keep the first match in case this is one
+            fallback = fallback || { payload, route: match.route, url, hint };
+        }
+    }
+    if (!fallback) {
+        throw new CliError(`No image data found in ${link}${hint}`);
+    }
+    return fallback;
+}
+
+/**
+ * Check a link someone passed in against the configured limits
+ * @param {URL} url - Parsed link
+ * @param {string} route - LinkRouter route the payload was found on
+ * @returns {string|null} Problem, or null when the link fits
+ */
+function checkLinkLength(url, route) {
+    const { MAX_URL_LENGTH, MAX_FRAGMENT_LENGTH } = window.CONFIG;
+    const href = url.href;
+
+    if (route === 'fragment') {
+        const fragment = url.hash.length - 1;
+        const path = href.length - url.hash.length;
+        if (path > MAX_URL_LENGTH) return `URL before the fragment is ${path} characters, over MAX_URL_LENGTH ${MAX_URL_LENGTH}`;
+        if (fragment > MAX_FRAGMENT_LENGTH) return `Fragment is ${fragment} characters, over MAX_FRAGMENT_LENGTH ${MAX_FRAGMENT_LENGTH}`;
+        return null;
+    }
+
+    return href.length > MAX_URL_LENGTH ? `Link is ${href.length} characters, over MAX_URL_LENGTH ${MAX_URL_LENGTH}` : null;
+}
+
+/**
+ * Decode a payload and report how
+ * @param {string} payload - Payload without percent-encoding
+ * @returns {Promise<Object>} bytes, format, decoder
+ */
+async function decodePayload(payload, hint = '') {
+    const decoder = new window.GPUBitStreamDecoder(window.CONFIG.SAFE_CHARS);
+    let buffer;
+    try {
+        buffer = await decoder.decodeBits(payload);
+    } catch (error) {
+        throw new CliError(hint ? `Decoding failed${hint}` : `Decoding failed: ${error.message}`);
+    }
+
+    const bytes = new Uint8Array(buffer);
+    return { bytes, format: detectImageFormat(bytes), decoder };
+}
+
+/**
+ * encode <file>: print the share link and its length
+ */
+async function encodeCommand(args, options, bitstream) {
+    if (args.length !== 1) {
+        throw new CliError('encode takes one file', EXIT_USAGE);
+    }
+
+    let bytes;
+    try {
+        bytes = new Uint8Array(fs.readFileSync(args[0]));
+    } catch (error) {
+        throw new CliError(`Cannot read ${args[0]}: ${error.message}`);
+    }
+
+    const format = detectImageFormat(bytes);
+    if (!format || !window.CONFIG.SUPPORTED_INPUT_FORMATS.includes(format)) {
+        throw new CliError(`${args[0]} is not a supported image (${window.CONFIG.SUPPORTED_INPUT_FORMATS.join(', ')})`);
+    }
+
+    const encoder = new bitstream.GPUBitStreamEncoder(window.CONFIG.SAFE_CHARS);
+    const linkBuilder = createLinkBuilder(encoder, getBaseUrl(options));
+    const { encoded, alphabet } = await linkBuilder.encodeForLink(bytes);
+    const lengths = linkBuilder.getLinkLengths(encoded);
+    const fits = linkBuilder.verifyFinalUrlLength(encoded);
+
+    const limit = lengths.transport === 'fragment'
+        ? `fragment ${lengths.fragment} of ${window.CONFIG.MAX_FRAGMENT_LENGTH}, URL ${lengths.path} of ${window.CONFIG.MAX_URL_LENGTH}`
+        : `limit ${window.CONFIG.MAX_URL_LENGTH}`;
+    const stats = `Length: ${lengths.total} ${lengths.iri ? 'characters (IRI)' : 'characters'} (${limit}); ` +
+        `${bytes.length} bytes ${format}, ${alphabet || 'SAFE_CHARS'} alphabet\n`;
+
+    // Scripts read the link from stdout, so one that is too long goes nowhere without --force
+    if (fits || options.force) {
+        process.stdout.write(`${lengths.url}\n`);
+    }
+    if (!fits) {
+        process.stderr.write(stats);
+    } else if (!options.quiet) {
+        process.stdout.write(stats);
+    }
+
+    if (!fits) {
+        throw new CliError(`Link for ${args[0]} is too long for the configured limits`, EXIT_TOO_LONG);
+    }
+}
+
+/**
+ * decode <url>: write the linked image
+ */
+async function decodeCommand(args, options) {
+    if (args.length !== 1) {
+        throw new CliError('decode takes one link', EXIT_USAGE);
+    }
+
+    const { payload, hint } = extractPayload(args[0], options);
+    const { bytes, format, decoder } = await decodePayload(payload, hint);
+
+    const verification = decoder.lastVerification;
+    if (verification.verified === false) {
+        throw new CliError(`Integrity check failed (${verification.algorithm}) - the link is corrupted`);
+    }
+    if (!format) {
+        throw new CliError('Decoded data is not a known image format');
+    }
+
+    if (options.output) {
+        fs.writeFileSync(options.output, bytes);
+        console.error(`Wrote ${bytes.length} bytes (${format}) to ${options.output}`);
+    } else {
+        process.stdout.write(bytes);
+    }
+}
+
+/**
+ * inspect <url>: show header, integrity check status and efficiency stats
+ */
+async function inspectCommand(args, options, bitstream) {
+    if (args.length !== 1) {
+        throw new CliError('inspect takes one link', EXIT_USAGE);
+    }
+
+    const { payload, route, url, hint } = extractPayload(args[0], options);
+    const { bytes, format, decoder } = await decodePayload(payload, hint);
+    const header = decoder.readHeader(payload);
+    const alphabet = decoder.getPayloadAlphabet(payload);
+    const lines = [];
+
+    if (url) {
+        lines.push(['Link', `${url.href.length} characters, ${route} route`]);
+    }
+    lines.push(['Payload', `${payload.length} characters`]);
+
+    let profile = 'SAFE_CHARS';
+    if (header) {
+        const linkConfig = window.CONFIG.LINK_HEADER;
+        const nameOf = (table, id) => Object.keys(table).find(name => table[name] === id) || `id ${id}`;
+        profile = nameOf(linkConfig.ALPHABETS, header.alphabet);
+        const flags = header.flags.map(flag => {
+            const params = header.params[flag];
+            return params ? `${flag} (${Object.entries(params).map(([name, value]) => `${name} ${value}`).join(', ')})` : flag;
+        });
+
+        lines.push(['Header', `version ${header.version}, ${header.length} characters`]);
+        lines.push(['Encoder', nameOf(linkConfig.ENCODERS, header.encoder)]);
+        lines.push(['Flags', flags.join(', ') || 'none']);
+    } else {
+        const codec = decoder.getCodecForPayload(payload);
+        lines.push(['Header', `none (legacy ${codec ? codec.name : 'small'} format)`]);
+    }
+    lines.push(['Alphabet', `${profile}, radix ${alphabet.length}`]);
+
+    const verification = decoder.lastVerification;
+    lines.push(['Integrity', verification.algorithm
+        ? `${verification.algorithm} ${verification.verified ? 'verified' : 'FAILED'}`
+        : 'not checked (no integrity check in link)']);
+    if (decoder.lastRepair) {
+        lines.push(['Repair', `${decoder.lastRepair.repairedSymbols} symbols repaired, ${decoder.lastRepair.erasures} erasures`]);
+    }
+    if (decoder.lastBlockReport) {
+        const { totalBlocks, badBlocks, blockBytes } = decoder.lastBlockReport;
+        lines.push(['Blocks', `${totalBlocks} of ${blockBytes} bytes, ${badBlocks.length} damaged` +
+            (badBlocks.length ? ` (${badBlocks.map(block => block.index).join(', ')})` : '')]);
+    }
+
+    // Bits of image per payload character, against what the alphabet can carry
+    const bitsPerChar = Math.log2(alphabet.length);
+    const achieved = bytes.length * 8 / payload.length;
+    // Length encode would give the image in this alphabet, pre-compression included
+    const encoder = new bitstream.GPUBitStreamEncoder(window.CONFIG.SAFE_CHARS);
+    const precompressed = await encoder.precompress(bytes, bytes);
+    const predicted = encoder.predictEncodedLength(precompressed.payload.length, {
+        alphabet: header ? profile : undefined,
+        deflated: precompressed.deflated,
+        stripped: precompressed.stripped,
+        data: precompressed.payload
+    });
+    lines.push(['Image', `${format || 'unknown format'}, ${bytes.length} bytes`]);
+    lines.push(['Efficiency', `${achieved.toFixed(2)} bits/char of ${bitsPerChar.toFixed(2)} ` +
+        `(${(achieved / bitsPerChar * 100).toFixed(1)}%); predicted ${predicted ?? 'unknown'} characters with current settings`]);
+
+    const width = Math.max(...lines.map(([label]) => label.length)) + 2;
+    process.stdout.write(lines.map(([label, value]) => `${`${label}:`.padEnd(width)}${value}`).join('\n') + '\n');
+
+    if (verification.verified === false) {
+        throw new CliError(`Integrity check failed (${verification.algorithm}) - the link is corrupted`);
+    }
+    const tooLong = url && checkLinkLength(url, route);
+    if (tooLong) {
+        throw new CliError(tooLong, EXIT_TOO_LONG);
+    }
+}
+
+const COMMANDS = {
+    encode: encodeCommand,
+    decode: decodeCommand,
+    inspect: inspectCommand
+};
+
+async function main(argv) {
+    const { command, args, options } = parseArguments(argv);
+    if (options.help || !command) {
+        process.stdout.write(`${USAGE}\n`);
+        return;
+    }
+    if (!COMMANDS[command]) {
+        throw new CliError(`Unknown command '${command}'\n\n${USAGE}`, EXIT_USAGE);
+    }
+
+    redirectLogging(!!options.verbose);
+    const bitstream = loadModules();
+    applyOptions(options);
+    await COMMANDS[command](args, options, bitstream);
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(`Error: ${error.message}`);
+        process.exitCode = error.exitCode || EXIT_FAILURE;
+    });
+}
+
+module.exports = { main, parseArguments, detectImageFormat, extractPayload };
@@ -131,9 +131,10 @@ window.CompressionEngine = class CompressionEngine {
      * @param {File} file - Image file to compress
      * @param {string} targetFormat - Target format MIME type
      * @param {number} initialQuality - Initial quality setting (0-1)
+     * @param {Object} [analysisResults] - ImageAnalyzer results, for the palette sizes to search
      * @returns {Promise<Object|null>} Compression result or null if failed
      */
-    async compressImageHeuristic(file, targetFormat, initialQuality = 0.85) {
+    async compressImageHeuristic(file, targetFormat, initialQuality = 0.85, analysisResults = null) {
         const img = await createImageBitmap(file);
         
         // Clear search history for new compression
@@ -147,10 +148,8 @@ window.CompressionEngine = class CompressionEngine {
             );
         }
         
-        // Calculate effective URL space (accounting for base URL)
-        const baseUrl = this.getBaseUrl();
-        const baseUrlLength = baseUrl.length;
-        const effectiveMaxLength = this.maxSize - baseUrlLength - 10; // 10 char safety buffer
+        // Calculate effective URL space (accounting for base URL and transport)
+        const effectiveMaxLength = this.getEffectiveMaxLength();
         
         // Adjust initial quality for very large images
         if (img.width * img.height > 1000000) { // > 1 megapixel
@@ -189,7 +188,7 @@ window.CompressionEngine = class CompressionEngine {
         const searchBounds = this.calculateSearchBounds(initialResult, effectiveMaxLength, initialQuality);
         
         // Try multiple binary search strategies
-        let bestResult = await this.multiStrategyBinarySearch(img, targetFormat, searchBounds, effectiveMaxLength);
+        let bestResult = await this.multiStrategyBinarySearch(img, targetFormat, searchBounds, effectiveMaxLength, analysisResults);
         
         // Check for processing abortion
         if (this.processingAborted) {
@@ -201,7 +200,7 @@ window.CompressionEngine = class CompressionEngine {
             if (this.metrics) {
                 this.metrics.updateStageStatus('compression', 'Fine-tuning compression parameters');
             }
-            bestResult = await this.optimizeCompression(img, targetFormat, bestResult.params, effectiveMaxLength);
+            bestResult = await this.optimizeCompression(img, targetFormat, bestResult, effectiveMaxLength);
         }
         
         // Final fallback to aggressive scaling if still not successful
@@ -250,14 +249,19 @@ window.CompressionEngine = class CompressionEngine {
 
     /**
      * Multi-strategy binary search with different parameter ranges
+     * Search steps predict link lengths; the best result is left for
+     * optimizeCompression to refine and encode.
+     * Each range is searched for every subsampling and palette size candidate,
+     * full color first and then largest palettes first.
      * @param {ImageBitmap} img - Image to compress
      * @param {string} targetFormat - Target format
      * @param {Object} baseBounds - Base search bounds
      * @param {number} effectiveMaxLength - Target URL length
-     * @returns {Promise<Object|null>} Best compression result
+     * @param {Object} [analysisResults] - ImageAnalyzer results (see getPaletteCandidates)
+     * @returns {Promise<Object|null>} Best compression result, possibly predicted (see encodePredictedResult)
      */
-    async multiStrategyBinarySearch(img, targetFormat, baseBounds, effectiveMaxLength) {
-        const strategies = [
+    async multiStrategyBinarySearch(img, targetFormat, baseBounds, effectiveMaxLength, analysisResults = null) {
+        const ranges = [
             // Strategy 1: Balanced approach
             { ...baseBounds },
             
@@ -276,20 +280,32 @@ window.CompressionEngine = class CompressionEngine {
                 minScale: baseBounds.minScale, 
                 maxScale: baseBounds.maxScale * 0.6 
             }
-        ];
+        ].flatMap(bounds => this.getSubsamplingCandidates(targetFormat).map(subsampling => ({ ...bounds, subsampling })));
+        const strategies = this.getPaletteCandidates(targetFormat, analysisResults)
+            .flatMap(colors => ranges.map(bounds => ({ ...bounds, colors })));
         
         let bestResult = null;
+        // Palette size whose remaining ranges are skipped after a very efficient result
+        let settledColors = null;
+        // Smaller sizes that still hold every color of an exact palette give the same PNG
+        let exactSize = 0;
+        let exactColors = 0;
         
         for (const [index, bounds] of strategies.entries()) {
             // Check for processing abortion
             if (this.processingAborted) {
                 return null;
             }
+            if (bounds.colors && (bounds.colors === settledColors || (bounds.colors < exactSize && bounds.colors >= exactColors))) {
+                continue;
+            }
             
             if (this.metrics) {
                 this.metrics.updateStageStatus(
                     'compression', 
-                    `Binary search strategy ${index + 1}/3: Q=${bounds.minQuality.toFixed(2)}-${bounds.maxQuality.toFixed(2)}, S=${bounds.minScale.toFixed(2)}-${bounds.maxScale.toFixed(2)}`
+                    `Binary search strategy ${index + 1}/${strategies.length}: Q=${bounds.minQuality.toFixed(2)}-${bounds.maxQuality.toFixed(2)}, S=${bounds.minScale.toFixed(2)}-${bounds.maxScale.toFixed(2)}` +
+                    (bounds.subsampling ? `, ${bounds.subsampling}` : '') +
+                    (bounds.colors ? `, ${bounds.colors} colors` : '')
                 );
             }
             
@@ -302,13 +318,21 @@ window.CompressionEngine = class CompressionEngine {
             
             // Track best result across strategies
             if (result?.success) {
-                if (!bestResult || result.encodedLength < bestResult.encodedLength) {
+                if (result.params.exactColors) {
+                    exactSize = bounds.colors;
+                    exactColors = result.params.exactColors;
+                }
+                if (this.isBetterResult(result, bestResult)) {
                     bestResult = result;
                 }
                 
                 // If we found a very efficient result, stop early
+                // (a smaller palette may still allow a larger scale)
                 if (result.encodedLength < effectiveMaxLength * 0.8) {
-                    break;
+                    if (!bounds.colors) {
+                        break;
+                    }
+                    settledColors = bounds.colors;
                 }
             }
         }
@@ -316,11 +340,38 @@ window.CompressionEngine = class CompressionEngine {
         return bestResult;
     }
 
+    /**
+     * Whether a successful search result beats the best one so far
+     * When either is a palette result, the larger scale wins, then the larger palette
+     * (full color and palettes that kept every color count as largest), then the shorter link.
+     * Full-color results among themselves rank by link length.
+     * @param {Object} result - Successful result
+     * @param {Object|null} best - Best result so far
+     * @returns {boolean}
+     */
+    isBetterResult(result, best) {
+        if (!best) {
+            return true;
+        }
+        if (result.params?.colors || best.params?.colors) {
+            if (Math.abs(result.params.scale - best.params.scale) > 0.05) {
+                return result.params.scale > best.params.scale;
+            }
+            const paletteSize = (params) => (!params.colors || params.exactColors ? Infinity : params.colors);
+            if (paletteSize(result.params) !== paletteSize(best.params)) {
+                return paletteSize(result.params) > paletteSize(best.params);
+            }
+        }
+        return result.encodedLength < best.encodedLength;
+    }
+
     /**
      * Binary search to find optimal compression parameters
+     * Lengths are predicted where possible (tryCompressionLevel with predict),
+     * so a successful result may still need encodePredictedResult.
      * @param {ImageBitmap} img - Image to compress
      * @param {string} format - Target format
-     * @param {Object} bounds - Search bounds (minQuality, maxQuality, minScale, maxScale)
+     * @param {Object} bounds - Search bounds (minQuality, maxQuality, minScale, maxScale), optional subsampling and palette colors
      * @param {number} effectiveMaxLength - Maximum URL length
      * @returns {Promise<Object>} Search result
      */
@@ -333,13 +384,14 @@ window.CompressionEngine = class CompressionEngine {
         
         // Initialize search bounds
         let { minQuality, maxQuality, minScale, maxScale } = bounds;
+        const { subsampling, colors } = bounds;
     
         while (iterations < maxIterations) {
             iterations++;
             
             // Check for processing abortion
             if (this.processingAborted) {
-                return { success: false, encodedLength: Infinity, params: { format, quality: 0, scale: 0 } };
+                return { success: false, encodedLength: Infinity, params: { format, quality: 0, scale: 0, subsampling, colors } };
             }
             
             const quality = (minQuality + maxQuality) / 2;
@@ -355,15 +407,19 @@ window.CompressionEngine = class CompressionEngine {
             const result = await this.tryCompressionLevel(img, {
                 format,
                 quality,
-                scale
-            }, effectiveMaxLength);
+                scale,
+                subsampling,
+                colors
+            }, effectiveMaxLength, { predict: true });
 
             // Record iteration for visualization
+            // Lengths and success are measured on the serialized URL (getLinkLengths), or predicted for it
             this.recordBinarySearchIteration({
                 iteration: iterations,
                 quality: quality,
                 scale: scale,
                 encodedLength: result.encodedLength,
+                finalUrlLength: result.finalUrlLength,
                 success: result.success,
                 minQuality,
                 maxQuality,
@@ -376,7 +432,7 @@ window.CompressionEngine = class CompressionEngine {
                 // Found working compression - try for better quality
                 bestResult = { 
                     ...result,
-                    params: { format, quality, scale }
+                    params: { ...result.params, format, quality, scale, subsampling, colors }
                 };
                 minQuality = quality;
                 minScale = scale;
@@ -398,26 +454,27 @@ window.CompressionEngine = class CompressionEngine {
         return bestResult || { 
             success: false, 
             encodedLength: Infinity,
-            params: { format, quality: (minQuality + maxQuality) / 2, scale: (minScale + maxScale) / 2 }
+            params: { format, quality: (minQuality + maxQuality) / 2, scale: (minScale + maxScale) / 2, subsampling, colors }
         };
     }
     
     /**
      * Optimize compression by incrementally improving parameters
+     * Steps predict link lengths like the binary search; only the result is encoded.
      * @param {ImageBitmap} img - Image to compress
      * @param {string} format - Target format
-     * @param {Object} workingParams - Initial working parameters
+     * @param {Object} startResult - Successful search result to improve on
      * @param {number} effectiveMaxLength - Maximum URL length
      * @returns {Promise<Object>} Optimized result
      */
-    async optimizeCompression(img, format, workingParams, effectiveMaxLength) {
+    async optimizeCompression(img, format, startResult, effectiveMaxLength) {
         const optimizationSteps = [
             { quality: 0.02, scale: 0.02 }, // Fine steps
             { quality: 0.05, scale: 0.05 }  // Medium steps
         ];
 
-        let bestResult = await this.tryCompressionLevel(img, workingParams, effectiveMaxLength);
-        let currentParams = { ...workingParams };
+        let bestResult = startResult;
+        const currentParams = { ...startResult.params };
         
         for (const step of optimizationSteps) {
             let improved = true;
@@ -430,7 +487,7 @@ window.CompressionEngine = class CompressionEngine {
                 
                 // Check for processing abortion
                 if (this.processingAborted) {
-                    return bestResult;
+                    return this.encodePredictedResult(bestResult);
                 }
                 
                 // Try increasing quality first (usually more important)
@@ -438,7 +495,7 @@ window.CompressionEngine = class CompressionEngine {
                     const qualityTest = await this.tryCompressionLevel(img, {
                         ...currentParams,
                         quality: currentParams.quality + step.quality
-                    }, effectiveMaxLength);
+                    }, effectiveMaxLength, { predict: true });
                     
                     if (qualityTest.success && qualityTest.encodedLength <= bestResult.encodedLength) {
                         bestResult = qualityTest;
@@ -450,7 +507,7 @@ window.CompressionEngine = class CompressionEngine {
                 
                 // Check for processing abortion
                 if (this.processingAborted) {
-                    return bestResult;
+                    return this.encodePredictedResult(bestResult);
                 }
                 
                 // Try increasing scale
@@ -458,7 +515,7 @@ window.CompressionEngine = class CompressionEngine {
                     const scaleTest = await this.tryCompressionLevel(img, {
                         ...currentParams,
                         scale: currentParams.scale + step.scale
-                    }, effectiveMaxLength);
+                    }, effectiveMaxLength, { predict: true });
                     
                     if (scaleTest.success && scaleTest.encodedLength <= bestResult.encodedLength) {
                         bestResult = scaleTest;
@@ -469,7 +526,7 @@ window.CompressionEngine = class CompressionEngine {
             }
         }
         
-        return bestResult;
+        return this.encodePredictedResult(bestResult);
     }
 
     /**
@@ -531,11 +588,15 @@ window.CompressionEngine = class CompressionEngine {
     /**
      * Try image compression with specified parameters
      * @param {ImageBitmap} img - Image to compress
-     * @param {Object} options - Compression options (format, quality, width, height)
-     * @returns {Promise<Object>} Compression result with buffer and size
+     * JPEG goes through JpegEncoder when CONFIG.ADVANCED.JPEG_ENCODER is 'JS';
+     * PNG with a palette size through PaletteQuantizer.
+     * @param {Object} options - Compression options (format, quality, width, height, subsampling for the
+     *   JS JPEG encoder, colors for an indexed-color PNG)
+     * @returns {Promise<Object>} Compression result with buffer and size (and exactColors for a palette
+     *   that kept every color)
      */
     async tryCompression(img, options) {
-        const { format, quality = 0.85, width = null, height = null } = options;
+        const { format, quality = 0.85, width = null, height = null, subsampling = null, colors = null } = options;
         
         // Create canvas for compression
         const canvas = document.createElement('canvas');
@@ -556,7 +617,19 @@ window.CompressionEngine = class CompressionEngine {
         
         // Draw image to canvas with specified dimensions
         ctx.drawImage(img, 0, 0, targetWidth, targetHeight);
-        
+
+        if (format === 'image/jpeg' && this.useJsJpegEncoder()) {
+            const pixels = ctx.getImageData(0, 0, targetWidth, targetHeight);
+            const bytes = this.encodeJpeg(pixels, quality, subsampling);
+            return { buffer: bytes.buffer, size: bytes.length };
+        }
+
+        if (format === 'image/png' && colors) {
+            const pixels = ctx.getImageData(0, 0, targetWidth, targetHeight);
+            const { bytes, exactColors } = await this.encodeIndexedPng(pixels, colors);
+            return { buffer: bytes.buffer, size: bytes.length, exactColors };
+        }
+
         // Convert to blob with compression
         return new Promise((resolve, reject) => {
             canvas.toBlob(
@@ -585,14 +658,221 @@ window.CompressionEngine = class CompressionEngine {
         });
     }
 
+    /**
+     * Whether JPEG is encoded by JpegEncoder instead of canvas.toBlob
+     * Falls back to the canvas when JpegEncoder.js did not load.
+     * @returns {boolean}
+     */
+    useJsJpegEncoder() {
+        return window.CONFIG?.ADVANCED?.JPEG_ENCODER === 'JS' && !!window.JpegEncoder;
+    }
+
+    /**
+     * Payload size of compressed image bytes once the encoder strips standard headers
+     * @param {ArrayBuffer|Uint8Array} bytes - Compressed image
+     * @returns {number} Payload size in bytes
+     */
+    getPayloadSize(bytes) {
+        return this.encoder?.stripHeaders?.(bytes)?.length ?? bytes.byteLength;
+    }
+
+    /**
+     * Encode canvas pixels with JpegEncoder and the CONFIG.ADVANCED.JPEG_* settings
+     * With JPEG_OPTIMIZE_HUFFMAN 'AUTO', both table choices are encoded: standard
+     * tables cost nothing once headers are stripped, so they win on small images.
+     * @param {ImageData} pixels - Canvas pixels
+     * @param {number} quality - Quality 0-1
+     * @param {string|null} subsampling - Subsampling, or null for the configured one
+     * @returns {Uint8Array} JPEG file
+     */
+    encodeJpeg(pixels, quality, subsampling) {
+        if (!this.jpegEncoder) {
+            if (!window.JpegEncoder) {
+                throw new Error('CompressionEngine: JpegEncoder.js not loaded');
+            }
+            this.jpegEncoder = new window.JpegEncoder();
+        }
+
+        const settings = window.CONFIG?.ADVANCED || {};
+        const configured = settings.JPEG_SUBSAMPLING && settings.JPEG_SUBSAMPLING !== 'AUTO' ? settings.JPEG_SUBSAMPLING : '4:2:0';
+        const options = {
+            quality,
+            subsampling: subsampling || configured,
+            progressive: !!settings.JPEG_PROGRESSIVE,
+            quantization: settings.JPEG_QUANTIZATION || null
+        };
+
+        const optimize = settings.JPEG_OPTIMIZE_HUFFMAN ?? 'AUTO';
+        if (optimize !== 'AUTO' || options.progressive) {
+            return this.jpegEncoder.encode(pixels, { ...options, optimizeHuffman: !!optimize });
+        }
+
+        const standard = this.jpegEncoder.encode(pixels, { ...options, optimizeHuffman: false });
+        const optimized = this.jpegEncoder.encode(pixels, { ...options, optimizeHuffman: true });
+        return this.getPayloadSize(optimized) < this.getPayloadSize(standard) ? optimized : standard;
+    }
+
+    /**
+     * Lossless optimization, tried before any lossy step: JPEGs go through
+     * optimizeJpegLossless, PNG, WebP and GIF files through ImageSlimmer.js.
+     * The bytes saved are reported to the metrics even when the result does not fit.
+     * @param {ArrayBuffer} buffer - Image file
+     * @param {string} format - MIME type of the file
+     * @returns {Promise<Object|null>} Compression result (as encodeCompressed, with params.saved
+     *   and params.removed), or null when nothing was gained
+     */
+    async optimizeLossless(buffer, format) {
+        const settings = window.CONFIG?.ADVANCED || {};
+        if (buffer.byteLength > settings.LOSSLESS_MAX_BYTES) {
+            return null;
+        }
+
+        let optimized = null;
+        let removed = [];
+        if (format === 'image/jpeg') {
+            optimized = this.optimizeJpegLossless(buffer);
+        } else if (settings.LOSSLESS_SLIM && window.ImageSlimmer) {
+            if (!this.imageSlimmer) {
+                this.imageSlimmer = new window.ImageSlimmer();
+            }
+            const slimmed = await this.imageSlimmer.slim(buffer);
+            // A file whose signature does not match its MIME type is left alone
+            if (slimmed && slimmed.format === format) {
+                optimized = slimmed.bytes;
+                removed = slimmed.removed;
+            }
+        }
+        if (!optimized) {
+            return null;
+        }
+
+        const originalSize = this.getPayloadSize(new Uint8Array(buffer));
+        const optimizedSize = this.getPayloadSize(optimized);
+        if (this.metrics) {
+            this.metrics.updateStageStatus(
+                'compression',
+                `Lossless ${format.split('/')[1].toUpperCase()}: ${buffer.byteLength} → ${optimized.length} bytes (payload ${originalSize} → ${optimizedSize})`
+            );
+        }
+        if (optimizedSize >= originalSize) {
+            return null;
+        }
+
+        const saved = buffer.byteLength - optimized.length;
+        if (this.metrics && typeof this.metrics.setLosslessSavings === 'function') {
+            this.metrics.setLosslessSavings({ bytes: saved, format, removed });
+        }
+        return this.encodeCompressed(optimized.buffer, optimized.length, { format, quality: 1, scale: 1, lossless: true, saved, removed });
+    }
+
+    /**
+     * Lossless JPEG optimization (JpegOptimizer.js)
+     * The file is rewritten with standard and with optimized Huffman tables (and
+     * progressively with LOSSLESS_JPEG_PROGRESSIVE); the variant with the
+     * shortest stripped payload is kept.
+     * @param {ArrayBuffer} buffer - JPEG file
+     * @returns {Uint8Array|null} Rewritten file, or null when the file cannot be rewritten
+     */
+    optimizeJpegLossless(buffer) {
+        const settings = window.CONFIG?.ADVANCED || {};
+        if (!settings.LOSSLESS_JPEG || !window.JpegOptimizer || !window.JpegEncoder) {
+            return null;
+        }
+        if (!this.jpegOptimizer) {
+            this.jpegOptimizer = new window.JpegOptimizer();
+        }
+
+        const variants = [{ optimizeHuffman: false }, { optimizeHuffman: true }];
+        if (settings.LOSSLESS_JPEG_PROGRESSIVE) {
+            variants.push({ progressive: true });
+        }
+
+        let best = null;
+        for (const options of variants) {
+            const output = this.jpegOptimizer.optimize(buffer, options);
+            if (!output) {
+                // The file cannot be read or kept as is; no variant will do better
+                return null;
+            }
+            if (!best || this.getPayloadSize(output) < this.getPayloadSize(best)) {
+                best = output;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Chroma subsampling choices for the binary search
+     * Only the JS JPEG encoder offers a choice; 'AUTO' searches 4:2:0 and 4:4:4.
+     * @param {string} format - Target format
+     * @returns {Array<string|null>} Subsampling values (null = encoder default)
+     */
+    getSubsamplingCandidates(format) {
+        const configured = window.CONFIG?.ADVANCED?.JPEG_SUBSAMPLING || 'AUTO';
+        if (format !== 'image/jpeg' || !this.useJsJpegEncoder()) {
+            return [null];
+        }
+        return configured === 'AUTO' ? ['4:2:0', '4:4:4'] : [configured];
+    }
+
+    /**
+     * Palette sizes for the binary search, full color first and then largest palettes first
+     * Indexed-color PNG applies to the CONFIG.ADVANCED.PALETTE_CLASSIFICATIONS image types
+     * and to any image whose colors fit a palette (ImageAnalyzer color depth of 8 bits or less).
+     * Whether a palette keeps every color is only known once the scaled image is quantized.
+     * @param {string} format - Target format
+     * @param {Object} [analysisResults] - ImageAnalyzer results
+     * @returns {Array<number|null>} Palette sizes (null = full color)
+     */
+    getPaletteCandidates(format, analysisResults) {
+        const settings = window.CONFIG?.ADVANCED || {};
+        const analysis = analysisResults?.analysis;
+        if (format !== 'image/png' || !settings.PALETTE_PNG || !window.PaletteQuantizer || !window.ImageSlimmer || !analysis) {
+            return [null];
+        }
+        const lowColor = analysis.colorDepth !== undefined && analysis.colorDepth <= 8;
+        if (!lowColor && !(settings.PALETTE_CLASSIFICATIONS || []).includes(analysis.classification)) {
+            return [null];
+        }
+
+        const sizes = (settings.PALETTE_SIZES || [256]).map(size => Math.max(2, Math.min(256, Math.round(size))));
+        return [null, ...[...new Set(sizes)].sort((a, b) => b - a)];
+    }
+
+    /**
+     * Encode canvas pixels as an indexed-color PNG with PaletteQuantizer
+     * @param {ImageData} pixels - Canvas pixels
+     * @param {number} colors - Palette size
+     * @returns {Promise<{bytes: Uint8Array, exactColors: number|null}>} PNG file, and the palette
+     *   size when it kept every color of the pixels
+     */
+    async encodeIndexedPng(pixels, colors) {
+        if (!this.paletteQuantizer) {
+            if (!window.PaletteQuantizer) {
+                throw new Error('CompressionEngine: PaletteQuantizer.js not loaded');
+            }
+            this.paletteQuantizer = new window.PaletteQuantizer();
+        }
+        const quantized = this.paletteQuantizer.quantize(pixels, colors, { dither: window.CONFIG?.ADVANCED?.PALETTE_DITHER || 'none' });
+        return {
+            bytes: await this.paletteQuantizer.writePng(quantized),
+            exactColors: quantized.exact ? quantized.palette.length : null
+        };
+    }
+
     /**
      * Try a specific compression level and validate against URL limits
+     * With options.predict, the link length is predicted from the compressed
+     * size instead of encoded (see predictLinkLength); a predicted result
+     * carries the compressed buffer in data and is encoded by encodePredictedResult.
      * @param {ImageBitmap} img - Image to compress
      * @param {Object} params - Compression parameters
      * @param {number} effectiveMaxLength - Target URL length (unused - calculated internally)
+     * @param {Object} [options] - Attempt options
+     * @param {boolean} [options.predict] - Predict the link length instead of encoding, when possible
      * @returns {Promise<Object>} Compression result
      */
-    async tryCompressionLevel(img, params, effectiveMaxLength) {
+    async tryCompressionLevel(img, params, effectiveMaxLength, options = {}) {
         // Check for processing abortion
         if (this.processingAborted) {
             return {
@@ -604,12 +884,17 @@ window.CompressionEngine = class CompressionEngine {
         }
         
         try {
-            const { buffer, size } = await this.tryCompression(img, {
+            const { buffer, size, exactColors } = await this.tryCompression(img, {
                 format: params.format,
                 quality: params.quality,
                 width: Math.round(img.width * params.scale),
-                height: Math.round(img.height * params.scale)
+                height: Math.round(img.height * params.scale),
+                subsampling: params.subsampling,
+                colors: params.colors
             });
+            if (exactColors) {
+                params = { ...params, exactColors };
+            }
 
             // Update metrics with compression details
             if (this.metrics) {
@@ -617,59 +902,21 @@ window.CompressionEngine = class CompressionEngine {
                     'compression',
                     `${params.format.split('/')[1].toUpperCase()} @ ` +
                     `Q${Math.round(params.quality * 100)}, ` +
-                    `${Math.round(img.width * params.scale)}×${Math.round(img.height * params.scale)} = ` +
+                    `${Math.round(img.width * params.scale)}×${Math.round(img.height * params.scale)}` +
+                    `${params.subsampling ? ` ${params.subsampling}` : ''}` +
+                    `${params.colors ? ` ${params.colors} colors` : ''} = ` +
                     `${(size / 1024).toFixed(2)}KB`
                 );
             }
 
-            // Encode with comprehensive error handling
-            let encoded;
-            try {
-                encoded = await this.encoder.encodeBits(buffer);
-            } catch (encodingError) {
-                console.error('Encoding error:', encodingError);
-                throw new Error(`Failed to encode compressed data: ${encodingError.message}`);
-            }
-
-            // Store encoded string in metrics for real-time display
-            if (this.metrics && typeof this.metrics.setCurrentEncodedString === 'function') {
-                this.metrics.setCurrentEncodedString(encoded);
-            }
-            
-            // Use consistent URL length validation
-            const success = this.verifyFinalUrlLength(encoded);
-            
-            if (success) {
-                // Update preview on successful compression
-                this.updatePreview(buffer, params.format);
-                
-                if (this.metrics) {
-                    this.metrics.updateStageStatus(
-                        'compression',
-                        `✅ Success! Final URL: ${this.getBaseUrl().length + encoded.length} chars (max: ${this.maxSize})`
-                    );
-                }
-            } else {
-                const finalLength = this.getBaseUrl().length + encoded.length;
-                if (this.metrics) {
-                    this.metrics.updateStageStatus(
-                        'compression',
-                        `❌ Too large: ${finalLength} chars (max: ${this.maxSize})`
-                    );
+            if (options.predict) {
+                const predicted = this.predictCompressionResult(buffer, size, params);
+                if (predicted) {
+                    return predicted;
                 }
             }
 
-            return {
-                success,
-                encodedLength: encoded.length,
-                finalUrlLength: this.getBaseUrl().length + encoded.length,
-                data: success ? {
-                    encoded,
-                    format: params.format,
-                    size
-                } : null,
-                params
-            };
+            return await this.encodeCompressed(buffer, size, params);
         } catch (error) {
             console.warn('Compression attempt failed:', params, error);
             
@@ -690,6 +937,189 @@ window.CompressionEngine = class CompressionEngine {
         }
     }
 
+    /**
+     * Result for compressed data from its predicted link length, without encoding
+     * @param {ArrayBuffer} buffer - Compressed image
+     * @param {number} size - Compressed size in bytes
+     * @param {Object} params - Compression parameters
+     * @returns {Object|null} Compression result, or null when the length cannot be predicted
+     */
+    predictCompressionResult(buffer, size, params) {
+        // Stripped headers are known up front; Deflate is not, so it only makes links shorter
+        const predicted = this.predictLinkLength(this.getPayloadSize(new Uint8Array(buffer, 0, size)));
+        if (predicted === null) {
+            return null;
+        }
+
+        const budget = this.getPayloadBudget();
+        const success = predicted.length <= budget;
+        if (this.metrics) {
+            this.metrics.updateStageStatus(
+                'compression',
+                `${success ? '✅ Fits' : '❌ Too large'}: ${predicted.length} chars predicted (max: ${budget}), ${predicted.alphabet || 'default alphabet'}`
+            );
+        }
+
+        return {
+            success,
+            predicted: true,
+            encodedLength: predicted.length,
+            finalUrlLength: this.serializeUrl(this.getLinkPrefix()).length + predicted.length,
+            data: success ? { buffer, format: params.format, size } : null,
+            params
+        };
+    }
+
+    /**
+     * Encode a predicted result, so only the winner of a search is encoded
+     * @param {Object} result - Result of tryCompressionLevel with options.predict
+     * @returns {Promise<Object>} Compression result with the encoded link data
+     */
+    async encodePredictedResult(result) {
+        if (!result?.predicted || !result.success) {
+            return result;
+        }
+
+        try {
+            return await this.encodeCompressed(result.data.buffer, result.data.size, result.params);
+        } catch (error) {
+            console.warn('Encoding predicted result failed:', result.params, error);
+            return { success: false, encodedLength: Infinity, data: null, params: result.params, error };
+        }
+    }
+
+    /**
+     * Shortest link payload the alphabet and encoder candidates will give for a byte count
+     * Only alphabets written as is in the link are predicted; percent-encoding
+     * depends on the data. Predictions assume no pre-compression and take the
+     * base conversion length where the range coder may be picked, so the real
+     * payload is never longer.
+     * @param {number} byteCount - Compressed image size in bytes, after any header stripping
+     * @returns {{length: number, alphabet: string|null, encoder: string|null}|null} Null when no candidate can be predicted
+     */
+    predictLinkLength(byteCount) {
+        const directEncoder = this.encoder?.directEncoder;
+        if (!directEncoder?.predictEncodedLength || byteCount <= 0) {
+            return null;
+        }
+
+        const candidates = this.getAlphabetCandidates();
+        const encoderNames = this.getEncoderCandidates();
+        let best = null;
+        for (const alphabet of candidates.length > 0 ? candidates : [null]) {
+            const encoder = alphabet ? directEncoder.getProfileEncoder(alphabet) : directEncoder;
+            if (!this.isVerbatimAlphabet(encoder.SAFE_CHARS)) {
+                continue;
+            }
+
+            for (const encoderName of encoderNames) {
+                const length = encoder.predictEncodedLength(byteCount, { encoder: encoderName || undefined });
+                if (length !== null && (!best || length < best.length)) {
+                    best = { length, alphabet, encoder: encoderName };
+                }
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Check whether every character of an alphabet appears as is in the link
+     * Path payloads must also be free of '/', where dot segments would be removed.
+     * @param {string} chars - Alphabet characters
+     * @returns {boolean}
+     */
+    isVerbatimAlphabet(chars) {
+        const transport = this.getLinkTransport();
+        const positionChars = window.CONFIG?.URL_POSITION_CHARS?.[transport];
+        if (!positionChars) {
+            return false;
+        }
+        return [...chars].every(char => char.charCodeAt(0) > 0x7F ||
+            (positionChars.includes(char) && !(transport === 'path' && char === '/')));
+    }
+
+    /**
+     * Encode compressed data for the link and check it against URL limits
+     * @param {ArrayBuffer} buffer - Compressed image
+     * @param {number} size - Compressed size in bytes
+     * @param {Object} params - Compression parameters
+     * @returns {Promise<Object>} Compression result
+     */
+    async encodeCompressed(buffer, size, params) {
+        // Encode with comprehensive error handling
+        let encoded;
+        let alphabet;
+        let minimumLength;
+        try {
+            ({ encoded, alphabet, minimumLength } = await this.encodeForLink(buffer, { maxLength: this.getPayloadBudget() }));
+        } catch (encodingError) {
+            console.error('Encoding error:', encodingError);
+            throw new Error(`Failed to encode compressed data: ${encodingError.message}`);
+        }
+
+        // Every alphabet gave up early: this level cannot fit, however it would end
+        if (encoded === null) {
+            if (this.metrics) {
+                this.metrics.updateStageStatus(
+                    'compression',
+                    `❌ Too large: at least ${minimumLength} chars (max: ${this.getPayloadBudget()})`
+                );
+            }
+            return {
+                success: false,
+                encodedLength: minimumLength,
+                data: null,
+                params
+            };
+        }
+
+        // Store encoded string in metrics for real-time display
+        if (this.metrics && typeof this.metrics.setCurrentEncodedString === 'function') {
+            this.metrics.setCurrentEncodedString(encoded);
+        }
+        
+        // Use consistent URL length validation
+        const success = this.verifyFinalUrlLength(encoded);
+        const linkLengths = this.getLinkLengths(encoded);
+        const lengthSummary = (linkLengths.transport === 'fragment'
+            ? `fragment ${linkLengths.fragment} chars (max: ${window.CONFIG.MAX_FRAGMENT_LENGTH})`
+            : `${linkLengths.total} chars (max: ${this.maxSize})`) +
+            (alphabet ? `, ${alphabet}` : '') +
+            (linkLengths.iri ? `, ${linkLengths.bytes} bytes percent-encoded` : '');
+        
+        if (success) {
+            // Update preview on successful compression
+            this.updatePreview(buffer, params.format);
+            
+            if (this.metrics) {
+                this.metrics.updateStageStatus(
+                    'compression',
+                    `✅ Success! Final URL: ${lengthSummary}`
+                );
+            }
+        } else {
+            if (this.metrics) {
+                this.metrics.updateStageStatus(
+                    'compression',
+                    `❌ Too large: ${lengthSummary}`
+                );
+            }
+        }
+
+        return {
+            success,
+            encodedLength: linkLengths.payload,
+            finalUrlLength: linkLengths.total,
+            data: success ? {
+                encoded,
+                alphabet,
+                format: params.format,
+                size
+            } : null,
+            params
+        };
+    }
+
     /**
      * Determine optimal formats for compression based on analysis
      * @param {File} file - Image file
@@ -844,7 +1274,336 @@ window.CompressionEngine = class CompressionEngine {
      * @returns {string} Base URL for final result
      */
     getBaseUrl() {
-        return window.location.href.split('?')[0].replace('index.html', '');
+        return window.location.href.split('#')[0].split('?')[0].replace('index.html', '');
+    }
+
+    /**
+     * Get the configured link transport
+     * 'path' puts the payload in the path (served through 404.html);
+     * 'fragment' puts it after '#', so it never reaches the server
+     * @returns {string} 'path' or 'fragment'
+     */
+    getLinkTransport() {
+        return window.CONFIG?.LINK_TRANSPORT === 'fragment' ? 'fragment' : 'path';
+    }
+
+    /**
+     * Get everything that precedes the payload in the final link
+     * @returns {string} Base URL, plus '#' in fragment mode
+     */
+    getLinkPrefix() {
+        return this.getLinkTransport() === 'fragment' ? `${this.getBaseUrl()}#` : this.getBaseUrl();
+    }
+
+    /**
+     * Measure the parts of the final link, as the browser serializes it
+     * Browsers limit the request URL and the fragment differently, so the
+     * fragment is counted on its own. IRI links are shared and counted as
+     * Unicode text, so their lengths are in characters; bytes is always the
+     * percent-encoded length.
+     * @param {string} encodedData - Encoded data string
+     * @returns {{transport: string, iri: boolean, url: string, payload: number, path: number, fragment: number, total: number, bytes: number}}
+     */
+    getLinkLengths(encodedData) {
+        const transport = this.getLinkTransport();
+        const prefix = this.serializeUrl(this.getLinkPrefix());
+        const serialized = this.serializeUrl(prefix + this.getLinkPayload(encodedData));
+        const iri = this.isIriPayload(encodedData);
+        const url = iri ? this.toIri(serialized) : serialized;
+        const hashIndex = url.indexOf('#');
+        const fragment = transport === 'fragment' && hashIndex >= 0 ? url.length - hashIndex - 1 : 0;
+
+        return {
+            transport,
+            iri,
+            url,
+            payload: url.length - (iri ? this.toIri(prefix) : prefix).length,
+            path: transport === 'fragment' ? url.length - fragment - 1 : url.length,
+            fragment,
+            total: url.length,
+            bytes: serialized.length
+        };
+    }
+
+    /**
+     * Check whether a payload uses the IRI alphabet profile
+     * @param {string} encodedData - Encoded data string
+     * @returns {boolean}
+     */
+    isIriPayload(encodedData) {
+        const linkHeader = this.encoder?.directEncoder?.linkHeader;
+        const iriChars = linkHeader?.getProfileChars('IRI');
+        return !!iriChars && linkHeader.getPayloadAlphabet(encodedData) === iriChars;
+    }
+
+    /**
+     * Turn a serialized URL into its IRI form by decoding percent-encoded
+     * non-ASCII characters; encoded ASCII stays encoded
+     * @param {string} url - Serialized URL
+     * @returns {string}
+     */
+    toIri(url) {
+        return url.replace(/(?:%[89A-F][0-9A-F])+/gi, (bytes) => {
+            try {
+                return decodeURIComponent(bytes);
+            } catch (error) {
+                return bytes;
+            }
+        });
+    }
+
+    /**
+     * Serialize a URL the way the browser will share it
+     * Uses the WHATWG URL serializer, or an equivalent for http(s) URLs where
+     * URL is unavailable
+     * @param {string} url - Absolute URL
+     * @returns {string} Serialized URL
+     */
+    serializeUrl(url) {
+        if (typeof URL === 'function') {
+            try {
+                return new URL(url).href;
+            } catch (error) {
+                console.warn('URL serializer rejected link, using fallback:', error.message);
+            }
+        }
+        return this.serializeUrlFallback(url);
+    }
+
+    /**
+     * Pure JS subset of the WHATWG URL serializer for http(s) URLs:
+     * trims surrounding spaces, lowercases scheme and host, drops default ports,
+     * turns backslashes into '/', removes dot segments and percent-encodes each
+     * component's encode set
+     * @param {string} url - Absolute URL
+     * @returns {string} Serialized URL
+     */
+    serializeUrlFallback(url) {
+        const match = url.replace(/^[\u0000-\u0020]+|[\u0000-\u0020]+$/g, '').match(/^([a-zA-Z][a-zA-Z0-9+.-]*):[\/\\]{2}([^/\\?#]*)([^?#]*)(\?[^#]*)?(#.*)?$/s);
+        if (!match) {
+            return url;
+        }
+
+        const [, scheme, authority, rawPath, query = '', fragment = ''] = match;
+        const lowerScheme = scheme.toLowerCase();
+        const defaultPort = { http: ':80', https: ':443' }[lowerScheme];
+        let host = authority.toLowerCase();
+        if (defaultPort && host.endsWith(defaultPort)) {
+            host = host.slice(0, -defaultPort.length);
+        }
+
+        // Remove dot segments ('.', '..' and their percent-encoded forms)
+        const output = [];
+        const segments = rawPath.replace(/\\/g, '/').split('/').slice(1);
+        segments.forEach((segment, index) => {
+            const lower = segment.toLowerCase();
+            const isLast = index === segments.length - 1;
+            if (['..', '.%2e', '%2e.', '%2e%2e'].includes(lower)) {
+                output.pop();
+                if (isLast) output.push('');
+            } else if (lower === '.' || lower === '%2e') {
+                if (isLast) output.push('');
+            } else {
+                output.push(segment);
+            }
+        });
+
+        const encode = (text, encodeSet) => {
+            let result = '';
+            for (const char of text) {
+                const code = char.codePointAt(0);
+                if (code > 0x20 && code < 0x7F && !encodeSet.includes(char)) {
+                    result += char;
+                } else {
+                    for (const byte of new TextEncoder().encode(char)) {
+                        result += `%${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+                    }
+                }
+            }
+            return result;
+        };
+
+        return `${lowerScheme}://${host}/${encode(output.join('/'), '"#<>?`{}')}` +
+            encode(query, '"#<>\'') +
+            (fragment ? `#${encode(fragment.substring(1), '"<>`')}` : '');
+    }
+
+    /**
+     * Write an encoded payload as it appears in the link
+     * Characters not valid in the transport's URL position are percent-encoded,
+     * so browsers and other tools pass the link through unchanged. Non-ASCII
+     * (IRI) characters are left to the URL serializer, which encodes them as UTF-8.
+     * In the path, '/' next to a dot segment is escaped too (see escapeDotSegments).
+     * @param {string} encodedData - Encoded data string
+     * @returns {string}
+     */
+    getLinkPayload(encodedData) {
+        const transport = this.getLinkTransport();
+        const positionChars = window.CONFIG?.URL_POSITION_CHARS?.[transport];
+        if (!positionChars) {
+            return encodedData;
+        }
+
+        let payload = '';
+        for (const char of encodedData) {
+            payload += positionChars.includes(char) || char.charCodeAt(0) > 0x7F
+                ? char
+                : `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`;
+        }
+        return transport === 'path' ? this.escapeDotSegments(payload) : payload;
+    }
+
+    /**
+     * Keep '.' and '..' path segments from being removed by URL parsing
+     * Percent-encoded dots still count as dot segments, so the '/' that
+     * separates such a segment from its neighbour is written as %2F instead,
+     * joining the two into one ordinary segment.
+     * @param {string} payload - Path payload
+     * @returns {string}
+     */
+    escapeDotSegments(payload) {
+        const isDotSegment = (segment) => /^(\.|%2e){1,2}$/i.test(segment);
+        const segments = payload.split('/');
+        const output = [segments[0]];
+        for (const segment of segments.slice(1)) {
+            const last = output.length - 1;
+            if (isDotSegment(segment) || isDotSegment(output[last])) {
+                output[last] += `%2F${segment}`;
+            } else {
+                output.push(segment);
+            }
+        }
+        return output.join('/');
+    }
+
+    /**
+     * Encode data with the alphabet profile and encoder that give the shortest link
+     * Every alphabet is tried with the configured encoder and each of
+     * CONFIG.ADVANCED.ENABLED_ENCODERS. With a maxLength budget, candidates
+     * that cannot fit stop encoding early; when none fits, encoded is null and
+     * minimumLength is the shortest length any of them could have reached.
+     * @param {ArrayBuffer|Uint8Array} buffer - Data to encode
+     * @param {Object} [options] - Encoding options
+     * @param {number} [options.maxLength] - Length budget for the encoded data (see getPayloadBudget)
+     * @returns {Promise<{encoded: string|null, alphabet: string|null, encoder?: string|null, minimumLength?: number}>} Alphabet is null when profiles are unavailable, encoder is null for the configured one
+     */
+    async encodeForLink(buffer, options = {}) {
+        const alphabetCandidates = this.getAlphabetCandidates();
+        const alphabets = alphabetCandidates.length > 0 ? alphabetCandidates : [null];
+        const encoders = this.getEncoderCandidates();
+        const candidates = alphabets.flatMap(alphabet => encoders.map(encoder => ({ alphabet, encoder })));
+
+        let results;
+        if (this.imageProcessor?.workerPool) {
+            // Candidates are independent, so the worker pool encodes them side by side
+            results = await Promise.allSettled(candidates.map(({ alphabet, encoder }) =>
+                this.encodeCandidate(buffer, alphabet, options.maxLength, encoder)));
+        } else {
+            // One at a time, so they share the encoder's pre-compression result
+            results = [];
+            for (const { alphabet, encoder } of candidates) {
+                try {
+                    results.push({
+                        status: 'fulfilled',
+                        value: await this.encodeCandidate(buffer, alphabet, options.maxLength, encoder)
+                    });
+                } catch (reason) {
+                    results.push({ status: 'rejected', reason });
+                }
+            }
+        }
+
+        let best = null;
+        let minimumLength = Infinity;
+        results.forEach((result, i) => {
+            if (result.status === 'rejected') {
+                if (result.reason.name !== 'LengthBudgetError') {
+                    throw result.reason;
+                }
+                minimumLength = Math.min(minimumLength, result.reason.minimumLength);
+                return;
+            }
+
+            const length = this.getLinkLengths(result.value).payload;
+            if (!best || length < best.length) {
+                best = { encoded: result.value, ...candidates[i], length };
+            }
+        });
+
+        if (!best) {
+            return { encoded: null, alphabet: null, encoder: null, minimumLength };
+        }
+        return { encoded: best.encoded, alphabet: best.alphabet, encoder: best.encoder };
+    }
+
+    /**
+     * Encode data with one alphabet profile, in the worker pool when there is one
+     * Each job gets its own copy of the data to transfer, since the caller keeps the buffer.
+     * @param {ArrayBuffer|Uint8Array} buffer - Data to encode
+     * @param {string|null} alphabet - Alphabet profile, or null for the encoder's own
+     * @param {number} [maxLength] - Length budget, see encodeForLink
+     * @param {string|null} [encoder] - Registered data section encoder, or null for the configured one
+     * @returns {Promise<string>} Encoded data
+     */
+    async encodeCandidate(buffer, alphabet, maxLength, encoder = null) {
+        const pool = this.imageProcessor?.workerPool;
+        if (!pool) {
+            return this.encoder.encodeBits(buffer, {
+                alphabet: alphabet || undefined,
+                maxLength,
+                encoder: encoder || undefined
+            });
+        }
+
+        const data = new Uint8Array(buffer).slice().buffer;
+        return pool.run('encode', {
+            data,
+            alphabet,
+            maxLength,
+            encoder,
+            settings: window.CONFIG.ADVANCED
+        }, { transfer: [data] });
+    }
+
+    /**
+     * Data section encoders to try, from CONFIG.ADVANCED.ENABLED_ENCODERS
+     * The configured encoder (null) always comes first; names that are not
+     * registered in CodecRegistry are skipped with a warning.
+     * @returns {Array<string|null>} Encoder names
+     */
+    getEncoderCandidates() {
+        const enabled = window.CONFIG?.ADVANCED?.ENABLED_ENCODERS || [];
+        if (!this.encoder?.directEncoder?.linkHeader || enabled.length === 0) {
+            return [null];
+        }
+
+        const names = enabled.filter(name => {
+            if (window.CodecRegistry?.list().some(codec => codec.name === name)) {
+                return true;
+            }
+            console.warn(`CompressionEngine: encoder ${name} is not registered, skipping`);
+            return false;
+        });
+        return [null, ...new Set(names)];
+    }
+
+    /**
+     * Alphabet profiles to try, from CONFIG.ADVANCED.ALPHABET_PROFILE
+     * @returns {string[]} Profile names; empty without link header support
+     */
+    getAlphabetCandidates() {
+        const linkHeader = this.encoder?.directEncoder?.linkHeader;
+        if (!linkHeader) {
+            return [];
+        }
+
+        const profile = window.CONFIG?.ADVANCED?.ALPHABET_PROFILE || 'AUTO';
+        if (profile !== 'AUTO') {
+            return [profile];
+        }
+        // IRI links are counted in characters, so they cannot be compared with the others
+        return Object.keys(linkHeader.config.ALPHABETS)
+            .filter(name => name !== 'IRI' && linkHeader.getProfileChars(name));
     }
 
     /**
@@ -852,24 +1611,43 @@ window.CompressionEngine = class CompressionEngine {
      * @returns {number} Effective maximum length for encoded data
      */
     getEffectiveMaxLength() {
-        const baseUrl = this.getBaseUrl();
+        if (this.getLinkTransport() === 'fragment') {
+            return window.CONFIG.MAX_FRAGMENT_LENGTH;
+        }
+
+        const baseUrl = this.serializeUrl(this.getBaseUrl());
         const baseUrlLength = baseUrl.length;
         const safetyBuffer = 10;
         
         return this.maxSize - baseUrlLength - safetyBuffer;
     }
 
+    /**
+     * Longest encoded data that can still fit in the link
+     * Percent-encoding only makes the payload longer, so anything over this
+     * budget is known to fail verifyFinalUrlLength.
+     * @returns {number} Maximum encoded length in characters
+     */
+    getPayloadBudget() {
+        if (this.getLinkTransport() === 'fragment') {
+            return window.CONFIG.MAX_FRAGMENT_LENGTH;
+        }
+        return this.maxSize - this.serializeUrl(this.getLinkPrefix()).length;
+    }
+
     /**
      * Verify that final URL will fit within limits
      * @param {string} encodedData - Encoded data string
      * @returns {boolean} Whether URL will fit
      */
     verifyFinalUrlLength(encodedData) {
-        const baseUrl = this.getBaseUrl();
-        const finalUrl = `${baseUrl}${encodedData}`;
-        const fits = finalUrl.length <= this.maxSize;
-        
-        return fits;
+        const lengths = this.getLinkLengths(encodedData);
+        if (lengths.transport === 'fragment') {
+            return lengths.path <= this.maxSize &&
+                lengths.fragment <= window.CONFIG.MAX_FRAGMENT_LENGTH;
+        }
+
+        return lengths.total <= this.maxSize;
     }
 
     /**
@@ -883,18 +1661,25 @@ window.CompressionEngine = class CompressionEngine {
             throw new Error('No encoded data provided for verification');
         }
         
-        // Check character set validity
-        if (window.CONFIG?.SAFE_CHARS) {
-            const invalidChars = [...encodedData].filter(char => !window.CONFIG.SAFE_CHARS.includes(char));
+        // Check character set validity against the payload's alphabet profile
+        const alphabet = this.encoder?.directEncoder?.linkHeader?.getPayloadAlphabet(encodedData) ||
+            window.CONFIG?.SAFE_CHARS;
+        if (alphabet) {
+            const allowed = new Set(alphabet);
+            const invalidChars = [...encodedData].filter(char => !allowed.has(char));
             if (invalidChars.length > 0) {
                 const sample = invalidChars.slice(0, 10).join(', ');
                 throw new Error(`Invalid characters in encoded data: ${sample}`);
             }
         }
         
-        // Check length constraints
-        if (encodedData.length > this.maxSize) {
-            throw new Error(`Encoded data exceeds maximum length: ${encodedData.length} > ${this.maxSize}`);
+        // Check length constraints (as written in the link)
+        const maxLength = this.getLinkTransport() === 'fragment'
+            ? window.CONFIG.MAX_FRAGMENT_LENGTH
+            : this.maxSize;
+        const payloadLength = this.getLinkLengths(encodedData).payload;
+        if (payloadLength > maxLength) {
+            throw new Error(`Encoded data exceeds maximum length: ${payloadLength} > ${maxLength}`);
         }
         
         return true;
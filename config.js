@@ -8,11 +8,109 @@ window.CONFIG = {
     // URL and encoding
     MAX_URL_LENGTH: 800, // PC_3: Maximum URL length
     URL_PREFIX: '', // Optional prefix for generated URLs
+    LINK_TRANSPORT: 'path', // 'path' (base/<payload>) or 'fragment' (base/#<payload>, never sent to the server)
+    MAX_FRAGMENT_LENGTH: 800, // Payload budget in fragment mode, counted apart from the URL path
+
+    // Where the viewer looks for the payload (LinkRouter.js)
+    ROUTING: {
+        BASE_PATH: null,                 // Path the app is served from, e.g. '/' or '/repo/'; null = where config.js was found
+        ORDER: ['fragment', 'query', 'versioned', 'path'], // Routes in the order they are tried
+        QUERY_PARAMS: ['img', 'data'],   // ?img=<payload>; must be the only query parameter
+        RESERVED_PATHS: ['index.html', '404.html'] // Paths below the base that are never payloads
+    },
     ENCODE_SMALL_THRESHOLD: 64, // Bytes threshold for simplified encoding
 
+    // Autolinkers (Slack, Discord, email clients, Markdown) drop trailing punctuation from detected
+    // URLs (see LinkSurvivalSimulator.js). A payload that would end with anything but a letter or
+    // digit gets this character appended and the GUARD header flag. Versioned payloads always start
+    // with the header's version letter.
+    LINK_GUARD_CHAR: 'A',
+
     // Character set for URL encoding - PTA_1: Do not change the character set in the config file
     SAFE_CHARS: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~!$()*,/:@;+&=\'<>[]"{}|`^\\',
 
+    // Alphabet profiles: payload character sets with their own radix, named in the link header.
+    // SAFE_CHARS has the highest radix but some of its characters are percent-encoded (3 chars each)
+    // in some URL positions; these profiles only use RFC 3986 characters valid in their position.
+    ALPHABET_PROFILES: {
+        SAFE_CHARS: null,                // CONFIG.SAFE_CHARS
+        PATH_SAFE: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~!$&\'()*+,;=:@', // pchar: one path segment
+        QUERY_SAFE: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~!$&()*+,;=:@/?', // Browsers encode ' in queries
+        FRAGMENT_SAFE: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~!$&\'()*+,;=:@/?',
+        IRI: null                        // Built from IRI_ALPHABET; never picked by 'AUTO'
+    },
+
+    // IRI profile: Unicode payload alphabet for platforms that count characters, not bytes.
+    // Hangul syllables are precomposed (unchanged by NFC), left-to-right, free of combining marks
+    // and not confusable with Latin text. Each one is 9 bytes once percent-encoded.
+    IRI_ALPHABET: {
+        ASCII: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_', // Keeps the header characters valid
+        RANGES: [[0xAC00, 0xD7A3]]       // Inclusive code point ranges; BMP only (one UTF-16 unit per character)
+    },
+
+    // Characters left as-is in each link position; anything else is percent-encoded in generated links
+    URL_POSITION_CHARS: {
+        path: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~!$&\'()*+,;=:@/',
+        fragment: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-._~!$&\'()*+,;=:@/?'
+    },
+
+    // Self-describing link header: [version][encoder|alphabet|flags][flag parameters]
+    LINK_HEADER: {
+        VERSION: 3,                      // Versions 1 and 2 are the legacy metadata formats
+        // Header alphabet is valid in every URL position and in every payload alphabet
+        CHARS: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_',
+        FIELDS: [
+            { name: 'encoder', bits: 4 },
+            { name: 'alphabet', bits: 4 },
+            { name: 'flags', bits: 10 }
+        ],
+        ENCODERS: {
+            CHUNKED: 1,                  // Per-chunk conversion (encodeLargeOptimized)
+            WHOLE_STREAM: 2,             // Single-number conversion (PTA_2)
+            RANGE: 3,                    // Adaptive range coding straight to digits (RangeCoder.js)
+            DIGIT_SEARCH: 4              // Whole-stream digits found by searching down from the largest value
+        },
+        ALPHABETS: {                     // Payload alphabet ids; names match ALPHABET_PROFILES
+            SAFE_CHARS: 0,
+            PATH_SAFE: 1,
+            QUERY_SAFE: 2,
+            FRAGMENT_SAFE: 3,
+            IRI: 4
+        },
+        // Flag bit positions; flags with params append those fields to the header
+        FLAGS: {
+            CHECKSUM: { bit: 0 },        // Body carries a one-character checksum after the length
+            INTEGRITY: {                 // Body carries an IntegrityCheck value after the length
+                bit: 1,
+                params: [
+                    { name: 'algorithm', bits: 3 },  // Id from INTEGRITY_ALGORITHMS
+                    { name: 'chars', bits: 4 }       // Check length in characters
+                ]
+            },
+            FEC: {                       // Body after the header is Reed-Solomon protected
+                bit: 2,
+                params: [
+                    { name: 'parity', bits: 6 },     // Parity symbols per block
+                    { name: 'length', bits: 20 }     // Protected body length, so truncation becomes erasures
+                ]
+            },
+            BLOCKS: {                    // Data is split into independently decoded, checked blocks
+                bit: 3,
+                params: [
+                    { name: 'bytes', bits: 12 },     // Bytes per block
+                    { name: 'chars', bits: 3 }       // CRC-32 characters after each block
+                ]
+            },
+            GUARD: { bit: 4 },           // Last character is LINK_GUARD_CHAR, not part of the body
+            DEFLATE: { bit: 5 },         // Decoded data is raw DEFLATE (Deflate.js) and must be inflated
+            TEMPLATE: { bit: 6 }         // Decoded data is an image without its standard headers (ImageTemplates.js)
+        },
+        INTEGRITY_ALGORITHMS: {
+            CRC32: 1,
+            SHA256: 2                    // Truncated to the configured length
+        }
+    },
+
     // Input formats supported by the application - PR_3: Supported input formats
     SUPPORTED_INPUT_FORMATS: [
         'image/jpeg',
@@ -122,7 +220,7 @@ window.CONFIG = {
     },
 
     // Performance settings - Optimized for GitHub Pages
-    CONCURRENT_OPERATIONS_MAX: 2,    // Reduced for GitHub Pages CPU limits
+    CONCURRENT_OPERATIONS_MAX: 2,    // Reduced for GitHub Pages CPU limits; also the WorkerPool size
     GPU_USE_THRESHOLD: 50 * 1024,    // 50KB threshold for GPU acceleration
     BYTE_SIZE: 4,                    // Bytes per group for encoding
 
@@ -133,7 +231,9 @@ window.CONFIG = {
 
     // Advanced settings for performance tuning
     ADVANCED: {
-        ENABLE_WORKER_THREADS: false,    // Disabled for GitHub Pages compatibility
+        ENABLE_WORKER_THREADS: true,     // Encode, decode and analyze in Web Workers (WorkerPool.js); main thread if unavailable
+        WORKER_SCRIPT: 'BitStreamWorker.js', // Worker entry, next to the other scripts
+        STREAM_CHUNK_CHARS: 1024,        // Characters per chunk written by createEncodeStream / fed to createDecodeStream
         TEXTURE_MAX_SIZE: 2048,          // Reduced for better compatibility
         LOG_PERFORMANCE_METRICS: true,
         ENABLE_DEBUG_MODE: false,        // Disabled for production
@@ -146,7 +246,70 @@ window.CONFIG = {
         // URL encoding optimization
         ENCODING_CHUNK_SIZE: 1024,       // Optimal chunk size for encoding
         METADATA_COMPRESSION: true,      // Enable metadata compression
-        CHECKSUM_ENABLED: true           // Enable integrity checking
+        CHECKSUM_ENABLED: true,          // Enable integrity checking
+        INTEGRITY_ALGORITHM: 'CRC32',    // 'CHECKSUM' (single character), 'CRC32' or 'SHA256'
+        INTEGRITY_CHECK_CHARS: 5,        // Check length; capped at the digest size
+
+        // Forward error correction (ReedSolomon.js) - repairs mangled or truncated links
+        FEC_LEVEL: 0,                    // Redundancy level chosen in the UI: 0 = off, up to 7
+        FEC_PARITY_PER_LEVEL: 4,         // Parity characters per block (of up to 88) for each level
+
+        // Per-block checks locate damage and let the viewer render undamaged parts
+        // (not used for DEFLATE or TEMPLATE payloads, which cannot be rendered partially)
+        BLOCK_BYTES: 256,                // Bytes per checked block (about 2 characters each); 0 = off
+        BLOCK_CHECK_CHARS: 2,            // Check characters per block (about 1 in 8000 misses)
+        PARTIAL_RENDER_MAX_DAMAGE: 0.5,  // Viewer still renders when at most this fraction of blocks is damaged
+
+        // Payload alphabet: 'AUTO' picks the profile giving the shortest final URL, or name one of ALPHABET_PROFILES.
+        // 'IRI' links are limited in characters rather than percent-encoded bytes
+        ALPHABET_PROFILE: 'AUTO',
+
+        // Lossless pre-compression (Deflate.js), kept only when shorter than the raw payload.
+        // Helps uncompressed inputs such as SVG and BMP; JPEG/WebP/PNG data rarely shrinks
+        PRECOMPRESS: true,
+
+        // Drop JPEG/WebP headers that the viewer can rebuild from templates (ImageTemplates.js),
+        // keeping only the parameters that differ. Applied before pre-compression
+        STRIP_IMAGE_HEADERS: true,
+
+        // JPEG back end: 'CANVAS' (canvas.toBlob, output differs between browsers) or 'JS'
+        // (JpegEncoder.js, same bytes on every browser, with the options below)
+        JPEG_ENCODER: 'CANVAS',
+        JPEG_SUBSAMPLING: 'AUTO',        // '4:2:0', '4:4:4', 'gray', or 'AUTO' to search 4:2:0 and 4:4:4
+        JPEG_OPTIMIZE_HUFFMAN: 'AUTO',   // true, false, or 'AUTO' to keep whichever gives the shorter stripped payload
+        JPEG_PROGRESSIVE: false,         // Progressive scans (always with optimized Huffman tables)
+        JPEG_QUANTIZATION: null,         // { luma, chroma }: 64 values in natural order in place of the quality-scaled tables
+
+        // Lossless JPEG optimization (JpegOptimizer.js) before any lossy re-encoding: metadata dropped and
+        // Huffman tables rebuilt, pixels unchanged. Larger files are skipped, as they cannot fit a link anyway
+        LOSSLESS_JPEG: true,
+        LOSSLESS_JPEG_PROGRESSIVE: true, // Also try a progressive rewrite; the shortest link wins
+
+        // Lossless PNG/WebP/GIF slimming (ImageSlimmer.js) at the same point: metadata chunks and
+        // extensions dropped, PNG image data re-deflated with better row filters
+        LOSSLESS_SLIM: true,
+        LOSSLESS_MAX_BYTES: 65536,       // Larger files skip both lossless stages
+
+        // Indexed-color PNG (PaletteQuantizer.js): for graphics, text and images of 256 colors or fewer,
+        // the palette size is searched along with quality and scale
+        PALETTE_PNG: true,
+        PALETTE_SIZES: [256, 64, 16, 4], // 2-256; sizes above the image's color count use its exact colors
+        PALETTE_CLASSIFICATIONS: ['graphic-sharp', 'graphic-smooth', 'text-document'],
+        PALETTE_DITHER: 'none',          // 'none', 'floyd-steinberg' or 'ordered'
+
+        // Range coder (RangeCoder.js) in place of base conversion: 'AUTO' uses it when it gives fewer
+        // characters, 'ALWAYS' or 'OFF'. Its output has no fixed length per block, so AUTO skips it when
+        // block checks apply and ALWAYS drops the block checks
+        RANGE_CODER: 'AUTO',
+
+        // PTA_2: Convert the entire payload as one number instead of per-chunk
+        WHOLE_STREAM_ENCODING: true,     // Use whole-stream radix conversion above ENCODE_SMALL_THRESHOLD
+        WHOLE_STREAM_BASE_DIGITS: 32,    // Digit count below which radix conversion stops splitting
+
+        // Data section encoder (CodecRegistry.js): 'AUTO' follows WHOLE_STREAM_ENCODING and RANGE_CODER,
+        // or name one of LINK_HEADER.ENCODERS. ENABLED_ENCODERS are also tried for each link, shortest wins
+        ENCODER: 'AUTO',
+        ENABLED_ENCODERS: []
     },
 
     // Browser-specific optimizations
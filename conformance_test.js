@@ -0,0 +1,568 @@
+/**
+ * Encoder/Decoder Conformance Suite
+ *
+ * Checks DirectBaseEncoder and GPUBitStreamDecoder against the golden vectors
+ * in conformance_vectors.js (exact encoded strings), then round-trips seeded
+ * random data of every size from 1 byte to the link capacity, per alphabet and
+ * per feature combination, checking predictEncodedLength against each output.
+ * The streaming APIs must match the one-shot ones for any chunking of their input.
+ *
+ * Vectors pin every encoding setting they depend on, so they do not change
+ * with config.js. When the format changes on purpose, print new vectors with
+ * printVectors() and review the diff.
+ */
+window.ConformanceValidator = class ConformanceValidator {
+    constructor() {
+        // Settings every vector and round trip starts from (CONFIG.ADVANCED overrides)
+        this.baseSettings = {
+            CHECKSUM_ENABLED: true,
+            INTEGRITY_ALGORITHM: 'CRC32',
+            INTEGRITY_CHECK_CHARS: 5,
+            FEC_LEVEL: 0,
+            FEC_PARITY_PER_LEVEL: 4,
+            BLOCK_BYTES: 0,
+            BLOCK_CHECK_CHARS: 2,
+            RANGE_CODER: 'OFF',
+            ENCODER: 'AUTO',
+            STRIP_IMAGE_HEADERS: true,
+            WHOLE_STREAM_ENCODING: true,
+            WHOLE_STREAM_BASE_DIGITS: 32
+        };
+        // config.js as shipped, for checks that must hold with the settings links are made with
+        this.shippedSettings = { ...window.CONFIG.ADVANCED };
+
+        // Feature combinations for the random round trips
+        this.roundTripSettings = [
+            { name: 'default', settings: {} },
+            { name: 'shipped defaults', settings: this.shippedSettings },
+            { name: 'single-character checksum', settings: { INTEGRITY_ALGORITHM: 'CHECKSUM' } },
+            { name: 'chunked', settings: { WHOLE_STREAM_ENCODING: false } },
+            { name: 'blocks', settings: { BLOCK_BYTES: 48 } },
+            { name: 'FEC and blocks', settings: { FEC_LEVEL: 2, BLOCK_BYTES: 64 } },
+            { name: 'range coder', settings: { RANGE_CODER: 'ALWAYS' } },
+            { name: 'digit search', settings: { ENCODER: 'DIGIT_SEARCH' } },
+            { name: 'digit search and blocks', settings: { ENCODER: 'DIGIT_SEARCH', BLOCK_BYTES: 48 } }
+        ];
+
+        // Legacy formats are limited to the sizes the encoder used them for
+        this.legacyFormats = {
+            'legacy-small': 'encodeSmallOptimized',
+            'legacy-chunked': 'encodeLargeOptimized',
+            'legacy-whole-stream': 'encodeWholeStream'
+        };
+
+        // Feature combinations for the streaming checks (blocks decode progressively)
+        this.streamSettings = [
+            { name: 'default', settings: {} },
+            { name: 'shipped defaults', settings: this.shippedSettings },
+            { name: 'blocks', settings: { BLOCK_BYTES: 48 } },
+            { name: 'FEC and blocks', settings: { FEC_LEVEL: 2, BLOCK_BYTES: 64 } }
+        ];
+        this.streamSizes = [1, 47, 48, 49, 300, 1500];
+
+        this.seed = 0x5EED;
+    }
+
+    /**
+     * Run the golden vectors and the random round trips
+     * @returns {Promise<{passed: number, failed: number}>}
+     */
+    async runValidation() {
+        console.log('🧪 Conformance Validation Starting...\n');
+
+        const vectors = await this.runVectors(window.CONFORMANCE_VECTORS || []);
+        const roundTrips = await this.runRoundTrips();
+        const streams = await this.runStreams();
+        const templates = await this.runTemplates();
+
+        const passed = vectors.passed + roundTrips.passed + streams.passed + templates.passed;
+        const failed = vectors.failed + roundTrips.failed + streams.failed + templates.failed;
+        console.log(`\n${failed === 0 ? '✅' : '❌'} Conformance Validation Complete: ${passed} passed, ${failed} failed`);
+        return { passed, failed };
+    }
+
+    /**
+     * Check encode and decode against every golden vector
+     * @param {Object[]} vectors - { name, alphabet, format, settings?, deflate?, input, expected }
+     * @returns {Promise<{passed: number, failed: number}>}
+     */
+    async runVectors(vectors) {
+        console.log(`📋 Golden vectors (${vectors.length})`);
+
+        let passed = 0;
+        let failed = 0;
+
+        for (const vector of vectors) {
+            const input = this.fromHex(vector.input);
+            const problems = await this.withSettings(vector.settings, async () => {
+                const found = [];
+
+                const encoded = await this.encodeVector(vector, input);
+                if (encoded !== vector.expected) {
+                    found.push(`encode: expected "${vector.expected}", got "${encoded}"`);
+                }
+
+                const decoded = await this.decode(vector.expected);
+                if (decoded.error) {
+                    found.push(`decode: ${decoded.error}`);
+                } else if (!this.sameBytes(decoded.bytes, input)) {
+                    found.push(`decode: expected ${vector.input}, got ${this.toHex(decoded.bytes)}`);
+                } else if (decoded.verified === false) {
+                    found.push('decode: integrity check failed');
+                }
+
+                return found;
+            });
+
+            if (problems.length === 0) {
+                passed++;
+                console.log(`✅ ${vector.name}`);
+            } else {
+                failed++;
+                console.log(`❌ ${vector.name}`);
+                problems.forEach(problem => console.log(`   ${problem}`));
+            }
+        }
+
+        return { passed, failed };
+    }
+
+    /**
+     * Round-trip seeded random data from 1 byte up to the link capacity
+     * One line per alphabet and feature combination; failures list their sizes.
+     * @returns {Promise<{passed: number, failed: number}>}
+     */
+    async runRoundTrips() {
+        console.log(`\n🎲 Random round trips (seed ${this.seed})`);
+
+        const random = this.createRandom(this.seed);
+        const alphabets = Object.keys(window.CONFIG.LINK_HEADER.ALPHABETS);
+        let passed = 0;
+        let failed = 0;
+
+        const combinations = [];
+        for (const alphabet of alphabets) {
+            for (const { name, settings } of this.roundTripSettings) {
+                combinations.push({ label: `${alphabet}, ${name}`, alphabet, format: 'versioned', settings });
+            }
+        }
+        for (const format of Object.keys(this.legacyFormats)) {
+            combinations.push({ label: format, alphabet: 'SAFE_CHARS', format, settings: {} });
+        }
+
+        for (const combination of combinations) {
+            const result = await this.withSettings(combination.settings, async () => {
+                const failures = [];
+                const sizes = this.getRoundTripSizes(combination);
+
+                for (const size of sizes) {
+                    const input = new Uint8Array(size);
+                    for (let i = 0; i < size; i++) {
+                        input[i] = random() < 0.25 ? 0 : Math.floor(random() * 256);
+                    }
+
+                    try {
+                        const encoded = await this.encodeVector(combination, input);
+                        const decoded = await this.decode(encoded);
+                        const predicted = this.predictLength(combination, input);
+                        if (decoded.error || !this.sameBytes(decoded.bytes, input) || decoded.verified === false) {
+                            failures.push(`${size} (${decoded.error || 'mismatch'})`);
+                        } else if (combination.format === 'versioned' && predicted !== encoded.length) {
+                            failures.push(`${size} (predicted ${predicted} chars, encoded ${encoded.length})`);
+                        }
+                    } catch (error) {
+                        failures.push(`${size} (encode: ${error.message})`);
+                    }
+                }
+
+                return { failures, max: sizes[sizes.length - 1], count: sizes.length };
+            });
+
+            if (result.failures.length === 0) {
+                passed++;
+                console.log(`✅ ${combination.label}: ${result.count} sizes, 1-${result.max} bytes`);
+            } else {
+                failed++;
+                console.log(`❌ ${combination.label}: failed at ${result.failures.slice(0, 5).join(', ')}` +
+                    (result.failures.length > 5 ? ` and ${result.failures.length - 5} more` : ''));
+            }
+        }
+
+        return { passed, failed };
+    }
+
+    /**
+     * Compare createEncodeStream and createDecodeStream with encodeBits and decodeBits
+     * Input is split at seeded random points, so every run uses the same chunks.
+     * Skipped where TransformStream or GPUBitStreamEncoder.js is unavailable.
+     * @returns {Promise<{passed: number, failed: number}>}
+     */
+    async runStreams() {
+        if (typeof TransformStream === 'undefined' || !window.GPUBitStreamEncoderImpl) {
+            console.log('\n🌊 Streams: skipped (TransformStream or GPUBitStreamEncoder.js not available)');
+            return { passed: 0, failed: 0 };
+        }
+        console.log(`\n🌊 Streams (seed ${this.seed})`);
+
+        const random = this.createRandom(this.seed);
+        let passed = 0;
+        let failed = 0;
+
+        for (const { name, settings } of this.streamSettings) {
+            const failures = await this.withSettings(settings, async () => {
+                const found = [];
+                const encoder = new window.GPUBitStreamEncoderImpl(window.CONFIG.SAFE_CHARS);
+                const decoder = new window.GPUBitStreamDecoder(window.CONFIG.SAFE_CHARS);
+
+                for (const size of this.streamSizes) {
+                    const input = new Uint8Array(size);
+                    for (let i = 0; i < size; i++) {
+                        input[i] = Math.floor(random() * 256);
+                    }
+
+                    try {
+                        const expected = await encoder.encodeBits(input);
+                        const encodedChunks = await this.pipeThrough(encoder.createEncodeStream(), this.splitRandomly(input, random));
+                        if (encodedChunks.join('') !== expected) {
+                            found.push(`${size} (encode stream differs)`);
+                            continue;
+                        }
+
+                        const decodedChunks = await this.pipeThrough(decoder.createDecodeStream(), this.splitRandomly(expected, random));
+                        const decoded = new Uint8Array(decodedChunks.reduce((total, chunk) => total + chunk.length, 0));
+                        let offset = 0;
+                        for (const chunk of decodedChunks) {
+                            decoded.set(chunk, offset);
+                            offset += chunk.length;
+                        }
+                        if (!this.sameBytes(decoded, input) || decoder.lastVerification.verified === false) {
+                            found.push(`${size} (decode stream mismatch)`);
+                        }
+                    } catch (error) {
+                        found.push(`${size} (${error.message})`);
+                    }
+                }
+
+                return found;
+            });
+
+            if (failures.length === 0) {
+                passed++;
+                console.log(`✅ ${name}: ${this.streamSizes.length} sizes`);
+            } else {
+                failed++;
+                console.log(`❌ ${name}: failed at ${failures.join(', ')}`);
+            }
+        }
+
+        return { passed, failed };
+    }
+
+    /**
+     * Encode images whose headers ImageTemplates can rebuild and check that
+     * the link is shorter than without stripping and decodes to the same bytes
+     * Images are libjpeg-style JPEGs and simple WebP files around seeded random data,
+     * JpegEncoder and JpegOptimizer output for seeded random pixels, and an
+     * extended WebP that ImageSlimmer reduces to a simple file.
+     * @returns {Promise<{passed: number, failed: number}>}
+     */
+    async runTemplates() {
+        if (!window.ImageTemplates || !window.GPUBitStreamEncoderImpl) {
+            console.log('\n🖼️ Image templates: skipped (ImageTemplates.js or GPUBitStreamEncoder.js not available)');
+            return { passed: 0, failed: 0 };
+        }
+        console.log(`\n🖼️ Image templates (seed ${this.seed})`);
+
+        const random = this.createRandom(this.seed);
+        const randomBytes = (size) => Uint8Array.from({ length: size }, () => Math.floor(random() * 256));
+        const templates = new window.ImageTemplates();
+        const jpeg = (params) => templates.concatBytes([
+            [0xFF, 0xD8],
+            ...templates.getLibjpegSequence(params).map(token => templates.getJpegSegment(token, params)),
+            randomBytes(200).map(byte => byte === 0xFF ? 0 : byte),
+            [0xFF, 0xD9]
+        ]);
+        const images = [
+            { name: 'JPEG 4:2:0 q75', bytes: jpeg({ width: 64, height: 48, sampling: 0x22, quality: 75 }) },
+            { name: 'JPEG grayscale q30', bytes: jpeg({ width: 300, height: 7, sampling: 0, quality: 30 }) },
+            { name: 'WebP VP8', bytes: templates.writeRiff('VP8 ', templates.concatBytes([[0x30, 0x01, 0x00], templates.VP8_START_CODE, randomBytes(101)])) },
+            { name: 'WebP VP8L', bytes: templates.writeRiff('VP8L', templates.concatBytes([[templates.VP8L_SIGNATURE], randomBytes(80)])) }
+        ];
+        if (window.JpegEncoder) {
+            const jpegEncoder = new window.JpegEncoder();
+            const pixels = { width: 21, height: 13, data: randomBytes(21 * 13 * 4) };
+            images.push(
+                { name: 'JpegEncoder 4:2:0 q60', bytes: jpegEncoder.encode(pixels, { quality: 0.6 }) },
+                { name: 'JpegEncoder 4:4:4 optimized', bytes: jpegEncoder.encode(pixels, { subsampling: '4:4:4', optimizeHuffman: true }) }
+            );
+        }
+        if (window.JpegOptimizer && window.JpegEncoder) {
+            // Progressive input with a comment segment, rewritten losslessly as baseline
+            const progressive = new window.JpegEncoder().encode({ width: 19, height: 11, data: randomBytes(19 * 11 * 4) }, { progressive: true });
+            const commented = templates.concatBytes([progressive.subarray(0, 2), templates.writeSegment(0xFE, randomBytes(40)), progressive.subarray(2)]);
+            images.push({ name: 'JpegOptimizer baseline rewrite', bytes: new window.JpegOptimizer().optimize(commented, { optimizeHuffman: false }) });
+        }
+        if (window.ImageSlimmer) {
+            // Extended WebP with an ICC profile and EXIF, slimmed to a simple file
+            const slimmer = new window.ImageSlimmer();
+            const extended = slimmer.writeRiff([
+                { fourCC: 'VP8X', data: Uint8Array.of(slimmer.VP8X_FLAGS.ICC | slimmer.VP8X_FLAGS.EXIF, 0, 0, 0, 15, 0, 0, 9, 0, 0) },
+                { fourCC: 'ICCP', data: randomBytes(60) },
+                { fourCC: 'VP8 ', data: templates.concatBytes([[0x30, 0x01, 0x00], templates.VP8_START_CODE, randomBytes(90)]) },
+                { fourCC: 'EXIF', data: randomBytes(31) }
+            ]);
+            images.push({ name: 'ImageSlimmer WebP metadata', bytes: (await slimmer.slim(extended))?.bytes });
+        }
+
+        let passed = 0;
+        let failed = 0;
+        for (const { name, bytes } of images) {
+            const failure = await this.withSettings({}, async () => {
+                try {
+                    const encoder = new window.GPUBitStreamEncoderImpl(window.CONFIG.SAFE_CHARS);
+                    const decoder = new window.GPUBitStreamDecoder(window.CONFIG.SAFE_CHARS);
+                    const encoded = await encoder.encodeBits(bytes);
+                    const whole = await this.withSettings({ STRIP_IMAGE_HEADERS: false }, () =>
+                        new window.GPUBitStreamEncoderImpl(window.CONFIG.SAFE_CHARS).encodeBits(bytes));
+
+                    if (encoded.length >= whole.length) {
+                        return `not shorter (${encoded.length} vs ${whole.length} characters)`;
+                    }
+                    const decoded = new Uint8Array(await decoder.decodeBits(encoded));
+                    return this.sameBytes(decoded, bytes) ? null : 'decoded image differs';
+                } catch (error) {
+                    return error.message;
+                }
+            });
+
+            if (failure) {
+                failed++;
+                console.log(`❌ ${name}: ${failure}`);
+            } else {
+                passed++;
+                console.log(`✅ ${name}`);
+            }
+        }
+
+        return { passed, failed };
+    }
+
+    /**
+     * Write chunks to a TransformStream and collect what it outputs
+     * @returns {Promise<Array>}
+     */
+    async pipeThrough(stream, chunks) {
+        const output = [];
+        const read = async () => {
+            const reader = stream.readable.getReader();
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) return;
+                output.push(value);
+            }
+        };
+        const write = async () => {
+            const writer = stream.writable.getWriter();
+            for (const chunk of chunks) {
+                await writer.write(chunk);
+            }
+            await writer.close();
+        };
+
+        await Promise.all([read(), write()]);
+        return output;
+    }
+
+    /**
+     * Split a string or byte array into 1 to 64 element pieces at seeded random points
+     */
+    splitRandomly(input, random) {
+        const pieces = [];
+        for (let i = 0; i < input.length;) {
+            const length = 1 + Math.floor(random() * 64);
+            pieces.push(input.slice(i, i + length));
+            i += length;
+        }
+        return pieces;
+    }
+
+    /**
+     * Predicted length of a versioned round-trip payload
+     * The input is passed along for the range coder, whose length depends on the data.
+     * @param {Object} combination - { alphabet, format }
+     * @param {Uint8Array} input - Input bytes
+     * @returns {number|null} Null for legacy formats
+     */
+    predictLength(combination, input) {
+        if (combination.format !== 'versioned') {
+            return null;
+        }
+
+        const encoder = new window.DirectBaseEncoder(window.CONFIG.SAFE_CHARS).getProfileEncoder(combination.alphabet);
+        return encoder.predictEncodedLength(input.length, { data: input });
+    }
+
+    /**
+     * Sizes to round-trip: every size up to 32 bytes, then about 8% apart up to the capacity
+     * @param {Object} combination - { alphabet, format }
+     * @returns {number[]}
+     */
+    getRoundTripSizes(combination) {
+        const max = this.getCapacity(combination);
+        const sizes = [];
+        for (let size = 1; size <= max; size = size < 32 ? size + 1 : Math.ceil(size * 1.08)) {
+            sizes.push(size);
+        }
+        if (sizes[sizes.length - 1] !== max) {
+            sizes.push(max);
+        }
+        return sizes;
+    }
+
+    /**
+     * Largest byte count whose payload fits the link budget
+     * The budget is the larger of MAX_URL_LENGTH and MAX_FRAGMENT_LENGTH characters;
+     * legacy small payloads stop at ENCODE_SMALL_THRESHOLD.
+     * @param {Object} combination - { alphabet, format }
+     * @returns {number}
+     */
+    getCapacity(combination) {
+        if (combination.format === 'legacy-small') {
+            return window.CONFIG.ENCODE_SMALL_THRESHOLD || 64;
+        }
+
+        const chars = Math.max(window.CONFIG.MAX_URL_LENGTH || 0, window.CONFIG.MAX_FRAGMENT_LENGTH || 0);
+        const radix = new window.LinkHeader().getProfileChars(combination.alphabet).length;
+        return Math.floor(chars * Math.log2(radix) / 8);
+    }
+
+    /**
+     * Encode a vector or round-trip case with the encoder its format names
+     * @param {Object} vector - { alphabet, format, deflate? }
+     * @param {Uint8Array} input - Input bytes
+     * @returns {Promise<string>}
+     */
+    async encodeVector(vector, input) {
+        const encoder = new window.DirectBaseEncoder(window.CONFIG.SAFE_CHARS);
+
+        if (vector.format !== 'versioned') {
+            const method = this.legacyFormats[vector.format];
+            if (!method) {
+                throw new Error(`Unknown vector format ${vector.format}`);
+            }
+            return encoder[method](input);
+        }
+
+        const profileEncoder = encoder.getProfileEncoder(vector.alphabet);
+        let payload = input;
+        const flags = [];
+        if (vector.deflate) {
+            // The JS deflater is deterministic; native CompressionStream output may differ between browsers
+            payload = new window.Deflate().deflateSync(input);
+            flags.push('DEFLATE');
+        }
+
+        const integrityValue = await profileEncoder.computeIntegrityCheck(payload);
+        return profileEncoder.encode(payload, integrityValue, { flags });
+    }
+
+    /**
+     * Decode with a fresh decoder
+     * @param {string} encoded - Payload
+     * @returns {Promise<{bytes?: Uint8Array, verified?: boolean|null, error?: string}>}
+     */
+    async decode(encoded) {
+        const decoder = new window.GPUBitStreamDecoder(window.CONFIG.SAFE_CHARS);
+        try {
+            const bytes = new Uint8Array(await decoder.decodeBits(encoded));
+            return { bytes, verified: decoder.lastVerification.verified };
+        } catch (error) {
+            return { error: error.message };
+        }
+    }
+
+    /**
+     * Run a step with CONFIG.ADVANCED set to baseSettings plus overrides, then restore it
+     */
+    async withSettings(settings, step) {
+        const advanced = window.CONFIG.ADVANCED;
+        const saved = { ...advanced };
+        Object.assign(advanced, this.baseSettings, settings || {});
+
+        try {
+            return await step();
+        } finally {
+            for (const key of Object.keys(advanced)) {
+                if (!(key in saved)) delete advanced[key];
+            }
+            Object.assign(advanced, saved);
+        }
+    }
+
+    /**
+     * Fill in the expected strings of vector cases from the current encoder
+     * @param {Object[]} vectors - Vectors or cases without expected strings
+     * @returns {Promise<Object[]>}
+     */
+    async generateVectors(vectors) {
+        const generated = [];
+        for (const vector of vectors) {
+            const input = this.fromHex(vector.input);
+            const expected = await this.withSettings(vector.settings, () => this.encodeVector(vector, input));
+            generated.push({ ...vector, expected });
+        }
+        return generated;
+    }
+
+    /**
+     * Log conformance_vectors.js regenerated from the current encoder
+     */
+    async printVectors() {
+        const vectors = await this.generateVectors(window.CONFORMANCE_VECTORS || []);
+        const lines = vectors.map(vector => `    ${JSON.stringify(vector)}`);
+        console.log(`window.CONFORMANCE_VECTORS = [\n${lines.join(',\n')}\n];`);
+    }
+
+    /**
+     * Seeded pseudo-random numbers in [0, 1) (mulberry32), so failures reproduce
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    fromHex(hex) {
+        const bytes = new Uint8Array(hex.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(hex.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    toHex(bytes) {
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    sameBytes(a, b) {
+        return a.length === b.length && a.every((byte, i) => byte === b[i]);
+    }
+};
+
+// Auto-run validation when loaded
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        const validator = new window.ConformanceValidator();
+        validator.runValidation();
+    });
+}
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.ConformanceValidator;
+}
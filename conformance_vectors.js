@@ -0,0 +1,53 @@
+/**
+ * Golden vectors for conformance_test.js
+ *
+ * Each vector is an input (hex), the alphabet profile and format it is
+ * encoded with, the CONFIG.ADVANCED settings it differs from the suite's
+ * base settings in, and the exact payload the encoder must produce.
+ * Regenerate with ConformanceValidator.printVectors() only when the link
+ * format changes on purpose.
+ */
+window.CONFORMANCE_VECTORS = [
+    {"name":"SAFE_CHARS: one zero byte","alphabet":"SAFE_CHARS","format":"versioned","input":"00","expected":"DIASKgB\\zi3}zAAA"},
+    {"name":"SAFE_CHARS: one 0xFF byte","alphabet":"SAFE_CHARS","format":"versioned","input":"ff","expected":"DIASKgB\\-jUU:C:A"},
+    {"name":"SAFE_CHARS: leading zero bytes","alphabet":"SAFE_CHARS","format":"versioned","input":"000000deadbeef","expected":"DIASKgH\\vNdr\"Of=\\/D+aOA"},
+    {"name":"SAFE_CHARS: 64-byte counter","alphabet":"SAFE_CHARS","format":"versioned","input":"000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f","expected":"DIASKg_\\D\"uA.FRARO\\MtRVJT,aj_&EBqa9R@>Pm2~q474ijoll6yO@S}9+PfEC't4PTeo=>/(y|W)3@~=-,z~$=[uZOA"},
+    {"name":"PATH_SAFE: one zero byte","alphabet":"PATH_SAFE","format":"versioned","input":"00","expected":"DIQSKgB@LkYQPAAA"},
+    {"name":"PATH_SAFE: one 0xFF byte","alphabet":"PATH_SAFE","format":"versioned","input":"ff","expected":"DIQSKgB@e!Op_DSA"},
+    {"name":"PATH_SAFE: leading zero bytes","alphabet":"PATH_SAFE","format":"versioned","input":"000000deadbeef","expected":"DIQSKgH@EAhNhsl:oIBhN+A"},
+    {"name":"PATH_SAFE: 64-byte counter","alphabet":"PATH_SAFE","format":"versioned","input":"000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f","expected":"DIQSKg_@G*hHkAzWVJj9iHqa6RuGezO_UT,sQTI;j0kf*(Lm'I8,;3_'VTwAim.AJkrSwHMVn;:rLF_':r'D-$XANF(3vZ9A"},
+    {"name":"QUERY_SAFE: one zero byte","alphabet":"QUERY_SAFE","format":"versioned","input":"00","expected":"DIgSKgB?GB0k@AAA"},
+    {"name":"QUERY_SAFE: one 0xFF byte","alphabet":"QUERY_SAFE","format":"versioned","input":"ff","expected":"DIgSKgB?Yj$QADPA"},
+    {"name":"QUERY_SAFE: leading zero bytes","alphabet":"QUERY_SAFE","format":"versioned","input":"000000deadbeef","expected":"DIgSKgH?/;uQ4oR_E/:Cs_A"},
+    {"name":"QUERY_SAFE: 64-byte counter","alphabet":"QUERY_SAFE","format":"versioned","input":"000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f","expected":"DIgSKg_?GuO0:S78+YmFmwpI2qvcRD,KnTYa~Ua;FF1?p54*=+$gR(ulvTx~f:345/WH,bLRj9eZ!?:$sYtZ-EgLyyKTTQA"},
+    {"name":"FRAGMENT_SAFE: one zero byte","alphabet":"FRAGMENT_SAFE","format":"versioned","input":"00","expected":"DIwSKgB?A&+/QAAA"},
+    {"name":"FRAGMENT_SAFE: one 0xFF byte","alphabet":"FRAGMENT_SAFE","format":"versioned","input":"ff","expected":"DIwSKgB?SfN6nDMA"},
+    {"name":"FRAGMENT_SAFE: leading zero bytes","alphabet":"FRAGMENT_SAFE","format":"versioned","input":"000000deadbeef","expected":"DIwSKgH?;Iu@Jkh~sZ92oaA"},
+    {"name":"FRAGMENT_SAFE: 64-byte counter","alphabet":"FRAGMENT_SAFE","format":"versioned","input":"000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f","expected":"DIwSKg_?GU;4/G=IQ+@tp0OsE6'l;=ynj6gj?X,2uFR-o=jM0eOf_y:AejS_K1I!U~Xqz1gb)v2~?jg0M;tI,:QzCB/x-JA"},
+    {"name":"IRI: one zero byte","alphabet":"IRI","format":"versioned","input":"00","expected":"DJASJgB힣b펢굕AA"},
+    {"name":"IRI: one 0xFF byte","alphabet":"IRI","format":"versioned","input":"ff","expected":"DJASJgB힣h튱봌겿A"},
+    {"name":"IRI: leading zero bytes","alphabet":"IRI","format":"versioned","input":"000000deadbeef","expected":"DJASJgH힣Z왹스E똄랓뢜날A"},
+    {"name":"IRI: 64-byte counter","alphabet":"IRI","format":"versioned","input":"000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f","expected":"DJASJg가힣C놡곈A봙댒듨렭롮눠뀆쿋쌙죌틻뾲닯새쳥쬴쫳땒폞쯋낎싂뷂깜쏖쉗뗞쫣때겁빟딠볷휖퀹쓣징떜A"},
+    {"name":"SAFE_CHARS: guard character after punctuation","alphabet":"SAFE_CHARS","format":"versioned","input":"0142","expected":"DIASKgC\\u\\A5jCD-A"},
+    {"name":"SAFE_CHARS: single-character checksum","alphabet":"SAFE_CHARS","format":"versioned","settings":{"INTEGRITY_ALGORITHM":"CHECKSUM"},"input":"89504e470d0a1a0a0000000d4948445200000001000000010806000000","expected":"DIARd\\9AAAAB:LGL1gIZFde6MFZ|QF!hB)svClzg99XA"},
+    {"name":"SAFE_CHARS: SHA-256 check, 8 characters","alphabet":"SAFE_CHARS","format":"versioned","settings":{"INTEGRITY_ALGORITHM":"SHA256","INTEGRITY_CHECK_CHARS":8},"input":"89504e470d0a1a0a0000000d4948445200000001000000010806000000","expected":"DIASUAd\\2zO.m8D$AAAAB:LGL1gIZFde6MFZ|QF!hB)svClzg99XA"},
+    {"name":"SAFE_CHARS: no integrity check","alphabet":"SAFE_CHARS","format":"versioned","settings":{"CHECKSUM_ENABLED":false},"input":"89504e470d0a1a0a0000000d4948445200000001000000010806000000","expected":"DIAQd\\AAAAB:LGL1gIZFde6MFZ|QF!hB)svClzg99XA"},
+    {"name":"SAFE_CHARS: chunked conversion","alphabet":"SAFE_CHARS","format":"versioned","settings":{"WHOLE_STREAM_ENCODING":false},"input":"000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f60616263","expected":"DEASKgKB\\V~.e8g.Wv@Q2;OU}W:J1`6C2m*HeLmvJ&.+N+x*rOxg$}2'MBFB)Qb''c9AKb*C}$F+EeGM2r>C-J<1m=EiVeLO9u)^kt[H[wQRK|L{AchKN:=sFA44GE}6mkN^RY]rTJ5MZjBA"},
+    {"name":"PATH_SAFE: chunked conversion","alphabet":"PATH_SAFE","format":"versioned","settings":{"WHOLE_STREAM_ENCODING":false},"input":"000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f60616263","expected":"DEQSKgWB@mTRxCt850KNz=tfAIId3iQIxx:_tdkodnJde47B(slml'oxiqPVIiT3:@GCrs=U,zN@Odq@OL_9Ae:=idRa=Jjz+*.z9IoYfJ=wNiG)C,Hw0B59OAcQxcFNdqp&BZ.4yKLnk!BA"},
+    {"name":"SAFE_CHARS: 32-byte checked blocks","alphabet":"SAFE_CHARS","format":"versioned","settings":{"BLOCK_BYTES":32},"input":"000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f60616263","expected":"DIAaKgQIKB\\V~.e8Ay-X@pa+Rr.g=l-.Ie}@qo$qLkhEg^_~SvnvqueRGXBMA[9FH(6hxzc07X2O6]\"Fnr3|PT]4d+<(DdmMAzYYB_eyv7'9IXj))$3;I^fCi9LtJu`jrW{`z`6Lh(9{KOYc7uX2]A"},
+    {"name":"SAFE_CHARS: FEC level 1","alphabet":"SAFE_CHARS","format":"versioned","settings":{"FEC_LEVEL":1},"input":"000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f2021222324252627","expected":"DIAWKiAAHoo`D5:/XA|($<PF8J5<).X98+PxdiL|EE)tBv,QsQTma3J[q|R8VLDtUCpI)65A"},
+    {"name":"PATH_SAFE: FEC level 2 with blocks","alphabet":"PATH_SAFE","format":"versioned","settings":{"FEC_LEVEL":2,"BLOCK_BYTES":32},"input":"000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f60616263","expected":"DIQeKkAAVIECW,2BA&@DtmswTOCR-Tx-eCWiBAr7B1but('V3Sa:h5f09ARG,3Zd-XCf1XAlyq''W~LYGTcZE1aS_3@'NTkcZB7D0Q':y7WU+qX~K75L!A8QUT9f+i31GoTUGuA(_qTq.s+&uWgzF~=d2$BGyZGfo5!9ubV_n)!0)7oU;PMi&A"},
+    {"name":"IRI: FEC level 1","alphabet":"IRI","format":"versioned","settings":{"FEC_LEVEL":1},"input":"000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f2021222324252627","expected":"DJAWJiAAEIo힌B쾹뙮겪즑됚뱸쿒퍿곽뻿뛈뗩싿헱괩컙쯽셴섎돮븳곮냞곪둄꺽뙶쏶폾킊A"},
+    {"name":"SAFE_CHARS: range coder","alphabet":"SAFE_CHARS","format":"versioned","settings":{"RANGE_CODER":"ALWAYS"},"input":"3c7376673e3c726563742077696474683d22313022206865696768743d223130222f3e3c726563742077696474683d22323022206865696768743d223230222f3e3c2f7376673e","expected":"DMASKg,\\6S]V:Vs7~NgEV1wcsO6Y@)ZeukRf\\DF=n/DkQbgiC,jjya-qzp:tqPF~1Ecc8xi\"]QZRT-j'mSa,A"},
+    {"name":"IRI: range coder","alphabet":"IRI","format":"versioned","settings":{"RANGE_CODER":"ALWAYS"},"input":"3c7376673e3c726563742077696474683d22313022206865696768743d223130222f3e3c726563742077696474683d22323022206865696768743d223230222f3e3c2f7376673e","expected":"DNASJg갇힣f웗꿿똝쉔쁝콾뿖늭겤c퉣푗축틟B먷렳쾞겘별썫뎳둔궗훐큾풦뤁뜱뚐줟뜸뎇힞퀆묁좮A"},
+    {"name":"SAFE_CHARS: deflate pre-compression","alphabet":"SAFE_CHARS","format":"versioned","deflate":true,"input":"3c73766720786d6c6e733d22687474703a2f2f7777772e77332e6f72672f323030302f737667223e3c636972636c6520723d2234222f3e3c636972636c6520723d2234222f3e3c636972636c6520723d2234222f3e3c2f7376673e","expected":"DIAyKg8\\l,c28AAOWG]=1taJ$Q>8D*q2@VgKV9Pf5|G^4j^|N>yN*D\"Dtk4u6AJ-KnF-b2.n$x)\\6p++Ng/w7~gA"},
+    {"name":"Legacy small format","alphabet":"SAFE_CHARS","format":"legacy-small","input":"89504e470d0a1a0a0000","expected":"K\\nCA^$drAJk']LW"},
+    {"name":"Legacy small format, leading zero","alphabet":"SAFE_CHARS","format":"legacy-small","input":"0001020304","expected":"F\\]Wn[&"},
+    {"name":"Legacy chunked format","alphabet":"SAFE_CHARS","format":"legacy-chunked","input":"000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f60616263","expected":"BKB\\&g.Wv@Q2;OU}W:J1`6C2m*HeLmvJ&.+N+x*rOxg$}2'MBFB)Qb''c9AKb*C}$F+EeGM2r>C-J<1m=EiVeLO9u)^kt[H[wQRK|L{AchKN:=sFA44GE}6mkN^RY]rTJ5MZjB"},
+    {"name":"Legacy whole-stream format","alphabet":"SAFE_CHARS","format":"legacy-whole-stream","input":"000102030405060708090a0b0c0d0e0f101112131415161718191a1b1c1d1e1f202122232425262728292a2b2c2d2e2f303132333435363738393a3b3c3d3e3f404142434445464748494a4b4c4d4e4f505152535455565758595a5b5c5d5e5f60616263","expected":"CKB\\&Z_Rq\\y=A}\\_ME!vZ7Un5Skhf!/8:FJV5cEW>o,ezWNUOKx2*gjw,/@IVW=EBk+@nnem1:a*04&T/vIBNy&3({xCJ+S'UDsJ8jhBf785t4Rm&8&1R{bl5\".vuBjw"}
+];
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.CONFORMANCE_VECTORS;
+}
@@ -23,8 +23,11 @@ window.ImageProcessor = class ImageProcessor {
         this.processedSize = 0;
         this.originalFormat = '';
         this.processedFormat = '';
+        this.losslessSaved = 0;
         this.processingAborted = false;
         this.createdObjectURLs = new Set();
+        // Formats with a lossless stage before any re-encoding
+        this.LOSSLESS_FORMATS = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
         
         // Check for required dependencies before initialization
         if (!this.checkDependencies()) {
@@ -42,6 +45,9 @@ window.ImageProcessor = class ImageProcessor {
         // Initialize encoder with better error handling
         this.initializeEncoder();
         
+        // Worker pool for encoding and analysis, shared by the engine and the analyzer
+        this.initializeWorkerPool();
+        
         // Initialize compression engine after encoder is created
         this.compressionEngine = new window.CompressionEngine(this);
         
@@ -94,6 +100,32 @@ window.ImageProcessor = class ImageProcessor {
         }
     }
     
+    /**
+     * Initialize the worker pool
+     * With CONFIG.ADVANCED.ENABLE_WORKER_THREADS off, or without WorkerPool.js,
+     * encoding and analysis run directly on the main thread
+     */
+    initializeWorkerPool() {
+        if (!window.CONFIG?.ADVANCED?.ENABLE_WORKER_THREADS) {
+            console.info('Worker threads disabled. Encoding and analysis will run on the main thread.');
+            this.workerPool = null;
+            return;
+        }
+        if (!window.WorkerPool) {
+            console.info('WorkerPool not found. Encoding and analysis will run on the main thread.');
+            this.workerPool = null;
+            return;
+        }
+        
+        try {
+            // Jobs that fall back to the main thread use the page's own encoder
+            this.workerPool = new window.WorkerPool({ context: { encoder: this.encoder } });
+        } catch (error) {
+            console.error('Failed to initialize WorkerPool:', error);
+            this.workerPool = null;
+        }
+    }
+    
     /**
      * Initialize analyzer component
      */
@@ -103,7 +135,7 @@ window.ImageProcessor = class ImageProcessor {
             this.analyzer = null;
         } else {
             try {
-                this.analyzer = new window.ImageAnalyzer();
+                this.analyzer = new window.ImageAnalyzer({ workerPool: this.workerPool });
             } catch (error) {
                 console.error('Failed to initialize ImageAnalyzer:', error);
                 this.analyzer = null;
@@ -130,6 +162,7 @@ window.ImageProcessor = class ImageProcessor {
                         originalFormat: document.getElementById('originalFormat'),
                         finalFormat: document.getElementById('finalFormat'),
                         compressionRatio: document.getElementById('compressionRatio'),
+                        losslessSaved: document.getElementById('losslessSaved'),
                         elapsedTime: document.getElementById('elapsedTime'),
                         attempts: document.getElementById('attempts')
                     },
@@ -248,6 +281,7 @@ window.ImageProcessor = class ImageProcessor {
             endProcessing: () => {},
             setOriginalImage: () => {},
             setProcessedImage: () => {},
+            setLosslessSavings: () => {},
             setAnalysis: () => {},
             recordCompressionAttempt: () => {}
         };
@@ -335,6 +369,7 @@ window.ImageProcessor = class ImageProcessor {
             this.originalFormat = file.type;
             this.processedSize = file.size;  // Initialize to original size
             this.processedFormat = file.type; // Initialize to original format
+            this.losslessSaved = 0;
             
             this.metrics.setOriginalImage({
                 size: file.size,
@@ -374,17 +409,17 @@ window.ImageProcessor = class ImageProcessor {
             this.metrics.endStage('analysis');
             this.metrics.startStage('formatSelection', 'Selecting optimal format');
             
-            // Calculate base URL overhead to ensure we account for it in compression targets
-            const baseUrl = window.location.href.split('?')[0].replace('index.html', '');
-            const baseUrlLength = baseUrl.length;
-            const effectiveMaxLength = this.maxSize - baseUrlLength - 10; // 10 char buffer
+            // Calculate base URL overhead (or the fragment budget) for compression targets
+            const effectiveMaxLength = this.compressionEngine.getEffectiveMaxLength();
             
             this.metrics.updateStageStatus('formatSelection', 'Testing initial encoding');
             
             try {
                 const buffer = await file.arrayBuffer();
                 const initialBits = await this.encoder.toBitArray(buffer);
-                const initialEncoded = await this.encoder.encodeBits(initialBits);
+                const { encoded: initialEncoded } = await this.compressionEngine.encodeForLink(initialBits, {
+                    maxLength: this.compressionEngine.getPayloadBudget()
+                });
                 
                 // Abort if processing was cancelled
                 if (this.processingAborted) {
@@ -395,7 +430,7 @@ window.ImageProcessor = class ImageProcessor {
                 this.metrics.updateStageStatus('formatSelection', 'Checking URL size limits');
                 
                 // Check if original file fits within URL limit
-                if (initialEncoded.length <= effectiveMaxLength) {
+                if (initialEncoded !== null && this.compressionEngine.getLinkLengths(initialEncoded).payload <= effectiveMaxLength) {
                     // Original file fits within URL limit
                     this.processedSize = file.size;
                     this.processedFormat = file.type;
@@ -423,6 +458,17 @@ window.ImageProcessor = class ImageProcessor {
                 // Continue to optimization
             }
     
+            // Files often fit once metadata is dropped and the entropy coding redone, with no loss
+            if (this.LOSSLESS_FORMATS.includes(file.type) && await this.tryLosslessOptimization(file)) {
+                return;
+            }
+
+            // Abort if processing was cancelled
+            if (this.processingAborted) {
+                this.metrics.endProcessing();
+                return;
+            }
+
             // Need to optimize the image - get recommended formats from analysis
             this.metrics.updateStageStatus('formatSelection', 'Image requires optimization');
             
@@ -466,7 +512,7 @@ window.ImageProcessor = class ImageProcessor {
                 }
                 
                 try {
-                    const result = await this.compressionEngine.compressImageHeuristic(file, format, initialQuality);
+                    const result = await this.compressionEngine.compressImageHeuristic(file, format, initialQuality, analysisResults);
                     
                     if (result) {
                         this.metrics.updateStageStatus(
@@ -617,6 +663,50 @@ window.ImageProcessor = class ImageProcessor {
         }
     }
 
+    /**
+     * Try lossless optimization (JPEG rewrite or PNG/WebP/GIF slimming) and,
+     * when the result fits, finish with it
+     * @param {File} file - Image file that did not fit as is
+     * @returns {Promise<boolean>} True when the result was generated
+     */
+    async tryLosslessOptimization(file) {
+        const formatName = file.type.split('/')[1].toUpperCase();
+        this.metrics.updateStageStatus('formatSelection', `Trying lossless ${formatName} optimization`);
+
+        let result;
+        try {
+            result = await this.compressionEngine.optimizeLossless(await file.arrayBuffer(), file.type);
+        } catch (error) {
+            console.warn(`Lossless ${formatName} optimization failed:`, error);
+            this.metrics.recordError(`Lossless ${formatName} optimization failed: ${error.message}`, error);
+            return false;
+        }
+        // Shown in the stats even when the lossy path takes over
+        this.losslessSaved = result?.params?.saved || 0;
+        if (!result?.success || this.processingAborted) {
+            return false;
+        }
+
+        this.processedSize = result.data.size;
+        this.processedFormat = file.type;
+        this.metrics.setProcessedImage({
+            size: result.data.size,
+            format: file.type
+        });
+
+        this.metrics.endStage('formatSelection');
+        this.metrics.startStage('finalization', 'Generating result URL');
+
+        await this.uiController.generateResult(result.data.encoded);
+        this.uiController.updateImageStats();
+
+        this.metrics.endStage('finalization');
+        this.metrics.endProcessing();
+
+        this.uiController.showStatus(this.uiController.getProcessingStats(), 'success');
+        return true;
+    }
+
     /**
      * Perform image analysis with error handling
      * @param {File} file - Image file to analyze
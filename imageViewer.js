@@ -18,16 +18,26 @@
 window.ImageViewer = class ImageViewer {
     /**
      * Initialize the image viewer component
-     * @param {string} imageData - URL-encoded image data from the path
+     * @param {string} imageData - URL-encoded image data from the path or fragment
+     * @param {Object} [options] - Viewer options
+     * @param {string} [options.transport='path'] - Where the data came from: 'path' or 'fragment'
      * @throws {Error} If required dependencies are not loaded
      */
-    constructor(imageData) {
+    constructor(imageData, options = {}) {
         // Validate dependencies
         this.validateDependencies();
         
+        // Fragment links have their own length budget
+        this.transport = options.transport === 'fragment' ? 'fragment' : 'path';
+        
         // Initialize decoder (separate from encoder)
         this.decoder = new window.GPUBitStreamDecoder(window.CONFIG.SAFE_CHARS);
         
+        // Decode in a worker when enabled and WorkerPool.js is loaded; a main-thread fallback uses this decoder
+        this.workerPool = window.WorkerPool && window.CONFIG.ADVANCED?.ENABLE_WORKER_THREADS
+            ? new window.WorkerPool({ size: 1, context: { decoder: this.decoder } })
+            : null;
+        
         // Check decoder capabilities
         this.hasWebGLSupport = this.checkDecoderCapabilities();
         
@@ -119,7 +129,15 @@ window.ImageViewer = class ImageViewer {
             this.showStatus('Decoding image data...', 'info');
     
             // Step 3: Decode the binary data using dedicated decoder
-            const buffer = await this.decoder.decodeBits(encodedData);
+            const buffer = await this.decode(encodedData);
+            
+            // Never show garbage: a failed integrity check stops here unless
+            // block checks show that most of the image is intact
+            const verification = this.decoder.lastVerification || { algorithm: null, verified: null };
+            const damage = this.decoder.lastBlockReport;
+            if (verification.verified === false && !this.canRenderPartially(damage)) {
+                throw new Error(`Integrity check failed (${verification.algorithm}) - the link is corrupted`);
+            }
             
             // Step 4: Detect and verify image format
             const format = this.detectImageFormat(buffer);
@@ -141,17 +159,70 @@ window.ImageViewer = class ImageViewer {
             
             // Step 8: Update UI with image and controls
             this.container.innerHTML = ''; // Clear loading state
-            this.addImageInfo(buffer.byteLength, format, encodedData.length);
+            this.addImageInfo(buffer.byteLength, format, encodedData.length, verification, this.decoder.lastRepair, damage);
             this.container.appendChild(img);
+            if (damage && damage.badBlocks.length > 0) {
+                this.addDamageDiagnostics(encodedData, damage);
+            }
             this.addDownloadButton(blob, format);
             this.addTechnicalDetails(buffer.byteLength, encodedData.length, format);
     
         } catch (error) {
             console.error('Image display error:', error);
             this.showError(`Failed to display image: ${error.message}`);
+            
+            const damage = this.decoder.lastBlockReport;
+            if (damage && damage.badBlocks.length > 0) {
+                this.addDamageDiagnostics(encodedData, damage);
+            }
+        }
+    }
+
+    /**
+     * Decode link data, in a worker when there is a pool
+     * The worker's verification, repair and block reports are copied to
+     * this.decoder, where the rest of the viewer reads them.
+     * @param {string} encodedData - Encoded data
+     * @returns {Promise<ArrayBuffer>} Decoded data
+     */
+    async decode(encodedData) {
+        if (!this.workerPool) {
+            return this.decoder.decodeBits(encodedData);
+        }
+        
+        try {
+            const result = await this.workerPool.run('decode', { encoded: encodedData }, {
+                onProgress: ({ progress }) => {
+                    if (progress === 1) {
+                        this.showStatus('Rendering image...', 'info');
+                    } else if (progress > 0) {
+                        this.showStatus(`Decoding image data... ${Math.round(progress * 100)}%`, 'info');
+                    }
+                }
+            });
+            this.decoder.lastVerification = result.verification;
+            this.decoder.lastRepair = result.repair;
+            this.decoder.lastBlockReport = result.blockReport;
+            return result.data;
+        } finally {
+            // A viewer decodes one link
+            this.workerPool.terminate();
         }
     }
 
+    /**
+     * Decide whether a damaged image is still worth rendering
+     * @param {Object|null} damage - Block report from the decoder
+     * @returns {boolean} True when block checks show only a few damaged blocks
+     */
+    canRenderPartially(damage) {
+        if (!damage || damage.badBlocks.length === 0) {
+            return false;
+        }
+        const maxDamage = window.CONFIG.ADVANCED?.PARTIAL_RENDER_MAX_DAMAGE ?? 0.5;
+        return damage.badBlocks.length / damage.totalBlocks <= maxDamage;
+    }
+
     /**
      * Validate encoded data format and constraints
      * @param {string} encodedData - URL-encoded image data
@@ -163,16 +234,21 @@ window.ImageViewer = class ImageViewer {
             throw new Error('Invalid or missing image data');
         }
 
-        // Validate against safe character set (PTA_1)
-        const invalidChars = [...encodedData].filter(char => !window.CONFIG.SAFE_CHARS.includes(char));
-        if (invalidChars.length > 0) {
+        // Validate against the payload's alphabet profile (PTA_1)
+        // Links with error correction treat invalid characters as repairable erasures
+        this.payloadAlphabet = this.decoder.getPayloadAlphabet(encodedData);
+        const invalidChars = [...encodedData].filter(char => !this.payloadAlphabet.includes(char));
+        if (invalidChars.length > 0 && !this.decoder.hasErrorCorrection(encodedData)) {
             const sample = invalidChars.slice(0, 5).join(', ');
             throw new Error(`Image data contains invalid characters: ${sample}${invalidChars.length > 5 ? '...' : ''}`);
         }
 
         // Check length constraints
-        if (encodedData.length > window.CONFIG.MAX_URL_LENGTH) {
-            throw new Error(`Image data exceeds maximum allowed length: ${encodedData.length} > ${window.CONFIG.MAX_URL_LENGTH}`);
+        const maxLength = this.transport === 'fragment'
+            ? window.CONFIG.MAX_FRAGMENT_LENGTH
+            : window.CONFIG.MAX_URL_LENGTH;
+        if (encodedData.length > maxLength) {
+            throw new Error(`Image data exceeds maximum allowed length: ${encodedData.length} > ${maxLength}`);
         }
 
         // Check minimum data length (should have at least metadata)
@@ -264,8 +340,11 @@ window.ImageViewer = class ImageViewer {
      * @param {number} size - Decoded image size in bytes
      * @param {string} format - Image MIME type
      * @param {number} encodedLength - Length of encoded string
+     * @param {Object} verification - Integrity result from the decoder
+     * @param {Object|null} repair - Error correction result from the decoder
+     * @param {Object|null} damage - Block report from the decoder
      */
-    addImageInfo(size, format, encodedLength) {
+    addImageInfo(size, format, encodedLength, verification, repair, damage) {
         const info = document.createElement('div');
         info.style.cssText = `
             margin-bottom: 24px;
@@ -281,21 +360,113 @@ window.ImageViewer = class ImageViewer {
         const formatName = format.split('/')[1].toUpperCase();
         const sizeKB = (size / 1024).toFixed(2);
         const compressionRatio = ((encodedLength / size) * 100).toFixed(1);
+        let integrity;
+        if (verification.verified) {
+            integrity = `✅ Verified (${verification.algorithm})`;
+        } else if (verification.verified === false) {
+            integrity = `❌ Damaged (${damage.badBlocks.length} of ${damage.totalBlocks} blocks)`;
+        } else {
+            integrity = '⚠️ Not verified (link has no integrity check)';
+        }
+        const title = verification.verified === false ? 'Partially Decoded' : 'Successfully Decoded';
+        const repairInfo = repair && repair.repairedSymbols > 0
+            ? `<span><strong>Repaired:</strong> 🛠️ ${repair.repairedSymbols} damaged character${repair.repairedSymbols === 1 ? '' : 's'}</span>`
+            : '';
         
         info.innerHTML = `
             <div style="font-size: 1.2em; font-weight: 600; margin-bottom: 8px;">
-                📸 ${formatName} Image Successfully Decoded
+                📸 ${formatName} Image ${title}
             </div>
             <div style="display: flex; justify-content: space-around; flex-wrap: wrap; gap: 16px; font-size: 0.95em;">
                 <span><strong>Size:</strong> ${sizeKB} KB</span>
                 <span><strong>Format:</strong> ${format}</span>
                 <span><strong>Encoding Efficiency:</strong> ${compressionRatio}%</span>
+                <span><strong>Integrity:</strong> ${integrity}</span>
+                ${repairInfo}
             </div>
         `;
         
         this.container.appendChild(info);
     }
 
+    /**
+     * Add a diagnostics panel highlighting the damaged character ranges
+     * @param {string} encodedData - Payload as received
+     * @param {Object} damage - Block report from the decoder
+     */
+    addDamageDiagnostics(encodedData, damage) {
+        const details = document.createElement('details');
+        details.open = true;
+        details.style.cssText = `
+            margin-top: 24px;
+            background: rgba(255,255,255,0.9);
+            padding: 16px;
+            border-radius: 8px;
+            max-width: 800px;
+            width: 100%;
+            box-sizing: border-box;
+            font-family: system-ui, -apple-system, sans-serif;
+        `;
+        
+        const summary = document.createElement('summary');
+        summary.textContent = `🩺 Damage Diagnostics: ${damage.badBlocks.length} of ${damage.totalBlocks} blocks failed their check`;
+        summary.style.cssText = `
+            cursor: pointer;
+            font-weight: 600;
+            margin-bottom: 12px;
+            color: #c62828;
+        `;
+        details.appendChild(summary);
+        
+        const list = document.createElement('ul');
+        list.style.cssText = 'font-size: 0.9em; color: #34495e; margin: 0 0 12px 0;';
+        for (const block of damage.badBlocks) {
+            const item = document.createElement('li');
+            const missing = block.end > encodedData.length ? ' (partly missing from the link)' : '';
+            item.textContent = `Block ${block.index + 1}: characters ${block.start}-${block.end - 1}` +
+                ` (bytes ${block.byteStart}-${block.byteEnd - 1})${missing}`;
+            list.appendChild(item);
+        }
+        details.appendChild(list);
+        
+        // Payload with damaged ranges highlighted; built from text nodes so no escaping is needed
+        const payload = document.createElement('div');
+        payload.style.cssText = `
+            font-family: monospace;
+            font-size: 0.8em;
+            word-break: break-all;
+            max-height: 240px;
+            overflow-y: auto;
+            background: #f8f9fa;
+            padding: 12px;
+            border-radius: 4px;
+            color: #666;
+        `;
+        
+        let position = 0;
+        for (const block of damage.badBlocks) {
+            const start = Math.min(block.start, encodedData.length);
+            const end = Math.min(block.end, encodedData.length);
+            if (start > position) {
+                payload.appendChild(document.createTextNode(encodedData.slice(position, start)));
+            }
+            if (end > start) {
+                const mark = document.createElement('mark');
+                mark.textContent = encodedData.slice(start, end);
+                mark.title = `Block ${block.index + 1}`;
+                mark.style.cssText = 'background: #ffcdd2; color: #c62828;';
+                payload.appendChild(mark);
+            }
+            position = Math.max(position, end);
+        }
+        if (position < encodedData.length) {
+            payload.appendChild(document.createTextNode(encodedData.slice(position)));
+        }
+        
+        details.appendChild(payload);
+        this.container.appendChild(details);
+    }
+
     /**
      * Add download button with enhanced styling
      * @param {Blob} blob - Image data as blob
@@ -393,14 +564,20 @@ window.ImageViewer = class ImageViewer {
         techInfo.style.color = '#34495e';
         
         const efficiency = ((decodedSize / encodedLength) * 100).toFixed(2);
-        const urlSafetyInfo = window.CONFIG.SAFE_CHARS.length;
+        const urlSafetyInfo = (this.payloadAlphabet || window.CONFIG.SAFE_CHARS).length;
+        
+        // The fragment never reaches the server, so report it apart from the path
+        const urlLengthInfo = this.transport === 'fragment'
+            ? `${window.location.href.length - window.location.hash.length} characters + ` +
+              `${window.location.hash.length - 1} character fragment (not sent to the server)`
+            : `${window.location.href.length} characters`;
         
         techInfo.innerHTML = `
             <p><strong>Decoder:</strong> ${this.hasWebGLSupport ? 'Hardware-accelerated (WebGL2)' : 'CPU fallback'}</p>
             <p><strong>Character Set:</strong> ${urlSafetyInfo} URL-safe characters</p>
             <p><strong>Compression Ratio:</strong> ${efficiency}% (${decodedSize} bytes → ${encodedLength} chars)</p>
             <p><strong>Format Detection:</strong> Signature-based (${format})</p>
-            <p><strong>URL Length:</strong> ${window.location.href.length} characters</p>
+            <p><strong>URL Length:</strong> ${urlLengthInfo}</p>
         `;
         
         details.appendChild(summary);
@@ -484,7 +661,11 @@ window.ImageViewer = class ImageViewer {
         `;
         
         let tips = '';
-        if (message.includes('invalid characters')) {
+        if (message.includes('damaged beyond repair') || message.includes('missing symbols')) {
+            tips = '💡 The link lost more characters than its error correction can repair. Ask the sender for a link with a higher repair level.';
+        } else if (message.includes('Integrity check failed')) {
+            tips = '💡 The link was changed after it was created, often by truncation or a chat app rewriting it. Ask the sender to share it again.';
+        } else if (message.includes('invalid characters')) {
             tips = '💡 The URL may have been corrupted during sharing. Try copying the URL again.';
         } else if (message.includes('format')) {
             tips = '💡 The image format may not be supported, or the data may be corrupted.';
@@ -77,6 +77,11 @@ window.ResourceManager = class ResourceManager {
             }
         }
         
+        // Stop worker threads
+        if (this.imageProcessor.workerPool) {
+            this.imageProcessor.workerPool.terminate();
+        }
+        
         console.log('ResourceManager cleanup completed');
     }
 
@@ -0,0 +1,99 @@
+/**
+ * Route Table Validation Tool
+ *
+ * Feeds real viewer URLs through LinkRouter and checks which payload
+ * is extracted, and by which route
+ */
+window.LinkRouterValidator = class LinkRouterValidator {
+    constructor() {
+        // Payload-like strings, including the characters that broke path guessing
+        this.payload = 'DAgBQz';
+        this.slashPayload = 'DAg/BQ/z';
+        this.symbolPayload = 'DAg&b=c+d';
+
+        this.cases = [
+            // Path route
+            { description: 'User site, path payload', url: `https://dihv.github.io/${this.payload}`, basePath: '/', expected: { route: 'path', data: this.payload } },
+            { description: 'User site, payload containing "/"', url: `https://dihv.github.io/${this.slashPayload}`, basePath: '/', expected: { route: 'path', data: this.slashPayload } },
+            { description: 'Project site, payload containing "/"', url: `https://user.github.io/repo/${this.slashPayload}`, basePath: '/repo/', expected: { route: 'path', data: this.slashPayload } },
+            { description: 'Custom domain with a repo-like first segment', url: `https://img.example.com/repo/${this.payload}`, basePath: '/', expected: { route: 'path', data: `repo/${this.payload}` } },
+            { description: 'Base path without slashes is normalized', url: `https://user.github.io/repo/${this.payload}`, basePath: 'repo', expected: { route: 'path', data: this.payload } },
+            { description: 'Percent-encoded characters are left for the viewer', url: 'https://dihv.github.io/DAg%22x%5C', basePath: '/', expected: { route: 'path', data: 'DAg%22x%5C' } },
+            { description: 'Path outside the base path', url: `https://user.github.io/other/${this.payload}`, basePath: '/repo/', expected: null },
+            { description: 'Site root is not a payload', url: 'https://dihv.github.io/', basePath: '/', expected: null },
+            { description: 'index.html is not a payload', url: 'https://user.github.io/repo/index.html', basePath: '/repo/', expected: null },
+
+            // Query route
+            { description: '?img= query', url: `https://dihv.github.io/?img=${this.payload}`, basePath: '/', expected: { route: 'query', data: this.payload } },
+            { description: '?data= query', url: `https://user.github.io/repo/?data=${this.payload}`, basePath: '/repo/', expected: { route: 'query', data: this.payload } },
+            { description: 'Query payload keeps "&", "=" and "+"', url: `https://dihv.github.io/?img=${this.symbolPayload}`, basePath: '/', expected: { route: 'query', data: this.symbolPayload } },
+            { description: 'Unknown query parameter is ignored', url: `https://dihv.github.io/?utm_source=x`, basePath: '/', expected: null },
+
+            // Fragment route
+            { description: 'Fragment payload', url: `https://dihv.github.io/#${this.slashPayload}`, basePath: '/', expected: { route: 'fragment', data: this.slashPayload } },
+            { description: 'Fragment payload on index.html', url: `https://user.github.io/repo/index.html#${this.payload}`, basePath: '/repo/', expected: { route: 'fragment', data: this.payload } },
+            { description: 'Empty fragment falls through to the path', url: `https://dihv.github.io/${this.payload}#`, basePath: '/', expected: { route: 'path', data: this.payload } },
+
+            // Versioned route
+            { description: '/v2/ prefix', url: `https://dihv.github.io/v2/${this.payload}`, basePath: '/', expected: { route: 'versioned', data: this.payload, version: 2 } },
+            { description: '/v10/ prefix under a project site', url: `https://user.github.io/repo/v10/${this.slashPayload}`, basePath: '/repo/', expected: { route: 'versioned', data: this.slashPayload, version: 10 } },
+
+            // Route order
+            { description: 'Fragment wins over path by default', url: `https://dihv.github.io/${this.payload}#Other`, basePath: '/', expected: { route: 'fragment', data: 'Other' } },
+            { description: 'Custom order puts path first', url: `https://dihv.github.io/${this.payload}#Other`, basePath: '/', order: ['path', 'fragment'], expected: { route: 'path', data: this.payload } }
+        ];
+    }
+
+    /**
+     * Run every case
+     * @returns {{passed: number, failed: number}}
+     */
+    runValidation() {
+        console.log('🧪 Route Table Validation Starting...\n');
+
+        let passed = 0;
+        let failed = 0;
+
+        for (const testCase of this.cases) {
+            const router = new window.LinkRouter({ basePath: testCase.basePath, order: testCase.order });
+            let actual;
+            try {
+                actual = router.extract(testCase.url);
+            } catch (error) {
+                actual = { error: error.message };
+            }
+
+            const expected = testCase.expected
+                ? { route: testCase.expected.route, data: testCase.expected.data, version: testCase.expected.version ?? null }
+                : null;
+            const ok = JSON.stringify(actual) === JSON.stringify(expected);
+
+            if (ok) {
+                passed++;
+                console.log(`✅ ${testCase.description}`);
+            } else {
+                failed++;
+                console.log(`❌ ${testCase.description}`);
+                console.log(`   URL: ${testCase.url} (base ${testCase.basePath})`);
+                console.log(`   Expected: ${JSON.stringify(expected)}`);
+                console.log(`   Actual:   ${JSON.stringify(actual)}`);
+            }
+        }
+
+        console.log(`\n${failed === 0 ? '✅' : '❌'} Route Table Validation Complete: ${passed} passed, ${failed} failed`);
+        return { passed, failed };
+    }
+};
+
+// Auto-run validation when loaded
+if (typeof window !== 'undefined' && typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', () => {
+        const validator = new window.LinkRouterValidator();
+        validator.runValidation();
+    });
+}
+
+// Module export support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = window.LinkRouterValidator;
+}
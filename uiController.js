@@ -18,7 +18,11 @@ window.UIController = class UIController {
             resultContainer: null,
             cancelButton: null,
             progressBar: null,
-            progressText: null
+            progressText: null,
+            fecLevel: null,
+            linkTransport: null,
+            alphabetProfile: null,
+            iriWarning: null
         };
     }
 
@@ -38,6 +42,73 @@ window.UIController = class UIController {
         // Initialize cancel button if available
         this.elements.cancelButton = document.getElementById('cancelProcessing');
         this.setupCancelButton();
+        
+        this.elements.fecLevel = document.getElementById('fecLevel');
+        this.setupFecLevel();
+        
+        this.elements.linkTransport = document.getElementById('linkTransport');
+        this.setupLinkTransport();
+        
+        this.elements.alphabetProfile = document.getElementById('alphabetProfile');
+        this.elements.iriWarning = document.getElementById('iriWarning');
+        this.setupAlphabetProfile();
+    }
+
+    /**
+     * Set up the link repair (forward error correction) selector
+     */
+    setupFecLevel() {
+        const select = this.elements.fecLevel;
+        if (!select) return;
+        
+        // The processor is created on the first file selection, so keep a choice made before that
+        const applyLevel = () => {
+            window.CONFIG.ADVANCED.FEC_LEVEL = parseInt(select.value, 10) || 0;
+        };
+        applyLevel();
+        select.addEventListener('change', () => {
+            applyLevel();
+            console.log(`Link repair level set to ${window.CONFIG.ADVANCED.FEC_LEVEL}`);
+        });
+    }
+
+    /**
+     * Set up the link type selector (path or private fragment links)
+     */
+    setupLinkTransport() {
+        const select = this.elements.linkTransport;
+        if (!select) return;
+        
+        // The processor is created on the first file selection, so keep a choice made before that
+        const applyTransport = () => {
+            window.CONFIG.LINK_TRANSPORT = select.value === 'fragment' ? 'fragment' : 'path';
+        };
+        applyTransport();
+        select.addEventListener('change', () => {
+            applyTransport();
+            console.log(`Link transport set to ${window.CONFIG.LINK_TRANSPORT}`);
+        });
+    }
+
+    /**
+     * Set up the character set selector (standard or Unicode IRI links)
+     */
+    setupAlphabetProfile() {
+        const select = this.elements.alphabetProfile;
+        if (!select) return;
+        
+        // The processor is created on the first file selection, so keep a choice made before that
+        const applyProfile = () => {
+            window.CONFIG.ADVANCED.ALPHABET_PROFILE = select.value === 'IRI' ? 'IRI' : 'AUTO';
+            if (this.elements.iriWarning) {
+                this.elements.iriWarning.style.display = select.value === 'IRI' ? 'block' : 'none';
+            }
+        };
+        applyProfile();
+        select.addEventListener('change', () => {
+            applyProfile();
+            console.log(`Alphabet profile set to ${window.CONFIG.ADVANCED.ALPHABET_PROFILE}`);
+        });
     }
 
     /**
@@ -47,6 +118,10 @@ window.UIController = class UIController {
         if (this.elements.cancelButton) {
             this.elements.cancelButton.addEventListener('click', () => {
                 this.imageProcessor.processingAborted = true;
+                // Stops encodes and analysis that are still running in workers
+                if (this.imageProcessor.workerPool) {
+                    this.imageProcessor.workerPool.cancelAll();
+                }
                 this.showStatus('Processing cancelled by user', 'error');
                 if (this.imageProcessor.metrics) {
                     this.imageProcessor.metrics.recordError('Processing cancelled by user');
@@ -129,13 +204,17 @@ updateImageStats() {
             
         const originalFormat = this.imageProcessor.originalFormat || '-';
         const finalFormat = this.imageProcessor.processedFormat || '-';
+
+        const losslessSaved = this.imageProcessor.losslessSaved > 0 ?
+            `${(this.imageProcessor.losslessSaved / 1024).toFixed(2)} KB` : '-';
         
         // Always show what we have, even if some values are missing
         window.updateImageStats({
             originalSize,
             processedSize,
             originalFormat,
-            finalFormat
+            finalFormat,
+            losslessSaved
         });
     }
     
@@ -200,38 +279,69 @@ updateImageStats() {
         }
         
         // Use the same base URL calculation as compression engine for consistency
+        const compressionEngine = this.imageProcessor.compressionEngine;
         let baseUrl;
-        if (this.imageProcessor.compressionEngine && typeof this.imageProcessor.compressionEngine.getBaseUrl === 'function') {
-            baseUrl = this.imageProcessor.compressionEngine.getBaseUrl();
+        if (compressionEngine && typeof compressionEngine.getBaseUrl === 'function') {
+            baseUrl = compressionEngine.getBaseUrl();
         } else {
             // Fallback to local calculation
-            baseUrl = window.location.href.split('?')[0].replace('index.html', '');
+            baseUrl = window.location.href.split('#')[0].split('?')[0].replace('index.html', '');
         }
         
-        // Don't use encodeURIComponent here since our SAFE_CHARS are already URL-safe
-        const finalUrl = `${baseUrl}${encodedData}`;
+        // Fragment links keep the payload after '#', so it never reaches the server
+        const transport = window.CONFIG.LINK_TRANSPORT === 'fragment' ? 'fragment' : 'path';
+        const linkPrefix = transport === 'fragment' ? `${baseUrl}#` : baseUrl;
         
-        // Use consistent length verification if available
-        let urlFitsWithinLimit = false;
-        if (this.imageProcessor.compressionEngine && typeof this.imageProcessor.compressionEngine.verifyFinalUrlLength === 'function') {
-            urlFitsWithinLimit = this.imageProcessor.compressionEngine.verifyFinalUrlLength(encodedData);
+        // Measure the link as the browser serializes and shares it; the engine also
+        // percent-encodes what the alphabet profile could not avoid in this position
+        let finalUrl;
+        let pathLength;
+        let fragmentLength;
+        let iriBytes = null;
+        if (compressionEngine && typeof compressionEngine.getLinkLengths === 'function') {
+            const lengths = compressionEngine.getLinkLengths(encodedData);
+            finalUrl = lengths.url;
+            pathLength = lengths.path;
+            fragmentLength = lengths.fragment;
+            iriBytes = lengths.iri ? lengths.bytes : null;
         } else {
-            // Fallback to basic length check
-            urlFitsWithinLimit = finalUrl.length <= this.imageProcessor.maxSize;
+            // Fallback to the browser's serializer
+            finalUrl = new URL(`${linkPrefix}${encodedData}`).href;
+            const hashIndex = finalUrl.indexOf('#');
+            fragmentLength = transport === 'fragment' && hashIndex >= 0 ? finalUrl.length - hashIndex - 1 : 0;
+            pathLength = transport === 'fragment' ? finalUrl.length - fragmentLength - 1 : finalUrl.length;
         }
         
+        // Final gate on the serialized lengths; the fragment has its own budget
+        const urlFitsWithinLimit = transport === 'fragment'
+            ? pathLength <= this.imageProcessor.maxSize && fragmentLength <= window.CONFIG.MAX_FRAGMENT_LENGTH
+            : finalUrl.length <= this.imageProcessor.maxSize;
+        
         // Log URL generation details for debugging
         console.log('URL Generation:', {
             baseUrl: baseUrl,
             baseUrlLength: baseUrl.length,
+            transport: transport,
             encodedDataLength: encodedData.length,
+            pathLength: pathLength,
+            fragmentLength: fragmentLength,
             finalUrlLength: finalUrl.length,
+            percentEncodedLength: iriBytes ?? finalUrl.length,
             maxAllowed: this.imageProcessor.maxSize,
+            maxFragment: transport === 'fragment' ? window.CONFIG.MAX_FRAGMENT_LENGTH : null,
             fits: urlFitsWithinLimit
         });
         
         // Check max URL length
         if (!urlFitsWithinLimit) {
+            if (transport === 'fragment') {
+                throw new Error(
+                    'Generated link exceeds maximum length\n' +
+                    `Path length: ${pathLength} (max ${this.imageProcessor.maxSize})\n` +
+                    `Fragment length: ${fragmentLength} (max ${window.CONFIG.MAX_FRAGMENT_LENGTH})\n` +
+                    `Overflow: ${Math.max(0, fragmentLength - window.CONFIG.MAX_FRAGMENT_LENGTH)} characters`
+                );
+            }
             throw new Error(
                 'Generated URL exceeds maximum length\n' +
                 `Base URL length: ${baseUrl.length}\n` +
@@ -258,8 +368,16 @@ updateImageStats() {
             // Non-critical error, continue
         }
         
-        // Show success status
-        this.showStatus(this.getProcessingStats(), 'success');
+        // Show success status; IRI links are only short where characters are counted
+        if (iriBytes !== null) {
+            this.showStatus(
+                this.getProcessingStats(),
+                'warning',
+                `Unicode link: ${finalUrl.length} characters, but ${iriBytes} bytes when percent-encoded`
+            );
+        } else {
+            this.showStatus(this.getProcessingStats(), 'success');
+        }
     }
     
     /**